@@ -13,13 +13,39 @@ const userRoutes = require('./routes/user.routes');
 const accountRoutes = require('./routes/account.routes');
 const transactionRoutes = require('./routes/transaction.routes');
 const keysRoutes = require('./routes/keys.routes');
+const ledgerRoutes = require('./routes/ledger.routes');
+const registrationRoutes = require('./routes/registration.routes');
+const standingOrderRoutes = require('./routes/standingOrder.routes');
+const batchRoutes = require('./routes/batch.routes');
+const paymentImportRoutes = require('./routes/paymentImport.routes');
+const fxRoutes = require('./routes/fx.routes');
+const feeRoutes = require('./routes/fee.routes');
+const interestProductRoutes = require('./routes/interestProduct.routes');
+const limitRoutes = require('./routes/limit.routes');
+const { startDispatcher } = require('./services/outbox.service');
+const { startScheduler } = require('./services/scheduler.service');
+const { startStandingOrders } = require('./services/standingOrder.service');
+const { startBatchProcessor } = require('./services/batch.service');
+const { startImportProcessor } = require('./services/pain001');
+const { startInterestAccrual } = require('./services/interest.service');
+const { initKeyring } = require('./services/keyring.service');
+const { backfillOpeningBalances } = require('./services/ledger.service');
+const { initRegistration } = require('./services/registration.service');
+const { getCentralBankHealth } = require('./services/centralBank.service');
+const { createCentralBankSimulator } = require('./simulator/centralBank.simulator');
 
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy, take the client IP (used by the login rate limit) from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Payment batches can carry up to BATCH_MAX_PAYMENTS lines
+app.use(express.json({ limit: '1mb' }));
 
 // Swagger configuration
 const swaggerOptions = {
@@ -72,10 +98,24 @@ app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/accounts', accountRoutes);
 app.use('/api/v1/transactions', transactionRoutes);
 app.use('/api/v1/keys', keysRoutes);
+app.use('/api/v1/ledger', ledgerRoutes);
+app.use('/api/v1/registration', registrationRoutes);
+app.use('/api/v1/standing-orders', standingOrderRoutes);
+app.use('/api/v1/batches', batchRoutes);
+app.use('/api/v1/payment-imports', paymentImportRoutes);
+app.use('/api/v1/fx', fxRoutes);
+app.use('/api/v1/fees', feeRoutes);
+app.use('/api/v1/interest-products', interestProductRoutes);
+app.use('/api/v1/limits', limitRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-    res.status(200).json({ status: 'OK', message: 'Server is running' });
+    const { state, available } = getCentralBankHealth();
+    res.status(200).json({
+        status: 'OK',
+        message: 'Server is running',
+        centralBank: { state, available },
+    });
 });
 
 // Error handling middleware
@@ -86,6 +126,7 @@ app.use((err, req, res, next) => {
             code: err.code || 'INTERNAL_SERVER_ERROR',
             message: err.message || 'An unexpected error occurred',
             transactionId: err.transactionId,
+            details: err.details,
         },
     });
 });
@@ -93,8 +134,36 @@ app.use((err, req, res, next) => {
 // Connect to MongoDB
 mongoose
     .connect(process.env.MONGODB_URI)
-    .then(() => {
+    .then(async () => {
         console.log('Connected to MongoDB');
+        // Give accounts opened before the ledger existed an opening balance, before anything reads the ledger
+        const { postedAccounts } = await backfillOpeningBalances();
+        if (postedAccounts) {
+            console.log(`Posted opening balances for ${postedAccounts} accounts`);
+        }
+        // Unlock the signing keys once, before accepting requests
+        await initKeyring();
+        // Run against an in-process central bank simulator for offline development
+        if (process.env.CENTRAL_BANK_SIMULATOR === 'true') {
+            const simulator = createCentralBankSimulator({
+                virtualBanks: (process.env.SIMULATOR_VIRTUAL_BANKS || 'SIM').split(',').map((prefix) => prefix.trim()).filter(Boolean),
+            });
+            process.env.CENTRAL_BANK_URL = await simulator.start(parseInt(process.env.SIMULATOR_PORT, 10) || 0);
+        }
+        // Apply our central bank registration (prefix and credentials), registering if configured
+        await initRegistration();
+        // Deliver queued outgoing transfers to the central bank
+        startDispatcher();
+        // Execute scheduled transfers when they are due
+        startScheduler();
+        // Execute standing orders (recurring transfers) when they are due
+        startStandingOrders();
+        // Run accepted payment batches, including ones interrupted by a restart
+        startBatchProcessor();
+        // Process submitted pain.001 files, including ones interrupted by a restart
+        startImportProcessor();
+        // Accrue interest daily and pay it out at the end of each payout period
+        startInterestAccrual();
         // Start server
         const PORT = process.env.PORT || 3001;
         app.listen(PORT, () => {
@@ -103,6 +172,6 @@ mongoose
         });
     })
     .catch((err) => {
-        console.error('Failed to connect to MongoDB', err);
+        console.error('Failed to start server', err);
         process.exit(1);
     });
\ No newline at end of file
@@ -0,0 +1,60 @@
+const { query, validationResult } = require('express-validator');
+const { HISTORY_SORTS, HISTORY_MAX_LIMIT } = require('../services/history.service');
+
+const STATUSES = ['SCHEDULED', 'PENDING', 'IN_PROGRESS', 'COMPLETED', 'FAILED', 'CANCELLED', 'REVERSED'];
+
+// Helper function to send validation errors and collect the history options otherwise
+const collectHistoryQuery = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Validation failed',
+        details: errors.array(),
+      },
+    });
+  }
+
+  const {
+    from, to, status, direction, minAmount, maxAmount, counterparty, q, cursor, limit, sort,
+  } = req.query;
+  req.history = {
+    filters: { from, to, status, direction, minAmount, maxAmount, counterparty, q },
+    page: { cursor, limit, sort },
+  };
+  next();
+};
+
+/**
+ * Middleware to validate transaction history query parameters
+ * Sets req.history to { filters, page } for findTransactionHistory
+ * Filters: from, to, status (comma separated), direction (in|out), minAmount, maxAmount, counterparty, q
+ * Paging: cursor, limit (1-200), sort (createdAt, -createdAt, amount, -amount)
+ */
+const validateHistoryQuery = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('status')
+    .optional()
+    .customSanitizer((value) => String(value).split(',').map((item) => item.trim().toUpperCase()).filter(Boolean))
+    .custom((values) => values.every((value) => STATUSES.includes(value)))
+    .withMessage(`status must be a comma separated list of: ${STATUSES.join(', ')}`),
+  query('direction').optional().isIn(['in', 'out']).withMessage('direction must be in or out'),
+  query('minAmount').optional().isFloat({ min: 0 }).withMessage('minAmount must be a non-negative number').toFloat(),
+  query('maxAmount').optional().isFloat({ min: 0 }).withMessage('maxAmount must be a non-negative number').toFloat(),
+  query('counterparty').optional().isString().trim().notEmpty(),
+  query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('q must be at most 100 characters'),
+  query('cursor').optional().isString().notEmpty(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: HISTORY_MAX_LIMIT })
+    .withMessage(`limit must be between 1 and ${HISTORY_MAX_LIMIT}`)
+    .toInt(),
+  query('sort').optional().isIn(HISTORY_SORTS).withMessage(`sort must be one of: ${HISTORY_SORTS.join(', ')}`),
+  collectHistoryQuery,
+];
+
+module.exports = {
+  validateHistoryQuery,
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey.model');
+
+// How long a stored response can be replayed (hours)
+const getKeyTtlMs = () => (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long a request holds its key before a retry may take it over (seconds)
+const getLockMs = () => (parseFloat(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60) * 1000;
+
+// Helper function to serialize a value with sorted object keys, so equal bodies hash equally
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Helper function to fingerprint a request (method, path and body)
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+// Helper function to reserve a key, returning null if it already exists
+const reserveKey = async (req, key, requestHash) => {
+  try {
+    return await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      lockedUntil: new Date(Date.now() + getLockMs()),
+      expiresAt: new Date(Date.now() + getKeyTtlMs()),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Helper function to take over a key whose request stopped without an answer (its lease has passed),
+// returning null if the lease is still held or another retry took the key first
+const reclaimKey = (existing) => IdempotencyKey.findOneAndUpdate(
+  {
+    _id: existing._id,
+    status: 'IN_PROGRESS',
+    lockedUntil: existing.lockedUntil,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+  },
+  { $set: { lockedUntil: new Date(Date.now() + getLockMs()) } },
+  { new: true }
+);
+
+/**
+ * Middleware to make request handlers idempotent using the Idempotency-Key header
+ * Must be used after authenticate middleware; keys are scoped to the authenticated user
+ * Replaying a key with the same body returns the original stored response
+ * Reusing a key with a different body is rejected with a conflict error
+ * A key is held for IDEMPOTENCY_LOCK_SECONDS while its request is processed; a retry after that
+ * (e.g. the process crashed) takes the key over and processes the request again
+ * Requests without the header are processed normally
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  try {
+    if (key.length > 255) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_IDEMPOTENCY_KEY',
+          message: 'Idempotency-Key must be at most 255 characters long',
+        },
+      });
+    }
+
+    const requestHash = hashRequest(req);
+    let record = await reserveKey(req, key, requestHash);
+
+    if (!record) {
+      const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+      // Expired keys may linger until MongoDB's TTL monitor removes them
+      if (!existing || existing.expiresAt <= new Date()) {
+        if (existing) {
+          await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: { $lte: new Date() } });
+        }
+        record = await reserveKey(req, key, requestHash);
+      } else if (existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          error: {
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'Idempotency-Key has already been used with a different request',
+          },
+        });
+      } else if (existing.status === 'IN_PROGRESS') {
+        record = await reclaimKey(existing);
+      } else {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      if (!record) {
+        return res.status(409).json({
+          error: {
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+            message: 'A request with this Idempotency-Key is still being processed',
+          },
+        });
+      }
+    }
+
+    // Store the response before sending it, so a retry after this point always replays it.
+    // Server errors are not stored: the key is released and the request can be retried.
+    // Only while this request still holds the key: a retry that took it over answers for it.
+    const held = { _id: record._id, lockedUntil: record.lockedUntil };
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const persist = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(held)
+        : IdempotencyKey.updateOne(
+          held,
+          { status: 'COMPLETED', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+        );
+
+      persist
+        .catch((error) => console.error('Error storing idempotent response:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotent,
+};
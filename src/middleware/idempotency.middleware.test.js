@@ -0,0 +1,221 @@
+const express = require('express');
+const request = require('supertest');
+
+// In-memory stand-in for the IdempotencyKey collection (unique per user and key)
+jest.mock('../models/idempotencyKey.model', () => {
+  const records = new Map();
+  const idOf = (user, key) => `${user}:${key}`;
+  const matches = (record, filter) => Object.entries(filter).every(([field, value]) => {
+    if (field === '$or') {
+      return value.some((alternative) => matches(record, alternative));
+    }
+    if (value && typeof value === 'object' && value.$lte) {
+      return record[field] <= value.$lte;
+    }
+    if (value instanceof Date) {
+      return record[field] instanceof Date && record[field].getTime() === value.getTime();
+    }
+    return String(record[field]) === String(value);
+  });
+  const find = (filter) => [...records.values()].find((record) => matches(record, filter)) || null;
+
+  return {
+    records,
+    create: jest.fn(async (doc) => {
+      const _id = idOf(doc.user, doc.key);
+      if (records.has(_id)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      const record = { _id, status: 'IN_PROGRESS', ...doc };
+      records.set(_id, record);
+      return record;
+    }),
+    findOne: jest.fn(async (filter) => find(filter)),
+    deleteOne: jest.fn(async (filter) => {
+      const record = find(filter);
+      if (record) {
+        records.delete(record._id);
+      }
+    }),
+    updateOne: jest.fn(async (filter, changes) => {
+      const record = find(filter);
+      if (record) {
+        Object.assign(record, changes);
+      }
+    }),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const record = find(filter);
+      return record ? Object.assign(record, update.$set) : null;
+    }),
+  };
+});
+
+const IdempotencyKey = require('../models/idempotencyKey.model');
+const { idempotent } = require('./idempotency.middleware');
+
+// Helper function to build an app whose handler counts how often it really runs
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: req.get('X-User') || 'user-1' };
+    next();
+  });
+  app.post('/api/v1/transactions/internal', idempotent, handler);
+  return app;
+};
+
+describe('idempotent middleware', () => {
+  let runs;
+  let app;
+
+  beforeEach(() => {
+    IdempotencyKey.records.clear();
+    runs = 0;
+    app = buildApp((req, res) => {
+      runs += 1;
+      res.status(201).json({ transactionId: `tx-${runs}`, amount: req.body.amount });
+    });
+  });
+
+  it('processes requests without the header every time', async () => {
+    await request(app).post('/api/v1/transactions/internal').send({ amount: 10 }).expect(201);
+    await request(app).post('/api/v1/transactions/internal').send({ amount: 10 }).expect(201);
+
+    expect(runs).toBe(2);
+  });
+
+  it('replays the stored response for a retry with the same key and body', async () => {
+    const first = await request(app)
+      .post('/api/v1/transactions/internal')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 10, toAccount: 'OVE2' })
+      .expect(201);
+    const replay = await request(app)
+      .post('/api/v1/transactions/internal')
+      .set('Idempotency-Key', 'key-1')
+      .send({ toAccount: 'OVE2', amount: 10 })
+      .expect(201);
+
+    expect(runs).toBe(1);
+    expect(replay.body).toEqual(first.body);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    await request(app).post('/api/v1/transactions/internal').set('Idempotency-Key', 'key-1').send({ amount: 10 });
+    const response = await request(app)
+      .post('/api/v1/transactions/internal')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 20 })
+      .expect(409);
+
+    expect(response.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(runs).toBe(1);
+  });
+
+  it('rejects a retry while the first request is still being processed', async () => {
+    let finish = null;
+    app = buildApp((req, res) => {
+      runs += 1;
+      finish = () => res.status(201).json({ transactionId: 'tx-1' });
+    });
+
+    const first = request(app).post('/api/v1/transactions/internal').set('Idempotency-Key', 'key-1').send({ amount: 10 }).then();
+    while (!finish) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    const response = await request(app)
+      .post('/api/v1/transactions/internal')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 10 })
+      .expect(409);
+    finish();
+    await first;
+
+    expect(response.body.error.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect(runs).toBe(1);
+  });
+
+  it('lets a retry take over a key whose request stopped answering', async () => {
+    let finish = null;
+    app = buildApp((req, res) => {
+      runs += 1;
+      if (runs === 1) {
+        finish = () => res.status(201).json({ transactionId: 'tx-lost' });
+        return;
+      }
+      res.status(201).json({ transactionId: `tx-${runs}` });
+    });
+
+    const first = request(app).post('/api/v1/transactions/internal').set('Idempotency-Key', 'key-1').send({ amount: 10 }).then();
+    while (!finish) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    IdempotencyKey.records.get('user-1:key-1').lockedUntil = new Date(Date.now() - 1000);
+
+    const retry = await request(app)
+      .post('/api/v1/transactions/internal')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 10 })
+      .expect(201);
+    expect(retry.body).toEqual({ transactionId: 'tx-2' });
+
+    // The request that lost its key no longer gets to store its response
+    finish();
+    await first;
+    const replay = await request(app)
+      .post('/api/v1/transactions/internal')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 10 })
+      .expect(201);
+
+    expect(replay.body).toEqual({ transactionId: 'tx-2' });
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(runs).toBe(2);
+  });
+
+  it('scopes keys to the authenticated user', async () => {
+    await request(app).post('/api/v1/transactions/internal').set('Idempotency-Key', 'key-1').send({ amount: 10 });
+    await request(app)
+      .post('/api/v1/transactions/internal')
+      .set('X-User', 'user-2')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 10 })
+      .expect(201);
+
+    expect(runs).toBe(2);
+  });
+
+  it('releases the key after a server error so the request can be retried', async () => {
+    let fail = true;
+    app = buildApp((req, res) => {
+      runs += 1;
+      if (fail) {
+        fail = false;
+        return res.status(500).json({ error: { code: 'TRANSACTION_PROCESSING_ERROR' } });
+      }
+      res.status(201).json({ transactionId: 'tx-ok' });
+    });
+
+    await request(app).post('/api/v1/transactions/internal').set('Idempotency-Key', 'key-1').send({ amount: 10 }).expect(500);
+    await request(app).post('/api/v1/transactions/internal').set('Idempotency-Key', 'key-1').send({ amount: 10 }).expect(201);
+
+    expect(runs).toBe(2);
+  });
+
+  it('starts over once a stored key has expired', async () => {
+    await request(app).post('/api/v1/transactions/internal').set('Idempotency-Key', 'key-1').send({ amount: 10 });
+    IdempotencyKey.records.get('user-1:key-1').expiresAt = new Date(Date.now() - 1000);
+
+    const response = await request(app)
+      .post('/api/v1/transactions/internal')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 10 })
+      .expect(201);
+
+    expect(runs).toBe(2);
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
@@ -0,0 +1,135 @@
+const { consume, resetHits } = require('../services/rateLimit');
+
+const config = () => ({
+  incomingPerMinute: parseInt(process.env.RATE_LIMIT_INCOMING_PER_MINUTE, 10) || 100,
+  incomingPerIpPerMinute: parseInt(process.env.RATE_LIMIT_INCOMING_PER_IP_PER_MINUTE, 10) || 300,
+  transfersPerMinute: parseInt(process.env.RATE_LIMIT_TRANSFERS_PER_MINUTE, 10) || 30,
+  loginWindowMs: parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_MS, 10) || 15 * 60 * 1000,
+  loginPerIp: parseInt(process.env.RATE_LIMIT_LOGIN_PER_IP, 10) || 20,
+  loginPerUsername: parseInt(process.env.RATE_LIMIT_LOGIN_PER_USERNAME, 10) || 5,
+});
+
+const MINUTE_MS = 60 * 1000;
+
+// Helper function to count a request against `key`; answers 429 and resolves to false when it is over the limit
+const enforceLimit = async (res, { name, key, max, windowMs, message }) => {
+  let result;
+  try {
+    result = await consume(name, key, { max, windowMs });
+  } catch (error) {
+    console.error(`Rate limit store error (${name}):`, error);
+    return true;
+  }
+
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000))),
+  });
+
+  if (!result.allowed) {
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message,
+        details: {
+          limit: result.limit,
+          windowSeconds: Math.round(windowMs / 1000),
+          retryAfter,
+        },
+      },
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Create a middleware that allows `max` requests per `windowMs` for each key of a request.
+ * `limitOf()` returns { max, windowMs } (read per request, so configuration changes apply);
+ * `keyOf(req)` returns the key to count the request against, or null to let it through uncounted.
+ * With `resetOnSuccess`, a successful response (below 400) clears the key's hits.
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers; requests over
+ * the limit are answered with 429 RATE_LIMIT_EXCEEDED and Retry-After. If the store fails, requests
+ * are let through rather than blocking the API.
+ */
+const rateLimit = ({ name, limitOf, keyOf, message, resetOnSuccess = false }) => async (req, res, next) => {
+  const key = keyOf(req);
+  if (!key) {
+    return next();
+  }
+
+  const { max, windowMs } = limitOf();
+  if (!(await enforceLimit(res, { name, key, max, windowMs, message }))) {
+    return;
+  }
+
+  if (resetOnSuccess) {
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        resetHits(name, key, { windowMs })
+          .catch((error) => console.error(`Rate limit store error (${name}):`, error));
+      }
+    });
+  }
+
+  next();
+};
+
+// Incoming transfers, per client IP address (counted before the signature is checked)
+const limitIncomingByIp = rateLimit({
+  name: 'incoming-ip',
+  limitOf: () => ({ max: config().incomingPerIpPerMinute, windowMs: MINUTE_MS }),
+  keyOf: (req) => req.ip,
+  message: 'Too many transactions from this address, please retry later',
+});
+
+/**
+ * Count an incoming transfer against its sending bank. Call it only once the transfer's signature
+ * has verified, so requests that merely claim to come from a bank cannot use up its allowance.
+ * Resolves to false after answering 429 when the bank is over its limit.
+ */
+const limitIncomingBank = (res, bank) => enforceLimit(res, {
+  name: 'incoming-bank',
+  key: bank,
+  max: config().incomingPerMinute,
+  windowMs: MINUTE_MS,
+  message: 'Too many transactions from this bank, please retry later',
+});
+
+// Transfers (internal, external, batches, imports and standing orders), per authenticated user
+const limitTransfersByUser = rateLimit({
+  name: 'transfers-user',
+  limitOf: () => ({ max: config().transfersPerMinute, windowMs: MINUTE_MS }),
+  keyOf: (req) => (req.user ? req.user._id.toString() : null),
+  message: 'Too many transfer requests, please retry later',
+});
+
+// Login attempts, per client IP address
+const limitLoginByIp = rateLimit({
+  name: 'login-ip',
+  limitOf: () => ({ max: config().loginPerIp, windowMs: config().loginWindowMs }),
+  keyOf: (req) => req.ip,
+  message: 'Too many login attempts, please retry later',
+});
+
+// Login attempts, per username; a successful login clears the user's count
+const limitLoginByUsername = rateLimit({
+  name: 'login-username',
+  limitOf: () => ({ max: config().loginPerUsername, windowMs: config().loginWindowMs }),
+  keyOf: (req) => (typeof req.body?.username === 'string' && req.body.username.trim() ? req.body.username.trim() : null),
+  message: 'Too many login attempts for this user, please retry later',
+  resetOnSuccess: true,
+});
+
+module.exports = {
+  rateLimit,
+  limitIncomingByIp,
+  limitIncomingBank,
+  limitTransfersByUser,
+  limitLoginByIp,
+  limitLoginByUsername,
+};
@@ -0,0 +1,153 @@
+const express = require('express');
+const request = require('supertest');
+
+const { setRateLimitStore } = require('../services/rateLimit');
+const { createMemoryStore } = require('../services/rateLimit/memory.store');
+const {
+  limitIncomingByIp,
+  limitIncomingBank,
+  limitTransfersByUser,
+  limitLoginByUsername,
+} = require('./rateLimit.middleware');
+
+// Helper function to build an app with one limited route; X-User sets the authenticated user
+const buildApp = (...handlers) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = req.get('X-User') ? { _id: req.get('X-User') } : null;
+    next();
+  });
+  app.post('/limited', ...handlers);
+  return app;
+};
+
+const ok = (req, res) => res.status(200).json({ ok: true });
+
+describe('rate limit middleware', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe('limitTransfersByUser', () => {
+    beforeEach(() => {
+      process.env.RATE_LIMIT_TRANSFERS_PER_MINUTE = '2';
+    });
+
+    it('answers 429 with Retry-After once a user is over the limit', async () => {
+      const app = buildApp(limitTransfersByUser, ok);
+
+      const first = await request(app).post('/limited').set('X-User', 'user-1').expect(200);
+      await request(app).post('/limited').set('X-User', 'user-1').expect(200);
+      const limited = await request(app).post('/limited').set('X-User', 'user-1').expect(429);
+
+      expect(first.headers['ratelimit-limit']).toBe('2');
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+      expect(limited.headers['ratelimit-remaining']).toBe('0');
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+      expect(Number(limited.headers['retry-after'])).toBeLessThanOrEqual(60);
+      expect(limited.body.error).toEqual({
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'Too many transfer requests, please retry later',
+        details: { limit: 2, windowSeconds: 60, retryAfter: Number(limited.headers['retry-after']) },
+      });
+    });
+
+    it('counts each user on their own', async () => {
+      const app = buildApp(limitTransfersByUser, ok);
+
+      await request(app).post('/limited').set('X-User', 'user-1');
+      await request(app).post('/limited').set('X-User', 'user-1');
+      await request(app).post('/limited').set('X-User', 'user-2').expect(200);
+    });
+
+    it('lets requests through when the store fails', async () => {
+      setRateLimitStore({
+        increment: jest.fn().mockRejectedValue(new Error('store unavailable')),
+        reset: jest.fn(),
+      });
+      const app = buildApp(limitTransfersByUser, ok);
+
+      for (let i = 0; i < 3; i += 1) {
+        await request(app).post('/limited').set('X-User', 'user-1').expect(200);
+      }
+    });
+  });
+
+  describe('limitLoginByUsername', () => {
+    beforeEach(() => {
+      process.env.RATE_LIMIT_LOGIN_PER_USERNAME = '2';
+    });
+
+    it('starts the count over after a successful login', async () => {
+      let succeed = false;
+      const app = buildApp(limitLoginByUsername, (req, res) => res.status(succeed ? 200 : 401).json({}));
+
+      await request(app).post('/limited').send({ username: 'alice' }).expect(401);
+      succeed = true;
+      await request(app).post('/limited').send({ username: 'alice' }).expect(200);
+      succeed = false;
+      await request(app).post('/limited').send({ username: 'alice' }).expect(401);
+      await request(app).post('/limited').send({ username: 'alice' }).expect(401);
+      await request(app).post('/limited').send({ username: 'alice' }).expect(429);
+    });
+  });
+
+  describe('incoming transfers', () => {
+    // Stands in for the incoming route: only a valid signature is counted against the sending bank
+    const incoming = async (req, res) => {
+      if (req.body.signature !== 'valid') {
+        return res.status(400).json({ error: { code: 'INVALID_SIGNATURE' } });
+      }
+      if (!(await limitIncomingBank(res, req.body.fromBank))) {
+        return;
+      }
+      res.status(200).json({ status: 'COMPLETED' });
+    };
+
+    beforeEach(() => {
+      process.env.RATE_LIMIT_INCOMING_PER_MINUTE = '2';
+      process.env.RATE_LIMIT_INCOMING_PER_IP_PER_MINUTE = '5';
+    });
+
+    it('does not charge a bank for requests that fail verification', async () => {
+      const app = buildApp(limitIncomingByIp, incoming);
+
+      await request(app).post('/limited').send({ fromBank: 'ABC', signature: 'forged' }).expect(400);
+      await request(app).post('/limited').send({ fromBank: 'ABC', signature: 'forged' }).expect(400);
+      await request(app).post('/limited').send({ fromBank: 'ABC', signature: 'valid' }).expect(200);
+      await request(app).post('/limited').send({ fromBank: 'ABC', signature: 'valid' }).expect(200);
+    });
+
+    it('answers 429 once a bank is over its limit of verified transfers', async () => {
+      const app = buildApp(limitIncomingByIp, incoming);
+
+      await request(app).post('/limited').send({ fromBank: 'ABC', signature: 'valid' }).expect(200);
+      await request(app).post('/limited').send({ fromBank: 'ABC', signature: 'valid' }).expect(200);
+      const limited = await request(app).post('/limited').send({ fromBank: 'ABC', signature: 'valid' }).expect(429);
+      await request(app).post('/limited').send({ fromBank: 'XYZ', signature: 'valid' }).expect(200);
+
+      expect(limited.body.error.message).toBe('Too many transactions from this bank, please retry later');
+      expect(limited.headers['retry-after']).toBeDefined();
+    });
+
+    it('limits all requests from one address before verification', async () => {
+      const app = buildApp(limitIncomingByIp, incoming);
+
+      for (let i = 0; i < 5; i += 1) {
+        await request(app).post('/limited').send({ fromBank: `BANK${i}`, signature: 'forged' }).expect(400);
+      }
+      const limited = await request(app).post('/limited').send({ fromBank: 'ABC', signature: 'valid' }).expect(429);
+
+      expect(limited.body.error.message).toBe('Too many transactions from this address, please retry later');
+    });
+  });
+});
@@ -24,11 +24,29 @@ const accountSchema = new mongoose.Schema(
       enum: ['EUR', 'USD', 'GBP'],
       default: 'EUR',
     },
+    // Negative while the account uses its overdraft
     balance: {
       type: Number,
       required: true,
       default: 0,
-      min: [0, 'Balance cannot be negative'],
+    },
+    // How far below zero the balance may go (set by admins; checking and business accounts only)
+    overdraftLimit: {
+      type: Number,
+      default: 0,
+      min: [0, 'Overdraft limit cannot be negative'],
+    },
+    // Annual interest in percent charged on the overdrawn amount (null: OVERDRAFT_INTEREST_RATE)
+    overdraftInterestRate: {
+      type: Number,
+      default: null,
+      min: [0, 'Overdraft interest rate cannot be negative'],
+      max: [100, 'Overdraft interest rate cannot exceed 100'],
+    },
+    // When the account was first given an overdraft; overdraft interest is accrued from that day
+    overdraftSetAt: {
+      type: Date,
+      default: null,
     },
     isActive: {
       type: Boolean,
@@ -39,9 +57,14 @@ const accountSchema = new mongoose.Schema(
       default: '',
     },
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: ['availableBalance'] } }
 );
 
+// Funds the account can spend: the balance plus the overdraft
+accountSchema.virtual('availableBalance').get(function () {
+  return Math.round((this.balance + (this.overdraftLimit || 0)) * 100) / 100;
+});
+
 // Generate account number before validation
 accountSchema.pre('validate', function (next) {
   try {
@@ -59,34 +82,71 @@ accountSchema.pre('validate', function (next) {
   }
 });
 
-// Method to check if account has sufficient funds
+// Method to check if account has sufficient funds (the overdraft counts)
 accountSchema.methods.hasSufficientFunds = function (amount) {
-  return this.balance >= amount;
+  return this.availableBalance >= amount;
+};
+
+// Static method to atomically credit an account by account number
+accountSchema.statics.creditBalance = function (accountNumber, amount, session = null) {
+  return this.findOneAndUpdate(
+    { accountNumber },
+    { $inc: { balance: amount } },
+    { new: true, session }
+  );
+};
+
+// Static method to atomically debit an account by account number
+// The balance condition is part of the update filter, so concurrent debits can never
+// take the balance below minus the overdraft limit. Returns null if funds are insufficient.
+accountSchema.statics.debitBalance = function (accountNumber, amount, session = null) {
+  return this.findOneAndUpdate(
+    {
+      accountNumber,
+      $expr: { $gte: [{ $add: ['$balance', { $ifNull: ['$overdraftLimit', 0] }] }, amount] },
+    },
+    { $inc: { balance: -amount } },
+    { new: true, session }
+  );
+};
+
+// Static method to atomically debit a charge the bank is owed (e.g. overdraft interest)
+// Unlike debitBalance it applies even if it takes the balance past the overdraft limit
+accountSchema.statics.chargeBalance = function (accountNumber, amount, session = null) {
+  return this.findOneAndUpdate(
+    { accountNumber },
+    { $inc: { balance: -amount } },
+    { new: true, session }
+  );
 };
 
 // Method to credit account (add funds)
-accountSchema.methods.credit = async function (amount) {
+accountSchema.methods.credit = async function (amount, session = null) {
   if (amount <= 0) {
     throw new Error('Credit amount must be positive');
   }
-  
-  this.balance += amount;
-  await this.save();
+
+  const updated = await this.constructor.creditBalance(this.accountNumber, amount, session);
+  if (!updated) {
+    throw new Error('Account not found');
+  }
+
+  this.balance = updated.balance;
   return this;
 };
 
 // Method to debit account (remove funds)
-accountSchema.methods.debit = async function (amount) {
+accountSchema.methods.debit = async function (amount, session = null) {
   if (amount <= 0) {
     throw new Error('Debit amount must be positive');
   }
-  
-  if (!this.hasSufficientFunds(amount)) {
+
+  const updated = await this.constructor.debitBalance(this.accountNumber, amount, session);
+  if (!updated) {
     throw new Error('Insufficient funds');
   }
-  
-  this.balance -= amount;
-  await this.save();
+
+  this.balance = updated.balance;
   return this;
 };
 
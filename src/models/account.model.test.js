@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Account = require('./account.model');
+
+describe('Account model', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('debitBalance', () => {
+    it('makes the funds check part of the update filter', async () => {
+      const session = { id: 'session' };
+      jest.spyOn(Account, 'findOneAndUpdate').mockResolvedValue(null);
+
+      expect(await Account.debitBalance('OVE-11111111', 50, session)).toBeNull();
+      expect(Account.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          accountNumber: 'OVE-11111111',
+          $expr: { $gte: [{ $add: ['$balance', { $ifNull: ['$overdraftLimit', 0] }] }, 50] },
+        },
+        { $inc: { balance: -50 } },
+        { new: true, session }
+      );
+    });
+
+    it('debits into the overdraft but never past the limit', async () => {
+      // Helper function to evaluate the aggregation expressions the filter uses against a document
+      const evaluate = (expression, doc) => {
+        if (typeof expression === 'string' && expression.startsWith('$')) {
+          return doc[expression.slice(1)];
+        }
+        const [operator, operands] = Object.entries(expression || {})[0] || [];
+        switch (operator) {
+          case '$gte': return evaluate(operands[0], doc) >= evaluate(operands[1], doc);
+          case '$add': return operands.reduce((total, operand) => total + evaluate(operand, doc), 0);
+          case '$ifNull': return evaluate(operands[0], doc) ?? evaluate(operands[1], doc);
+          default: return expression;
+        }
+      };
+      let stored;
+      jest.spyOn(Account, 'findOneAndUpdate').mockImplementation(async ({ $expr }, { $inc }) => (
+        evaluate($expr, stored) ? { ...stored, balance: stored.balance + $inc.balance } : null
+      ));
+      // Helper function to debit a stored account document
+      const debit = (doc, amount) => {
+        stored = doc;
+        return Account.debitBalance('OVE-11111111', amount);
+      };
+
+      expect(await debit({ balance: -50, overdraftLimit: 200 }, 150)).toMatchObject({ balance: -200 });
+      expect(await debit({ balance: -50, overdraftLimit: 200 }, 150.01)).toBeNull();
+      expect(await debit({ balance: 100, overdraftLimit: 0 }, 100.01)).toBeNull();
+      // Accounts created before overdrafts existed have no limit at all
+      expect(await debit({ balance: 100 }, 100)).toMatchObject({ balance: 0 });
+      expect(await debit({ balance: 100 }, 100.01)).toBeNull();
+    });
+  });
+
+  describe('chargeBalance', () => {
+    it('debits without a funds condition', async () => {
+      jest.spyOn(Account, 'findOneAndUpdate').mockResolvedValue({ balance: -10 });
+
+      await Account.chargeBalance('OVE-11111111', 10);
+
+      expect(Account.findOneAndUpdate).toHaveBeenCalledWith(
+        { accountNumber: 'OVE-11111111' },
+        { $inc: { balance: -10 } },
+        { new: true, session: null }
+      );
+    });
+  });
+
+  describe('hasSufficientFunds', () => {
+    const account = (balance, overdraftLimit = 0) => new Account({
+      user: new mongoose.Types.ObjectId(),
+      accountType: 'checking',
+      currency: 'EUR',
+      balance,
+      overdraftLimit,
+    });
+
+    it('counts the overdraft as available funds', () => {
+      expect(account(100).hasSufficientFunds(100)).toBe(true);
+      expect(account(100).hasSufficientFunds(100.01)).toBe(false);
+      expect(account(-50, 200).availableBalance).toBe(150);
+      expect(account(-50, 200).hasSufficientFunds(150)).toBe(true);
+      expect(account(-50, 200).hasSufficientFunds(150.01)).toBe(false);
+    });
+  });
+
+  describe('debit', () => {
+    it('fails without touching the cached balance when funds are insufficient', async () => {
+      const doc = new Account({ user: new mongoose.Types.ObjectId(), accountType: 'checking', currency: 'EUR', balance: 20 });
+      jest.spyOn(Account, 'debitBalance').mockResolvedValue(null);
+
+      await expect(doc.debit(50)).rejects.toThrow('Insufficient funds');
+      expect(doc.balance).toBe(20);
+    });
+  });
+});
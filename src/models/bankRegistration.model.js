@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// This bank's registration with the central bank (a single document)
+const bankRegistrationSchema = new mongoose.Schema(
+  {
+    // Fixed key so there is only ever one registration document
+    key: {
+      type: String,
+      default: 'self',
+      unique: true,
+      immutable: true,
+    },
+    status: {
+      type: String,
+      enum: ['UNREGISTERED', 'REGISTERED', 'FAILED'],
+      default: 'UNREGISTERED',
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+    // Prefix assigned by the central bank
+    bankPrefix: {
+      type: String,
+      default: null,
+    },
+    // API credentials issued by the central bank
+    apiKey: {
+      type: String,
+      default: null,
+    },
+    jwksUrl: {
+      type: String,
+      default: null,
+    },
+    callbackUrl: {
+      type: String,
+      default: null,
+    },
+    // Key IDs published in our JWKS when we last registered
+    registeredKids: {
+      type: [String],
+      default: [],
+    },
+    registeredAt: {
+      type: Date,
+      default: null,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const BankRegistration = mongoose.model('BankRegistration', bankRegistrationSchema);
+
+module.exports = BankRegistration;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Exchange rate of a currency against EUR (`rate` units of `currency` per 1 EUR)
+// Every rate ever set is kept; the rate of a currency at a given time is the latest one in effect
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      enum: ['USD', 'GBP'],
+      immutable: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0.000001, 'Rate must be positive'],
+      immutable: true,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      immutable: true,
+    },
+    source: {
+      type: String,
+      enum: ['MANUAL', 'IMPORT'],
+      default: 'MANUAL',
+      immutable: true,
+    },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      immutable: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+exchangeRateSchema.index({ currency: 1, effectiveFrom: -1, createdAt: -1 });
+
+// Static method to get the rate of every currency in effect at `at` (default now), keyed by currency
+// When two rates share an effective time, the one set last wins
+exchangeRateSchema.statics.ratesAt = async function (at = new Date()) {
+  const rows = await this.aggregate([
+    { $match: { effectiveFrom: { $lte: at } } },
+    { $sort: { currency: 1, effectiveFrom: -1, createdAt: -1 } },
+    { $group: { _id: '$currency', rate: { $first: '$$ROOT' } } },
+  ]);
+  return rows.reduce((rates, row) => {
+    rates[row._id] = row.rate;
+    return rates;
+  }, {});
+};
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
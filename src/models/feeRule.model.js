@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// A price for a kind of transfer: fixedAmount plus percentage of the amount, kept within
+// minFee/maxFee. accountType, currency and userTier narrow the rule down; null matches any value.
+const feeRuleSchema = new mongoose.Schema(
+  {
+    ruleId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: uuidv4,
+      immutable: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    transferType: {
+      type: String,
+      required: true,
+      enum: ['INTERNAL', 'EXTERNAL', 'FX'],
+    },
+    accountType: {
+      type: String,
+      enum: ['checking', 'savings', 'business', null],
+      default: null,
+    },
+    currency: {
+      type: String,
+      enum: ['EUR', 'USD', 'GBP', null],
+      default: null,
+    },
+    userTier: {
+      type: String,
+      enum: ['standard', 'premium', null],
+      default: null,
+    },
+    fixedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Fixed amount cannot be negative'],
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+      min: [0, 'Percentage cannot be negative'],
+      max: [100, 'Percentage cannot exceed 100'],
+    },
+    minFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum fee cannot be negative'],
+    },
+    maxFee: {
+      type: Number,
+      default: null,
+      min: [0, 'Maximum fee cannot be negative'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+feeRuleSchema.index({ transferType: 1, isActive: 1 });
+
+const FeeRule = mongoose.model('FeeRule', feeRuleSchema);
+
+module.exports = FeeRule;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// A conversion rate locked for one customer until `expiresAt`; a quote pays for one transfer
+const fxQuoteSchema = new mongoose.Schema(
+  {
+    quoteId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: uuidv4,
+      immutable: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    fromCurrency: {
+      type: String,
+      required: true,
+      enum: ['EUR', 'USD', 'GBP'],
+    },
+    toCurrency: {
+      type: String,
+      required: true,
+      enum: ['EUR', 'USD', 'GBP'],
+    },
+    // Amount to debit (in fromCurrency) and the amount it converts to (in toCurrency)
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Amount must be at least 0.01'],
+      max: [1000000, 'Amount cannot exceed 1,000,000'],
+    },
+    convertedAmount: {
+      type: Number,
+      required: true,
+    },
+    exchangeRate: {
+      type: Number,
+      required: true,
+    },
+    midRate: {
+      type: Number,
+      required: true,
+    },
+    spreadPercent: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['ACTIVE', 'USED'],
+      default: 'ACTIVE',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Transfer the quote was used for
+    transactionId: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Quotes are only needed for a while after they expire (to explain QUOTE_EXPIRED); MongoDB removes them after a day
+fxQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const FxQuote = mongoose.model('FxQuote', fxQuoteSchema);
+
+module.exports = FxQuote;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      immutable: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['IN_PROGRESS', 'COMPLETED'],
+      default: 'IN_PROGRESS',
+    },
+    // Lease of the request processing the key; once it has passed (the process died), a retry can take the key over
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A key is unique per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// MongoDB removes expired keys automatically
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
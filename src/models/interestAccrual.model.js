@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Interest earned by an account on one day (UTC), from its balance at the end of that day; negative
+// for overdraft interest owed. Amounts keep their full precision; they are rounded to the cent when
+// paid out together.
+const interestAccrualSchema = new mongoose.Schema(
+  {
+    accountNumber: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    // Start of the day (00:00 UTC)
+    date: {
+      type: Date,
+      required: true,
+      immutable: true,
+    },
+    // Null for accounts with only an overdraft
+    productId: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+      enum: ['EUR', 'USD', 'GBP'],
+      immutable: true,
+    },
+    balance: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    // Average rate over the whole balance (differs from the product rate with tiers), or the overdraft rate
+    annualRate: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    dayCount: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    // INTEREST transaction that paid this accrual out (null while accrued but unpaid)
+    payoutTransactionId: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// One accrual per account and day; also keeps the accrual job from running a day twice
+interestAccrualSchema.index({ accountNumber: 1, date: 1 }, { unique: true });
+interestAccrualSchema.index({ accountNumber: 1, payoutTransactionId: 1 });
+
+const InterestAccrual = mongoose.model('InterestAccrual', interestAccrualSchema);
+
+module.exports = InterestAccrual;
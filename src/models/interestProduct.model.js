@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Interest paid on the end-of-day balance of accounts of accountType (and currency; null matches any).
+// Without tiers the whole balance earns annualRate. With tiers, the part of the balance from each
+// tier's fromBalance up to the next tier earns that tier's rate, and the part below the first tier
+// earns annualRate. Rates are percentages per year.
+const tierSchema = new mongoose.Schema(
+  {
+    fromBalance: {
+      type: Number,
+      required: true,
+      min: [0, 'Tier balance cannot be negative'],
+    },
+    annualRate: {
+      type: Number,
+      required: true,
+      min: [0, 'Rate cannot be negative'],
+      max: [100, 'Rate cannot exceed 100'],
+    },
+  },
+  { _id: false }
+);
+
+const interestProductSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: uuidv4,
+      immutable: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    accountType: {
+      type: String,
+      enum: ['checking', 'savings', 'business'],
+      default: 'savings',
+    },
+    currency: {
+      type: String,
+      enum: ['EUR', 'USD', 'GBP', null],
+      default: null,
+    },
+    annualRate: {
+      type: Number,
+      required: true,
+      min: [0, 'Rate cannot be negative'],
+      max: [100, 'Rate cannot exceed 100'],
+    },
+    tiers: {
+      type: [tierSchema],
+      default: [],
+    },
+    // How a day's interest is measured as a fraction of a year
+    dayCount: {
+      type: String,
+      enum: ['ACT/365', 'ACT/360', 'ACT/ACT', '30/360'],
+      default: 'ACT/365',
+    },
+    payoutFrequency: {
+      type: String,
+      enum: ['MONTHLY', 'QUARTERLY'],
+      default: 'MONTHLY',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+interestProductSchema.index({ accountType: 1, isActive: 1 });
+
+const InterestProduct = mongoose.model('InterestProduct', interestProductSchema);
+
+module.exports = InterestProduct;
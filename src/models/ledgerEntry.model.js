@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    journalId: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    transactionId: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    account: {
+      // Customer account number or bank-side ledger account code (see ledger.service)
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    side: {
+      type: String,
+      required: true,
+      enum: ['DEBIT', 'CREDIT'],
+      immutable: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Amount must be at least 0.01'],
+      immutable: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+      enum: ['EUR', 'USD', 'GBP'],
+      immutable: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['INTERNAL', 'EXTERNAL', 'INCOMING', 'BONUS', 'REFUND', 'FEE', 'FEE_REVERSAL', 'INTEREST', 'OPENING_BALANCE'],
+      immutable: true,
+    },
+    description: {
+      type: String,
+      default: '',
+      immutable: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ledgerEntrySchema.index({ account: 1, createdAt: 1 });
+ledgerEntrySchema.index({ transactionId: 1 });
+ledgerEntrySchema.index({ journalId: 1 });
+
+// Static method to derive the balance of a ledger account from its entries
+// Balances are credit-normal: credits increase and debits decrease the result,
+// which matches customer deposit accounts (bank-side expense accounts come out negative)
+// With `before`, only entries posted before that time count (e.g. a statement's opening balance)
+ledgerEntrySchema.statics.balanceOf = async function (account, before = null, session = null) {
+  const [result] = await this.aggregate([
+    { $match: before ? { account, createdAt: { $lt: before } } : { account } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: { $cond: [{ $eq: ['$side', 'CREDIT'] }, '$amount', { $multiply: ['$amount', -1] }] },
+        },
+      },
+    },
+  ]).session(session);
+  return result ? result.balance : 0;
+};
+
+// Static method to get the entries of a ledger account posted in [from, to), oldest first
+ledgerEntrySchema.statics.entriesOf = function (account, from, to) {
+  return this.find({ account, createdAt: { $gte: from, $lt: to } }).sort({ createdAt: 1, _id: 1 });
+};
+
+// Static method to derive the balances of all ledger accounts at once
+ledgerEntrySchema.statics.balances = function () {
+  return this.aggregate([
+    {
+      $group: {
+        _id: { account: '$account', currency: '$currency' },
+        debits: { $sum: { $cond: [{ $eq: ['$side', 'DEBIT'] }, '$amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$side', 'CREDIT'] }, '$amount', 0] } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        account: '$_id.account',
+        currency: '$_id.currency',
+        debits: 1,
+        credits: 1,
+        balance: { $subtract: ['$credits', '$debits'] },
+      },
+    },
+  ]);
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const outboxMessageSchema = new mongoose.Schema(
+  {
+    transactionId: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+    // Signed payload of the transfer; each attempt signs it again, and the one delivered is stored
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'DELIVERED', 'FAILED', 'CANCELLED'],
+      default: 'PENDING',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set while a dispatcher is delivering the message, so it is not picked up twice
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema);
+
+module.exports = OutboxMessage;
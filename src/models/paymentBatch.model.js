@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// One payment of a batch
+const batchItemSchema = new mongoose.Schema(
+  {
+    // Position of the payment: array index + 1 for JSON, line number in the file for CSV
+    line: {
+      type: Number,
+      required: true,
+    },
+    toAccount: {
+      type: String,
+      required: true,
+    },
+    toBank: {
+      type: String,
+      required: true,
+    },
+    isInternal: {
+      type: Boolean,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // Currency of a recipient in this bank that uses another currency (null otherwise);
+    // the payment is converted at the exchange rate of the moment it runs
+    creditedCurrency: {
+      type: String,
+      enum: ['EUR', 'USD', 'GBP', null],
+      default: null,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    // PENDING: not run yet; SUBMITTED: sent to another bank, awaiting confirmation
+    status: {
+      type: String,
+      enum: ['PENDING', 'SUBMITTED', 'COMPLETED', 'FAILED'],
+      default: 'PENDING',
+    },
+    transactionId: {
+      type: String,
+      default: null,
+    },
+    errorCode: {
+      type: String,
+      default: null,
+    },
+    errorMessage: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const paymentBatchSchema = new mongoose.Schema(
+  {
+    batchId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: uuidv4,
+      immutable: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    fromAccount: {
+      type: String,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+      enum: ['EUR', 'USD', 'GBP'],
+    },
+    format: {
+      type: String,
+      enum: ['JSON', 'CSV'],
+      default: 'JSON',
+    },
+    // PROCESSING until every payment has been run; per-payment outcomes are in `items`
+    status: {
+      type: String,
+      enum: ['PROCESSING', 'PROCESSED'],
+      default: 'PROCESSING',
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+    },
+    items: [batchItemSchema],
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set while a process is running the batch, so it is not picked up twice
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+paymentBatchSchema.index({ status: 1, lockedUntil: 1 });
+paymentBatchSchema.index({ user: 1, createdAt: -1 });
+
+const PaymentBatch = mongoose.model('PaymentBatch', paymentBatchSchema);
+
+module.exports = PaymentBatch;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Outcome of one credit transfer of an imported file
+const importedTransactionSchema = new mongoose.Schema(
+  {
+    paymentInfoId: { type: String, default: null },
+    instructionId: { type: String, default: null },
+    endToEndId: { type: String, default: null },
+    // ISO 20022 transaction status: ACSC (settled), ACSP (in process), ACCP (accepted, scheduled) or RJCT
+    status: { type: String, required: true },
+    reasonCode: { type: String, default: null },
+    reason: { type: String, default: null },
+    transactionId: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const paymentImportSchema = new mongoose.Schema(
+  {
+    importId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: uuidv4,
+      immutable: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // GrpHdr/MsgId of the pain.001 file; a message id is accepted once per user
+    messageId: {
+      type: String,
+      required: true,
+    },
+    version: {
+      type: String,
+      default: null,
+    },
+    // PROCESSING until every credit transfer has been run; the report is stored with PROCESSED
+    status: {
+      type: String,
+      enum: ['PROCESSING', 'PROCESSED'],
+      default: 'PROCESSING',
+    },
+    // The submitted pain.001 document, kept until the import has been processed
+    xml: {
+      type: String,
+      default: null,
+    },
+    // ISO 20022 group status of the report: ACCP, ACSP, PART or RJCT
+    groupStatus: {
+      type: String,
+      default: null,
+    },
+    acceptedCount: {
+      type: Number,
+      default: 0,
+    },
+    rejectedCount: {
+      type: Number,
+      default: 0,
+    },
+    transactions: [importedTransactionSchema],
+    // pain.002 status report of the file, once processed
+    report: {
+      type: String,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set while a process is running the import, so it is not picked up twice
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+paymentImportSchema.index({ user: 1, messageId: 1 }, { unique: true });
+paymentImportSchema.index({ status: 1, lockedUntil: 1 });
+paymentImportSchema.index({ user: 1, createdAt: -1 });
+
+const PaymentImport = mongoose.model('PaymentImport', paymentImportSchema);
+
+module.exports = PaymentImport;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Hits on one rate limit key in one time window (shared rate limit store)
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    // Limiter name, limited key and window start, e.g. "login-ip:203.0.113.7:1767225600000"
+    key: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // End of the window
+    expiresAt: {
+      type: Date,
+      required: true,
+      immutable: true,
+    },
+  },
+  { versionKey: false }
+);
+
+rateLimitCounterSchema.index({ key: 1 }, { unique: true });
+// MongoDB removes the counters of ended windows automatically
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Records the JWT IDs of incoming signatures that have been used, to block replays
+const signatureNonceSchema = new mongoose.Schema(
+  {
+    fromBank: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    jti: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    transactionId: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+signatureNonceSchema.index({ fromBank: 1, jti: 1 }, { unique: true });
+// Once a signature is older than the freshness window it is rejected as stale anyway
+signatureNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SignatureNonce = mongoose.model('SignatureNonce', signatureNonceSchema);
+
+module.exports = SignatureNonce;
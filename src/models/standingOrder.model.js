@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Helper function to get the number of days in a month (UTC)
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const standingOrderSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: uuidv4,
+      immutable: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      immutable: true,
+    },
+    fromAccount: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    toAccount: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    toBank: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    isInternal: {
+      type: Boolean,
+      required: true,
+      immutable: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Amount must be at least 0.01'],
+      max: [1000000, 'Amount cannot exceed 1,000,000'],
+    },
+    currency: {
+      type: String,
+      required: true,
+      enum: ['EUR', 'USD', 'GBP'],
+      immutable: true,
+    },
+    // Currency of a recipient in this bank that uses another currency (null otherwise);
+    // each execution is converted at the exchange rate of that moment
+    creditedCurrency: {
+      type: String,
+      enum: ['EUR', 'USD', 'GBP', null],
+      default: null,
+      immutable: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    frequency: {
+      type: String,
+      required: true,
+      enum: ['DAILY', 'WEEKLY', 'MONTHLY'],
+    },
+    // MONTHLY only: day of the month (1-31); shorter months use their last day
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: null,
+    },
+    // First execution; later executions keep its time of day
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    // No executions after this date (optional)
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    // Stop after this many successful executions (optional)
+    maxExecutions: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // What to do when an execution fails: retry (then pause), skip the occurrence, or pause the order
+    onFailure: {
+      type: String,
+      enum: ['RETRY', 'SKIP', 'PAUSE'],
+      default: 'RETRY',
+    },
+    maxRetries: {
+      type: Number,
+      min: 0,
+      default: 3,
+    },
+    retryIntervalMinutes: {
+      type: Number,
+      min: 1,
+      default: 60,
+    },
+    status: {
+      type: String,
+      enum: ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED'],
+      default: 'ACTIVE',
+    },
+    // Number of occurrences handled so far (executed or skipped); the next one has this index
+    occurrenceIndex: {
+      type: Number,
+      default: 0,
+    },
+    executionCount: {
+      type: Number,
+      default: 0,
+    },
+    // Failed attempts of the current occurrence
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    nextExecutionAt: {
+      type: Date,
+      default: null,
+    },
+    lastExecutionAt: {
+      type: Date,
+      default: null,
+    },
+    lastTransactionId: {
+      type: String,
+      default: null,
+    },
+    // Most recent failure, kept for the owner to see
+    lastError: {
+      code: { type: String, default: null },
+      message: { type: String, default: null },
+      transactionId: { type: String, default: null },
+      at: { type: Date, default: null },
+    },
+    pausedReason: {
+      type: String,
+      default: null,
+    },
+    // Set while an execution is in progress, so it is not picked up twice
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+standingOrderSchema.index({ status: 1, nextExecutionAt: 1 });
+standingOrderSchema.index({ user: 1, createdAt: -1 });
+
+// Method to compute the date of an occurrence (0 is the start date)
+standingOrderSchema.methods.occurrenceAt = function (index) {
+  const start = new Date(this.startDate);
+
+  if (this.frequency === 'DAILY' || this.frequency === 'WEEKLY') {
+    const days = this.frequency === 'DAILY' ? index : index * 7;
+    return new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  // MONTHLY: same day each month (or the month's last day), same time of day as the start date.
+  // The first occurrence is the first such day on or after the start date
+  const dayOfMonth = this.dayOfMonth || start.getUTCDate();
+  const startsNextMonth = Math.min(dayOfMonth, daysInMonth(start.getUTCFullYear(), start.getUTCMonth()))
+    < start.getUTCDate();
+  const monthIndex = start.getUTCMonth() + (startsNextMonth ? 1 : 0) + index;
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  const day = Math.min(dayOfMonth, daysInMonth(year, month));
+  return new Date(Date.UTC(
+    year,
+    month,
+    day,
+    start.getUTCHours(),
+    start.getUTCMinutes(),
+    start.getUTCSeconds(),
+    start.getUTCMilliseconds()
+  ));
+};
+
+// Method to tell whether an occurrence is still within the order's end date and execution limit
+standingOrderSchema.methods.hasOccurrence = function (index) {
+  if (this.maxExecutions && this.executionCount >= this.maxExecutions) {
+    return false;
+  }
+  return !this.endDate || this.occurrenceAt(index) <= new Date(this.endDate);
+};
+
+const StandingOrder = mongoose.model('StandingOrder', standingOrderSchema);
+
+module.exports = StandingOrder;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const StandingOrder = require('./standingOrder.model');
+
+// Helper function to build a standing order
+const order = (fields) => new StandingOrder({
+  user: new mongoose.Types.ObjectId(),
+  fromAccount: 'OVE-11111111',
+  toAccount: 'OVE-22222222',
+  toBank: 'OVE',
+  isInternal: true,
+  amount: 50,
+  currency: 'EUR',
+  frequency: 'MONTHLY',
+  startDate: new Date('2026-01-31T09:30:00Z'),
+  ...fields,
+});
+
+// Helper function to list the first occurrences of an order as ISO strings
+const occurrences = (standingOrder, count) => Array.from({ length: count }, (_, index) => standingOrder.occurrenceAt(index).toISOString());
+
+describe('StandingOrder model', () => {
+  describe('occurrenceAt', () => {
+    it('repeats daily and weekly orders at the time of day of the start date', () => {
+      expect(occurrences(order({ frequency: 'DAILY', startDate: new Date('2026-02-27T09:30:00Z') }), 3)).toEqual([
+        '2026-02-27T09:30:00.000Z',
+        '2026-02-28T09:30:00.000Z',
+        '2026-03-01T09:30:00.000Z',
+      ]);
+      expect(order({ frequency: 'WEEKLY', startDate: new Date('2026-12-29T09:30:00Z') }).occurrenceAt(1).toISOString())
+        .toBe('2027-01-05T09:30:00.000Z');
+    });
+
+    it('pays monthly orders on the last day of shorter months, and back on the 31st after them', () => {
+      expect(occurrences(order({}), 4)).toEqual([
+        '2026-01-31T09:30:00.000Z',
+        '2026-02-28T09:30:00.000Z',
+        '2026-03-31T09:30:00.000Z',
+        '2026-04-30T09:30:00.000Z',
+      ]);
+      expect(order({ startDate: new Date('2028-01-31T09:30:00Z') }).occurrenceAt(1).toISOString()).toBe('2028-02-29T09:30:00.000Z');
+    });
+
+    it('starts on the first matching day on or after the start date', () => {
+      // The 5th has passed in the start month
+      expect(occurrences(order({ dayOfMonth: 5, startDate: new Date('2026-01-20T08:00:00Z') }), 2)).toEqual([
+        '2026-02-05T08:00:00.000Z',
+        '2026-03-05T08:00:00.000Z',
+      ]);
+      expect(order({ dayOfMonth: 25, startDate: new Date('2026-01-20T08:00:00Z') }).occurrenceAt(0).toISOString())
+        .toBe('2026-01-25T08:00:00.000Z');
+      // The 31st of a 30-day start month is its last day
+      expect(order({ dayOfMonth: 31, startDate: new Date('2026-04-30T08:00:00Z') }).occurrenceAt(0).toISOString())
+        .toBe('2026-04-30T08:00:00.000Z');
+    });
+
+    it('carries on into the next years', () => {
+      expect(order({ startDate: new Date('2026-11-15T08:00:00Z') }).occurrenceAt(14).toISOString()).toBe('2028-01-15T08:00:00.000Z');
+    });
+  });
+
+  describe('hasOccurrence', () => {
+    it('stops after the end date', () => {
+      const standingOrder = order({ endDate: new Date('2026-03-31T09:30:00Z') });
+
+      expect(standingOrder.hasOccurrence(2)).toBe(true);
+      expect(standingOrder.hasOccurrence(3)).toBe(false);
+    });
+
+    it('stops after the maximum number of executions', () => {
+      const standingOrder = order({ maxExecutions: 2, executionCount: 1 });
+      expect(standingOrder.hasOccurrence(1)).toBe(true);
+
+      standingOrder.executionCount = 2;
+      expect(standingOrder.hasOccurrence(2)).toBe(false);
+    });
+  });
+});
@@ -21,7 +21,7 @@ const transactionSchema = new mongoose.Schema(
     fromBank: {
       type: String,
       required: true,
-      default: process.env.BANK_PREFIX || 'OVE',
+      default: () => process.env.BANK_PREFIX || 'OVE',
     },
     toBank: {
       type: String,
@@ -39,15 +39,102 @@ const transactionSchema = new mongoose.Schema(
       enum: ['EUR', 'USD', 'GBP'],
       default: 'EUR',
     },
+    // Cross-currency transfers: `amount`/`currency` are debited from the sender and
+    // `creditedAmount`/`creditedCurrency` are credited to the recipient at `exchangeRate`
+    // (set when the transfer is executed; null for transfers in a single currency)
+    creditedAmount: {
+      type: Number,
+      default: null,
+    },
+    creditedCurrency: {
+      type: String,
+      enum: ['EUR', 'USD', 'GBP', null],
+      default: null,
+    },
+    exchangeRate: {
+      type: Number,
+      default: null,
+    },
+    // FX quote whose locked rate was used
+    fxQuoteId: {
+      type: String,
+      default: null,
+    },
     description: {
       type: String,
       default: '',
     },
+    type: {
+      type: String,
+      enum: ['TRANSFER', 'BONUS', 'FEE', 'INTEREST'],
+      default: 'TRANSFER',
+    },
     status: {
       type: String,
-      enum: ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'FAILED'],
+      // REVERSED: a fee that was paid back because its transfer failed
+      enum: ['SCHEDULED', 'PENDING', 'IN_PROGRESS', 'COMPLETED', 'FAILED', 'CANCELLED', 'REVERSED'],
       default: 'PENDING',
     },
+    // When a SCHEDULED transfer is due to be executed
+    executeAt: {
+      type: Date,
+      default: null,
+    },
+    // Standing order (and which of its occurrences) this transfer executes
+    standingOrderId: {
+      type: String,
+      default: null,
+    },
+    standingOrderOccurrence: {
+      type: Number,
+      default: null,
+    },
+    // Payment batch (and which of its lines) this transfer belongs to
+    batchId: {
+      type: String,
+      default: null,
+    },
+    batchLine: {
+      type: Number,
+      default: null,
+    },
+    // Imported pain.001 file (and which of its credit transfers) this transfer belongs to
+    paymentImportId: {
+      type: String,
+      default: null,
+    },
+    importLine: {
+      type: Number,
+      default: null,
+    },
+    // Fee charged for this transfer and the FEE transaction that debited it
+    feeAmount: {
+      type: Number,
+      default: 0,
+    },
+    feeTransactionId: {
+      type: String,
+      default: null,
+    },
+    // On a FEE transaction: the transfer it was charged for
+    feeForTransactionId: {
+      type: String,
+      default: null,
+    },
+    // When the transfer was counted against its sender's daily and monthly limits, and the EUR amount counted
+    limitCountedAt: {
+      type: Date,
+      default: null,
+    },
+    limitAmount: {
+      type: Number,
+      default: null,
+    },
+    // End-to-end id given by the payer (e.g. PmtId/EndToEndId of an imported pain.001 file)
+    endToEndId: {
+      type: String,
+      default: null,
+    },
     errorCode: {
       type: String,
       default: null,
@@ -106,6 +193,15 @@ transactionSchema.statics.findByAccount = function (accountNumber) {
   }).sort({ createdAt: -1 });
 };
 
+// Transaction history per account, newest first (with _id as the pagination tie-breaker)
+transactionSchema.index({ fromAccount: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ toAccount: 1, createdAt: -1, _id: -1 });
+// Used by the scheduler to find due transfers
+transactionSchema.index({ status: 1, executeAt: 1 });
+transactionSchema.index({ standingOrderId: 1, standingOrderOccurrence: 1 });
+transactionSchema.index({ batchId: 1, batchLine: 1 });
+transactionSchema.index({ paymentImportId: 1, importLine: 1 });
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 module.exports = Transaction;
\ No newline at end of file
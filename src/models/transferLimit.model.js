@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// One set of limits; every value is optional (null: no limit at this level)
+// Amounts are in EUR (transfers in other currencies count at their EUR equivalent)
+const limitValuesSchema = new mongoose.Schema(
+  {
+    perTransaction: {
+      type: Number,
+      default: null,
+      min: [0, 'Limit cannot be negative'],
+    },
+    dailyAmount: {
+      type: Number,
+      default: null,
+      min: [0, 'Limit cannot be negative'],
+    },
+    monthlyAmount: {
+      type: Number,
+      default: null,
+      min: [0, 'Limit cannot be negative'],
+    },
+    dailyCount: {
+      type: Number,
+      default: null,
+      min: [0, 'Limit cannot be negative'],
+    },
+    monthlyCount: {
+      type: Number,
+      default: null,
+      min: [0, 'Limit cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+// Transfer limits of the bank (defaults for every user), of a user or of an account.
+// `limits` are set by admins; `ownLimits` are set by the customer and can only be lower.
+const transferLimitSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: true,
+      enum: ['BANK', 'USER', 'ACCOUNT'],
+      immutable: true,
+    },
+    // USER scope
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      immutable: true,
+    },
+    // ACCOUNT scope
+    accountNumber: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+    limits: {
+      type: limitValuesSchema,
+      default: () => ({}),
+    },
+    ownLimits: {
+      type: limitValuesSchema,
+      default: () => ({}),
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+transferLimitSchema.index({ scope: 1, user: 1, accountNumber: 1 }, { unique: true });
+
+const TransferLimit = mongoose.model('TransferLimit', transferLimitSchema);
+
+module.exports = TransferLimit;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// What a user (across their accounts) or one account has sent in one day or month (UTC),
+// counted against the daily and monthly transfer limits. Amounts are in EUR.
+const transferUsageSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: true,
+      enum: ['USER', 'ACCOUNT'],
+      immutable: true,
+    },
+    // User id (USER scope) or account number (ACCOUNT scope)
+    key: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    period: {
+      type: String,
+      required: true,
+      enum: ['DAY', 'MONTH'],
+      immutable: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+      immutable: true,
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // End of the period
+    expiresAt: {
+      type: Date,
+      required: true,
+      immutable: true,
+    },
+  },
+  { versionKey: false }
+);
+
+transferUsageSchema.index({ scope: 1, key: 1, period: 1, periodStart: 1 }, { unique: true });
+// MongoDB removes the counters of ended periods automatically
+transferUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TransferUsage = mongoose.model('TransferUsage', transferUsageSchema);
+
+module.exports = TransferUsage;
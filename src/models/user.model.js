@@ -38,6 +38,12 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'admin'],
       default: 'user',
     },
+    // Pricing tier used by fee rules (set by admins)
+    tier: {
+      type: String,
+      enum: ['standard', 'premium'],
+      default: 'standard',
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -1,9 +1,12 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Account = require('../models/account.model');
-const Transaction = require('../models/transaction.model');
-const { authenticate } = require('../middleware/auth.middleware');
-const { v4: uuidv4 } = require('uuid');
+const { authenticate, isAdmin } = require('../middleware/auth.middleware');
+const { validateHistoryQuery } = require('../middleware/historyQuery.middleware');
+const { runInTransaction, grantWelcomeBonus } = require('../services/transfer.service');
+const { findTransactionHistory } = require('../services/history.service');
+const { getAccountInterest } = require('../services/interest.service');
+const { STATEMENT_FORMATS, buildStatement, renderStatement } = require('../services/statement');
 
 const router = express.Router();
 
@@ -70,41 +73,27 @@ router.post(
 
       const { accountType = 'checking', currency, description = '' } = req.body;
 
-      // Generate account number
-      const bankPrefix = process.env.BANK_PREFIX || 'OVE';
-      const uniqueId = Math.floor(10000000 + Math.random() * 90000000).toString();
-      const accountNumber = `${bankPrefix}-${uniqueId}`;
-      
-      // Create new account
-      const account = new Account({
-        user: req.user._id,
-        accountType,
-        currency,
-        description,
-        accountNumber, // Explicitly set the account number
-        balance: currency === 'EUR' ? 100 : 0, // Add 100 EUR initial balance for EUR accounts
-      });
+      // Save the account and post the welcome bonus for EUR accounts (100 EUR) in one transaction.
+      // The account is built inside the callback so a retried attempt starts from a fresh document.
+      const account = await runInTransaction(async (session) => {
+        // Generate account number
+        const bankPrefix = process.env.BANK_PREFIX || 'OVE';
+        const uniqueId = Math.floor(10000000 + Math.random() * 90000000).toString();
+        const accountNumber = `${bankPrefix}-${uniqueId}`;
 
-      await account.save();
-      
-      // Create a transaction record for the initial deposit if it's an EUR account
-      if (currency === 'EUR') {
-        const transaction = new Transaction({
-          transactionId: uuidv4(), // Need to add this import
-          fromAccount: 'SYSTEM',
-          toAccount: accountNumber,
-          fromBank: process.env.BANK_PREFIX || 'OVE',
-          toBank: process.env.BANK_PREFIX || 'OVE',
-          amount: 100,
-          currency: 'EUR',
-          description: 'Welcome bonus - Initial account deposit',
-          status: 'COMPLETED',
-          isInternal: true,
-          initiatedBy: req.user._id
-        });
-        
-        await transaction.save();
-      }
+        const [created] = await Account.create([{
+          user: req.user._id,
+          accountType,
+          currency,
+          description,
+          accountNumber, // Explicitly set the account number
+        }], { session });
+
+        if (currency === 'EUR') {
+          await grantWelcomeBonus(created, 100, req.user._id, session);
+        }
+        return created;
+      });
 
       res.status(201).json({
         message: 'Account created successfully',
@@ -121,6 +110,7 @@ router.post(
  * /api/v1/accounts:
  *   get:
  *     summary: Get all accounts for the authenticated user
+ *     description: Each account shows its balance (negative while overdrawn) and availableBalance (balance plus overdraft)
  *     tags: [Accounts]
  *     security:
  *       - bearerAuth: []
@@ -146,6 +136,11 @@ router.get('/', authenticate, async (req, res, next) => {
  * /api/v1/accounts/{accountId}:
  *   get:
  *     summary: Get account details by ID
+ *     description: >
+ *       For an account that earns interest or has an overdraft, interest shows its interest product,
+ *       overdraft interest rate and the interest accrued but not paid out yet (accruedInterest,
+ *       negative when overdraft interest is owed, up to and including accruedThrough) and
+ *       nextPayoutDate; it is null otherwise.
  *     tags: [Accounts]
  *     security:
  *       - bearerAuth: []
@@ -189,12 +184,123 @@ router.get('/:accountId', authenticate, async (req, res, next) => {
 
     res.status(200).json({
       account,
+      interest: await getAccountInterest(account),
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/accounts/{accountId}/overdraft:
+ *   put:
+ *     summary: Set the overdraft of a checking or business account (admin only)
+ *     description: >
+ *       The balance may go down to minus the limit; available funds are the balance plus the limit.
+ *       Interest is charged on the overdrawn amount at interestRate (percent per year; default
+ *       OVERDRAFT_INTEREST_RATE). A limit of 0 removes the overdraft.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - limit
+ *             properties:
+ *               limit:
+ *                 type: number
+ *                 minimum: 0
+ *               interestRate:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Overdraft updated successfully
+ *       400:
+ *         description: Validation error or savings account
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Account not found
+ */
+router.put(
+  '/:accountId/overdraft',
+  authenticate,
+  isAdmin,
+  [
+    body('limit')
+      .isFloat({ min: 0, max: 1000000 })
+      .withMessage('Limit must be between 0 and 1,000,000')
+      .toFloat(),
+    body('interestRate')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Interest rate must be between 0 and 100')
+      .toFloat(),
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const account = await Account.findById(req.params.accountId);
+      if (!account) {
+        return res.status(404).json({
+          error: {
+            code: 'ACCOUNT_NOT_FOUND',
+            message: 'Account not found',
+          },
+        });
+      }
+
+      if (account.accountType === 'savings' && req.body.limit > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'OVERDRAFT_NOT_ALLOWED',
+            message: 'Savings accounts cannot have an overdraft',
+          },
+        });
+      }
+
+      account.overdraftLimit = req.body.limit;
+      if (req.body.interestRate !== undefined) {
+        account.overdraftInterestRate = req.body.interestRate;
+      }
+      account.overdraftSetAt = account.overdraftSetAt || new Date();
+      await account.save();
+
+      res.status(200).json({
+        message: 'Overdraft updated successfully',
+        account,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/v1/accounts/{accountId}/transactions:
@@ -209,9 +315,22 @@ router.get('/:accountId', authenticate, async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/HistoryFrom'
+ *       - $ref: '#/components/parameters/HistoryTo'
+ *       - $ref: '#/components/parameters/HistoryStatus'
+ *       - $ref: '#/components/parameters/HistoryDirection'
+ *       - $ref: '#/components/parameters/HistoryMinAmount'
+ *       - $ref: '#/components/parameters/HistoryMaxAmount'
+ *       - $ref: '#/components/parameters/HistoryCounterparty'
+ *       - $ref: '#/components/parameters/HistoryQ'
+ *       - $ref: '#/components/parameters/HistoryCursor'
+ *       - $ref: '#/components/parameters/HistoryLimit'
+ *       - $ref: '#/components/parameters/HistorySort'
  *     responses:
  *       200:
- *         description: Transaction history retrieved successfully
+ *         description: One page of transactions and the pagination cursor
+ *       400:
+ *         description: Validation error or invalid cursor
  *       401:
  *         description: Unauthorized
  *       403:
@@ -219,7 +338,7 @@ router.get('/:accountId', authenticate, async (req, res, next) => {
  *       404:
  *         description: Account not found
  */
-router.get('/:accountId/transactions', authenticate, async (req, res, next) => {
+router.get('/:accountId/transactions', authenticate, validateHistoryQuery, async (req, res, next) => {
   try {
     const account = await Account.findById(req.params.accountId);
     if (!account) {
@@ -241,17 +360,152 @@ router.get('/:accountId/transactions', authenticate, async (req, res, next) => {
       });
     }
 
-    // Get transactions for this account
-    const transactions = await Transaction.findByAccount(account.accountNumber);
+    // Get transactions for this account, one page at a time
+    const { transactions, pagination } = await findTransactionHistory(
+      [account.accountNumber],
+      req.history.filters,
+      req.history.page
+    );
 
     res.status(200).json({
       transactions,
+      pagination,
     });
   } catch (error) {
     next(error);
   }
 });
 
+// Helper function to read a statement period boundary; a date without time means the start of that day
+// (for `to`, the end of that day, so `to=2024-03-31` includes the 31st)
+const periodBoundary = (value, endOfDay) => {
+  const date = new Date(value);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+/**
+ * @swagger
+ * /api/v1/accounts/{accountId}/statement:
+ *   get:
+ *     summary: Get an account statement (opening balance, movements, closing balance)
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Start of the period (ISO 8601 date or date-time, inclusive); defaults to the start of the current month
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: End of the period (a date includes that whole day; a date-time is exclusive); defaults to now
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, ofx, camt053]
+ *           default: json
+ *         description: csv, OFX 2.2 or ISO 20022 camt.053.001.08 are returned as a file download
+ *     responses:
+ *       200:
+ *         description: Statement in the requested format
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not account owner
+ *       404:
+ *         description: Account not found
+ */
+router.get(
+  '/:accountId/statement',
+  authenticate,
+  [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('format')
+      .optional()
+      .isIn(STATEMENT_FORMATS)
+      .withMessage(`format must be one of: ${STATEMENT_FORMATS.join(', ')}`),
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const account = await Account.findById(req.params.accountId);
+      if (!account) {
+        return res.status(404).json({
+          error: {
+            code: 'ACCOUNT_NOT_FOUND',
+            message: 'Account not found',
+          },
+        });
+      }
+
+      // Check if user is the account owner
+      if (account.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          error: {
+            code: 'FORBIDDEN',
+            message: 'You do not have permission to access this account',
+          },
+        });
+      }
+
+      const now = new Date();
+      const from = req.query.from
+        ? periodBoundary(req.query.from, false)
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      const to = req.query.to ? periodBoundary(req.query.to, true) : now;
+      if (from >= to) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'from must be before to',
+          },
+        });
+      }
+
+      const statement = await buildStatement(account, { from, to });
+      const format = req.query.format || 'json';
+      if (format === 'json') {
+        return res.status(200).json({
+          statement,
+        });
+      }
+
+      const { contentType, filename, body } = renderStatement(statement, format);
+      res.attachment(filename);
+      res.set('Content-Type', contentType);
+      res.status(200).send(body);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/v1/accounts/number/{accountNumber}:
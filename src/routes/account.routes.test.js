@@ -0,0 +1,75 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+jest.mock('../middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { _id: 'user-1', role: req.get('X-Role') || 'user' };
+    next();
+  },
+  isAdmin: (req, res, next) => (req.user.role === 'admin'
+    ? next()
+    : res.status(403).json({ error: { code: 'FORBIDDEN', message: 'Admin access required.' } })),
+}));
+
+const Account = require('../models/account.model');
+const accountRoutes = require('./account.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/accounts', accountRoutes);
+
+describe('PUT /api/v1/accounts/:accountId/overdraft', () => {
+  let account;
+
+  // Helper function to set the overdraft of the account as an admin
+  const setOverdraft = (body) => request(app)
+    .put(`/api/v1/accounts/${account._id}/overdraft`)
+    .set('X-Role', 'admin')
+    .send(body);
+
+  beforeEach(() => {
+    account = new Account({ user: new mongoose.Types.ObjectId(), accountType: 'checking', currency: 'EUR', balance: 20 });
+    jest.spyOn(Account, 'findById').mockImplementation(async () => account);
+    jest.spyOn(Account.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sets the limit and rate, and shows the overdraft in the available balance', async () => {
+    const response = await setOverdraft({ limit: 500, interestRate: 9.5 }).expect(200);
+
+    expect(response.body.account).toMatchObject({ balance: 20, overdraftLimit: 500, overdraftInterestRate: 9.5, availableBalance: 520 });
+    expect(account.overdraftSetAt).toBeInstanceOf(Date);
+  });
+
+  it('keeps the date the overdraft was first given when the limit changes', async () => {
+    const firstSetAt = new Date('2026-01-01T00:00:00Z');
+    Object.assign(account, { overdraftLimit: 500, overdraftInterestRate: 9.5, overdraftSetAt: firstSetAt });
+
+    await setOverdraft({ limit: 0 }).expect(200);
+
+    expect(account).toMatchObject({ overdraftLimit: 0, overdraftInterestRate: 9.5, overdraftSetAt: firstSetAt });
+  });
+
+  it('refuses an overdraft on a savings account', async () => {
+    account.accountType = 'savings';
+
+    const response = await setOverdraft({ limit: 100 }).expect(400);
+
+    expect(response.body.error.code).toBe('OVERDRAFT_NOT_ALLOWED');
+    expect(Account.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses negative limits and callers who are not admins', async () => {
+    const response = await setOverdraft({ limit: -1 }).expect(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+
+    await request(app).put(`/api/v1/accounts/${account._id}/overdraft`).send({ limit: 100 }).expect(403);
+    expect(Account.prototype.save).not.toHaveBeenCalled();
+  });
+});
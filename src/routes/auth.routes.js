@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/user.model');
 const { authenticate } = require('../middleware/auth.middleware');
+const { limitLoginByIp, limitLoginByUsername } = require('../middleware/rateLimit.middleware');
 const tokenBlacklist = require('../utils/tokenBlacklist');
 
 const router = express.Router();
@@ -135,9 +136,13 @@ router.post(
  *         description: Invalid credentials
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many requests (RATE_LIMIT_EXCEEDED); retry after Retry-After seconds
  */
 router.post(
   '/login',
+  limitLoginByIp,
+  limitLoginByUsername,
   [
     body('username').trim().notEmpty().withMessage('Username is required'),
     body('password').notEmpty().withMessage('Password is required'),
@@ -0,0 +1,330 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const Account = require('../models/account.model');
+const PaymentBatch = require('../models/paymentBatch.model');
+const { authenticate } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { limitTransfersByUser } = require('../middleware/rateLimit.middleware');
+const { parseCsvRecords } = require('../utils/csv');
+const {
+  getMaxBatchPayments,
+  validateBatch,
+  createBatch,
+  describeBatch,
+} = require('../services/batch.service');
+
+const router = express.Router();
+
+// CSV column names (matched case-insensitively) and the payment fields they fill
+const CSV_COLUMNS = {
+  toaccount: 'toAccount',
+  tobank: 'toBank',
+  amount: 'amount',
+  currency: 'currency',
+  description: 'description',
+};
+
+// Helper function to turn a CSV upload into the JSON batch format
+// The source account of a CSV batch is given in the query string (?fromAccount=); its payments are
+// numbered by the CSV line they came from
+const parseCsvBatch = (req, res, next) => {
+  if (typeof req.body !== 'string') {
+    return next();
+  }
+
+  let records;
+  try {
+    records = parseCsvRecords(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_CSV',
+        message: error.message,
+      },
+    });
+  }
+
+  req.batchFormat = 'CSV';
+  req.batchLines = records.map(({ line }) => line);
+  req.body = {
+    fromAccount: req.query.fromAccount,
+    payments: records.map(({ line, ...columns }) => Object.entries(columns).reduce((payment, [name, value]) => {
+      const field = CSV_COLUMNS[name.toLowerCase()];
+      if (field && value !== '') {
+        payment[field] = value;
+      }
+      return payment;
+    }, {})),
+  };
+  next();
+};
+
+/**
+ * @swagger
+ * /api/v1/batches:
+ *   post:
+ *     summary: Create a batch of payments from one business account
+ *     description: >
+ *       Send a JSON body, or a CSV file (Content-Type text/csv) with a header row of
+ *       toAccount,toBank,amount,currency,description and the source account in the fromAccount
+ *       query parameter. The whole batch is validated and its total, with the fees of its payments,
+ *       checked against the balance before it is accepted; the payments are then run in the background.
+ *       Lines are numbered by their position in payments, or by their line in the CSV file.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromAccount
+ *         schema:
+ *           type: string
+ *         description: Source account number (CSV uploads only)
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key for safely retrying the request; a replay returns the original response
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromAccount
+ *               - payments
+ *             properties:
+ *               fromAccount:
+ *                 type: string
+ *                 description: Source account number (must be a business account)
+ *               payments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - toAccount
+ *                     - amount
+ *                   properties:
+ *                     toAccount:
+ *                       type: string
+ *                     toBank:
+ *                       type: string
+ *                       description: Recipient bank prefix; omit for an account of this bank
+ *                     amount:
+ *                       type: number
+ *                       minimum: 0.01
+ *                       maximum: 1000000
+ *                     currency:
+ *                       type: string
+ *                       description: Must match the source account currency (defaults to it)
+ *                     description:
+ *                       type: string
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       202:
+ *         description: Batch accepted; follow its progress with GET /api/v1/batches/{batchId}
+ *       400:
+ *         description: Validation error (with the failing lines), invalid CSV or insufficient funds for the total
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not the account owner, or not a business account
+ *       404:
+ *         description: Source account not found
+ *       429:
+ *         description: Too many requests (RATE_LIMIT_EXCEEDED); retry after Retry-After seconds
+ */
+router.post(
+  '/',
+  authenticate,
+  limitTransfersByUser,
+  express.text({ type: ['text/csv', 'application/csv'], limit: '1mb' }),
+  parseCsvBatch,
+  idempotent,
+  [
+    body('fromAccount').notEmpty().withMessage('Source account number is required'),
+    body('payments')
+      .isArray({ min: 1 })
+      .withMessage('payments must be a non-empty array')
+      .bail()
+      .custom((payments) => payments.length <= getMaxBatchPayments())
+      .withMessage(() => `A batch can contain at most ${getMaxBatchPayments()} payments`),
+    body('payments.*.toAccount').isString().notEmpty().withMessage('Recipient account number is required'),
+    body('payments.*.toBank').optional().isString().trim(),
+    body('payments.*.amount')
+      .isFloat({ min: 0.01, max: 1000000 })
+      .withMessage('Amount must be between 0.01 and 1,000,000')
+      .toFloat(),
+    body('payments.*.currency')
+      .optional()
+      .isIn(['EUR', 'USD', 'GBP'])
+      .withMessage('Currency must be one of: EUR, USD, GBP'),
+    body('payments.*.description').optional().isString().trim(),
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { fromAccount, payments } = req.body;
+
+      // Check if source account exists and user owns it
+      const senderAccount = await Account.findOne({ accountNumber: fromAccount });
+      if (!senderAccount) {
+        return res.status(404).json({
+          error: {
+            code: 'ACCOUNT_NOT_FOUND',
+            message: 'Source account not found',
+          },
+        });
+      }
+
+      if (senderAccount.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          error: {
+            code: 'FORBIDDEN',
+            message: 'You do not have permission to use this account',
+          },
+        });
+      }
+
+      if (senderAccount.accountType !== 'business') {
+        return res.status(403).json({
+          error: {
+            code: 'BUSINESS_ACCOUNT_REQUIRED',
+            message: 'Batch payments can only be made from business accounts',
+          },
+        });
+      }
+
+      // Every line must be valid before anything is paid
+      const {
+        items,
+        totalAmount,
+        totalFees,
+        errors: lineErrors,
+      } = await validateBatch(senderAccount, payments, req.batchLines);
+      if (lineErrors.length) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `${lineErrors.length} payment(s) failed validation`,
+            details: lineErrors,
+          },
+        });
+      }
+
+      // The total and its fees are checked now; each payment re-checks funds when it runs
+      const totalDebit = Math.round((totalAmount + totalFees) * 100) / 100;
+      if (!senderAccount.hasSufficientFunds(totalDebit)) {
+        return res.status(400).json({
+          error: {
+            code: 'INSUFFICIENT_FUNDS',
+            message: `Insufficient funds for the batch total of ${totalAmount.toFixed(2)} ${senderAccount.currency}`
+              + ` plus ${totalFees.toFixed(2)} ${senderAccount.currency} in fees`,
+          },
+        });
+      }
+
+      const batch = await createBatch({
+        user: req.user._id,
+        senderAccount,
+        items,
+        totalAmount,
+        format: req.batchFormat || 'JSON',
+      });
+
+      res.status(202).json({
+        message: 'Batch accepted for processing',
+        batch: await describeBatch(batch),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/batches:
+ *   get:
+ *     summary: List the authenticated user's payment batches
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Batches (without their lines), newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const batches = await PaymentBatch.find({ user: req.user._id })
+      .select('-items')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      batches,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/batches/{batchId}:
+ *   get:
+ *     summary: Get a payment batch with the status of every line and a progress summary
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch details retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/:batchId', authenticate, async (req, res, next) => {
+  try {
+    const batch = await PaymentBatch.findOne({ batchId: req.params.batchId, user: req.user._id });
+    if (!batch) {
+      return res.status(404).json({
+        error: {
+          code: 'BATCH_NOT_FOUND',
+          message: 'Batch not found',
+        },
+      });
+    }
+
+    res.status(200).json({
+      batch: await describeBatch(batch),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
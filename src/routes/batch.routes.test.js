@@ -0,0 +1,122 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { _id: mockUserId };
+    next();
+  },
+}));
+jest.mock('../middleware/rateLimit.middleware', () => ({
+  limitTransfersByUser: (req, res, next) => next(),
+}));
+jest.mock('../services/batch.service', () => ({
+  getMaxBatchPayments: () => 1000,
+  validateBatch: jest.fn(),
+  createBatch: jest.fn(),
+  describeBatch: jest.fn(),
+}));
+
+const Account = require('../models/account.model');
+const { validateBatch, createBatch, describeBatch } = require('../services/batch.service');
+const batchRoutes = require('./batch.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/batches', batchRoutes);
+
+describe('POST /api/v1/batches', () => {
+  let senderAccount;
+
+  beforeEach(() => {
+    senderAccount = new Account({
+      accountNumber: 'OVE-11111111',
+      user: mockUserId,
+      accountType: 'business',
+      currency: 'EUR',
+      balance: 100,
+    });
+    jest.spyOn(Account, 'findOne').mockResolvedValue(senderAccount);
+    validateBatch.mockImplementation(async (account, payments, lineNumbers) => ({
+      items: payments.map((payment, index) => ({ ...payment, line: lineNumbers ? lineNumbers[index] : index + 1 })),
+      totalAmount: 99,
+      totalFees: 0,
+      errors: [],
+    }));
+    createBatch.mockResolvedValue({ batchId: 'batch-1' });
+    describeBatch.mockResolvedValue({ batchId: 'batch-1', status: 'PENDING' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('accepts a batch whose total and fees the balance covers', async () => {
+    validateBatch.mockResolvedValueOnce({ items: [], totalAmount: 98, totalFees: 2, errors: [] });
+
+    const response = await request(app)
+      .post('/api/v1/batches')
+      .send({ fromAccount: 'OVE-11111111', payments: [{ toAccount: 'ABC-12345678', toBank: 'ABC', amount: 98 }] })
+      .expect(202);
+
+    expect(response.body.batch).toEqual({ batchId: 'batch-1', status: 'PENDING' });
+  });
+
+  it('refuses a batch whose fees take it over the balance', async () => {
+    validateBatch.mockResolvedValueOnce({ items: [], totalAmount: 99, totalFees: 2, errors: [] });
+
+    const response = await request(app)
+      .post('/api/v1/batches')
+      .send({ fromAccount: 'OVE-11111111', payments: [{ toAccount: 'ABC-12345678', toBank: 'ABC', amount: 99 }] })
+      .expect(400);
+
+    expect(response.body.error).toEqual({
+      code: 'INSUFFICIENT_FUNDS',
+      message: 'Insufficient funds for the batch total of 99.00 EUR plus 2.00 EUR in fees',
+    });
+    expect(createBatch).not.toHaveBeenCalled();
+  });
+
+  it('numbers JSON payments on the server', async () => {
+    await request(app)
+      .post('/api/v1/batches')
+      .send({
+        fromAccount: 'OVE-11111111',
+        payments: [{ line: 5, toAccount: 'OVE-22222222', amount: 10 }, { line: 5, toAccount: 'OVE-33333333', amount: 20 }],
+      })
+      .expect(202);
+
+    expect(validateBatch.mock.calls[0][2]).toBeUndefined();
+    expect(createBatch.mock.calls[0][0].items.map((item) => item.line)).toEqual([1, 2]);
+  });
+
+  it('numbers CSV payments by their line in the file', async () => {
+    await request(app)
+      .post('/api/v1/batches?fromAccount=OVE-11111111')
+      .set('Content-Type', 'text/csv')
+      .send('toAccount,amount\nOVE-22222222,10\n\nOVE-33333333,20\n')
+      .expect(202);
+
+    expect(validateBatch.mock.calls[0][2]).toEqual([2, 4]);
+    expect(validateBatch.mock.calls[0][1]).toEqual([
+      { toAccount: 'OVE-22222222', amount: 10 },
+      { toAccount: 'OVE-33333333', amount: 20 },
+    ]);
+  });
+
+  it('returns the failing lines of an invalid batch', async () => {
+    const errors = [{ line: 2, code: 'ACCOUNT_NOT_FOUND', message: 'Recipient account not found' }];
+    validateBatch.mockResolvedValueOnce({ items: [], totalAmount: 30, totalFees: 0, errors });
+
+    const response = await request(app)
+      .post('/api/v1/batches')
+      .send({ fromAccount: 'OVE-11111111', payments: [{ toAccount: 'OVE-22222222', amount: 10 }, { toAccount: 'OVE-99999999', amount: 20 }] })
+      .expect(400);
+
+    expect(response.body.error).toMatchObject({ code: 'VALIDATION_ERROR', details: errors });
+  });
+});
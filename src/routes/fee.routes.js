@@ -0,0 +1,395 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const Account = require('../models/account.model');
+const FeeRule = require('../models/feeRule.model');
+const { authenticate, isAdmin } = require('../middleware/auth.middleware');
+const { TRANSFER_TYPES, transferTypeOf, quoteFee } = require('../services/fee.service');
+
+const router = express.Router();
+
+// Helper function to answer with the validation errors of a request, if any
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+// Helper function to validate the pricing fields of a fee rule (all optional, for create and update)
+const pricingValidators = () => [
+  body('accountType')
+    .optional({ values: 'null' })
+    .isIn(['checking', 'savings', 'business'])
+    .withMessage('Account type must be one of: checking, savings, business'),
+  body('currency')
+    .optional({ values: 'null' })
+    .isIn(['EUR', 'USD', 'GBP'])
+    .withMessage('Currency must be one of: EUR, USD, GBP'),
+  body('userTier')
+    .optional({ values: 'null' })
+    .isIn(['standard', 'premium'])
+    .withMessage('User tier must be one of: standard, premium'),
+  body('fixedAmount').optional().isFloat({ min: 0 }).withMessage('fixedAmount must be 0 or more').toFloat(),
+  body('percentage').optional().isFloat({ min: 0, max: 100 }).withMessage('percentage must be between 0 and 100').toFloat(),
+  body('minFee').optional().isFloat({ min: 0 }).withMessage('minFee must be 0 or more').toFloat(),
+  body('maxFee').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('maxFee must be 0 or more').toFloat(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean value').toBoolean(),
+];
+
+// Fields of a fee rule an admin can set
+const RULE_FIELDS = [
+  'name', 'transferType', 'accountType', 'currency', 'userTier',
+  'fixedAmount', 'percentage', 'minFee', 'maxFee', 'isActive',
+];
+
+// Helper function to pick the fee rule fields given in a request body
+const ruleFieldsOf = (body) => RULE_FIELDS.reduce((values, field) => (
+  body[field] !== undefined ? { ...values, [field]: body[field] } : values
+), {});
+
+/**
+ * @swagger
+ * /api/v1/fees/quote:
+ *   get:
+ *     summary: Get the fee a transfer would be charged, before making it
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromAccount
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: toAccount
+ *         schema:
+ *           type: string
+ *         description: Recipient account; an account of this bank in another currency makes it an FX transfer
+ *       - in: query
+ *         name: toBank
+ *         schema:
+ *           type: string
+ *         description: Recipient bank prefix; another bank makes it an external transfer
+ *     responses:
+ *       200:
+ *         description: Fee quote (amount 0 for free transfers)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not the account owner
+ *       404:
+ *         description: Account not found
+ */
+router.get(
+  '/quote',
+  authenticate,
+  [
+    query('fromAccount').notEmpty().withMessage('Sender account number is required'),
+    query('amount')
+      .isFloat({ min: 0.01, max: 1000000 })
+      .withMessage('Amount must be between 0.01 and 1,000,000')
+      .toFloat(),
+    query('toAccount').optional().isString(),
+    query('toBank').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { fromAccount, toAccount, amount } = req.query;
+      const toBank = req.query.toBank || process.env.BANK_PREFIX;
+
+      const senderAccount = await Account.findOne({ accountNumber: fromAccount });
+      if (!senderAccount) {
+        return res.status(404).json({
+          error: {
+            code: 'ACCOUNT_NOT_FOUND',
+            message: 'Sender account not found',
+          },
+        });
+      }
+
+      if (senderAccount.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          error: {
+            code: 'FORBIDDEN',
+            message: 'You do not have permission to use this account',
+          },
+        });
+      }
+
+      const isInternal = toBank === process.env.BANK_PREFIX;
+      let isConversion = false;
+      if (isInternal && toAccount) {
+        const recipientAccount = await Account.findOne({ accountNumber: toAccount });
+        if (!recipientAccount) {
+          return res.status(404).json({
+            error: {
+              code: 'ACCOUNT_NOT_FOUND',
+              message: 'Recipient account not found',
+            },
+          });
+        }
+        isConversion = recipientAccount.currency !== senderAccount.currency;
+      }
+
+      const fee = await quoteFee({
+        transferType: transferTypeOf({ isInternal, isConversion }),
+        account: senderAccount,
+        amount,
+      });
+
+      res.status(200).json({
+        fee,
+        totalDebit: Math.round((amount + fee.amount) * 100) / 100,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/fees/rules:
+ *   get:
+ *     summary: List the fee schedule (admin only)
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Fee rules, active and inactive
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/rules', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const rules = await FeeRule.find().sort({ transferType: 1, createdAt: -1 });
+
+    res.status(200).json({
+      rules,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/fees/rules:
+ *   post:
+ *     summary: Add a fee rule (admin only)
+ *     description: >
+ *       The fee is fixedAmount plus percentage of the transfer amount, kept between minFee and maxFee.
+ *       accountType, currency and userTier narrow the rule down (omit them to match any value); the
+ *       most specific matching rule applies. A rule with no charge makes a transfer free.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - transferType
+ *             properties:
+ *               name:
+ *                 type: string
+ *               transferType:
+ *                 type: string
+ *                 enum: [INTERNAL, EXTERNAL, FX]
+ *               accountType:
+ *                 type: string
+ *                 enum: [checking, savings, business]
+ *               currency:
+ *                 type: string
+ *                 enum: [EUR, USD, GBP]
+ *               userTier:
+ *                 type: string
+ *                 enum: [standard, premium]
+ *               fixedAmount:
+ *                 type: number
+ *               percentage:
+ *                 type: number
+ *               minFee:
+ *                 type: number
+ *               maxFee:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Fee rule created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post(
+  '/rules',
+  authenticate,
+  isAdmin,
+  [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('transferType').isIn(TRANSFER_TYPES).withMessage(`Transfer type must be one of: ${TRANSFER_TYPES.join(', ')}`),
+    ...pricingValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const rule = await FeeRule.create({ ...ruleFieldsOf(req.body), createdBy: req.user._id });
+
+      res.status(201).json({
+        message: 'Fee rule created successfully',
+        rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/fees/rules/{ruleId}:
+ *   patch:
+ *     summary: Change a fee rule (admin only)
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee rule updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Fee rule not found
+ */
+router.patch(
+  '/rules/:ruleId',
+  authenticate,
+  isAdmin,
+  [
+    body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('transferType').optional().isIn(TRANSFER_TYPES).withMessage(`Transfer type must be one of: ${TRANSFER_TYPES.join(', ')}`),
+    ...pricingValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const rule = await FeeRule.findOneAndUpdate(
+        { ruleId: req.params.ruleId },
+        { $set: ruleFieldsOf(req.body) },
+        { new: true, runValidators: true }
+      );
+      if (!rule) {
+        return res.status(404).json({
+          error: {
+            code: 'FEE_RULE_NOT_FOUND',
+            message: 'Fee rule not found',
+          },
+        });
+      }
+
+      res.status(200).json({
+        message: 'Fee rule updated successfully',
+        rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/fees/rules/{ruleId}:
+ *   delete:
+ *     summary: Deactivate a fee rule (admin only)
+ *     description: The rule is kept in the fee schedule but no longer applies
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee rule deactivated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Fee rule not found
+ */
+router.delete('/rules/:ruleId', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const rule = await FeeRule.findOneAndUpdate(
+      { ruleId: req.params.ruleId },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!rule) {
+      return res.status(404).json({
+        error: {
+          code: 'FEE_RULE_NOT_FOUND',
+          message: 'Fee rule not found',
+        },
+      });
+    }
+
+    res.status(200).json({
+      message: 'Fee rule deactivated successfully',
+      rule,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
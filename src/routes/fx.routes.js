@@ -0,0 +1,443 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const FxQuote = require('../models/fxQuote.model');
+const { authenticate, isAdmin } = require('../middleware/auth.middleware');
+const { parseCsvRecords } = require('../utils/csv');
+const {
+  BASE_CURRENCY,
+  CURRENCIES,
+  getSpreadPercent,
+  getRates,
+  checkRate,
+  setRates,
+  getRateHistory,
+  createQuote,
+} = require('../services/fx.service');
+
+const router = express.Router();
+
+// Helper function to answer with the validation errors of a request, if any
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+// Helper function to turn a CSV rates file (currency,rate[,effectiveFrom]) into the JSON import format
+const parseCsvRates = (req, res, next) => {
+  if (typeof req.body !== 'string') {
+    return next();
+  }
+
+  let records;
+  try {
+    records = parseCsvRecords(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_CSV',
+        message: error.message,
+      },
+    });
+  }
+
+  req.body = {
+    rates: records.map(({ line, ...columns }) => Object.entries(columns).reduce((rate, [name, value]) => {
+      const field = { currency: 'currency', rate: 'rate', effectivefrom: 'effectiveFrom' }[name.toLowerCase()];
+      if (field && value !== '') {
+        rate[field] = value;
+      }
+      return rate;
+    }, { line })),
+  };
+  next();
+};
+
+/**
+ * @swagger
+ * /api/v1/fx/rates:
+ *   get:
+ *     summary: Get the exchange rates in effect now
+ *     description: Mid-market rates against EUR (units of each currency per 1 EUR) and the spread applied to customers
+ *     tags: [FX]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current rates
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/rates', authenticate, async (req, res, next) => {
+  try {
+    res.status(200).json({
+      baseCurrency: BASE_CURRENCY,
+      spreadPercent: getSpreadPercent(),
+      rates: await getRates(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/fx/rates/history:
+ *   get:
+ *     summary: Get past and scheduled exchange rates (admin only)
+ *     tags: [FX]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Rates, newest effective time first
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get(
+  '/rates/history',
+  authenticate,
+  isAdmin,
+  [
+    query('currency').optional().isIn(CURRENCIES).withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date').toDate(),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date').toDate(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000').toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { currency, from, to, limit } = req.query;
+      res.status(200).json({
+        baseCurrency: BASE_CURRENCY,
+        rates: await getRateHistory({ currency, from, to, limit }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/fx/rates:
+ *   post:
+ *     summary: Set the exchange rate of a currency (admin only)
+ *     tags: [FX]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currency
+ *               - rate
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 description: Currency other than EUR
+ *               rate:
+ *                 type: number
+ *                 description: Units of the currency per 1 EUR
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the rate takes effect (default now)
+ *     responses:
+ *       201:
+ *         description: Rate stored
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post(
+  '/rates',
+  authenticate,
+  isAdmin,
+  [
+    body('currency').isString().withMessage('Currency is required'),
+    body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number').toFloat(),
+    body('effectiveFrom').optional().isISO8601().withMessage('effectiveFrom must be an ISO 8601 date'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const rate = { currency: req.body.currency, rate: req.body.rate, effectiveFrom: req.body.effectiveFrom };
+      const problem = checkRate(rate);
+      if (problem) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: problem,
+          },
+        });
+      }
+
+      const [stored] = await setRates([rate], { source: 'MANUAL', setBy: req.user._id });
+      res.status(201).json({
+        message: 'Exchange rate set successfully',
+        rate: stored,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/fx/rates/import:
+ *   post:
+ *     summary: Import a file of exchange rates (admin only)
+ *     description: >
+ *       Send JSON ({ rates: [{ currency, rate, effectiveFrom }] }) or a CSV file (Content-Type
+ *       text/csv) with a header row of currency,rate,effectiveFrom. The whole file is checked
+ *       first; a file with an invalid line imports nothing.
+ *     tags: [FX]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rates
+ *             properties:
+ *               rates:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                     rate:
+ *                       type: number
+ *                     effectiveFrom:
+ *                       type: string
+ *                       format: date-time
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       201:
+ *         description: Rates imported
+ *       400:
+ *         description: Validation error (with the failing lines) or invalid CSV
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post(
+  '/rates/import',
+  authenticate,
+  isAdmin,
+  express.text({ type: ['text/csv', 'application/csv'], limit: '1mb' }),
+  parseCsvRates,
+  async (req, res, next) => {
+    try {
+      const { rates } = req.body;
+      if (!Array.isArray(rates) || !rates.length) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'rates must be a non-empty array',
+          },
+        });
+      }
+
+      // Lines are numbered by file line for CSV and by array position for JSON
+      const parsed = rates.map((row, index) => {
+        const { line, currency, rate, effectiveFrom } = row && typeof row === 'object' ? row : {};
+        return {
+          line: line || index + 1,
+          currency: typeof currency === 'string' ? currency.trim().toUpperCase() : currency,
+          rate: typeof rate === 'string' ? Number(rate) : rate,
+          effectiveFrom: effectiveFrom || null,
+        };
+      });
+      const lineErrors = parsed
+        .map((row) => ({ line: row.line, code: 'INVALID_RATE', message: checkRate(row) }))
+        .filter((row) => row.message);
+      if (lineErrors.length) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `${lineErrors.length} rate(s) failed validation`,
+            details: lineErrors,
+          },
+        });
+      }
+
+      const stored = await setRates(parsed, { source: 'IMPORT', setBy: req.user._id });
+      res.status(201).json({
+        message: `${stored.length} exchange rate(s) imported successfully`,
+        rates: stored,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/fx/quotes:
+ *   post:
+ *     summary: Get a quote that locks an exchange rate for a transfer
+ *     description: >
+ *       Pass the quoteId to POST /api/v1/transactions/internal (same amount and currencies)
+ *       before expiresAt to convert at exactly the quoted rate. A quote can be used once.
+ *     tags: [FX]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromCurrency
+ *               - toCurrency
+ *               - amount
+ *             properties:
+ *               fromCurrency:
+ *                 type: string
+ *               toCurrency:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 maximum: 1000000
+ *                 description: Amount to debit, in fromCurrency
+ *     responses:
+ *       201:
+ *         description: Quote created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       503:
+ *         description: No exchange rate available for the currencies
+ */
+router.post(
+  '/quotes',
+  authenticate,
+  [
+    body('fromCurrency').isIn(CURRENCIES).withMessage(`fromCurrency must be one of: ${CURRENCIES.join(', ')}`),
+    body('toCurrency').isIn(CURRENCIES).withMessage(`toCurrency must be one of: ${CURRENCIES.join(', ')}`),
+    body('amount')
+      .isFloat({ min: 0.01, max: 1000000 })
+      .withMessage('Amount must be between 0.01 and 1,000,000')
+      .toFloat(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { fromCurrency, toCurrency, amount } = req.body;
+      const quote = await createQuote({ user: req.user._id, fromCurrency, toCurrency, amount });
+
+      res.status(201).json({
+        quote,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/fx/quotes/{quoteId}:
+ *   get:
+ *     summary: Get an FX quote and whether it has been used
+ *     tags: [FX]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quote retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Quote not found
+ */
+router.get('/quotes/:quoteId', authenticate, async (req, res, next) => {
+  try {
+    const quote = await FxQuote.findOne({ quoteId: req.params.quoteId, user: req.user._id });
+    if (!quote) {
+      return res.status(404).json({
+        error: {
+          code: 'QUOTE_NOT_FOUND',
+          message: 'FX quote not found',
+        },
+      });
+    }
+
+    res.status(200).json({
+      quote,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
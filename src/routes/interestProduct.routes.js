@@ -0,0 +1,291 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const InterestProduct = require('../models/interestProduct.model');
+const { authenticate, isAdmin } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Helper function to answer with the validation errors of a request, if any
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+// Helper function to validate the terms of an interest product (all optional, for create and update)
+const termsValidators = () => [
+  body('accountType')
+    .optional()
+    .isIn(['checking', 'savings', 'business'])
+    .withMessage('Account type must be one of: checking, savings, business'),
+  body('currency')
+    .optional({ values: 'null' })
+    .isIn(['EUR', 'USD', 'GBP'])
+    .withMessage('Currency must be one of: EUR, USD, GBP'),
+  body('tiers').optional().isArray({ max: 10 }).withMessage('tiers must be a list of at most 10 tiers'),
+  body('tiers.*.fromBalance').isFloat({ min: 0 }).withMessage('Tier fromBalance must be 0 or more').toFloat(),
+  body('tiers.*.annualRate').isFloat({ min: 0, max: 100 }).withMessage('Tier annualRate must be between 0 and 100').toFloat(),
+  body('dayCount')
+    .optional()
+    .isIn(['ACT/365', 'ACT/360', 'ACT/ACT', '30/360'])
+    .withMessage('Day count must be one of: ACT/365, ACT/360, ACT/ACT, 30/360'),
+  body('payoutFrequency')
+    .optional()
+    .isIn(['MONTHLY', 'QUARTERLY'])
+    .withMessage('Payout frequency must be one of: MONTHLY, QUARTERLY'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean value').toBoolean(),
+];
+
+// Fields of an interest product an admin can set
+const PRODUCT_FIELDS = [
+  'name', 'accountType', 'currency', 'annualRate', 'tiers', 'dayCount', 'payoutFrequency', 'isActive',
+];
+
+// Helper function to pick the interest product fields given in a request body
+const productFieldsOf = (body) => PRODUCT_FIELDS.reduce((values, field) => (
+  body[field] !== undefined ? { ...values, [field]: body[field] } : values
+), {});
+
+/**
+ * @swagger
+ * /api/v1/interest-products:
+ *   get:
+ *     summary: List the interest products on offer
+ *     description: Admins also see deactivated products
+ *     tags: [Interest]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Interest products
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const filter = req.user.role === 'admin' ? {} : { isActive: true };
+    const products = await InterestProduct.find(filter).sort({ accountType: 1, createdAt: -1 });
+
+    res.status(200).json({
+      products,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/interest-products:
+ *   post:
+ *     summary: Add an interest product (admin only)
+ *     description: >
+ *       Accounts of accountType (and currency, if given) earn interest under the product from the
+ *       day it is created. Without tiers the whole balance earns annualRate; with tiers, the part of
+ *       the balance from each tier's fromBalance up to the next tier earns that tier's rate.
+ *     tags: [Interest]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - annualRate
+ *             properties:
+ *               name:
+ *                 type: string
+ *               accountType:
+ *                 type: string
+ *                 enum: [checking, savings, business]
+ *                 default: savings
+ *               currency:
+ *                 type: string
+ *                 enum: [EUR, USD, GBP]
+ *               annualRate:
+ *                 type: number
+ *                 description: Percent per year
+ *               tiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     fromBalance:
+ *                       type: number
+ *                     annualRate:
+ *                       type: number
+ *               dayCount:
+ *                 type: string
+ *                 enum: [ACT/365, ACT/360, ACT/ACT, 30/360]
+ *                 default: ACT/365
+ *               payoutFrequency:
+ *                 type: string
+ *                 enum: [MONTHLY, QUARTERLY]
+ *                 default: MONTHLY
+ *     responses:
+ *       201:
+ *         description: Interest product created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post(
+  '/',
+  authenticate,
+  isAdmin,
+  [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('annualRate').isFloat({ min: 0, max: 100 }).withMessage('annualRate must be between 0 and 100').toFloat(),
+    ...termsValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const product = await InterestProduct.create({ ...productFieldsOf(req.body), createdBy: req.user._id });
+
+      res.status(201).json({
+        message: 'Interest product created successfully',
+        product,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/interest-products/{productId}:
+ *   patch:
+ *     summary: Change an interest product (admin only)
+ *     description: New terms apply from the next day accrued; interest already accrued is kept
+ *     tags: [Interest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interest product updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Interest product not found
+ */
+router.patch(
+  '/:productId',
+  authenticate,
+  isAdmin,
+  [
+    body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('annualRate').optional().isFloat({ min: 0, max: 100 }).withMessage('annualRate must be between 0 and 100').toFloat(),
+    ...termsValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const product = await InterestProduct.findOneAndUpdate(
+        { productId: req.params.productId },
+        { $set: productFieldsOf(req.body) },
+        { new: true, runValidators: true }
+      );
+      if (!product) {
+        return res.status(404).json({
+          error: {
+            code: 'INTEREST_PRODUCT_NOT_FOUND',
+            message: 'Interest product not found',
+          },
+        });
+      }
+
+      res.status(200).json({
+        message: 'Interest product updated successfully',
+        product,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/interest-products/{productId}:
+ *   delete:
+ *     summary: Deactivate an interest product (admin only)
+ *     description: Accounts stop accruing interest under it; interest already accrued is still paid out
+ *     tags: [Interest]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interest product deactivated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Interest product not found
+ */
+router.delete('/:productId', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const product = await InterestProduct.findOneAndUpdate(
+      { productId: req.params.productId },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!product) {
+      return res.status(404).json({
+        error: {
+          code: 'INTEREST_PRODUCT_NOT_FOUND',
+          message: 'Interest product not found',
+        },
+      });
+    }
+
+    res.status(200).json({
+      message: 'Interest product deactivated successfully',
+      product,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
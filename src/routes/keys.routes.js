@@ -1,57 +1,24 @@
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
+const { body, param, validationResult } = require('express-validator');
 const { authenticate, isAdmin } = require('../middleware/auth.middleware');
+const {
+  getJwks,
+  getSigningKey,
+  listKeys,
+  rotateKey,
+  scheduleKey,
+} = require('../services/keyring.service');
+const { syncRegistration } = require('../services/registration.service');
 
 const router = express.Router();
 
-// Helper function to generate RSA key pair if not exists
-const ensureKeysExist = () => {
-  const privateKeyPath = process.env.PRIVATE_KEY_PATH;
-  const publicKeyPath = process.env.PUBLIC_KEY_PATH;
-
-  // Check if keys already exist
-  if (fs.existsSync(privateKeyPath) && fs.existsSync(publicKeyPath)) {
-    return;
-  }
-
-  // Generate new RSA key pair
-  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
-    modulusLength: 2048,
-    publicKeyEncoding: {
-      type: 'spki',
-      format: 'pem',
-    },
-    privateKeyEncoding: {
-      type: 'pkcs8',
-      format: 'pem',
-    },
-  });
-
-  // Ensure directory exists
-  const keysDir = path.dirname(privateKeyPath);
-  if (!fs.existsSync(keysDir)) {
-    fs.mkdirSync(keysDir, { recursive: true });
-  }
-
-  // Write keys to files
-  fs.writeFileSync(privateKeyPath, privateKey);
-  fs.writeFileSync(publicKeyPath, publicKey);
-
-  console.log('RSA key pair generated successfully');
-};
-
-// Ensure keys exist when the server starts
-ensureKeysExist();
-
 /**
  * @swagger
  * /api/v1/keys/jwks:
  *   get:
  *     summary: Get JWKS (JSON Web Key Set) for this bank
  *     tags: [Keys]
- *     description: Returns the public key in JWKS format for verifying transaction signatures
+ *     description: Returns the active public key plus scheduled and retired-but-still-valid keys in JWKS format for verifying transaction signatures
  *     responses:
  *       200:
  *         description: JWKS retrieved successfully
@@ -60,29 +27,7 @@ ensureKeysExist();
  */
 router.get('/jwks', async (req, res, next) => {
   try {
-    const publicKeyPath = process.env.PUBLIC_KEY_PATH;
-    
-    // Ensure keys exist
-    ensureKeysExist();
-    
-    // Read public key
-    const publicKey = fs.readFileSync(publicKeyPath, 'utf8');
-    
-    // Convert PEM to JWK
-    const publicKeyObject = crypto.createPublicKey(publicKey);
-    const keyData = publicKeyObject.export({ format: 'jwk' });
-    
-    // Add key ID and use properties required for JWKS
-    keyData.kid = process.env.BANK_PREFIX || 'OVE';
-    keyData.use = 'sig';
-    keyData.alg = 'RS256';
-    
-    // Format as JWKS
-    const jwks = {
-      keys: [keyData],
-    };
-    
-    res.status(200).json(jwks);
+    res.status(200).json(getJwks());
   } catch (error) {
     console.error('Error generating JWKS:', error);
     next(error);
@@ -95,7 +40,7 @@ router.get('/jwks', async (req, res, next) => {
  *   get:
  *     summary: Get public key in PEM format
  *     tags: [Keys]
- *     description: Returns the public key in PEM format
+ *     description: Returns the active public key in PEM format
  *     responses:
  *       200:
  *         description: Public key retrieved successfully
@@ -104,16 +49,11 @@ router.get('/jwks', async (req, res, next) => {
  */
 router.get('/public', async (req, res, next) => {
   try {
-    const publicKeyPath = process.env.PUBLIC_KEY_PATH;
-    
-    // Ensure keys exist
-    ensureKeysExist();
-    
-    // Read public key
-    const publicKey = fs.readFileSync(publicKeyPath, 'utf8');
-    
+    const { kid, publicKey } = getSigningKey();
+
     res.status(200).json({
       bankPrefix: process.env.BANK_PREFIX,
+      kid,
       publicKey,
     });
   } catch (error) {
@@ -124,58 +64,187 @@ router.get('/public', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/v1/keys/regenerate:
- *   post:
- *     summary: Regenerate RSA key pair (admin only)
+ * /api/v1/keys:
+ *   get:
+ *     summary: List signing keys and their status (admin only)
  *     tags: [Keys]
  *     security:
  *       - bearerAuth: []
- *     description: Regenerates the RSA key pair used for signing transactions
+ *     description: Status is one of scheduled, active, superseded, retired or expired
  *     responses:
  *       200:
- *         description: Keys regenerated successfully
+ *         description: Keys retrieved successfully
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - Admin access required
- *       500:
- *         description: Server error
  */
-router.post('/regenerate', authenticate, isAdmin, async (req, res, next) => {
+router.get('/', authenticate, isAdmin, async (req, res, next) => {
   try {
-    const privateKeyPath = process.env.PRIVATE_KEY_PATH;
-    const publicKeyPath = process.env.PUBLIC_KEY_PATH;
-    
-    // Generate new RSA key pair
-    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
-      modulusLength: 2048,
-      publicKeyEncoding: {
-        type: 'spki',
-        format: 'pem',
-      },
-      privateKeyEncoding: {
-        type: 'pkcs8',
-        format: 'pem',
-      },
-    });
-    
-    // Ensure directory exists
-    const keysDir = path.dirname(privateKeyPath);
-    if (!fs.existsSync(keysDir)) {
-      fs.mkdirSync(keysDir, { recursive: true });
-    }
-    
-    // Write keys to files
-    fs.writeFileSync(privateKeyPath, privateKey);
-    fs.writeFileSync(publicKeyPath, publicKey);
-    
     res.status(200).json({
-      message: 'RSA key pair regenerated successfully',
+      keys: listKeys(),
     });
   } catch (error) {
-    console.error('Error regenerating keys:', error);
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/keys/regenerate:
+ *   post:
+ *     summary: Rotate to a new RSA key pair (admin only)
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Generates a new key pair that becomes the signing key at activatesAt (default now). The current key is retired at that moment and stays valid for verification during the retirement grace period.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               activatesAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Keys regenerated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/regenerate',
+  authenticate,
+  isAdmin,
+  [
+    body('activatesAt').optional().isISO8601().withMessage('activatesAt must be an ISO 8601 date'),
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const key = await rotateKey({ activatesAt: req.body.activatesAt || new Date() });
+      // Let the central bank know about the new key (in the background)
+      syncRegistration();
+
+      res.status(200).json({
+        message: 'RSA key pair regenerated successfully',
+        key,
+      });
+    } catch (error) {
+      console.error('Error regenerating keys:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/keys/{kid}/schedule:
+ *   put:
+ *     summary: Schedule activation and retirement of a signing key (admin only)
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: kid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               activatesAt:
+ *                 type: string
+ *                 format: date-time
+ *               retiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Key schedule updated successfully
+ *       400:
+ *         description: Validation error or no signing key would remain active
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Key not found
+ */
+router.put(
+  '/:kid/schedule',
+  authenticate,
+  isAdmin,
+  [
+    param('kid').notEmpty(),
+    body('activatesAt').optional().isISO8601().withMessage('activatesAt must be an ISO 8601 date'),
+    body('retiresAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('retiresAt must be an ISO 8601 date or null'),
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const key = scheduleKey(req.params.kid, {
+        activatesAt: req.body.activatesAt,
+        retiresAt: req.body.retiresAt,
+      });
+      if (!key) {
+        return res.status(404).json({
+          error: {
+            code: 'KEY_NOT_FOUND',
+            message: 'Key not found',
+          },
+        });
+      }
+
+      syncRegistration();
+
+      res.status(200).json({
+        message: 'Key schedule updated successfully',
+        key,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,108 @@
+const express = require('express');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const { authenticate, isAdmin } = require('../middleware/auth.middleware');
+const { reconcileBalances, getLedgerBalance } = require('../services/ledger.service');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/ledger/reconcile:
+ *   get:
+ *     summary: Verify cached account balances against the ledger (admin only)
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Compares every Account.balance with the balance derived from ledger entries and checks that debits equal credits per currency
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/reconcile', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const report = await reconcileBalances();
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ledger/accounts/{account}:
+ *   get:
+ *     summary: Get the ledger balance and entries of a ledger account (admin only)
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: account
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer account number or bank ledger account code (e.g. BANK:INTERBANK_CLEARING)
+ *     responses:
+ *       200:
+ *         description: Ledger balance and entries retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/accounts/:account', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const [balance, entries] = await Promise.all([
+      getLedgerBalance(req.params.account),
+      LedgerEntry.find({ account: req.params.account }).sort({ createdAt: -1 }),
+    ]);
+
+    res.status(200).json({
+      account: req.params.account,
+      balance,
+      entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ledger/transactions/{transactionId}:
+ *   get:
+ *     summary: Get the ledger entries posted for a transaction (admin only)
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ledger entries retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/transactions/:transactionId', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const entries = await LedgerEntry.find({ transactionId: req.params.transactionId }).sort({ createdAt: 1 });
+    res.status(200).json({
+      transactionId: req.params.transactionId,
+      entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
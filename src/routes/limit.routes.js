@@ -0,0 +1,455 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const Account = require('../models/account.model');
+const TransferLimit = require('../models/transferLimit.model');
+const User = require('../models/user.model');
+const { authenticate, isAdmin } = require('../middleware/auth.middleware');
+const {
+  LIMIT_FIELDS,
+  getLimitsOverview,
+  setLimits,
+  setOwnLimits,
+} = require('../services/limit.service');
+
+const router = express.Router();
+
+// Helper function to answer with the validation errors of a request, if any
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+// Helper function to validate limit values (each optional; null removes the limit)
+const limitValidators = () => LIMIT_FIELDS.map((field) => {
+  const value = body(field).optional({ values: 'null' });
+  return field.endsWith('Count')
+    ? value.isInt({ min: 0 }).withMessage(`${field} must be a whole number, 0 or more`).toInt()
+    : value.isFloat({ min: 0 }).withMessage(`${field} must be 0 or more`).toFloat();
+});
+
+// Helper function to pick the limit values given in a request body
+const limitValuesOf = (body) => LIMIT_FIELDS.reduce((values, field) => (
+  body[field] !== undefined ? { ...values, [field]: body[field] } : values
+), {});
+
+// Helper function to answer that a request changes no limit
+const sendNoLimits = (res) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: `Give at least one of: ${LIMIT_FIELDS.join(', ')}`,
+  },
+});
+
+// Helper function to load an account the user may see the limits of (owner or admin), or answer with an error
+const findAccountFor = async (req, res) => {
+  const account = await Account.findOne({ accountNumber: req.params.accountNumber });
+  if (!account) {
+    res.status(404).json({
+      error: {
+        code: 'ACCOUNT_NOT_FOUND',
+        message: 'Account not found',
+      },
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && account.user.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You do not have permission to access this account',
+      },
+    });
+    return null;
+  }
+  return account;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TransferLimitValues:
+ *       type: object
+ *       description: Limits in EUR (amounts) and numbers of transfers (counts); null means no limit
+ *       properties:
+ *         perTransaction:
+ *           type: number
+ *           nullable: true
+ *         dailyAmount:
+ *           type: number
+ *           nullable: true
+ *         monthlyAmount:
+ *           type: number
+ *           nullable: true
+ *         dailyCount:
+ *           type: integer
+ *           nullable: true
+ *         monthlyCount:
+ *           type: integer
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/limits/defaults:
+ *   get:
+ *     summary: Get the bank-wide default transfer limits (per user)
+ *     tags: [Limits]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Default limits
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/defaults', authenticate, async (req, res, next) => {
+  try {
+    const defaults = await TransferLimit.findOne({ scope: 'BANK' });
+
+    res.status(200).json({
+      currency: 'EUR',
+      limits: defaults ? defaults.limits : new TransferLimit({ scope: 'BANK' }).limits,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/limits/defaults:
+ *   put:
+ *     summary: Set the bank-wide default transfer limits (admin only)
+ *     description: They apply to every user without a limit of their own set by an admin
+ *     tags: [Limits]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferLimitValues'
+ *     responses:
+ *       200:
+ *         description: Default limits updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.put('/defaults', authenticate, isAdmin, limitValidators(), async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+    const values = limitValuesOf(req.body);
+    if (!Object.keys(values).length) {
+      return sendNoLimits(res);
+    }
+
+    const defaults = await setLimits({ scope: 'BANK', values, setBy: req.user._id });
+
+    res.status(200).json({
+      message: 'Default limits updated successfully',
+      currency: 'EUR',
+      limits: defaults.limits,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/limits/me:
+ *   get:
+ *     summary: Get your transfer limits across all your accounts and what you have used today and this month
+ *     description: >
+ *       allowed are the limits the bank allows you, own the lower limits you set yourself and
+ *       effective the limits your transfers are checked against.
+ *     tags: [Limits]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Limits and usage
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    res.status(200).json(await getLimitsOverview({ userId: req.user._id }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/limits/me:
+ *   put:
+ *     summary: Set your own (lower) transfer limits across all your accounts
+ *     description: Each limit must be at most what the bank allows you; null removes your own limit
+ *     tags: [Limits]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferLimitValues'
+ *     responses:
+ *       200:
+ *         description: Limits updated
+ *       400:
+ *         description: Validation error or a limit above what the bank allows (LIMIT_ABOVE_ALLOWED)
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/me', authenticate, limitValidators(), async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+    const values = limitValuesOf(req.body);
+    if (!Object.keys(values).length) {
+      return sendNoLimits(res);
+    }
+
+    await setOwnLimits({ userId: req.user._id, values });
+
+    res.status(200).json({
+      message: 'Limits updated successfully',
+      ...(await getLimitsOverview({ userId: req.user._id })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/limits/users/{userId}:
+ *   get:
+ *     summary: Get the transfer limits of a user and their usage (admin only)
+ *     tags: [Limits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Limits and usage
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+        },
+      });
+    }
+
+    res.status(200).json(await getLimitsOverview({ userId: user._id }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/limits/users/{userId}:
+ *   put:
+ *     summary: Set the transfer limits of a user across all their accounts (admin only)
+ *     description: They replace the bank defaults for this user; null falls back to the default
+ *     tags: [Limits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferLimitValues'
+ *     responses:
+ *       200:
+ *         description: Limits updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:userId', authenticate, isAdmin, limitValidators(), async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+    const values = limitValuesOf(req.body);
+    if (!Object.keys(values).length) {
+      return sendNoLimits(res);
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+        },
+      });
+    }
+
+    await setLimits({ scope: 'USER', userId: user._id, values, setBy: req.user._id });
+
+    res.status(200).json({
+      message: 'User limits updated successfully',
+      ...(await getLimitsOverview({ userId: user._id })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/limits/accounts/{accountNumber}:
+ *   get:
+ *     summary: Get the transfer limits of an account and its usage, with the limits of its owner
+ *     tags: [Limits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Limits and usage
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not the account owner
+ *       404:
+ *         description: Account not found
+ */
+router.get('/accounts/:accountNumber', authenticate, async (req, res, next) => {
+  try {
+    const account = await findAccountFor(req, res);
+    if (!account) {
+      return;
+    }
+
+    res.status(200).json(await getLimitsOverview({ userId: account.user, account }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/limits/accounts/{accountNumber}:
+ *   put:
+ *     summary: Set the transfer limits of an account
+ *     description: >
+ *       Admins set the limits the bank allows on the account. The owner sets their own lower
+ *       limits; each must be at most what the bank allows. null removes a limit.
+ *     tags: [Limits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferLimitValues'
+ *     responses:
+ *       200:
+ *         description: Limits updated
+ *       400:
+ *         description: Validation error or a limit above what the bank allows (LIMIT_ABOVE_ALLOWED)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not the account owner
+ *       404:
+ *         description: Account not found
+ */
+router.put('/accounts/:accountNumber', authenticate, limitValidators(), async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+    const values = limitValuesOf(req.body);
+    if (!Object.keys(values).length) {
+      return sendNoLimits(res);
+    }
+
+    const account = await findAccountFor(req, res);
+    if (!account) {
+      return;
+    }
+
+    if (req.user.role === 'admin') {
+      await setLimits({ scope: 'ACCOUNT', accountNumber: account.accountNumber, values, setBy: req.user._id });
+    } else {
+      await setOwnLimits({ userId: req.user._id, account, values });
+    }
+
+    res.status(200).json({
+      message: 'Account limits updated successfully',
+      ...(await getLimitsOverview({ userId: account.user, account })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
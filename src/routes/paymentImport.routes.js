@@ -0,0 +1,164 @@
+const express = require('express');
+
+const PaymentImport = require('../models/paymentImport.model');
+const { authenticate } = require('../middleware/auth.middleware');
+const { limitTransfersByUser } = require('../middleware/rateLimit.middleware');
+const { submitPain001, getImportRetryAfterSeconds } = require('../services/pain001');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/payment-imports/pain001:
+ *   post:
+ *     summary: Import an ISO 20022 pain.001 credit transfer initiation file
+ *     description: >
+ *       Accepts pain.001.001.03 to pain.001.001.11. Every debtor account must belong to the
+ *       authenticated user. Creditor accounts with this bank's prefix are paid internally, other
+ *       accounts are sent to the bank given in CdtrAgt (or the prefix of the account number).
+ *       Transfers with a future ReqdExctnDt are scheduled. A file that passes the group checks is
+ *       processed in the background; poll the Location (GET /api/v1/payment-imports/{importId}/pain002)
+ *       for the pain.002 status report with the status of every transfer (ACSC, ACSP, ACCP or RJCT
+ *       with an ISO reason code). A file rejected as a whole (NbOfTxs, CtrlSum, or a message id that
+ *       was already imported, reason DU01) is answered at once with a pain.002 rejection.
+ *     tags: [Payment Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/xml:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: pain.002 report rejecting the whole file
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       202:
+ *         description: Import accepted for processing (the import id is in the X-Import-Id header)
+ *       400:
+ *         description: Not a readable pain.001 document
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many requests (RATE_LIMIT_EXCEEDED); retry after Retry-After seconds
+ */
+router.post(
+  '/pain001',
+  authenticate,
+  limitTransfersByUser,
+  express.text({ type: ['application/xml', 'text/xml'], limit: '5mb' }),
+  async (req, res, next) => {
+    try {
+      const { paymentImport, report } = await submitPain001({
+        user: req.user._id,
+        xml: typeof req.body === 'string' ? req.body : '',
+      });
+
+      if (!paymentImport) {
+        return res.status(200).type('application/xml').send(report);
+      }
+
+      res.set('X-Import-Id', paymentImport.importId);
+      res.location(`${req.baseUrl}/${paymentImport.importId}/pain002`);
+      res.status(202).json({
+        message: 'Import accepted for processing',
+        import: {
+          importId: paymentImport.importId,
+          messageId: paymentImport.messageId,
+          status: paymentImport.status,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/payment-imports:
+ *   get:
+ *     summary: List the authenticated user's pain.001 imports
+ *     tags: [Payment Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Imports with the status of every transfer (without the report), newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const imports = await PaymentImport.find({ user: req.user._id })
+      .select('-report -xml')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      imports,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/payment-imports/{importId}/pain002:
+ *   get:
+ *     summary: Get the pain.002 status report of an import
+ *     tags: [Payment Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: pain.002 status report of the processed import
+ *       202:
+ *         description: Import still being processed; ask again after Retry-After seconds
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Import not found
+ */
+router.get('/:importId/pain002', authenticate, async (req, res, next) => {
+  try {
+    const paymentImport = await PaymentImport.findOne({ importId: req.params.importId, user: req.user._id })
+      .select('-xml');
+    if (!paymentImport) {
+      return res.status(404).json({
+        error: {
+          code: 'IMPORT_NOT_FOUND',
+          message: 'Import not found',
+        },
+      });
+    }
+
+    if (!paymentImport.report) {
+      res.set('Retry-After', String(getImportRetryAfterSeconds()));
+      return res.status(202).json({
+        message: 'Import is still being processed',
+        import: {
+          importId: paymentImport.importId,
+          messageId: paymentImport.messageId,
+          status: paymentImport.status,
+        },
+      });
+    }
+
+    res.status(200).type('application/xml').send(paymentImport.report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
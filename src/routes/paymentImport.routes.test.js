@@ -0,0 +1,90 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { _id: mockUserId };
+    next();
+  },
+}));
+jest.mock('../middleware/rateLimit.middleware', () => ({
+  limitTransfersByUser: (req, res, next) => next(),
+}));
+jest.mock('../services/pain001', () => ({
+  submitPain001: jest.fn(),
+  getImportRetryAfterSeconds: jest.fn(() => 5),
+}));
+
+const PaymentImport = require('../models/paymentImport.model');
+const { submitPain001 } = require('../services/pain001');
+const paymentImportRoutes = require('./paymentImport.routes');
+
+const app = express();
+app.use('/api/v1/payment-imports', paymentImportRoutes);
+
+const REPORT = '<?xml version="1.0" encoding="UTF-8"?><Document><CstmrPmtStsRpt/></Document>';
+
+describe('payment import routes', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = { importId: 'import-1', messageId: 'MSG-1', status: 'PROCESSING', report: null };
+    jest.spyOn(PaymentImport, 'findOne').mockImplementation(({ importId, user }) => ({
+      select: jest.fn().mockResolvedValue(importId === stored.importId && user === mockUserId ? stored : null),
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('accepts a file for processing and points to its report', async () => {
+    submitPain001.mockResolvedValue({ paymentImport: stored, report: null });
+
+    const response = await request(app)
+      .post('/api/v1/payment-imports/pain001')
+      .set('Content-Type', 'application/xml')
+      .send('<Document/>')
+      .expect(202);
+
+    expect(submitPain001).toHaveBeenCalledWith({ user: mockUserId, xml: '<Document/>' });
+    expect(response.headers['x-import-id']).toBe('import-1');
+    expect(response.headers.location).toBe('/api/v1/payment-imports/import-1/pain002');
+    expect(response.body.import).toEqual({ importId: 'import-1', messageId: 'MSG-1', status: 'PROCESSING' });
+  });
+
+  it('answers a file rejected as a whole with its pain.002 report at once', async () => {
+    submitPain001.mockResolvedValue({ paymentImport: null, report: REPORT });
+
+    const response = await request(app)
+      .post('/api/v1/payment-imports/pain001')
+      .set('Content-Type', 'application/xml')
+      .send('<Document/>')
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/xml/);
+    expect(response.headers['x-import-id']).toBeUndefined();
+    expect(response.text).toBe(REPORT);
+  });
+
+  it('asks the client to come back until the report is ready', async () => {
+    const pending = await request(app).get('/api/v1/payment-imports/import-1/pain002').expect(202);
+    expect(pending.headers['retry-after']).toBe('5');
+    expect(pending.body.import).toEqual({ importId: 'import-1', messageId: 'MSG-1', status: 'PROCESSING' });
+
+    Object.assign(stored, { status: 'PROCESSED', report: REPORT });
+    const ready = await request(app).get('/api/v1/payment-imports/import-1/pain002').expect(200);
+    expect(ready.headers['content-type']).toMatch(/^application\/xml/);
+    expect(ready.text).toBe(REPORT);
+  });
+
+  it('does not show another user\'s import', async () => {
+    const response = await request(app).get('/api/v1/payment-imports/import-2/pain002').expect(404);
+
+    expect(response.body.error.code).toBe('IMPORT_NOT_FOUND');
+  });
+});
@@ -0,0 +1,64 @@
+const express = require('express');
+const { authenticate, isAdmin } = require('../middleware/auth.middleware');
+const { registerBank, getRegistrationStatus } = require('../services/registration.service');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/registration:
+ *   get:
+ *     summary: Get this bank's registration status with the central bank (admin only)
+ *     tags: [Registration]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Shows the assigned prefix, the registered URLs and keys, and whether they match the current ones
+ *     responses:
+ *       200:
+ *         description: Registration status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const status = await getRegistrationStatus();
+    res.status(200).json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/registration:
+ *   post:
+ *     summary: Register (or re-register) this bank with the central bank (admin only)
+ *     tags: [Registration]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Submits our name, JWKS URL and callback URL and stores the assigned prefix and API credentials
+ *     responses:
+ *       200:
+ *         description: Registered successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       502:
+ *         description: The central bank rejected the registration or could not be reached
+ */
+router.post('/', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    await registerBank();
+    res.status(200).json({
+      message: 'Registered with the central bank successfully',
+      registration: await getRegistrationStatus(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
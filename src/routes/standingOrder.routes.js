@@ -0,0 +1,622 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const Account = require('../models/account.model');
+const StandingOrder = require('../models/standingOrder.model');
+const Transaction = require('../models/transaction.model');
+const { authenticate } = require('../middleware/auth.middleware');
+const { limitTransfersByUser } = require('../middleware/rateLimit.middleware');
+const {
+  createStandingOrder,
+  updateStandingOrder,
+  pauseStandingOrder,
+  resumeStandingOrder,
+  cancelStandingOrder,
+} = require('../services/standingOrder.service');
+
+const router = express.Router();
+
+// Helper function to send validation errors; returns true if there were any
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+// Helper function to validate the failure policy fields of a standing order
+const failurePolicyValidators = () => [
+  body('onFailure')
+    .optional()
+    .isIn(['RETRY', 'SKIP', 'PAUSE'])
+    .withMessage('onFailure must be one of: RETRY, SKIP, PAUSE'),
+  body('maxRetries')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('maxRetries must be between 0 and 10')
+    .toInt(),
+  body('retryIntervalMinutes')
+    .optional()
+    .isInt({ min: 1, max: 7 * 24 * 60 })
+    .withMessage('retryIntervalMinutes must be between 1 and 10080')
+    .toInt(),
+];
+
+// Helper function to find a standing order of the user
+// Sends the error response and returns null otherwise
+const findOwnStandingOrder = async (req, res, statuses) => {
+  const order = await StandingOrder.findOne({ orderId: req.params.orderId, user: req.user._id });
+  if (!order) {
+    res.status(404).json({
+      error: {
+        code: 'STANDING_ORDER_NOT_FOUND',
+        message: 'Standing order not found',
+      },
+    });
+    return null;
+  }
+
+  if (statuses && !statuses.includes(order.status)) {
+    res.status(409).json({
+      error: {
+        code: 'INVALID_STANDING_ORDER_STATUS',
+        message: `Standing order is ${order.status}`,
+      },
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// Helper function to answer a conditional update that lost a race with the processor or another request
+const sendStatusConflict = (res) => res.status(409).json({
+  error: {
+    code: 'INVALID_STANDING_ORDER_STATUS',
+    message: 'Standing order status has changed, please reload it',
+  },
+});
+
+/**
+ * @swagger
+ * /api/v1/standing-orders:
+ *   post:
+ *     summary: Create a standing order (recurring transfer)
+ *     tags: [Standing Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromAccount
+ *               - toAccount
+ *               - amount
+ *               - frequency
+ *             properties:
+ *               fromAccount:
+ *                 type: string
+ *                 description: Sender account number
+ *               toAccount:
+ *                 type: string
+ *                 description: >
+ *                   Recipient account number. An account of this bank in another currency receives
+ *                   the amount converted at the exchange rate of each execution
+ *               toBank:
+ *                 type: string
+ *                 description: Recipient bank prefix; omit for an account of this bank
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 maximum: 1000000
+ *               currency:
+ *                 type: string
+ *                 enum: [EUR, USD, GBP]
+ *                 description: Must match the sender account currency (defaults to it)
+ *               description:
+ *                 type: string
+ *               frequency:
+ *                 type: string
+ *                 enum: [DAILY, WEEKLY, MONTHLY]
+ *               dayOfMonth:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 31
+ *                 description: MONTHLY only; shorter months use their last day (defaults to the start date's day)
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: First execution (defaults to now); later executions keep its time of day
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               maxExecutions:
+ *                 type: integer
+ *                 minimum: 1
+ *               onFailure:
+ *                 type: string
+ *                 enum: [RETRY, SKIP, PAUSE]
+ *                 description: Retry the failed execution (then pause), skip it, or pause the order (default RETRY)
+ *               maxRetries:
+ *                 type: integer
+ *                 default: 3
+ *               retryIntervalMinutes:
+ *                 type: integer
+ *                 default: 60
+ *     responses:
+ *       201:
+ *         description: Standing order created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not the sender account owner
+ *       404:
+ *         description: Account not found
+ *       429:
+ *         description: Too many requests (RATE_LIMIT_EXCEEDED); retry after Retry-After seconds
+ */
+router.post(
+  '/',
+  authenticate,
+  limitTransfersByUser,
+  [
+    body('fromAccount').notEmpty().withMessage('Sender account number is required'),
+    body('toAccount').notEmpty().withMessage('Recipient account number is required'),
+    body('toBank').optional().isString().trim(),
+    body('amount')
+      .isFloat({ min: 0.01, max: 1000000 })
+      .withMessage('Amount must be between 0.01 and 1,000,000')
+      .toFloat(),
+    body('currency')
+      .optional()
+      .isIn(['EUR', 'USD', 'GBP'])
+      .withMessage('Currency must be one of: EUR, USD, GBP'),
+    body('description').optional().isString().trim(),
+    body('frequency')
+      .isIn(['DAILY', 'WEEKLY', 'MONTHLY'])
+      .withMessage('Frequency must be one of: DAILY, WEEKLY, MONTHLY'),
+    body('dayOfMonth')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 31 })
+      .withMessage('dayOfMonth must be between 1 and 31')
+      .bail()
+      .custom((value, { req }) => req.body.frequency === 'MONTHLY')
+      .withMessage('dayOfMonth is only allowed for MONTHLY standing orders')
+      .toInt(),
+    body('startDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('startDate must be an ISO 8601 date')
+      .bail()
+      .custom((value) => new Date(value) > new Date())
+      .withMessage('startDate must be in the future'),
+    body('endDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('endDate must be an ISO 8601 date')
+      .bail()
+      .custom((value, { req }) => new Date(value) > (req.body.startDate ? new Date(req.body.startDate) : new Date()))
+      .withMessage('endDate must be after startDate'),
+    body('maxExecutions')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('maxExecutions must be at least 1')
+      .toInt(),
+    ...failurePolicyValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { fromAccount, toAccount, amount, currency, description = '', frequency } = req.body;
+      const toBank = req.body.toBank || process.env.BANK_PREFIX;
+      const isInternal = toBank === process.env.BANK_PREFIX;
+
+      // Check if sender account exists and user owns it
+      const senderAccount = await Account.findOne({ accountNumber: fromAccount });
+      if (!senderAccount) {
+        return res.status(404).json({
+          error: {
+            code: 'ACCOUNT_NOT_FOUND',
+            message: 'Sender account not found',
+          },
+        });
+      }
+
+      if (senderAccount.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          error: {
+            code: 'FORBIDDEN',
+            message: 'You do not have permission to use this account',
+          },
+        });
+      }
+
+      if (currency && currency !== senderAccount.currency) {
+        return res.status(400).json({
+          error: {
+            code: 'CURRENCY_MISMATCH',
+            message: 'Standing order currency must match account currency',
+          },
+        });
+      }
+
+      // Recipients in this bank are checked now; other banks check theirs on each execution
+      let creditedCurrency = null;
+      if (isInternal) {
+        const recipientAccount = await Account.findOne({ accountNumber: toAccount });
+        if (!recipientAccount) {
+          return res.status(404).json({
+            error: {
+              code: 'ACCOUNT_NOT_FOUND',
+              message: 'Recipient account not found',
+            },
+          });
+        }
+
+        // A recipient in another currency is paid the converted amount, at the rate of each execution
+        if (recipientAccount.currency !== senderAccount.currency) {
+          creditedCurrency = recipientAccount.currency;
+        }
+      }
+
+      const order = await createStandingOrder({
+        user: req.user._id,
+        fromAccount: senderAccount.accountNumber,
+        toAccount,
+        toBank,
+        isInternal,
+        amount,
+        currency: senderAccount.currency,
+        creditedCurrency,
+        description,
+        frequency,
+        dayOfMonth: req.body.dayOfMonth || null,
+        startDate: req.body.startDate || new Date(),
+        endDate: req.body.endDate || null,
+        maxExecutions: req.body.maxExecutions || null,
+        onFailure: req.body.onFailure,
+        maxRetries: req.body.maxRetries,
+        retryIntervalMinutes: req.body.retryIntervalMinutes,
+      });
+
+      res.status(201).json({
+        message: 'Standing order created successfully',
+        standingOrder: order,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/standing-orders:
+ *   get:
+ *     summary: List the authenticated user's standing orders
+ *     tags: [Standing Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Standing orders, newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const standingOrders = await StandingOrder.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      standingOrders,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/standing-orders/{orderId}:
+ *   get:
+ *     summary: Get a standing order with the transactions it has created
+ *     tags: [Standing Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Standing order and its transactions, newest first
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Standing order not found
+ */
+router.get('/:orderId', authenticate, async (req, res, next) => {
+  try {
+    const order = await findOwnStandingOrder(req, res);
+    if (!order) {
+      return;
+    }
+
+    const transactions = await Transaction.find({ standingOrderId: order.orderId }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      standingOrder: order,
+      transactions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/standing-orders/{orderId}:
+ *   patch:
+ *     summary: Change an active or paused standing order
+ *     tags: [Standing Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 maximum: 1000000
+ *               description:
+ *                 type: string
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               maxExecutions:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               onFailure:
+ *                 type: string
+ *                 enum: [RETRY, SKIP, PAUSE]
+ *               maxRetries:
+ *                 type: integer
+ *               retryIntervalMinutes:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Standing order updated successfully (COMPLETED if no executions remain)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Standing order not found
+ *       409:
+ *         description: Standing order has ended
+ */
+router.patch(
+  '/:orderId',
+  authenticate,
+  [
+    param('orderId').notEmpty(),
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01, max: 1000000 })
+      .withMessage('Amount must be between 0.01 and 1,000,000')
+      .toFloat(),
+    body('description').optional().isString().trim(),
+    body('endDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('endDate must be an ISO 8601 date')
+      .bail()
+      .custom((value) => new Date(value) > new Date())
+      .withMessage('endDate must be in the future'),
+    body('maxExecutions')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('maxExecutions must be at least 1')
+      .toInt(),
+    ...failurePolicyValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const order = await findOwnStandingOrder(req, res, ['ACTIVE', 'PAUSED']);
+      if (!order) {
+        return;
+      }
+
+      const changes = {};
+      ['amount', 'description', 'endDate', 'maxExecutions', 'onFailure', 'maxRetries', 'retryIntervalMinutes']
+        .forEach((field) => {
+          if (req.body[field] !== undefined) {
+            changes[field] = req.body[field];
+          }
+        });
+
+      const updated = await updateStandingOrder(order, changes);
+      if (!updated) {
+        return sendStatusConflict(res);
+      }
+
+      res.status(200).json({
+        message: 'Standing order updated successfully',
+        standingOrder: updated,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/standing-orders/{orderId}/pause:
+ *   post:
+ *     summary: Pause an active standing order
+ *     tags: [Standing Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Standing order paused
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Standing order not found
+ *       409:
+ *         description: Standing order is not active
+ */
+router.post('/:orderId/pause', authenticate, async (req, res, next) => {
+  try {
+    const order = await findOwnStandingOrder(req, res, ['ACTIVE']);
+    if (!order) {
+      return;
+    }
+
+    const updated = await pauseStandingOrder(order.orderId);
+    if (!updated) {
+      return sendStatusConflict(res);
+    }
+
+    res.status(200).json({
+      message: 'Standing order paused',
+      standingOrder: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/standing-orders/{orderId}/resume:
+ *   post:
+ *     summary: Resume a paused standing order from its next future execution
+ *     tags: [Standing Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Standing order resumed (COMPLETED if no executions remain)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Standing order not found
+ *       409:
+ *         description: Standing order is not paused
+ */
+router.post('/:orderId/resume', authenticate, async (req, res, next) => {
+  try {
+    const order = await findOwnStandingOrder(req, res, ['PAUSED']);
+    if (!order) {
+      return;
+    }
+
+    const updated = await resumeStandingOrder(order);
+    if (!updated) {
+      return sendStatusConflict(res);
+    }
+
+    res.status(200).json({
+      message: 'Standing order resumed',
+      standingOrder: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/standing-orders/{orderId}:
+ *   delete:
+ *     summary: Cancel a standing order
+ *     tags: [Standing Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Standing order cancelled (status CANCELLED); transfers already made are not affected
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Standing order not found
+ *       409:
+ *         description: Standing order has already ended
+ */
+router.delete('/:orderId', authenticate, async (req, res, next) => {
+  try {
+    const order = await findOwnStandingOrder(req, res, ['ACTIVE', 'PAUSED']);
+    if (!order) {
+      return;
+    }
+
+    const updated = await cancelStandingOrder(order.orderId);
+    if (!updated) {
+      return sendStatusConflict(res);
+    }
+
+    res.status(200).json({
+      message: 'Standing order cancelled',
+      standingOrder: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { _id: mockUserId };
+    next();
+  },
+}));
+jest.mock('../middleware/rateLimit.middleware', () => ({
+  limitTransfersByUser: (req, res, next) => next(),
+}));
+jest.mock('../services/standingOrder.service', () => ({
+  createStandingOrder: jest.fn(async (fields) => ({ orderId: 'so-1', status: 'ACTIVE', ...fields })),
+}));
+
+const Account = require('../models/account.model');
+const { createStandingOrder } = require('../services/standingOrder.service');
+const standingOrderRoutes = require('./standingOrder.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/standing-orders', standingOrderRoutes);
+
+describe('POST /api/v1/standing-orders', () => {
+  const accounts = {
+    'OVE-11111111': { accountNumber: 'OVE-11111111', user: mockUserId, currency: 'EUR' },
+    'OVE-22222222': { accountNumber: 'OVE-22222222', user: new mongoose.Types.ObjectId(), currency: 'USD' },
+    'OVE-33333333': { accountNumber: 'OVE-33333333', user: new mongoose.Types.ObjectId(), currency: 'EUR' },
+  };
+
+  // Helper function to create a monthly order from the EUR account
+  const createOrder = (fields) => request(app)
+    .post('/api/v1/standing-orders')
+    .send({ fromAccount: 'OVE-11111111', amount: 100, frequency: 'MONTHLY', ...fields });
+
+  beforeEach(() => {
+    process.env.BANK_PREFIX = 'OVE';
+    jest.spyOn(Account, 'findOne').mockImplementation(async ({ accountNumber }) => accounts[accountNumber] || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('pays a recipient in this bank with another currency in that currency', async () => {
+    const response = await createOrder({ toAccount: 'OVE-22222222' }).expect(201);
+
+    expect(createStandingOrder).toHaveBeenCalledWith(expect.objectContaining({ currency: 'EUR', creditedCurrency: 'USD', isInternal: true }));
+    expect(response.body.standingOrder).toMatchObject({ currency: 'EUR', creditedCurrency: 'USD' });
+  });
+
+  it('does not convert between accounts of the same currency or for other banks', async () => {
+    await createOrder({ toAccount: 'OVE-33333333' }).expect(201);
+    await createOrder({ toAccount: 'ABC-12345678', toBank: 'ABC' }).expect(201);
+
+    expect(createStandingOrder.mock.calls.map(([fields]) => fields.creditedCurrency)).toEqual([null, null]);
+  });
+
+  it('still wants the amount in the sender account currency', async () => {
+    const response = await createOrder({ toAccount: 'OVE-22222222', currency: 'USD' }).expect(400);
+
+    expect(response.body.error.code).toBe('CURRENCY_MISMATCH');
+    expect(createStandingOrder).not.toHaveBeenCalled();
+  });
+});
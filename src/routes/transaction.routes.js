@@ -1,73 +1,61 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
-const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
-const jwt = require('jsonwebtoken');
-const fetch = require('node-fetch');
 
 const Account = require('../models/account.model');
 const Transaction = require('../models/transaction.model');
 const { authenticate } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { limitIncomingByIp, limitIncomingBank, limitTransfersByUser } = require('../middleware/rateLimit.middleware');
+const {
+  executeInternalTransfer,
+  initiateExternalTransfer,
+  scheduleTransfer,
+  updateScheduledTransfer,
+  creditIncomingTransfer,
+} = require('../services/transfer.service');
+const { dispatchSoon } = require('../services/outbox.service');
+const { isCentralBankAvailable } = require('../services/centralBank.service');
+const { verifyConfirmation, applyConfirmation } = require('../services/confirmation.service');
+const { buildSignedPayload, verifyIncomingTransfer } = require('../services/signature.service');
+const { findTransactionHistory } = require('../services/history.service');
+const { convert, conversionFromQuote } = require('../services/fx.service');
+const { transferTypeOf, quoteFee } = require('../services/fee.service');
+const { checkTransferLimits } = require('../services/limit.service');
+const { validateHistoryQuery } = require('../middleware/historyQuery.middleware');
 
 const router = express.Router();
 
-// Helper function to sign transaction payload
-const signTransaction = async (payload) => {
-  try {
-    const privateKeyPath = process.env.PRIVATE_KEY_PATH;
-    if (!fs.existsSync(privateKeyPath)) {
-      throw new Error('Private key not found');
-    }
-
-    const privateKey = fs.readFileSync(privateKeyPath, 'utf8');
-    return jwt.sign(payload, privateKey, { algorithm: 'RS256' });
-  } catch (error) {
-    console.error('Error signing transaction:', error);
-    throw error;
-  }
-};
-
-// Helper function to verify transaction signature
-const verifySignature = async (payload, signature, fromBank) => {
-  try {
-    // For internal transactions, use our own public key
-    if (fromBank === process.env.BANK_PREFIX) {
-      const publicKeyPath = process.env.PUBLIC_KEY_PATH;
-      if (!fs.existsSync(publicKeyPath)) {
-        throw new Error('Public key not found');
-      }
-
-      const publicKey = fs.readFileSync(publicKeyPath, 'utf8');
-      jwt.verify(signature, publicKey, { algorithms: ['RS256'] });
-      return true;
-    }
-
-    // For external transactions, fetch the public key from central bank
-    const centralBankUrl = process.env.CENTRAL_BANK_URL.replace(/\/$/, ''); // Remove trailing slash if present
-    const response = await fetch(`${centralBankUrl}/api/v1/banks/${fromBank}/publicKey`);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch public key for bank ${fromBank}`);
-    }
-    
-    const { publicKey } = await response.json();
-    jwt.verify(signature, publicKey, { algorithms: ['RS256'] });
-    return true;
-  } catch (error) {
-    console.error('Error verifying signature:', error);
-    return false;
-  }
-};
+// Helper function to validate an optional future execution date of a transfer
+const executeAtValidator = () => body('executeAt')
+  .optional({ values: 'null' })
+  .isISO8601()
+  .withMessage('executeAt must be an ISO 8601 date')
+  .bail()
+  .custom((value) => new Date(value) > new Date())
+  .withMessage('executeAt must be in the future');
 
 /**
  * @swagger
  * /api/v1/transactions/internal:
  *   post:
  *     summary: Create an internal transaction between accounts in this bank
+ *     description: >
+ *       The amount is in the sender account currency. If the recipient account uses another
+ *       currency, the amount is converted at the bank's exchange rate (mid rate less the FX spread);
+ *       the response then includes a conversion object with the debited and credited amounts and
+ *       the rate used. Pass a quoteId to use a locked rate. Scheduled transfers are converted at
+ *       the rate of their execution time. The transfer fee (see GET /api/v1/fees/quote) is debited
+ *       with the transfer as a linked FEE transaction and returned as fee.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key for safely retrying the request; a replay returns the original response
  *     requestBody:
  *       required: true
  *       content:
@@ -91,26 +79,48 @@ const verifySignature = async (payload, signature, fromBank) => {
  *                 maximum: 1000000
  *               description:
  *                 type: string
+ *               executeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Execute the transfer at this future time instead of now (status SCHEDULED)
+ *               quoteId:
+ *                 type: string
+ *                 description: FX quote (POST /api/v1/fx/quotes) whose locked rate converts the amount; not for scheduled transfers
  *     responses:
  *       201:
- *         description: Transaction created successfully
+ *         description: Transaction created successfully, or scheduled when executeAt is given
  *       400:
- *         description: Validation error or insufficient funds
+ *         description: Validation error, insufficient funds or a transfer limit exceeded (LIMIT_EXCEEDED)
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Account not found
+ *       409:
+ *         description: Idempotency-Key reused with a different request or still in progress
+ *       429:
+ *         description: Too many requests (RATE_LIMIT_EXCEEDED); retry after Retry-After seconds
  */
 router.post(
   '/internal',
   authenticate,
+  limitTransfersByUser,
+  idempotent,
   [
     body('fromAccount').notEmpty().withMessage('Sender account number is required'),
     body('toAccount').notEmpty().withMessage('Recipient account number is required'),
     body('amount')
       .isFloat({ min: 0.01, max: 1000000 })
-      .withMessage('Amount must be between 0.01 and 1,000,000'),
+      .withMessage('Amount must be between 0.01 and 1,000,000')
+      .toFloat(),
     body('description').optional().trim(),
+    executeAtValidator(),
+    body('quoteId')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('quoteId must be a string')
+      .bail()
+      .custom((value, { req }) => !req.body.executeAt)
+      .withMessage('An FX quote cannot be used for a scheduled transfer'),
   ],
   async (req, res, next) => {
     try {
@@ -126,7 +136,7 @@ router.post(
         });
       }
 
-      const { fromAccount, toAccount, amount, description = '' } = req.body;
+      const { fromAccount, toAccount, amount, description = '', executeAt, quoteId } = req.body;
 
       // Check if accounts exist and user owns the sender account
       const senderAccount = await Account.findOne({ accountNumber: fromAccount });
@@ -160,18 +170,67 @@ router.post(
         });
       }
 
-      // Check if currencies match
-      if (senderAccount.currency !== recipientAccount.currency) {
+      // Accounts in different currencies are converted at the bank's exchange rate
+      const isConversion = senderAccount.currency !== recipientAccount.currency;
+
+      // Future-dated transfers are executed by the scheduler; funds and daily/monthly limits are
+      // checked (and a cross-currency transfer is converted) when they run
+      if (executeAt) {
+        await checkTransferLimits({ account: senderAccount, amount });
+        const transaction = await scheduleTransfer(new Transaction({
+          fromAccount: senderAccount.accountNumber,
+          toAccount: recipientAccount.accountNumber,
+          fromBank: process.env.BANK_PREFIX,
+          toBank: process.env.BANK_PREFIX,
+          amount,
+          currency: senderAccount.currency,
+          creditedCurrency: isConversion ? recipientAccount.currency : null,
+          description,
+          isInternal: true,
+          executeAt,
+          initiatedBy: req.user._id,
+        }));
+
+        return res.status(201).json({
+          message: isConversion
+            ? 'Transaction scheduled successfully; it will be converted at the exchange rate when executed'
+            : 'Transaction scheduled successfully',
+          transaction,
+        });
+      }
+
+      if (quoteId && !isConversion) {
         return res.status(400).json({
           error: {
-            code: 'CURRENCY_MISMATCH',
-            message: 'Sender and recipient accounts must use the same currency',
+            code: 'QUOTE_MISMATCH',
+            message: 'FX quotes can only be used between accounts of different currencies',
           },
         });
       }
 
+      // A quote converts at its locked rate; otherwise the current rate applies
+      let conversion = null;
+      if (quoteId) {
+        conversion = await conversionFromQuote({
+          quoteId,
+          user: req.user._id,
+          fromCurrency: senderAccount.currency,
+          toCurrency: recipientAccount.currency,
+          amount,
+        });
+      } else if (isConversion) {
+        conversion = await convert(amount, senderAccount.currency, recipientAccount.currency);
+      }
+
+      // The fee is debited with the transfer, so the funds must cover both
+      const fee = await quoteFee({
+        transferType: transferTypeOf({ isInternal: true, isConversion }),
+        account: senderAccount,
+        amount,
+      });
+
       // Check if sender has sufficient funds
-      if (!senderAccount.hasSufficientFunds(amount)) {
+      if (!senderAccount.hasSufficientFunds(amount + fee.amount)) {
         return res.status(400).json({
           error: {
             code: 'INSUFFICIENT_FUNDS',
@@ -180,27 +239,27 @@ router.post(
         });
       }
 
-      // Create transaction record
-      const transaction = new Transaction({
-        fromAccount: senderAccount.accountNumber,
-        toAccount: recipientAccount.accountNumber,
-        fromBank: process.env.BANK_PREFIX,
-        toBank: process.env.BANK_PREFIX,
+      // Throws LIMIT_EXCEEDED if the amount is over a per-transaction limit; daily and monthly
+      // limits are counted in the transaction that moves the money
+      await checkTransferLimits({ account: senderAccount, amount });
+
+      // Process the transaction atomically; the debit re-checks funds so
+      // concurrent transfers cannot overdraw the sender account
+      const transaction = await executeInternalTransfer({
+        senderAccount,
+        recipientAccount,
         amount,
-        currency: senderAccount.currency,
         description,
-        isInternal: true,
         initiatedBy: req.user._id,
+        conversion,
+        fee,
       });
 
-      // Process the transaction
-      await senderAccount.debit(amount);
-      await recipientAccount.credit(amount);
-      await transaction.markCompleted();
-
       res.status(201).json({
         message: 'Transaction completed successfully',
         transaction,
+        fee,
+        ...(conversion && { conversion }),
       });
     } catch (error) {
       next(error);
@@ -213,9 +272,19 @@ router.post(
  * /api/v1/transactions/external:
  *   post:
  *     summary: Create an external transaction to another bank
+ *     description: >
+ *       The transfer fee (see GET /api/v1/fees/quote) is debited with the transfer as a linked FEE
+ *       transaction and returned as fee. It is paid back if the transfer fails and is refunded.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key for safely retrying the request; a replay returns the original response
  *     requestBody:
  *       required: true
  *       content:
@@ -247,30 +316,46 @@ router.post(
  *                 enum: [EUR, USD, GBP]
  *               description:
  *                 type: string
+ *               executeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Execute the transfer at this future time instead of now (status SCHEDULED)
  *     responses:
  *       201:
- *         description: Transaction initiated successfully
+ *         description: Transaction scheduled (executeAt given)
+ *       202:
+ *         description: Transaction accepted and queued for delivery to the central bank (status PENDING)
  *       400:
- *         description: Validation error or insufficient funds
+ *         description: Validation error, insufficient funds or a transfer limit exceeded (LIMIT_EXCEEDED)
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Account not found
+ *       409:
+ *         description: Idempotency-Key reused with a different request or still in progress
+ *       429:
+ *         description: Too many requests (RATE_LIMIT_EXCEEDED); retry after Retry-After seconds
+ *       503:
+ *         description: Central bank is unavailable (circuit breaker open)
  */
 router.post(
   '/external',
   authenticate,
+  limitTransfersByUser,
+  idempotent,
   [
     body('fromAccount').notEmpty().withMessage('Sender account number is required'),
     body('toAccount').notEmpty().withMessage('Recipient account number is required'),
     body('toBank').notEmpty().withMessage('Recipient bank is required'),
     body('amount')
       .isFloat({ min: 0.01, max: 1000000 })
-      .withMessage('Amount must be between 0.01 and 1,000,000'),
+      .withMessage('Amount must be between 0.01 and 1,000,000')
+      .toFloat(),
     body('currency')
       .isIn(['EUR', 'USD', 'GBP'])
       .withMessage('Currency must be one of: EUR, USD, GBP'),
     body('description').optional().trim(),
+    executeAtValidator(),
   ],
   async (req, res, next) => {
     try {
@@ -286,7 +371,7 @@ router.post(
         });
       }
 
-      const { fromAccount, toAccount, toBank, amount, currency, description = '' } = req.body;
+      const { fromAccount, toAccount, toBank, amount, currency, description = '', executeAt } = req.body;
 
       // Check if sending to our own bank (should use internal transfer)
       if (toBank === process.env.BANK_PREFIX) {
@@ -298,6 +383,16 @@ router.post(
         });
       }
 
+      // Fail fast instead of queueing while the central bank is known to be down
+      if (!executeAt && !isCentralBankAvailable()) {
+        return res.status(503).json({
+          error: {
+            code: 'BANK_UNAVAILABLE',
+            message: 'Central bank is temporarily unavailable, please try again later',
+          },
+        });
+      }
+
       // Check if sender account exists and user owns it
       const senderAccount = await Account.findOne({ accountNumber: fromAccount });
       if (!senderAccount) {
@@ -329,8 +424,34 @@ router.post(
         });
       }
 
+      // Future-dated transfers are signed and queued (and checked against daily/monthly limits)
+      // by the scheduler when they run
+      if (executeAt) {
+        await checkTransferLimits({ account: senderAccount, amount });
+        const transaction = await scheduleTransfer(new Transaction({
+          fromAccount: senderAccount.accountNumber,
+          toAccount,
+          fromBank: process.env.BANK_PREFIX,
+          toBank,
+          amount,
+          currency,
+          description,
+          isInternal: false,
+          executeAt,
+          initiatedBy: req.user._id,
+        }));
+
+        return res.status(201).json({
+          message: 'Transaction scheduled successfully',
+          transaction,
+        });
+      }
+
+      // The fee is debited with the transfer, so the funds must cover both
+      const fee = await quoteFee({ transferType: 'EXTERNAL', account: senderAccount, amount });
+
       // Check if sender has sufficient funds
-      if (!senderAccount.hasSufficientFunds(amount)) {
+      if (!senderAccount.hasSufficientFunds(amount + fee.amount)) {
         return res.status(400).json({
           error: {
             code: 'INSUFFICIENT_FUNDS',
@@ -339,6 +460,10 @@ router.post(
         });
       }
 
+      // Throws LIMIT_EXCEEDED if the amount is over a per-transaction limit; daily and monthly
+      // limits are counted in the transaction that moves the money
+      await checkTransferLimits({ account: senderAccount, amount });
+
       // Create transaction record
       const transaction = new Transaction({
         fromAccount: senderAccount.accountNumber,
@@ -352,72 +477,19 @@ router.post(
         initiatedBy: req.user._id,
       });
 
-      await transaction.save();
+      // Prepare and sign the transaction payload for the central bank
+      const transactionPayload = await buildSignedPayload(transaction);
+      transaction.signature = transactionPayload.signature;
 
-      // Prepare transaction payload for central bank
-      const transactionPayload = {
-        transactionId: transaction.transactionId,
-        fromBank: process.env.BANK_PREFIX,
-        fromAccount: senderAccount.accountNumber,
-        toBank,
-        toAccount,
-        amount,
-        currency,
-        description,
-        timestamp: new Date().toISOString(),
-      };
-
-      // Sign the transaction
-      const signature = await signTransaction(transactionPayload);
-      transactionPayload.signature = signature;
-
-      // Update transaction with signature
-      transaction.signature = signature;
-      await transaction.markInProgress();
-
-      // Debit the sender's account
-      await senderAccount.debit(amount);
-
-      // Send transaction to central bank
-      try {
-        const centralBankUrl = process.env.CENTRAL_BANK_URL.replace(/\/$/, ''); // Remove trailing slash if present
-        const response = await fetch(`${centralBankUrl}/api/v1/transactions`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(transactionPayload),
-        });
+      // Debit the sender's account and queue the signed payload for delivery to the central bank
+      await initiateExternalTransfer(transaction, transactionPayload, fee);
+      dispatchSoon();
 
-        if (!response.ok) {
-          const errorData = await response.json();
-          // Revert the transaction if central bank rejects it
-          await senderAccount.credit(amount);
-          await transaction.markFailed(errorData.error.code, errorData.error.message);
-
-          return res.status(response.status).json({
-            error: {
-              code: errorData.error.code,
-              message: errorData.error.message,
-              transactionId: transaction.transactionId,
-            },
-          });
-        }
-
-        const responseData = await response.json();
-
-        res.status(201).json({
-          message: 'Transaction initiated successfully',
-          transaction,
-          centralBankResponse: responseData,
-        });
-      } catch (error) {
-        // Revert the transaction if there's an error communicating with central bank
-        await senderAccount.credit(amount);
-        await transaction.markFailed('CENTRAL_BANK_ERROR', 'Failed to communicate with central bank');
-
-        throw error;
-      }
+      res.status(202).json({
+        message: 'Transaction accepted for processing',
+        transaction,
+        fee,
+      });
     } catch (error) {
       next(error);
     }
@@ -450,13 +522,17 @@ router.post(
  *       200:
  *         description: Transaction processed successfully
  *       400:
- *         description: Validation error or invalid signature
+ *         description: Validation error, invalid signature (INVALID_SIGNATURE), signed claims not matching the body (SIGNATURE_PAYLOAD_MISMATCH) or timestamp outside the freshness window (STALE_TRANSACTION)
  *       404:
  *         description: Recipient account not found
+ *       409:
+ *         description: Transaction ID or signature already used (DUPLICATE_TRANSACTION, SIGNATURE_REPLAYED)
+ *       429:
+ *         description: Too many requests from this address, or verified transfers from this bank (RATE_LIMIT_EXCEEDED); retry after Retry-After seconds
  *       500:
  *         description: Server error
  */
-router.post('/incoming', async (req, res, next) => {
+router.post('/incoming', limitIncomingByIp, async (req, res, next) => {
   try {
     const {
       transactionId,
@@ -483,8 +559,19 @@ router.post('/incoming', async (req, res, next) => {
     }
 
     // Check if transaction already exists (prevent duplicates)
+    // Only a retry of the exact same signed message is acknowledged; any other reuse of the ID is rejected
     const existingTransaction = await Transaction.findOne({ transactionId });
     if (existingTransaction) {
+      if (existingTransaction.signature !== signature) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_TRANSACTION',
+            message: 'A different transaction with this ID has already been processed',
+            transactionId,
+          },
+        });
+      }
+
       return res.status(200).json({
         message: 'Transaction already processed',
         transactionId,
@@ -492,28 +579,12 @@ router.post('/incoming', async (req, res, next) => {
       });
     }
 
-    // Verify transaction signature
-    const payloadToVerify = {
-      transactionId,
-      fromBank,
-      fromAccount,
-      toBank,
-      toAccount,
-      amount,
-      currency,
-      description,
-      timestamp,
-    };
+    // Verify the signature, that it covers exactly this body and that it is fresh
+    const replayGuard = await verifyIncomingTransfer(req.body);
 
-    const isSignatureValid = await verifySignature(payloadToVerify, signature, fromBank);
-    if (!isSignatureValid) {
-      return res.status(400).json({
-        error: {
-          code: 'INVALID_SIGNATURE',
-          message: 'Transaction signature validation failed',
-          transactionId,
-        },
-      });
+    // Only a verified transfer counts against the bank it comes from
+    if (!(await limitIncomingBank(res, fromBank))) {
+      return;
     }
 
     // Find recipient account
@@ -555,8 +626,7 @@ router.post('/incoming', async (req, res, next) => {
     });
 
     // Process the transaction
-    await recipientAccount.credit(amount);
-    await transaction.markCompleted();
+    await creditIncomingTransfer(transaction, replayGuard);
 
     res.status(200).json({
       message: 'Transaction processed successfully',
@@ -564,6 +634,28 @@ router.post('/incoming', async (req, res, next) => {
       status: 'COMPLETED',
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: {
+          code: error.code,
+          message: error.message,
+          details: error.details,
+          transactionId: req.body?.transactionId,
+        },
+      });
+    }
+
+    // A concurrent request with the same transaction ID won the race
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: {
+          code: 'DUPLICATE_TRANSACTION',
+          message: 'Transaction has already been processed',
+          transactionId: req.body?.transactionId,
+        },
+      });
+    }
+
     console.error('Error processing incoming transaction:', error);
     res.status(500).json({
       error: {
@@ -575,6 +667,315 @@ router.post('/incoming', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/transactions/status:
+ *   post:
+ *     summary: Callback for the central bank to confirm or reject an outgoing transaction
+ *     tags: [Transactions]
+ *     description: The destination bank's confirmation, forwarded and signed by the central bank. Repeated callbacks are acknowledged idempotently.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transactionId
+ *               - status
+ *               - signature
+ *             properties:
+ *               transactionId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [COMPLETED, FAILED]
+ *               errorCode:
+ *                 type: string
+ *               errorMessage:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *                 description: JWT (RS256) signed by the central bank over transactionId, status and errorCode
+ *     responses:
+ *       200:
+ *         description: Confirmation applied or already applied
+ *       400:
+ *         description: Validation error or invalid signature
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Confirmation contradicts the transaction's final status
+ */
+router.post(
+  '/status',
+  [
+    body('transactionId').notEmpty().withMessage('Transaction ID is required'),
+    body('status')
+      .isIn(['COMPLETED', 'FAILED'])
+      .withMessage('Status must be one of: COMPLETED, FAILED'),
+    body('errorCode').optional().isString(),
+    body('errorMessage').optional().isString(),
+    body('signature').notEmpty().withMessage('Signature is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array(),
+            transactionId: req.body.transactionId,
+          },
+        });
+      }
+
+      const { transactionId, status, errorCode = null, errorMessage = null, signature } = req.body;
+
+      await verifyConfirmation({ transactionId, status, errorCode, signature });
+      const { transaction, changed } = await applyConfirmation({ transactionId, status, errorCode, errorMessage });
+
+      res.status(200).json({
+        message: changed ? 'Transaction status updated' : 'Transaction status already applied',
+        transactionId,
+        status: transaction.status,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/scheduled:
+ *   get:
+ *     summary: List the authenticated user's scheduled transfers
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduled transfers, soonest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/scheduled', authenticate, async (req, res, next) => {
+  try {
+    const transactions = await Transaction.find({
+      initiatedBy: req.user._id,
+      status: 'SCHEDULED',
+    }).sort({ executeAt: 1 });
+
+    res.status(200).json({
+      transactions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to find a scheduled transfer of the user that can still be changed
+// Sends the error response and returns null otherwise
+const findEditableScheduledTransfer = async (req, res) => {
+  const transaction = await Transaction.findOne({
+    transactionId: req.params.transactionId,
+    initiatedBy: req.user._id,
+  });
+  if (!transaction) {
+    res.status(404).json({
+      error: {
+        code: 'TRANSACTION_NOT_FOUND',
+        message: 'Transaction not found',
+      },
+    });
+    return null;
+  }
+
+  if (transaction.status !== 'SCHEDULED') {
+    res.status(409).json({
+      error: {
+        code: 'TRANSACTION_NOT_SCHEDULED',
+        message: `Transaction is ${transaction.status} and can no longer be changed`,
+        transactionId: transaction.transactionId,
+      },
+    });
+    return null;
+  }
+
+  return transaction;
+};
+
+/**
+ * @swagger
+ * /api/v1/transactions/scheduled/{transactionId}:
+ *   patch:
+ *     summary: Change a scheduled transfer before it runs
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 maximum: 1000000
+ *               description:
+ *                 type: string
+ *               executeAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer updated successfully
+ *       400:
+ *         description: Validation error, or the new amount exceeds a per-transaction limit (LIMIT_EXCEEDED)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction is no longer scheduled
+ */
+router.patch(
+  '/scheduled/:transactionId',
+  authenticate,
+  [
+    param('transactionId').notEmpty(),
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01, max: 1000000 })
+      .withMessage('Amount must be between 0.01 and 1,000,000')
+      .toFloat(),
+    body('description').optional().isString().trim(),
+    body('executeAt')
+      .optional()
+      .isISO8601()
+      .withMessage('executeAt must be an ISO 8601 date')
+      .bail()
+      .custom((value) => new Date(value) > new Date())
+      .withMessage('executeAt must be in the future'),
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const scheduled = await findEditableScheduledTransfer(req, res);
+      if (!scheduled) {
+        return;
+      }
+
+      const changes = {};
+      ['amount', 'description', 'executeAt'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      });
+
+      // A new amount is checked against the per-transaction limits, as when the transfer was scheduled
+      if (changes.amount !== undefined) {
+        const senderAccount = await Account.findOne({ accountNumber: scheduled.fromAccount });
+        if (senderAccount) {
+          await checkTransferLimits({ account: senderAccount, amount: changes.amount });
+        }
+      }
+
+      // Conditional on SCHEDULED, in case the scheduler picked it up in the meantime
+      const transaction = await updateScheduledTransfer(req.params.transactionId, changes);
+      if (!transaction) {
+        return res.status(409).json({
+          error: {
+            code: 'TRANSACTION_NOT_SCHEDULED',
+            message: 'Transaction can no longer be changed',
+            transactionId: req.params.transactionId,
+          },
+        });
+      }
+
+      res.status(200).json({
+        message: 'Scheduled transaction updated successfully',
+        transaction,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/scheduled/{transactionId}:
+ *   delete:
+ *     summary: Cancel a scheduled transfer before it runs
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer cancelled (status CANCELLED)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction is no longer scheduled
+ */
+router.delete('/scheduled/:transactionId', authenticate, async (req, res, next) => {
+  try {
+    if (!(await findEditableScheduledTransfer(req, res))) {
+      return;
+    }
+
+    const transaction = await updateScheduledTransfer(req.params.transactionId, { status: 'CANCELLED' });
+    if (!transaction) {
+      return res.status(409).json({
+        error: {
+          code: 'TRANSACTION_NOT_SCHEDULED',
+          message: 'Transaction can no longer be cancelled',
+          transactionId: req.params.transactionId,
+        },
+      });
+    }
+
+    res.status(200).json({
+      message: 'Scheduled transaction cancelled successfully',
+      transaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/v1/transactions/{transactionId}:
@@ -637,36 +1038,126 @@ router.get('/:transactionId', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     HistoryFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Only transactions created at or after this time
+ *     HistoryTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Only transactions created at or before this time
+ *     HistoryStatus:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *       description: Comma separated statuses, e.g. COMPLETED,PENDING
+ *     HistoryDirection:
+ *       in: query
+ *       name: direction
+ *       schema:
+ *         type: string
+ *         enum: [in, out]
+ *       description: Incoming or outgoing transactions only
+ *     HistoryMinAmount:
+ *       in: query
+ *       name: minAmount
+ *       schema:
+ *         type: number
+ *     HistoryMaxAmount:
+ *       in: query
+ *       name: maxAmount
+ *       schema:
+ *         type: number
+ *     HistoryCounterparty:
+ *       in: query
+ *       name: counterparty
+ *       schema:
+ *         type: string
+ *       description: Account number on the other side of the transaction
+ *     HistoryQ:
+ *       in: query
+ *       name: q
+ *       schema:
+ *         type: string
+ *       description: Text contained in the description (case-insensitive)
+ *     HistoryCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: nextCursor of the previous page (use the same filters and sort)
+ *     HistoryLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 200
+ *         default: 50
+ *     HistorySort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [-createdAt, createdAt, -amount, amount]
+ *         default: -createdAt
+ */
+
 /**
  * @swagger
  * /api/v1/transactions:
  *   get:
- *     summary: Get all transactions for the authenticated user
+ *     summary: Get the transaction history of all the authenticated user's accounts
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/HistoryFrom'
+ *       - $ref: '#/components/parameters/HistoryTo'
+ *       - $ref: '#/components/parameters/HistoryStatus'
+ *       - $ref: '#/components/parameters/HistoryDirection'
+ *       - $ref: '#/components/parameters/HistoryMinAmount'
+ *       - $ref: '#/components/parameters/HistoryMaxAmount'
+ *       - $ref: '#/components/parameters/HistoryCounterparty'
+ *       - $ref: '#/components/parameters/HistoryQ'
+ *       - $ref: '#/components/parameters/HistoryCursor'
+ *       - $ref: '#/components/parameters/HistoryLimit'
+ *       - $ref: '#/components/parameters/HistorySort'
  *     responses:
  *       200:
- *         description: List of transactions retrieved successfully
+ *         description: One page of transactions and the pagination cursor
+ *       400:
+ *         description: Validation error or invalid cursor
  *       401:
  *         description: Unauthorized
  */
-router.get('/', authenticate, async (req, res, next) => {
+router.get('/', authenticate, validateHistoryQuery, async (req, res, next) => {
   try {
     // Get all user accounts
     const userAccounts = await Account.find({ user: req.user._id }).select('accountNumber');
     const userAccountNumbers = userAccounts.map(account => account.accountNumber);
-    
-    // Find all transactions involving user accounts
-    const transactions = await Transaction.find({
-      $or: [
-        { fromAccount: { $in: userAccountNumbers } },
-        { toAccount: { $in: userAccountNumbers } },
-      ],
-    }).sort({ createdAt: -1 });
+
+    // Find transactions involving user accounts, one page at a time
+    const { transactions, pagination } = await findTransactionHistory(
+      userAccountNumbers,
+      req.history.filters,
+      req.history.page
+    );
 
     res.status(200).json({
       transactions,
+      pagination,
     });
   } catch (error) {
     next(error);
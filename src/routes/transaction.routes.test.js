@@ -0,0 +1,91 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { _id: mockUserId };
+    next();
+  },
+}));
+jest.mock('../middleware/rateLimit.middleware', () => ({
+  limitIncomingByIp: (req, res, next) => next(),
+  limitIncomingBank: async () => true,
+  limitTransfersByUser: (req, res, next) => next(),
+}));
+jest.mock('../services/transfer.service', () => ({
+  updateScheduledTransfer: jest.fn(),
+}));
+jest.mock('../services/limit.service', () => ({
+  checkTransferLimits: jest.fn(),
+}));
+
+const Account = require('../models/account.model');
+const Transaction = require('../models/transaction.model');
+const ApiError = require('../utils/apiError');
+const { updateScheduledTransfer } = require('../services/transfer.service');
+const { checkTransferLimits } = require('../services/limit.service');
+const transactionRoutes = require('./transaction.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/transactions', transactionRoutes);
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({ error: { code: err.code, message: err.message, details: err.details } });
+});
+
+describe('PATCH /api/v1/transactions/scheduled/:transactionId', () => {
+  const senderAccount = { accountNumber: 'OVE-11111111', user: mockUserId, currency: 'EUR' };
+
+  beforeEach(() => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue({
+      transactionId: 'tx-1',
+      status: 'SCHEDULED',
+      fromAccount: 'OVE-11111111',
+      amount: 100,
+    });
+    jest.spyOn(Account, 'findOne').mockResolvedValue(senderAccount);
+    updateScheduledTransfer.mockImplementation(async (transactionId, changes) => ({ transactionId, status: 'SCHEDULED', ...changes }));
+    checkTransferLimits.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('checks a new amount against the per-transaction limits', async () => {
+    const response = await request(app)
+      .patch('/api/v1/transactions/scheduled/tx-1')
+      .send({ amount: 250 })
+      .expect(200);
+
+    expect(checkTransferLimits).toHaveBeenCalledWith({ account: senderAccount, amount: 250 });
+    expect(Account.findOne).toHaveBeenCalledWith({ accountNumber: 'OVE-11111111' });
+    expect(response.body.transaction).toMatchObject({ transactionId: 'tx-1', amount: 250 });
+  });
+
+  it('refuses an amount over a limit without changing the transfer', async () => {
+    checkTransferLimits.mockRejectedValue(new ApiError(400, 'LIMIT_EXCEEDED', 'Amount exceeds the per-transaction limit of 200 EUR across your accounts'));
+
+    const response = await request(app)
+      .patch('/api/v1/transactions/scheduled/tx-1')
+      .send({ amount: 250 })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('LIMIT_EXCEEDED');
+    expect(updateScheduledTransfer).not.toHaveBeenCalled();
+  });
+
+  it('leaves the limits alone when the amount does not change', async () => {
+    await request(app)
+      .patch('/api/v1/transactions/scheduled/tx-1')
+      .send({ description: 'Rent' })
+      .expect(200);
+
+    expect(checkTransferLimits).not.toHaveBeenCalled();
+    expect(updateScheduledTransfer).toHaveBeenCalledWith('tx-1', { description: 'Rent' });
+  });
+});
@@ -339,4 +339,85 @@ router.put(
   }
 );
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/v1/users/{userId}/tier:
+ *   put:
+ *     summary: Update user pricing tier (admin only)
+ *     description: The tier selects which fee rules apply to the user's transfers
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tier
+ *             properties:
+ *               tier:
+ *                 type: string
+ *                 enum: [standard, premium]
+ *     responses:
+ *       200:
+ *         description: User tier updated successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  '/:userId/tier',
+  authenticate,
+  isAdmin,
+  [
+    body('tier').isIn(['standard', 'premium']).withMessage('Tier must be one of: standard, premium'),
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          error: {
+            code: 'USER_NOT_FOUND',
+            message: 'User not found',
+          },
+        });
+      }
+
+      user.tier = req.body.tier;
+      await user.save();
+
+      res.status(200).json({
+        message: 'User tier updated successfully',
+        user: user.toJSON(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const centralBank = require('./centralBank.service');
+
+/**
+ * Bank keys service
+ * Resolves the public keys other banks sign their transactions with.
+ * A bank's JWKS is fetched from the JWKS URL registered with the central bank registry
+ * (falling back to the registry's PEM public key endpoint) and cached by `kid`.
+ * An unknown `kid` triggers one refresh, so banks can rotate keys at any time.
+ * When the registry cannot be reached, recently cached keys keep being used.
+ */
+
+const config = () => ({
+  ttlMs: (parseInt(process.env.BANK_KEYS_CACHE_TTL_SECONDS, 10) || 3600) * 1000,
+  staleTtlMs: (parseInt(process.env.BANK_KEYS_STALE_TTL_SECONDS, 10) || 86400) * 1000,
+  minRefreshIntervalMs: (parseInt(process.env.BANK_KEYS_MIN_REFRESH_SECONDS, 10) || 30) * 1000,
+  requestTimeoutMs: parseInt(process.env.BANK_KEYS_TIMEOUT_MS, 10) || 5000,
+});
+
+// bankPrefix -> { keys: Map<kid, KeyObject>, unnamedKeys: KeyObject[], fetchedAt, refreshedAt }
+const cache = new Map();
+// bankPrefix -> in-flight refresh promise, so concurrent requests share one fetch
+const refreshes = new Map();
+
+// Helper function to fetch JSON from another bank's JWKS URL with a timeout
+const fetchJson = async (url) => {
+  const response = await fetch(url, { timeout: config().requestTimeoutMs });
+  if (!response.ok) {
+    const error = new Error(`Request to ${url} failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+};
+
+// Helper function to convert a JWKS into a cache entry
+const entryFromJwks = (jwks) => {
+  const keys = new Map();
+  const unnamedKeys = [];
+  (jwks.keys || [])
+    .filter((jwk) => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+    .forEach((jwk) => {
+      const keyObject = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      if (jwk.kid) {
+        keys.set(jwk.kid, keyObject);
+      } else {
+        unnamedKeys.push(keyObject);
+      }
+    });
+  return { keys, unnamedKeys };
+};
+
+// Fetch the current keys of a bank from its registered JWKS URL, or the registry's PEM key endpoint
+const fetchBankKeys = async (bankPrefix) => {
+  const { requestTimeoutMs } = config();
+  const registryPath = `/api/v1/banks/${encodeURIComponent(bankPrefix)}`;
+
+  let jwksUrl = null;
+  try {
+    const { data } = await centralBank.request('GET', registryPath, { timeoutMs: requestTimeoutMs });
+    jwksUrl = (data && data.jwksUrl) || null;
+  } catch (error) {
+    // Registries without bank details (404) fall back to the PEM endpoint below
+    if (error.upstreamStatus !== 404) {
+      throw error;
+    }
+  }
+
+  if (jwksUrl) {
+    return entryFromJwks(await fetchJson(jwksUrl));
+  }
+
+  const { data } = await centralBank.request('GET', `${registryPath}/publicKey`, { timeoutMs: requestTimeoutMs });
+  if (!data || typeof data.publicKey !== 'string') {
+    throw new Error(`Central bank returned no public key for bank ${bankPrefix}`);
+  }
+  return { keys: new Map(), unnamedKeys: [crypto.createPublicKey(data.publicKey)] };
+};
+
+// Refresh the cached keys of a bank, sharing one fetch between concurrent callers
+const refresh = (bankPrefix) => {
+  if (!refreshes.has(bankPrefix)) {
+    const cached = cache.get(bankPrefix);
+    if (cached) {
+      cached.refreshedAt = Date.now();
+    }
+
+    const promise = fetchBankKeys(bankPrefix)
+      .then((entry) => {
+        const now = Date.now();
+        const fresh = { ...entry, fetchedAt: now, refreshedAt: now };
+        cache.set(bankPrefix, fresh);
+        return fresh;
+      })
+      .finally(() => refreshes.delete(bankPrefix));
+    refreshes.set(bankPrefix, promise);
+  }
+  return refreshes.get(bankPrefix);
+};
+
+// Helper function to pick the candidate keys for a kid from a cache entry
+const selectKeys = (entry, kid) => {
+  if (kid && entry.keys.has(kid)) {
+    return [entry.keys.get(kid)];
+  }
+  if (kid) {
+    return entry.unnamedKeys;
+  }
+  return [...entry.keys.values(), ...entry.unnamedKeys];
+};
+
+/**
+ * Resolve the public keys that may have produced a signature of the given bank.
+ * Returns the key for `kid` when it is known, otherwise every key without a kid
+ * (or every key of the bank when the signature carries no kid).
+ */
+const resolveBankKeys = async (bankPrefix, kid) => {
+  const { ttlMs, staleTtlMs, minRefreshIntervalMs } = config();
+  const now = Date.now();
+  let entry = cache.get(bankPrefix);
+
+  const expired = !entry || now - entry.fetchedAt >= ttlMs;
+  const unknownKid = entry && kid && !entry.keys.has(kid);
+  // Refreshes are throttled so unknown kids or an unreachable registry cannot cause a fetch per request
+  const refreshAllowed = !entry || now - entry.refreshedAt >= minRefreshIntervalMs;
+
+  if ((expired || unknownKid) && refreshAllowed) {
+    try {
+      entry = await refresh(bankPrefix);
+    } catch (error) {
+      if (!entry) {
+        throw error;
+      }
+      console.warn(`Using cached keys for bank ${bankPrefix}, key registry unavailable: ${error.message}`);
+    }
+  }
+
+  if (now - entry.fetchedAt >= staleTtlMs) {
+    throw new Error(`Cached keys for bank ${bankPrefix} are too old to be used`);
+  }
+
+  return selectKeys(entry, kid);
+};
+
+// Drop cached keys (all banks, or one bank)
+const clearBankKeys = (bankPrefix) => {
+  if (bankPrefix) {
+    cache.delete(bankPrefix);
+  } else {
+    cache.clear();
+  }
+};
+
+module.exports = {
+  resolveBankKeys,
+  clearBankKeys,
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+jest.mock('node-fetch', () => jest.fn());
+jest.mock('./centralBank.service', () => ({
+  request: jest.fn(),
+}));
+
+const fetch = require('node-fetch');
+const centralBank = require('./centralBank.service');
+const { resolveBankKeys, clearBankKeys } = require('./bankKeys.service');
+
+const firstKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey;
+const nextKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey;
+
+// Helper function to build the JWKS of a set of keys by kid
+const jwksOf = (keys) => ({
+  keys: Object.entries(keys).map(([kid, key]) => ({ ...key.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' })),
+});
+
+// Helper function to make the bank's JWKS URL serve these keys
+const jwksServes = (keys) => {
+  fetch.mockResolvedValue({ ok: true, status: 200, json: async () => jwksOf(keys) });
+};
+
+describe('resolveBankKeys', () => {
+  let now;
+
+  beforeEach(() => {
+    clearBankKeys();
+    now = Date.parse('2026-03-15T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    centralBank.request.mockResolvedValue({ data: { bankPrefix: 'ABC', jwksUrl: 'https://abc.example/.well-known/jwks.json' } });
+    jwksServes({ 'key-1': firstKey });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('fetches the JWKS registered for the bank and serves known kids from the cache', async () => {
+    const [key] = await resolveBankKeys('ABC', 'key-1');
+    now += 60 * 1000;
+    const [cached] = await resolveBankKeys('ABC', 'key-1');
+
+    expect(key.equals(firstKey)).toBe(true);
+    expect(cached).toBe(key);
+    expect(centralBank.request).toHaveBeenCalledTimes(1);
+    expect(centralBank.request.mock.calls[0][1]).toBe('/api/v1/banks/ABC');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toBe('https://abc.example/.well-known/jwks.json');
+  });
+
+  it('fetches the JWKS again for an unknown kid, at most once per refresh interval', async () => {
+    await resolveBankKeys('ABC', 'key-1');
+    jwksServes({ 'key-1': firstKey, 'key-2': nextKey });
+
+    // Too soon after the last fetch: an unknown kid has no key
+    now += 5 * 1000;
+    expect(await resolveBankKeys('ABC', 'key-2')).toEqual([]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    now += 30 * 1000;
+    const [key] = await resolveBankKeys('ABC', 'key-2');
+    expect(key.equals(nextKey)).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('fetches the JWKS again once the cache has expired', async () => {
+    await resolveBankKeys('ABC', 'key-1');
+    jwksServes({ 'key-2': nextKey });
+
+    now += 3600 * 1000;
+    expect(await resolveBankKeys('ABC', 'key-1')).toEqual([]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares one fetch between concurrent requests', async () => {
+    const results = await Promise.all([resolveBankKeys('ABC', 'key-1'), resolveBankKeys('ABC', 'key-1')]);
+
+    expect(results[0][0].equals(firstKey)).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps using cached keys while the JWKS cannot be fetched, until they are too old', async () => {
+    await resolveBankKeys('ABC', 'key-1');
+    fetch.mockResolvedValue({ ok: false, status: 503 });
+
+    now += 3600 * 1000;
+    const [key] = await resolveBankKeys('ABC', 'key-1');
+    expect(key.equals(firstKey)).toBe(true);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Using cached keys for bank ABC'));
+
+    now += 86400 * 1000;
+    await expect(resolveBankKeys('ABC', 'key-1')).rejects.toThrow('Cached keys for bank ABC are too old to be used');
+  });
+
+  it('fails without cached keys when the JWKS cannot be fetched', async () => {
+    fetch.mockRejectedValue(new Error('getaddrinfo ENOTFOUND abc.example'));
+
+    await expect(resolveBankKeys('ABC', 'key-1')).rejects.toThrow('ENOTFOUND');
+  });
+
+  it('falls back to the registry public key when the registry has no bank details', async () => {
+    centralBank.request
+      .mockRejectedValueOnce(Object.assign(new Error('Not found'), { upstreamStatus: 404 }))
+      .mockResolvedValueOnce({ data: { publicKey: firstKey.export({ type: 'spki', format: 'pem' }) } });
+
+    const [key] = await resolveBankKeys('ABC', 'key-1');
+
+    expect(key.equals(firstKey)).toBe(true);
+    expect(centralBank.request.mock.calls[1][1]).toBe('/api/v1/banks/ABC/publicKey');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
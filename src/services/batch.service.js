@@ -0,0 +1,310 @@
+const Account = require('../models/account.model');
+const PaymentBatch = require('../models/paymentBatch.model');
+const Transaction = require('../models/transaction.model');
+const User = require('../models/user.model');
+const { scheduleTransfer } = require('./transfer.service');
+const { transferTypeOf, findFeeRule, calculateFee } = require('./fee.service');
+const { executeScheduledTransfer } = require('./scheduler.service');
+
+/**
+ * Batch payment service
+ * Runs bulk payments from one source account. A batch is validated as a whole before it is accepted
+ * (every line, and the total with its fees against the balance); its payments are then run one by one in the
+ * background. Each payment becomes an ordinary transaction (linked by `batchId` and `batchLine`) that
+ * goes through the scheduled transfer path, so a failed payment is recorded on its line and never
+ * rolls back the others. A payment that already has a transaction is never run twice, even if the
+ * process stops halfway through a batch.
+ */
+
+const config = () => ({
+  pollIntervalMs: parseInt(process.env.BATCH_POLL_INTERVAL_MS, 10) || 5000,
+  maxPayments: parseInt(process.env.BATCH_MAX_PAYMENTS, 10) || 1000,
+  lockMs: 5 * 60 * 1000,
+});
+
+let timer = null;
+let running = false;
+
+/**
+ * Maximum number of payments in one batch (BATCH_MAX_PAYMENTS).
+ */
+const getMaxBatchPayments = () => config().maxPayments;
+
+// Helper function to add amounts without accumulating floating point noise
+const sumAmounts = (amounts) => Math.round(amounts.reduce((total, amount) => total + amount * 100, 0)) / 100;
+
+// Helper function to map a transaction status to the status of its batch line
+const itemStatusOf = (transaction) => {
+  if (transaction.status === 'COMPLETED') {
+    return 'COMPLETED';
+  }
+  if (transaction.status === 'PENDING' || transaction.status === 'IN_PROGRESS') {
+    return 'SUBMITTED';
+  }
+  return 'FAILED';
+};
+
+// Helper function to get the fee transfer type of a batch line
+const itemTransferType = (item) => transferTypeOf({ isInternal: item.isInternal, isConversion: Boolean(item.creditedCurrency) });
+
+// Helper function to add up the fees the payments of a batch will be charged (each when it runs)
+const totalFeesOf = async (senderAccount, items) => {
+  const owner = await User.findById(senderAccount.user).select('tier');
+  const rules = {};
+  for (const transferType of new Set(items.map(itemTransferType))) {
+    rules[transferType] = await findFeeRule({
+      transferType,
+      accountType: senderAccount.accountType,
+      currency: senderAccount.currency,
+      userTier: (owner && owner.tier) || 'standard',
+    });
+  }
+
+  return sumAmounts(items.map((item) => (
+    calculateFee(rules[itemTransferType(item)], item.amount)
+  )));
+};
+
+/**
+ * Check the payments of a batch against the source account: amounts are in the account's currency
+ * and recipients in this bank must exist. A recipient in this bank that uses another currency gets
+ * `creditedCurrency` and is paid the converted amount when the payment runs. Lines are numbered
+ * 1, 2, ... in order, or by `lineNumbers` (e.g. the lines of a CSV file the payments were read
+ * from), which must be unique.
+ * Returns the batch items, their total, the fees they will be charged and a list of
+ * `{ line, code, message }` errors (empty if the batch can be accepted).
+ */
+const validateBatch = async (senderAccount, payments, lineNumbers = null) => {
+  const errors = [];
+  const items = payments.map((payment, index) => {
+    const toBank = payment.toBank || process.env.BANK_PREFIX;
+    return {
+      line: lineNumbers ? lineNumbers[index] : index + 1,
+      toAccount: payment.toAccount,
+      toBank,
+      isInternal: toBank === process.env.BANK_PREFIX,
+      amount: payment.amount,
+      creditedCurrency: null,
+      description: payment.description || '',
+      currency: payment.currency,
+    };
+  });
+
+  const internalAccounts = items.filter((item) => item.isInternal).map((item) => item.toAccount);
+  const recipients = new Map(
+    (await Account.find({ accountNumber: { $in: internalAccounts } }).select('accountNumber currency'))
+      .map((account) => [account.accountNumber, account])
+  );
+
+  items.forEach((item) => {
+    const recipient = recipients.get(item.toAccount);
+    if (item.currency && item.currency !== senderAccount.currency) {
+      errors.push({ line: item.line, code: 'CURRENCY_MISMATCH', message: 'Payment currency must match account currency' });
+    } else if (item.isInternal && item.toAccount === senderAccount.accountNumber) {
+      errors.push({ line: item.line, code: 'INVALID_DESTINATION', message: 'Cannot pay the source account itself' });
+    } else if (item.isInternal && !recipient) {
+      errors.push({ line: item.line, code: 'ACCOUNT_NOT_FOUND', message: 'Recipient account not found' });
+    } else if (item.isInternal && recipient.currency !== senderAccount.currency) {
+      item.creditedCurrency = recipient.currency;
+    }
+    delete item.currency;
+  });
+
+  return {
+    items,
+    totalAmount: sumAmounts(items.map((item) => item.amount)),
+    totalFees: errors.length ? 0 : await totalFeesOf(senderAccount, items),
+    errors,
+  };
+};
+
+/**
+ * Store a validated batch and start running it.
+ */
+const createBatch = async ({ user, senderAccount, items, totalAmount, format }) => {
+  const batch = await PaymentBatch.create({
+    user,
+    fromAccount: senderAccount.accountNumber,
+    currency: senderAccount.currency,
+    format,
+    totalAmount,
+    items,
+  });
+  processBatchesSoon();
+  return batch;
+};
+
+// Create (or find) the transaction of one batch line and execute it
+const runItem = async (batch, item) => {
+  // A transaction left from an interrupted run is reused, so the line is paid at most once
+  let transaction = await Transaction.findOne({ batchId: batch.batchId, batchLine: item.line });
+
+  if (!transaction) {
+    transaction = await scheduleTransfer(new Transaction({
+      fromAccount: batch.fromAccount,
+      toAccount: item.toAccount,
+      fromBank: process.env.BANK_PREFIX,
+      toBank: item.isInternal ? process.env.BANK_PREFIX : item.toBank,
+      amount: item.amount,
+      currency: batch.currency,
+      creditedCurrency: item.creditedCurrency || null,
+      description: item.description,
+      isInternal: item.isInternal,
+      executeAt: new Date(),
+      initiatedBy: batch.user,
+      batchId: batch.batchId,
+      batchLine: item.line,
+    }));
+  }
+
+  if (transaction.status === 'SCHEDULED') {
+    // Null if the transfer scheduler executed it first; read back what it did
+    transaction = (await executeScheduledTransfer(transaction))
+      || (await Transaction.findOne({ transactionId: transaction.transactionId }));
+  }
+  if (transaction.status === 'SCHEDULED') {
+    throw new Error(`Transaction ${transaction.transactionId} is still scheduled`);
+  }
+  return transaction;
+};
+
+/**
+ * Run the pending payments of a claimed batch, recording each outcome on its line.
+ */
+const processBatch = async (batch) => {
+  for (const item of batch.items.filter((candidate) => candidate.status === 'PENDING')) {
+    const transaction = await runItem(batch, item);
+    await PaymentBatch.updateOne(
+      { batchId: batch.batchId, 'items.line': item.line },
+      {
+        $set: {
+          'items.$.status': itemStatusOf(transaction),
+          'items.$.transactionId': transaction.transactionId,
+          'items.$.errorCode': transaction.errorCode || null,
+          'items.$.errorMessage': transaction.errorMessage || null,
+          // Keep the batch claimed while it makes progress
+          lockedUntil: new Date(Date.now() + config().lockMs),
+        },
+      }
+    );
+  }
+
+  return PaymentBatch.findOneAndUpdate(
+    { batchId: batch.batchId },
+    { $set: { status: 'PROCESSED', processedAt: new Date(), lockedUntil: null } },
+    { new: true }
+  );
+};
+
+// Claim the oldest batch that still has payments to run
+const claimBatch = () => {
+  const now = new Date();
+  return PaymentBatch.findOneAndUpdate(
+    {
+      status: 'PROCESSING',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + config().lockMs) } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+/**
+ * Run every batch that still has pending payments.
+ */
+const runPendingBatches = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    let batch = await claimBatch();
+    while (batch) {
+      try {
+        await processBatch(batch);
+      } catch (error) {
+        // The lock expires and the remaining payments are run then
+        console.error(`Batch ${batch.batchId} processing error:`, error);
+      }
+      batch = await claimBatch();
+    }
+  } catch (error) {
+    console.error('Batch processor error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Run pending batches now instead of waiting for the next poll.
+ */
+const processBatchesSoon = () => {
+  setImmediate(runPendingBatches);
+};
+
+/**
+ * Describe a batch for its owner: every line with the current status of its transaction (payments to
+ * other banks complete or fail when the destination bank confirms them) and a progress summary.
+ */
+const describeBatch = async (batch) => {
+  const transactions = await Transaction.find({ batchId: batch.batchId })
+    .select('transactionId status errorCode errorMessage');
+  const byId = new Map(transactions.map((transaction) => [transaction.transactionId, transaction]));
+
+  const items = batch.items.map((stored) => {
+    const item = stored.toObject();
+    const transaction = item.transactionId && byId.get(item.transactionId);
+    if (transaction) {
+      item.status = itemStatusOf(transaction);
+      item.errorCode = transaction.errorCode || null;
+      item.errorMessage = transaction.errorMessage || null;
+    }
+    return item;
+  });
+
+  const count = (status) => items.filter((item) => item.status === status).length;
+  const summary = {
+    total: items.length,
+    pending: count('PENDING'),
+    submitted: count('SUBMITTED'),
+    completed: count('COMPLETED'),
+    failed: count('FAILED'),
+    completedAmount: sumAmounts(items.filter((item) => item.status === 'COMPLETED').map((item) => item.amount)),
+  };
+
+  return {
+    ...batch.toObject(),
+    items,
+    summary,
+  };
+};
+
+// Start polling for batches with pending payments (e.g. interrupted by a restart)
+const startBatchProcessor = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(runPendingBatches, config().pollIntervalMs);
+  setImmediate(runPendingBatches);
+  console.log('Batch payment processor started');
+};
+
+// Stop polling for batches
+const stopBatchProcessor = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  getMaxBatchPayments,
+  validateBatch,
+  createBatch,
+  processBatch,
+  runPendingBatches,
+  processBatchesSoon,
+  describeBatch,
+  startBatchProcessor,
+  stopBatchProcessor,
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Account = require('../models/account.model');
+const FeeRule = require('../models/feeRule.model');
+const User = require('../models/user.model');
+const { validateBatch } = require('./batch.service');
+
+const sender = {
+  accountNumber: 'OVE-11111111',
+  accountType: 'business',
+  currency: 'EUR',
+  user: new mongoose.Types.ObjectId(),
+};
+
+// Helper function to make Account.find(...).select(...) return these recipients
+const recipientsAre = (accounts) => {
+  jest.spyOn(Account, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(accounts) });
+};
+
+describe('validateBatch', () => {
+  beforeEach(() => {
+    process.env.BANK_PREFIX = 'OVE';
+    recipientsAre([{ accountNumber: 'OVE-22222222', currency: 'EUR' }, { accountNumber: 'OVE-33333333', currency: 'USD' }]);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ tier: 'standard' }) });
+    jest.spyOn(FeeRule, 'find').mockImplementation(async ({ transferType }) => (transferType === 'EXTERNAL'
+      ? [{ transferType, fixedAmount: 1, percentage: 0.1, minFee: 0, maxFee: null, createdAt: new Date() }]
+      : []));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('numbers lines by their position, whatever the body says', async () => {
+    const { items, errors } = await validateBatch(sender, [
+      { line: 7, toAccount: 'OVE-22222222', amount: 10 },
+      { line: 7, toAccount: 'ABC-12345678', toBank: 'ABC', amount: 20 },
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(items.map((item) => item.line)).toEqual([1, 2]);
+    expect(items.map((item) => item.isInternal)).toEqual([true, false]);
+  });
+
+  it('numbers lines by the given line numbers (CSV uploads)', async () => {
+    const { items } = await validateBatch(sender, [
+      { toAccount: 'OVE-22222222', amount: 10 },
+      { toAccount: 'OVE-22222222', amount: 20 },
+    ], [2, 4]);
+
+    expect(items.map((item) => item.line)).toEqual([2, 4]);
+  });
+
+  it('reports every invalid line', async () => {
+    const { errors, totalFees } = await validateBatch(sender, [
+      { toAccount: 'OVE-22222222', amount: 10, currency: 'USD' },
+      { toAccount: 'OVE-11111111', amount: 10 },
+      { toAccount: 'OVE-99999999', amount: 10 },
+      { toAccount: 'OVE-22222222', amount: 10 },
+    ]);
+
+    expect(errors).toEqual([
+      { line: 1, code: 'CURRENCY_MISMATCH', message: 'Payment currency must match account currency' },
+      { line: 2, code: 'INVALID_DESTINATION', message: 'Cannot pay the source account itself' },
+      { line: 3, code: 'ACCOUNT_NOT_FOUND', message: 'Recipient account not found' },
+    ]);
+    expect(totalFees).toBe(0);
+  });
+
+  it('converts payments to recipients in this bank that use another currency', async () => {
+    FeeRule.find.mockImplementation(async ({ transferType }) => (transferType === 'FX'
+      ? [{ transferType, fixedAmount: 0, percentage: 1, minFee: 0, maxFee: null, createdAt: new Date() }]
+      : []));
+
+    const { items, errors, totalFees } = await validateBatch(sender, [
+      { toAccount: 'OVE-22222222', amount: 10 },
+      { toAccount: 'OVE-33333333', amount: 50, currency: 'EUR' },
+      { toAccount: 'ABC-12345678', toBank: 'ABC', amount: 20 },
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(items.map((item) => item.creditedCurrency)).toEqual([null, 'USD', null]);
+    // Only the conversion pays the FX fee of 1%
+    expect(totalFees).toBe(0.5);
+  });
+
+  it('adds up the total and the fees each payment will be charged', async () => {
+    const { totalAmount, totalFees } = await validateBatch(sender, [
+      { toAccount: 'OVE-22222222', amount: 0.1 },
+      { toAccount: 'ABC-12345678', toBank: 'ABC', amount: 0.2 },
+      { toAccount: 'ABC-87654321', toBank: 'ABC', amount: 1000 },
+    ]);
+
+    expect(totalAmount).toBe(1000.3);
+    // Internal transfers are free; external ones cost 1 + 0.1%
+    expect(totalFees).toBe(3);
+    expect(FeeRule.find).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const ApiError = require('../utils/apiError');
+const { signWithActiveKey } = require('./keyring.service');
+
+/**
+ * Central bank client
+ * The single way this bank talks to the central bank. Every call:
+ * - has a timeout (CENTRAL_BANK_TIMEOUT_MS, or per call)
+ * - carries our bank prefix, the API key issued at registration and a signature of the request
+ * - goes through a circuit breaker: after CENTRAL_BANK_BREAKER_THRESHOLD consecutive failures
+ *   (network errors, timeouts, 5xx, 408, 429) calls fail fast with BANK_UNAVAILABLE for
+ *   CENTRAL_BANK_BREAKER_RESET_MS, then a single trial call decides whether to close it again
+ * Error bodies are parsed defensively; the central bank does not always answer with JSON.
+ * Failures are thrown as ApiError with `upstreamStatus` (the central bank's HTTP status, if any)
+ * and `retryable` (whether the same call may succeed later).
+ */
+
+const config = () => ({
+  baseUrl: (process.env.CENTRAL_BANK_URL || '').replace(/\/$/, ''), // Remove trailing slash if present
+  timeoutMs: parseInt(process.env.CENTRAL_BANK_TIMEOUT_MS, 10) || 10000,
+  failureThreshold: parseInt(process.env.CENTRAL_BANK_BREAKER_THRESHOLD, 10) || 5,
+  resetTimeoutMs: parseInt(process.env.CENTRAL_BANK_BREAKER_RESET_MS, 10) || 30000,
+});
+
+// API key issued by the central bank at registration (see registration.service)
+let apiKey = null;
+
+const breaker = {
+  state: 'CLOSED', // CLOSED -> OPEN -> HALF_OPEN -> CLOSED (or back to OPEN)
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInFlight: false,
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastFailureReason: null,
+};
+
+// Helper function to tell whether a failed response means the central bank is unhealthy
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+// Helper function to record a call that reached a healthy central bank
+const recordSuccess = () => {
+  breaker.state = 'CLOSED';
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.lastSuccessAt = new Date();
+};
+
+// Helper function to record a failed call, opening the circuit when there are too many
+const recordFailure = (reason) => {
+  breaker.consecutiveFailures += 1;
+  breaker.lastFailureAt = new Date();
+  breaker.lastFailureReason = reason;
+
+  if (breaker.state === 'HALF_OPEN' || breaker.consecutiveFailures >= config().failureThreshold) {
+    if (breaker.state !== 'OPEN') {
+      console.error(`Central bank circuit opened after ${breaker.consecutiveFailures} consecutive failures: ${reason}`);
+    }
+    breaker.state = 'OPEN';
+    breaker.openedAt = new Date();
+  }
+};
+
+// Helper function to compute when an open circuit lets a trial call through
+const retryAt = () => (
+  breaker.openedAt ? new Date(breaker.openedAt.getTime() + config().resetTimeoutMs) : null
+);
+
+// Let a call through, or fail fast while the circuit is open
+const acquire = () => {
+  if (breaker.state === 'OPEN' && Date.now() >= retryAt().getTime()) {
+    breaker.state = 'HALF_OPEN';
+  }
+
+  if (breaker.state === 'OPEN' || (breaker.state === 'HALF_OPEN' && breaker.trialInFlight)) {
+    throw new ApiError(503, 'BANK_UNAVAILABLE', 'Central bank is temporarily unavailable', {
+      retryable: true,
+      circuitOpen: true,
+      retryAt: retryAt(),
+    });
+  }
+
+  const trial = breaker.state === 'HALF_OPEN';
+  if (trial) {
+    breaker.trialInFlight = true;
+  }
+  return () => {
+    if (trial) {
+      breaker.trialInFlight = false;
+    }
+  };
+};
+
+// Helper function to parse a response body that may or may not be JSON
+const parseBody = (text) => {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+// Helper function to turn a failed response into an ApiError, whatever the body looks like
+const responseError = (status, data) => {
+  const error = data && typeof data === 'object' ? data.error : null;
+  const code = error && typeof error === 'object' && typeof error.code === 'string'
+    ? error.code
+    : 'CENTRAL_BANK_ERROR';
+  let message = `Central bank responded with status ${status}`;
+  if (error && typeof error === 'object' && typeof error.message === 'string') {
+    message = error.message;
+  } else if (typeof error === 'string') {
+    message = error;
+  } else if (data && typeof data === 'object' && typeof data.message === 'string') {
+    message = data.message;
+  }
+
+  return new ApiError(502, code, message, {
+    upstreamStatus: status,
+    retryable: isRetryableStatus(status),
+  });
+};
+
+// Helper function to build the identification, credential and signature headers of a call
+const authHeaders = async (method, path, body) => {
+  const headers = {
+    'X-Bank-Prefix': process.env.BANK_PREFIX,
+  };
+  if (apiKey) {
+    headers['X-API-Key'] = apiKey;
+  }
+
+  // Signed with our active key (published in our JWKS), binding method, path and body
+  headers['X-Request-Signature'] = await signWithActiveKey({
+    bankPrefix: process.env.BANK_PREFIX,
+    method,
+    path,
+    bodySha256: crypto.createHash('sha256').update(body || '').digest('base64url'),
+  }, { jwtid: crypto.randomUUID() });
+  return headers;
+};
+
+/**
+ * Call the central bank. `path` is relative to CENTRAL_BANK_URL.
+ * Options: `body` (sent as JSON), `timeoutMs`, `auth` (send credentials and signature, default true).
+ * Returns `{ status, data }` for 2xx responses; throws ApiError otherwise.
+ */
+const request = async (method, path, { body, timeoutMs, auth = true } = {}) => {
+  const release = acquire();
+  try {
+    const payload = body === undefined ? undefined : JSON.stringify(body);
+    const headers = {
+      Accept: 'application/json',
+      ...(payload !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(auth ? await authHeaders(method, path, payload) : {}),
+    };
+
+    let response;
+    try {
+      response = await fetch(`${config().baseUrl}${path}`, {
+        method,
+        headers,
+        body: payload,
+        timeout: timeoutMs || config().timeoutMs,
+      });
+    } catch (error) {
+      recordFailure(error.message);
+      throw new ApiError(503, 'BANK_UNAVAILABLE', `Central bank is not responding: ${error.message}`, {
+        retryable: true,
+      });
+    }
+
+    let data;
+    try {
+      data = parseBody(await response.text());
+    } catch (error) {
+      // Connection dropped (or timed out) while reading the body
+      recordFailure(error.message);
+      throw new ApiError(503, 'BANK_UNAVAILABLE', `Central bank is not responding: ${error.message}`, {
+        retryable: true,
+      });
+    }
+
+    if (!response.ok) {
+      const error = responseError(response.status, data);
+      // A 4xx answer still means the central bank is up
+      if (error.retryable) {
+        recordFailure(`${response.status} ${error.code}: ${error.message}`);
+      } else {
+        recordSuccess();
+      }
+      throw error;
+    }
+
+    recordSuccess();
+    return { status: response.status, data };
+  } finally {
+    release();
+  }
+};
+
+/**
+ * Use the API key issued by the central bank for subsequent calls (null to stop sending one).
+ */
+const setApiKey = (key) => {
+  apiKey = key || null;
+};
+
+/**
+ * Get the central bank health as seen by this client.
+ */
+const getCentralBankHealth = () => ({
+  state: breaker.state,
+  available: breaker.state !== 'OPEN' || Date.now() >= retryAt().getTime(),
+  consecutiveFailures: breaker.consecutiveFailures,
+  openedAt: breaker.openedAt,
+  retryAt: breaker.state === 'OPEN' ? retryAt() : null,
+  lastSuccessAt: breaker.lastSuccessAt,
+  lastFailureAt: breaker.lastFailureAt,
+  lastFailureReason: breaker.lastFailureReason,
+  authenticated: Boolean(apiKey),
+});
+
+// Whether a call would currently be let through
+const isCentralBankAvailable = () => getCentralBankHealth().available;
+
+module.exports = {
+  request,
+  setApiKey,
+  getCentralBankHealth,
+  isCentralBankAvailable,
+};
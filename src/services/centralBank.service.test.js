@@ -0,0 +1,152 @@
+jest.mock('node-fetch', () => jest.fn());
+jest.mock('./keyring.service', () => ({
+  signWithActiveKey: jest.fn(async () => 'request-signature'),
+}));
+
+// Helper function to build a central bank response
+const response = (status, body = '') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+describe('central bank client', () => {
+  const env = { ...process.env };
+  let fetch;
+  let centralBank;
+
+  beforeEach(() => {
+    // The circuit breaker and the API key live in module state, so every test gets a fresh module
+    jest.resetModules();
+    fetch = require('node-fetch');
+    centralBank = require('./centralBank.service');
+
+    jest.useFakeTimers({ now: new Date('2026-03-15T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    process.env.BANK_PREFIX = 'OVE';
+    process.env.CENTRAL_BANK_URL = 'http://central-bank.test/';
+    process.env.CENTRAL_BANK_BREAKER_THRESHOLD = '3';
+    process.env.CENTRAL_BANK_BREAKER_RESET_MS = '30000';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  // Helper function to make calls fail the way a central bank that is down does
+  const failTimes = async (times) => {
+    fetch.mockRejectedValue(Object.assign(new Error('network timeout at: http://central-bank.test/api/v1/transactions'), { type: 'request-timeout' }));
+    for (let i = 0; i < times; i += 1) {
+      await expect(centralBank.request('POST', '/api/v1/transactions', { body: {} })).rejects.toMatchObject({ code: 'BANK_UNAVAILABLE' });
+    }
+  };
+
+  it('sends JSON with our prefix, API key and request signature, and a timeout', async () => {
+    fetch.mockResolvedValue(response(201, { status: 'accepted' }));
+    centralBank.setApiKey('api-key-1');
+
+    expect(await centralBank.request('POST', '/api/v1/transactions', { body: { amount: 10 }, timeoutMs: 2500 }))
+      .toEqual({ status: 201, data: { status: 'accepted' } });
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('http://central-bank.test/api/v1/transactions');
+    expect(options).toMatchObject({ method: 'POST', body: '{"amount":10}', timeout: 2500 });
+    expect(options.headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'X-Bank-Prefix': 'OVE',
+      'X-API-Key': 'api-key-1',
+      'X-Request-Signature': 'request-signature',
+    });
+  });
+
+  it('maps timeouts and network errors to a retryable BANK_UNAVAILABLE', async () => {
+    fetch.mockRejectedValue(Object.assign(new Error('network timeout at: http://central-bank.test/api/v1/banks'), { type: 'request-timeout' }));
+
+    const error = await centralBank.request('GET', '/api/v1/banks').catch((caught) => caught);
+
+    expect(error).toMatchObject({ statusCode: 503, code: 'BANK_UNAVAILABLE', retryable: true });
+    expect(error.message).toContain('network timeout');
+    expect(error.upstreamStatus).toBeUndefined();
+  });
+
+  it('tells retryable answers apart from rejections, whatever the body looks like', async () => {
+    fetch.mockResolvedValueOnce(response(503, '<html>Service Unavailable</html>'));
+    await expect(centralBank.request('POST', '/api/v1/transactions')).rejects.toMatchObject({
+      statusCode: 502,
+      code: 'CENTRAL_BANK_ERROR',
+      message: 'Central bank responded with status 503',
+      upstreamStatus: 503,
+      retryable: true,
+    });
+
+    fetch.mockResolvedValueOnce(response(429, { error: 'Too many requests' }));
+    await expect(centralBank.request('POST', '/api/v1/transactions')).rejects.toMatchObject({
+      message: 'Too many requests',
+      upstreamStatus: 429,
+      retryable: true,
+    });
+
+    fetch.mockResolvedValueOnce(response(404, { error: { code: 'BANK_NOT_FOUND', message: 'Unknown destination bank' } }));
+    await expect(centralBank.request('POST', '/api/v1/transactions')).rejects.toMatchObject({
+      code: 'BANK_NOT_FOUND',
+      message: 'Unknown destination bank',
+      upstreamStatus: 404,
+      retryable: false,
+    });
+  });
+
+  it('opens the circuit after consecutive failures and fails fast while it is open', async () => {
+    await failTimes(3);
+    fetch.mockClear();
+
+    const error = await centralBank.request('POST', '/api/v1/transactions').catch((caught) => caught);
+
+    expect(error).toMatchObject({ statusCode: 503, code: 'BANK_UNAVAILABLE', retryable: true, circuitOpen: true });
+    expect(error.retryAt).toEqual(new Date('2026-03-15T12:00:30Z'));
+    expect(fetch).not.toHaveBeenCalled();
+    expect(centralBank.getCentralBankHealth()).toMatchObject({ state: 'OPEN', available: false, consecutiveFailures: 3 });
+  });
+
+  it('does not count rejections by a healthy central bank as failures', async () => {
+    await failTimes(2);
+    fetch.mockResolvedValueOnce(response(400, { error: { code: 'VALIDATION_ERROR', message: 'Invalid amount' } }));
+    await expect(centralBank.request('POST', '/api/v1/transactions')).rejects.toMatchObject({ retryable: false });
+    await failTimes(2);
+
+    expect(centralBank.getCentralBankHealth()).toMatchObject({ state: 'CLOSED', consecutiveFailures: 2 });
+  });
+
+  it('lets one trial call through after the reset timeout and closes again when it succeeds', async () => {
+    await failTimes(3);
+    jest.setSystemTime(Date.now() + 30000);
+    expect(centralBank.isCentralBankAvailable()).toBe(true);
+
+    let answer;
+    fetch.mockReset();
+    fetch.mockReturnValueOnce(new Promise((resolve) => { answer = resolve; }));
+    const trial = centralBank.request('POST', '/api/v1/transactions');
+    while (!answer) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    // Only the trial goes through while it is in flight
+    await expect(centralBank.request('POST', '/api/v1/transactions')).rejects.toMatchObject({ circuitOpen: true });
+    answer(response(200, { ok: true }));
+    await expect(trial).resolves.toEqual({ status: 200, data: { ok: true } });
+
+    expect(centralBank.getCentralBankHealth()).toMatchObject({ state: 'CLOSED', consecutiveFailures: 0 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('opens the circuit again when the trial call fails', async () => {
+    await failTimes(3);
+    jest.setSystemTime(Date.now() + 30000);
+
+    await failTimes(1);
+
+    expect(centralBank.getCentralBankHealth()).toMatchObject({ state: 'OPEN', retryAt: new Date('2026-03-15T12:01:00Z') });
+    await expect(centralBank.request('GET', '/api/v1/banks')).rejects.toMatchObject({ circuitOpen: true });
+  });
+});
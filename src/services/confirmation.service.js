@@ -0,0 +1,115 @@
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const Transaction = require('../models/transaction.model');
+const OutboxMessage = require('../models/outboxMessage.model');
+const ApiError = require('../utils/apiError');
+const { completeExternalTransfer, refundExternalTransfer } = require('./transfer.service');
+const centralBank = require('./centralBank.service');
+
+/**
+ * Confirmation service
+ * Applies the destination bank's confirmation or rejection of an outgoing transfer,
+ * forwarded to us by the central bank (SPECIFICATIONS.md, steps 8-10).
+ */
+
+const FINAL_STATUSES = ['COMPLETED', 'FAILED'];
+
+let centralBankPublicKey = null;
+
+// Helper function to get the central bank's public key, from a configured file or from the central bank
+const getCentralBankPublicKey = async () => {
+  if (centralBankPublicKey) {
+    return centralBankPublicKey;
+  }
+
+  const publicKeyPath = process.env.CENTRAL_BANK_PUBLIC_KEY_PATH;
+  if (publicKeyPath) {
+    centralBankPublicKey = fs.readFileSync(publicKeyPath, 'utf8');
+    return centralBankPublicKey;
+  }
+
+  const { data } = await centralBank.request('GET', '/api/v1/keys/public');
+  if (!data || typeof data.publicKey !== 'string') {
+    throw new Error('Central bank returned no public key');
+  }
+
+  centralBankPublicKey = data.publicKey;
+  return centralBankPublicKey;
+};
+
+/**
+ * Verify that a confirmation was signed by the central bank and that the signed claims
+ * match the confirmation body.
+ */
+const verifyConfirmation = async ({ transactionId, status, errorCode = null, signature }) => {
+  let claims;
+  try {
+    const publicKey = await getCentralBankPublicKey();
+    claims = jwt.verify(signature, publicKey, { algorithms: ['RS256'] });
+  } catch (error) {
+    console.error('Error verifying confirmation signature:', error);
+    throw new ApiError(400, 'INVALID_SIGNATURE', 'Confirmation signature validation failed', { transactionId });
+  }
+
+  if (
+    claims.transactionId !== transactionId
+    || claims.status !== status
+    || (claims.errorCode || null) !== errorCode
+  ) {
+    throw new ApiError(400, 'SIGNATURE_PAYLOAD_MISMATCH', 'Signed confirmation does not match the request body', { transactionId });
+  }
+
+  return claims;
+};
+
+/**
+ * Move an outgoing transfer to its final status.
+ * Repeated confirmations with the same outcome are acknowledged without side effects;
+ * a confirmation that contradicts an already final status is rejected with STATUS_CONFLICT.
+ * Returns `{ transaction, changed }`.
+ */
+const applyConfirmation = async ({ transactionId, status, errorCode, errorMessage }) => {
+  const existing = await Transaction.findOne({
+    transactionId,
+    isInternal: false,
+    fromBank: process.env.BANK_PREFIX,
+  });
+  if (!existing) {
+    throw new ApiError(404, 'TRANSACTION_NOT_FOUND', 'Transaction not found', { transactionId });
+  }
+
+  // The central bank evidently received the transfer, even if our outbox has not recorded the delivery yet
+  await OutboxMessage.updateOne(
+    { transactionId, status: 'PENDING' },
+    { $set: { status: 'DELIVERED', deliveredAt: new Date(), lockedUntil: null } }
+  );
+
+  let transaction = null;
+  if (!FINAL_STATUSES.includes(existing.status)) {
+    transaction = status === 'COMPLETED'
+      ? await completeExternalTransfer(transactionId)
+      : await refundExternalTransfer(
+        transactionId,
+        errorCode || 'TRANSACTION_REJECTED',
+        errorMessage || 'Transaction was rejected by the destination bank'
+      );
+  }
+
+  if (transaction) {
+    return { transaction, changed: true };
+  }
+
+  // Already final (possibly by a concurrent confirmation): acknowledge repeats, reject contradictions
+  const current = await Transaction.findOne({ transactionId });
+  if (current.status !== status) {
+    console.error(`Confirmation for transaction ${transactionId} says ${status} but it is already ${current.status}`);
+    throw new ApiError(409, 'STATUS_CONFLICT', `Transaction is already ${current.status}`, { transactionId });
+  }
+
+  return { transaction: current, changed: false };
+};
+
+module.exports = {
+  verifyConfirmation,
+  applyConfirmation,
+};
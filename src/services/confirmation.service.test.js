@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('./transfer.service', () => ({
+  completeExternalTransfer: jest.fn(),
+  refundExternalTransfer: jest.fn(),
+}));
+jest.mock('./centralBank.service', () => ({
+  request: jest.fn(),
+}));
+
+const centralBankKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+// Helper function to build a confirmation body signed by the central bank (or another key)
+const signedConfirmation = (claims, key = centralBankKeys.privateKey) => ({
+  ...claims,
+  signature: jwt.sign(claims, key, { algorithm: 'RS256' }),
+});
+
+describe('confirmation service', () => {
+  let Transaction;
+  let OutboxMessage;
+  let completeExternalTransfer;
+  let refundExternalTransfer;
+  let centralBank;
+  let verifyConfirmation;
+  let applyConfirmation;
+
+  beforeEach(() => {
+    // The central bank's public key is cached in module state, so every test gets a fresh module
+    jest.resetModules();
+    Transaction = require('../models/transaction.model');
+    OutboxMessage = require('../models/outboxMessage.model');
+    ({ completeExternalTransfer, refundExternalTransfer } = require('./transfer.service'));
+    centralBank = require('./centralBank.service');
+    ({ verifyConfirmation, applyConfirmation } = require('./confirmation.service'));
+
+    process.env.BANK_PREFIX = 'OVE';
+    delete process.env.CENTRAL_BANK_PUBLIC_KEY_PATH;
+    centralBank.request.mockResolvedValue({
+      data: { publicKey: centralBankKeys.publicKey.export({ type: 'spki', format: 'pem' }) },
+    });
+    jest.spyOn(OutboxMessage, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verifyConfirmation', () => {
+    it('accepts a confirmation signed by the central bank, fetching its key once', async () => {
+      const body = signedConfirmation({ transactionId: 'tx-1', status: 'COMPLETED' });
+
+      await expect(verifyConfirmation(body)).resolves.toMatchObject({ transactionId: 'tx-1', status: 'COMPLETED' });
+      await expect(verifyConfirmation(body)).resolves.toBeTruthy();
+      expect(centralBank.request).toHaveBeenCalledTimes(1);
+      expect(centralBank.request).toHaveBeenCalledWith('GET', '/api/v1/keys/public');
+    });
+
+    it('rejects a confirmation signed with another key', async () => {
+      const body = signedConfirmation({ transactionId: 'tx-1', status: 'COMPLETED' }, otherKey);
+
+      await expect(verifyConfirmation(body)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_SIGNATURE', transactionId: 'tx-1' });
+    });
+
+    it('rejects a body that differs from the signed claims', async () => {
+      const { signature } = signedConfirmation({ transactionId: 'tx-1', status: 'FAILED', errorCode: 'ACCOUNT_NOT_FOUND' });
+
+      await expect(verifyConfirmation({ transactionId: 'tx-1', status: 'COMPLETED', signature }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'SIGNATURE_PAYLOAD_MISMATCH' });
+      await expect(verifyConfirmation({ transactionId: 'tx-1', status: 'FAILED', signature }))
+        .rejects.toMatchObject({ code: 'SIGNATURE_PAYLOAD_MISMATCH' });
+      await expect(verifyConfirmation({ transactionId: 'tx-1', status: 'FAILED', errorCode: 'ACCOUNT_NOT_FOUND', signature }))
+        .resolves.toBeTruthy();
+    });
+  });
+
+  describe('applyConfirmation', () => {
+    // Helper function to make the outgoing transfer have this status (null: no such transfer)
+    const transferIs = (status) => {
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(status && { transactionId: 'tx-1', status });
+    };
+
+    it('answers 404 for a transaction we did not send', async () => {
+      transferIs(null);
+
+      await expect(applyConfirmation({ transactionId: 'tx-1', status: 'COMPLETED' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'TRANSACTION_NOT_FOUND' });
+      expect(Transaction.findOne).toHaveBeenCalledWith({ transactionId: 'tx-1', isInternal: false, fromBank: 'OVE' });
+    });
+
+    it('completes an in-progress transfer and records the delivery', async () => {
+      transferIs('IN_PROGRESS');
+      completeExternalTransfer.mockResolvedValue({ transactionId: 'tx-1', status: 'COMPLETED' });
+
+      expect(await applyConfirmation({ transactionId: 'tx-1', status: 'COMPLETED' }))
+        .toEqual({ transaction: { transactionId: 'tx-1', status: 'COMPLETED' }, changed: true });
+      expect(completeExternalTransfer).toHaveBeenCalledWith('tx-1');
+      expect(OutboxMessage.updateOne).toHaveBeenCalledWith(
+        { transactionId: 'tx-1', status: 'PENDING' },
+        { $set: expect.objectContaining({ status: 'DELIVERED' }) }
+      );
+    });
+
+    it('refunds the sender of a rejected transfer', async () => {
+      transferIs('IN_PROGRESS');
+      refundExternalTransfer.mockResolvedValue({ transactionId: 'tx-1', status: 'FAILED' });
+
+      await applyConfirmation({ transactionId: 'tx-1', status: 'FAILED', errorCode: 'ACCOUNT_NOT_FOUND', errorMessage: 'No such account' });
+      expect(refundExternalTransfer).toHaveBeenCalledWith('tx-1', 'ACCOUNT_NOT_FOUND', 'No such account');
+
+      await applyConfirmation({ transactionId: 'tx-1', status: 'FAILED' });
+      expect(refundExternalTransfer).toHaveBeenLastCalledWith('tx-1', 'TRANSACTION_REJECTED', 'Transaction was rejected by the destination bank');
+      expect(completeExternalTransfer).not.toHaveBeenCalled();
+    });
+
+    it('acknowledges a replayed callback without moving money again', async () => {
+      transferIs('COMPLETED');
+
+      expect(await applyConfirmation({ transactionId: 'tx-1', status: 'COMPLETED' }))
+        .toEqual({ transaction: { transactionId: 'tx-1', status: 'COMPLETED' }, changed: false });
+      expect(completeExternalTransfer).not.toHaveBeenCalled();
+      expect(refundExternalTransfer).not.toHaveBeenCalled();
+    });
+
+    it('acknowledges a callback that lost the race to a concurrent one', async () => {
+      transferIs('IN_PROGRESS');
+      completeExternalTransfer.mockResolvedValue(null);
+      Transaction.findOne.mockResolvedValueOnce({ transactionId: 'tx-1', status: 'IN_PROGRESS' })
+        .mockResolvedValueOnce({ transactionId: 'tx-1', status: 'COMPLETED' });
+
+      expect(await applyConfirmation({ transactionId: 'tx-1', status: 'COMPLETED' })).toMatchObject({ changed: false });
+    });
+
+    it('rejects a callback that contradicts the final status', async () => {
+      transferIs('COMPLETED');
+
+      await expect(applyConfirmation({ transactionId: 'tx-1', status: 'FAILED' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'STATUS_CONFLICT', message: 'Transaction is already COMPLETED' });
+      expect(refundExternalTransfer).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const FeeRule = require('../models/feeRule.model');
+const User = require('../models/user.model');
+
+/**
+ * Fee service
+ * Prices transfers from the fee schedule (FeeRule). A transfer is INTERNAL, EXTERNAL or FX (between
+ * accounts of this bank in different currencies); the rule used is the active rule for that type
+ * that matches the sender account's type and currency and the account owner's tier, preferring the
+ * most specific rule (and the newest one among equally specific rules). Without a matching rule a
+ * transfer is free. Fees are in the sender account currency; the transfer service debits them as
+ * their own FEE transaction, linked to the transfer, to BANK:FEE_REVENUE.
+ */
+
+const TRANSFER_TYPES = ['INTERNAL', 'EXTERNAL', 'FX'];
+
+// Helper function to round a fee to the cent
+const roundFee = (amount) => Math.round(amount * 100) / 100;
+
+// Helper function to count the criteria a rule narrows down (more criteria = more specific)
+const specificityOf = (rule) => ['accountType', 'currency', 'userTier'].filter((field) => rule[field]).length;
+
+/**
+ * Tell the fee schedule type of a transfer.
+ */
+const transferTypeOf = ({ isInternal, isConversion = false }) => {
+  if (!isInternal) {
+    return 'EXTERNAL';
+  }
+  return isConversion ? 'FX' : 'INTERNAL';
+};
+
+/**
+ * Find the fee rule that applies, or null if the transfer is free.
+ */
+const findFeeRule = async ({ transferType, accountType, currency, userTier }) => {
+  const rules = await FeeRule.find({
+    transferType,
+    isActive: true,
+    accountType: { $in: [null, accountType] },
+    currency: { $in: [null, currency] },
+    userTier: { $in: [null, userTier] },
+  });
+
+  return rules.sort((a, b) => (specificityOf(b) - specificityOf(a)) || (b.createdAt - a.createdAt))[0] || null;
+};
+
+/**
+ * Calculate the fee a rule charges for `amount`.
+ */
+const calculateFee = (rule, amount) => {
+  if (!rule) {
+    return 0;
+  }
+  let fee = rule.fixedAmount + (amount * rule.percentage) / 100;
+  fee = Math.max(fee, rule.minFee || 0);
+  if (rule.maxFee !== null && rule.maxFee !== undefined) {
+    fee = Math.min(fee, rule.maxFee);
+  }
+  return roundFee(fee);
+};
+
+/**
+ * Quote the fee of a transfer of `amount` from `account` (an Account document).
+ * Returns `{ transferType, amount, currency, ruleId, ruleName }`; amount is 0 for free transfers.
+ */
+const quoteFee = async ({ transferType, account, amount }) => {
+  const owner = await User.findById(account.user).select('tier');
+  const rule = await findFeeRule({
+    transferType,
+    accountType: account.accountType,
+    currency: account.currency,
+    userTier: (owner && owner.tier) || 'standard',
+  });
+
+  return {
+    transferType,
+    amount: calculateFee(rule, amount),
+    currency: account.currency,
+    ruleId: rule ? rule.ruleId : null,
+    ruleName: rule ? rule.name : null,
+  };
+};
+
+module.exports = {
+  TRANSFER_TYPES,
+  transferTypeOf,
+  findFeeRule,
+  calculateFee,
+  quoteFee,
+};
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const FeeRule = require('../models/feeRule.model');
+const User = require('../models/user.model');
+const {
+  transferTypeOf,
+  findFeeRule,
+  calculateFee,
+  quoteFee,
+} = require('./fee.service');
+
+// Helper function to build a fee rule
+const rule = (overrides = {}) => ({
+  ruleId: 'rule-1',
+  name: 'Standard',
+  transferType: 'EXTERNAL',
+  accountType: null,
+  currency: null,
+  userTier: null,
+  fixedAmount: 0,
+  percentage: 0,
+  minFee: 0,
+  maxFee: null,
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  ...overrides,
+});
+
+describe('fee service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('transferTypeOf', () => {
+    it('tells external, internal and cross-currency transfers apart', () => {
+      expect(transferTypeOf({ isInternal: false })).toBe('EXTERNAL');
+      expect(transferTypeOf({ isInternal: false, isConversion: true })).toBe('EXTERNAL');
+      expect(transferTypeOf({ isInternal: true })).toBe('INTERNAL');
+      expect(transferTypeOf({ isInternal: true, isConversion: true })).toBe('FX');
+    });
+  });
+
+  describe('calculateFee', () => {
+    it('charges nothing without a rule', () => {
+      expect(calculateFee(null, 500)).toBe(0);
+    });
+
+    it('adds the fixed amount and the percentage, rounded to the cent', () => {
+      expect(calculateFee(rule({ fixedAmount: 0.25, percentage: 0.1 }), 1234.56)).toBe(1.48);
+    });
+
+    it('keeps the fee within the minimum and maximum', () => {
+      const bounded = rule({ percentage: 1, minFee: 0.5, maxFee: 10 });
+
+      expect(calculateFee(bounded, 10)).toBe(0.5);
+      expect(calculateFee(bounded, 500)).toBe(5);
+      expect(calculateFee(bounded, 5000)).toBe(10);
+    });
+  });
+
+  describe('findFeeRule', () => {
+    it('prefers the most specific rule, then the newest', async () => {
+      const generic = rule({ ruleId: 'generic' });
+      const older = rule({ ruleId: 'older', currency: 'EUR', createdAt: new Date('2026-01-01') });
+      const newer = rule({ ruleId: 'newer', userTier: 'premium', createdAt: new Date('2026-02-01') });
+      const specific = rule({ ruleId: 'specific', accountType: 'business', currency: 'EUR' });
+      jest.spyOn(FeeRule, 'find').mockResolvedValueOnce([generic, older, newer, specific]);
+
+      expect((await findFeeRule({ transferType: 'EXTERNAL', accountType: 'business', currency: 'EUR', userTier: 'premium' })).ruleId)
+        .toBe('specific');
+
+      FeeRule.find.mockResolvedValueOnce([generic, older, newer]);
+      expect((await findFeeRule({ transferType: 'EXTERNAL', accountType: 'business', currency: 'EUR', userTier: 'premium' })).ruleId)
+        .toBe('newer');
+    });
+
+    it('only looks at active rules matching the transfer or any value', async () => {
+      jest.spyOn(FeeRule, 'find').mockResolvedValue([]);
+
+      expect(await findFeeRule({ transferType: 'FX', accountType: 'savings', currency: 'GBP', userTier: 'standard' })).toBeNull();
+      expect(FeeRule.find).toHaveBeenCalledWith({
+        transferType: 'FX',
+        isActive: true,
+        accountType: { $in: [null, 'savings'] },
+        currency: { $in: [null, 'GBP'] },
+        userTier: { $in: [null, 'standard'] },
+      });
+    });
+  });
+
+  describe('quoteFee', () => {
+    const account = { user: new mongoose.Types.ObjectId(), accountType: 'checking', currency: 'EUR' };
+
+    it('prices a transfer for the account owner tier', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ tier: 'premium' }) });
+      jest.spyOn(FeeRule, 'find').mockResolvedValue([rule({ ruleId: 'premium', name: 'Premium', fixedAmount: 1 })]);
+
+      expect(await quoteFee({ transferType: 'EXTERNAL', account, amount: 100 })).toEqual({
+        transferType: 'EXTERNAL',
+        amount: 1,
+        currency: 'EUR',
+        ruleId: 'premium',
+        ruleName: 'Premium',
+      });
+      expect(FeeRule.find.mock.calls[0][0].userTier).toEqual({ $in: [null, 'premium'] });
+    });
+
+    it('treats owners without a tier as standard and quotes free transfers as 0', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      jest.spyOn(FeeRule, 'find').mockResolvedValue([]);
+
+      expect(await quoteFee({ transferType: 'INTERNAL', account, amount: 100 }))
+        .toMatchObject({ amount: 0, ruleId: null, ruleName: null });
+      expect(FeeRule.find.mock.calls[0][0].userTier).toEqual({ $in: [null, 'standard'] });
+    });
+  });
+});
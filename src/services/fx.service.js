@@ -0,0 +1,248 @@
+const ExchangeRate = require('../models/exchangeRate.model');
+const FxQuote = require('../models/fxQuote.model');
+const ApiError = require('../utils/apiError');
+
+/**
+ * FX service
+ * Converts amounts between the currencies accounts can hold, for transfers between accounts of
+ * different currencies. Mid-market rates are managed by the bank as EUR rates (units of each currency
+ * per 1 EUR): admins set them one by one or import a rates file, and every rate is kept as history.
+ * FX_RATES supplies the rate of a currency that has never been set. The customer rate is the mid rate
+ * less FX_SPREAD_PERCENT, rounded to 6 decimals; the credited amount is rounded down to the cent, so
+ * the customer can reproduce the result from the rate shown.
+ * A quote locks the customer rate for one transfer for FX_QUOTE_TTL_SECONDS.
+ */
+
+const BASE_CURRENCY = 'EUR';
+const CURRENCIES = ['EUR', 'USD', 'GBP'];
+const DEFAULT_RATES = 'EUR=1,USD=1.08,GBP=0.85';
+
+const config = () => {
+  const spreadPercent = parseFloat(process.env.FX_SPREAD_PERCENT);
+  return {
+    rates: process.env.FX_RATES || DEFAULT_RATES,
+    spreadPercent: Number.isNaN(spreadPercent) ? 0.5 : spreadPercent,
+    quoteTtlSeconds: parseInt(process.env.FX_QUOTE_TTL_SECONDS, 10) || 30,
+  };
+};
+
+// Spread (in percent of the mid rate) the bank takes on conversions
+const getSpreadPercent = () => config().spreadPercent;
+
+// Helper function to read FX_RATES ("EUR=1,USD=1.08,GBP=0.85") into { EUR: 1, USD: 1.08, GBP: 0.85 }
+const parseRates = (text) => text.split(',').reduce((rates, pair) => {
+  const [currency, value] = pair.split('=').map((part) => part.trim());
+  const rate = parseFloat(value);
+  if (currency && rate > 0) {
+    rates[currency.toUpperCase()] = rate;
+  }
+  return rates;
+}, {});
+
+// Helper function to round a rate to the precision shown to customers
+const roundRate = (rate) => Math.round(rate * 1e6) / 1e6;
+
+/**
+ * Get the EUR rate of every currency in effect at `at` (default now).
+ * Returns a list of `{ currency, rate, effectiveFrom, source }`; source is MANUAL or IMPORT for
+ * rates set by the bank and CONFIG for rates taken from FX_RATES.
+ */
+const getRates = async (at = new Date()) => {
+  const stored = await ExchangeRate.ratesAt(at);
+  const configured = parseRates(config().rates);
+
+  return CURRENCIES.map((currency) => {
+    if (currency === BASE_CURRENCY) {
+      return { currency, rate: 1, effectiveFrom: null, source: 'BASE' };
+    }
+    if (stored[currency]) {
+      const { rate, effectiveFrom, source } = stored[currency];
+      return { currency, rate, effectiveFrom, source };
+    }
+    return { currency, rate: configured[currency] || null, effectiveFrom: null, source: 'CONFIG' };
+  });
+};
+
+/**
+ * Get the mid-market rate to convert 1 unit of `fromCurrency` into `toCurrency`.
+ * Throws FX_RATE_UNAVAILABLE (503) when there is no rate for either currency.
+ */
+const getMidRate = async (fromCurrency, toCurrency) => {
+  if (fromCurrency === toCurrency) {
+    return 1;
+  }
+  const rates = (await getRates()).reduce((all, { currency, rate }) => ({ ...all, [currency]: rate }), {});
+  if (!rates[fromCurrency] || !rates[toCurrency]) {
+    throw new ApiError(503, 'FX_RATE_UNAVAILABLE', `No exchange rate available for ${fromCurrency}/${toCurrency}`);
+  }
+  return rates[toCurrency] / rates[fromCurrency];
+};
+
+/**
+ * Convert `amount` of `fromCurrency` into `toCurrency` at the customer rate.
+ * Returns `{ debitedAmount, debitedCurrency, creditedAmount, creditedCurrency, exchangeRate,
+ * midRate, spreadPercent }`. Throws AMOUNT_TOO_SMALL (400) if nothing would be credited.
+ */
+const convert = async (amount, fromCurrency, toCurrency) => {
+  const { spreadPercent } = config();
+  const midRate = await getMidRate(fromCurrency, toCurrency);
+  const exchangeRate = fromCurrency === toCurrency ? 1 : roundRate(midRate * (1 - spreadPercent / 100));
+  // Rounded down to the cent; the small epsilon keeps exact products (e.g. 10 * 1.1) from losing a cent
+  const creditedAmount = Math.floor(amount * exchangeRate * 100 + 1e-6) / 100;
+
+  if (creditedAmount < 0.01) {
+    throw new ApiError(400, 'AMOUNT_TOO_SMALL', `Amount is too small to convert from ${fromCurrency} to ${toCurrency}`);
+  }
+
+  return {
+    debitedAmount: amount,
+    debitedCurrency: fromCurrency,
+    creditedAmount,
+    creditedCurrency: toCurrency,
+    exchangeRate,
+    midRate: roundRate(midRate),
+    spreadPercent,
+  };
+};
+
+/**
+ * Check a rate before it is stored; returns an error message or null.
+ */
+const checkRate = ({ currency, rate, effectiveFrom }) => {
+  if (!CURRENCIES.includes(currency)) {
+    return `Currency must be one of: ${CURRENCIES.join(', ')}`;
+  }
+  if (currency === BASE_CURRENCY) {
+    return `Rates are quoted against ${BASE_CURRENCY}; its own rate is always 1`;
+  }
+  if (!(rate > 0) || !Number.isFinite(rate)) {
+    return 'Rate must be a positive number';
+  }
+  if (effectiveFrom && Number.isNaN(new Date(effectiveFrom).getTime())) {
+    return 'effectiveFrom must be an ISO 8601 date';
+  }
+  return null;
+};
+
+/**
+ * Store new EUR rates, effective from their `effectiveFrom` (default now).
+ * `rates` is a list of `{ currency, rate, effectiveFrom }` already checked with checkRate().
+ */
+const setRates = (rates, { source = 'MANUAL', setBy = null } = {}) => ExchangeRate.insertMany(
+  rates.map(({ currency, rate, effectiveFrom }) => ({
+    currency,
+    rate,
+    effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+    source,
+    setBy,
+  }))
+);
+
+/**
+ * Get past and scheduled rates, newest first, optionally for one currency and a period.
+ */
+const getRateHistory = ({ currency, from, to, limit = 100 } = {}) => {
+  const filter = {};
+  if (currency) {
+    filter.currency = currency;
+  }
+  if (from || to) {
+    filter.effectiveFrom = {};
+    if (from) {
+      filter.effectiveFrom.$gte = from;
+    }
+    if (to) {
+      filter.effectiveFrom.$lte = to;
+    }
+  }
+  return ExchangeRate.find(filter).sort({ effectiveFrom: -1, createdAt: -1 }).limit(limit);
+};
+
+/**
+ * Quote the conversion of `amount` of `fromCurrency` into `toCurrency` and lock its rate for
+ * FX_QUOTE_TTL_SECONDS. The quote can pay for one transfer of the same amount and currencies.
+ */
+const createQuote = async ({ user, fromCurrency, toCurrency, amount }) => {
+  if (fromCurrency === toCurrency) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'A quote needs two different currencies');
+  }
+  const conversion = await convert(amount, fromCurrency, toCurrency);
+
+  return FxQuote.create({
+    user,
+    fromCurrency,
+    toCurrency,
+    amount,
+    convertedAmount: conversion.creditedAmount,
+    exchangeRate: conversion.exchangeRate,
+    midRate: conversion.midRate,
+    spreadPercent: conversion.spreadPercent,
+    expiresAt: new Date(Date.now() + config().quoteTtlSeconds * 1000),
+  });
+};
+
+/**
+ * Get the conversion of a quote for a transfer of `amount` from `fromCurrency` to `toCurrency`.
+ * Throws QUOTE_NOT_FOUND (404), QUOTE_ALREADY_USED (409), QUOTE_EXPIRED (400) or QUOTE_MISMATCH (400).
+ * The quote is only marked as used by claimQuote(), together with the transfer.
+ */
+const conversionFromQuote = async ({ quoteId, user, fromCurrency, toCurrency, amount }) => {
+  const quote = await FxQuote.findOne({ quoteId, user });
+  if (!quote) {
+    throw new ApiError(404, 'QUOTE_NOT_FOUND', 'FX quote not found');
+  }
+  if (quote.status === 'USED') {
+    throw new ApiError(409, 'QUOTE_ALREADY_USED', 'FX quote has already been used', {
+      transactionId: quote.transactionId,
+    });
+  }
+  if (quote.expiresAt <= new Date()) {
+    throw new ApiError(400, 'QUOTE_EXPIRED', 'FX quote has expired; request a new quote');
+  }
+  if (quote.fromCurrency !== fromCurrency || quote.toCurrency !== toCurrency || quote.amount !== amount) {
+    throw new ApiError(400, 'QUOTE_MISMATCH',
+      `FX quote is for ${quote.amount} ${quote.fromCurrency} to ${quote.toCurrency}, not ${amount} ${fromCurrency} to ${toCurrency}`);
+  }
+
+  return {
+    debitedAmount: quote.amount,
+    debitedCurrency: quote.fromCurrency,
+    creditedAmount: quote.convertedAmount,
+    creditedCurrency: quote.toCurrency,
+    exchangeRate: quote.exchangeRate,
+    midRate: quote.midRate,
+    spreadPercent: quote.spreadPercent,
+    quoteId: quote.quoteId,
+  };
+};
+
+/**
+ * Mark a quote as used by `transactionId`, inside the session of the transfer it pays for.
+ * Throws QUOTE_ALREADY_USED (409) if it was used or expired in the meantime.
+ */
+const claimQuote = async (quoteId, transactionId, session) => {
+  const quote = await FxQuote.findOneAndUpdate(
+    { quoteId, status: 'ACTIVE', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'USED', transactionId } },
+    { new: true, session }
+  );
+  if (!quote) {
+    throw new ApiError(409, 'QUOTE_ALREADY_USED', 'FX quote has already been used or has expired');
+  }
+  return quote;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  getSpreadPercent,
+  getRates,
+  getMidRate,
+  convert,
+  checkRate,
+  setRates,
+  getRateHistory,
+  createQuote,
+  conversionFromQuote,
+  claimQuote,
+};
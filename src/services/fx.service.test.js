@@ -0,0 +1,146 @@
+const ExchangeRate = require('../models/exchangeRate.model');
+const FxQuote = require('../models/fxQuote.model');
+const {
+  getRates,
+  getMidRate,
+  convert,
+  checkRate,
+  conversionFromQuote,
+  claimQuote,
+} = require('./fx.service');
+
+describe('FX service', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.FX_RATES = 'EUR=1,USD=1.08,GBP=0.85';
+    process.env.FX_SPREAD_PERCENT = '0.5';
+    jest.spyOn(ExchangeRate, 'ratesAt').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe('getRates', () => {
+    it('prefers rates set by the bank over FX_RATES', async () => {
+      const effectiveFrom = new Date('2026-03-01T00:00:00Z');
+      ExchangeRate.ratesAt.mockResolvedValue({ USD: { rate: 1.1, effectiveFrom, source: 'MANUAL' } });
+
+      expect(await getRates()).toEqual([
+        { currency: 'EUR', rate: 1, effectiveFrom: null, source: 'BASE' },
+        { currency: 'USD', rate: 1.1, effectiveFrom, source: 'MANUAL' },
+        { currency: 'GBP', rate: 0.85, effectiveFrom: null, source: 'CONFIG' },
+      ]);
+    });
+  });
+
+  describe('getMidRate', () => {
+    it('crosses two currencies through their EUR rates', async () => {
+      expect(await getMidRate('EUR', 'USD')).toBe(1.08);
+      expect(await getMidRate('USD', 'EUR')).toBeCloseTo(1 / 1.08, 10);
+      expect(await getMidRate('GBP', 'USD')).toBeCloseTo(1.08 / 0.85, 10);
+      expect(await getMidRate('GBP', 'GBP')).toBe(1);
+    });
+
+    it('fails with FX_RATE_UNAVAILABLE when a currency has no rate', async () => {
+      process.env.FX_RATES = 'EUR=1,USD=1.08';
+
+      await expect(getMidRate('EUR', 'GBP')).rejects.toMatchObject({ statusCode: 503, code: 'FX_RATE_UNAVAILABLE' });
+    });
+  });
+
+  describe('convert', () => {
+    it('converts at the mid rate less the spread, rounded down to the cent', async () => {
+      expect(await convert(100, 'EUR', 'USD')).toEqual({
+        debitedAmount: 100,
+        debitedCurrency: 'EUR',
+        creditedAmount: 107.46,
+        creditedCurrency: 'USD',
+        exchangeRate: 1.0746,
+        midRate: 1.08,
+        spreadPercent: 0.5,
+      });
+    });
+
+    it('rounds the customer rate to 6 decimals', async () => {
+      const conversion = await convert(100, 'USD', 'EUR');
+
+      // 1 / 1.08 * 0.995 = 0.921296296...
+      expect(conversion.exchangeRate).toBe(0.921296);
+      expect(conversion.creditedAmount).toBe(92.12);
+    });
+
+    it('does not lose a cent on exact products', async () => {
+      process.env.FX_SPREAD_PERCENT = '0';
+      process.env.FX_RATES = 'EUR=1,USD=1.1,GBP=0.85';
+
+      expect((await convert(10, 'EUR', 'USD')).creditedAmount).toBe(11);
+    });
+
+    it('refuses amounts too small to credit anything', async () => {
+      await expect(convert(0.01, 'GBP', 'EUR')).resolves.toMatchObject({ creditedAmount: 0.01 });
+      await expect(convert(0.01, 'EUR', 'GBP')).rejects.toMatchObject({ statusCode: 400, code: 'AMOUNT_TOO_SMALL' });
+    });
+  });
+
+  describe('checkRate', () => {
+    it('accepts positive rates of quoted currencies only', () => {
+      expect(checkRate({ currency: 'USD', rate: 1.09 })).toBeNull();
+      expect(checkRate({ currency: 'CHF', rate: 0.95 })).toMatch('Currency must be one of');
+      expect(checkRate({ currency: 'EUR', rate: 1 })).toMatch('always 1');
+      expect(checkRate({ currency: 'USD', rate: 0 })).toBe('Rate must be a positive number');
+      expect(checkRate({ currency: 'USD', rate: 1.09, effectiveFrom: 'tomorrow' })).toMatch('effectiveFrom');
+    });
+  });
+
+  describe('quotes', () => {
+    const quote = (overrides = {}) => ({
+      quoteId: 'quote-1',
+      status: 'ACTIVE',
+      fromCurrency: 'EUR',
+      toCurrency: 'USD',
+      amount: 100,
+      convertedAmount: 107.46,
+      exchangeRate: 1.0746,
+      midRate: 1.08,
+      spreadPercent: 0.5,
+      expiresAt: new Date(Date.now() + 30000),
+      ...overrides,
+    });
+    const request = { quoteId: 'quote-1', user: 'user-1', fromCurrency: 'EUR', toCurrency: 'USD', amount: 100 };
+
+    it('converts at the locked rate of a quote', async () => {
+      jest.spyOn(FxQuote, 'findOne').mockResolvedValue(quote());
+
+      expect(await conversionFromQuote(request)).toMatchObject({ creditedAmount: 107.46, exchangeRate: 1.0746, quoteId: 'quote-1' });
+    });
+
+    it('refuses used, expired and mismatched quotes', async () => {
+      jest.spyOn(FxQuote, 'findOne').mockResolvedValueOnce(quote({ status: 'USED' }));
+      await expect(conversionFromQuote(request)).rejects.toMatchObject({ statusCode: 409, code: 'QUOTE_ALREADY_USED' });
+
+      FxQuote.findOne.mockResolvedValueOnce(quote({ expiresAt: new Date(Date.now() - 1000) }));
+      await expect(conversionFromQuote(request)).rejects.toMatchObject({ statusCode: 400, code: 'QUOTE_EXPIRED' });
+
+      FxQuote.findOne.mockResolvedValueOnce(quote());
+      await expect(conversionFromQuote({ ...request, amount: 200 })).rejects.toMatchObject({ code: 'QUOTE_MISMATCH' });
+
+      FxQuote.findOne.mockResolvedValueOnce(null);
+      await expect(conversionFromQuote(request)).rejects.toMatchObject({ statusCode: 404, code: 'QUOTE_NOT_FOUND' });
+    });
+
+    it('claims a quote only while it is active and unexpired', async () => {
+      const session = { id: 'session' };
+      jest.spyOn(FxQuote, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(claimQuote('quote-1', 'tx-1', session)).rejects.toMatchObject({ statusCode: 409, code: 'QUOTE_ALREADY_USED' });
+      const [filter, update, options] = FxQuote.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ quoteId: 'quote-1', status: 'ACTIVE' });
+      expect(filter.expiresAt.$gt).toBeInstanceOf(Date);
+      expect(update).toEqual({ $set: { status: 'USED', transactionId: 'tx-1' } });
+      expect(options).toEqual({ new: true, session });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction.model');
+const ApiError = require('../utils/apiError');
+
+/**
+ * Transaction history service
+ * Filtered, cursor-paginated transaction history for a set of accounts. Results are ordered by the
+ * sort field and then by `_id`, and the cursor carries the last returned values of both, so pages
+ * stay stable while new transactions arrive. The default order (newest first) is served by the
+ * { fromAccount, createdAt, _id } and { toAccount, createdAt, _id } indexes.
+ */
+
+const DEFAULT_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 200;
+const HISTORY_SORTS = ['-createdAt', 'createdAt', '-amount', 'amount'];
+
+// Helper function to escape user text for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to encode the position after a transaction as an opaque cursor
+const encodeCursor = (sort, transaction) => {
+  const field = sort.replace(/^-/, '');
+  return Buffer.from(JSON.stringify({ s: sort, v: transaction[field], id: transaction._id })).toString('base64url');
+};
+
+// Helper function to decode a cursor created for the same sort order
+const decodeCursor = (sort, cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.s === sort && decoded.v !== undefined && mongoose.isValidObjectId(decoded.id)) {
+      return {
+        value: sort.endsWith('createdAt') ? new Date(decoded.v) : decoded.v,
+        id: new mongoose.Types.ObjectId(decoded.id),
+      };
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new ApiError(400, 'INVALID_CURSOR', 'Cursor is invalid or was created for a different sort order');
+};
+
+/**
+ * Build the MongoDB filter for the history of `accountNumbers`.
+ * Filters: from/to (createdAt range), status (list), direction ('in' or 'out', relative to the
+ * accounts), minAmount/maxAmount, counterparty (the other account number) and q (description text).
+ */
+const buildHistoryFilter = (accountNumbers, filters = {}) => {
+  const accounts = { $in: accountNumbers };
+  const { direction, counterparty } = filters;
+  const conditions = [];
+
+  // Direction and counterparty together decide which side our accounts are on
+  const outgoing = { fromAccount: accounts, ...(counterparty ? { toAccount: counterparty } : {}) };
+  const incoming = { toAccount: accounts, ...(counterparty ? { fromAccount: counterparty } : {}) };
+  if (direction === 'out') {
+    conditions.push(outgoing);
+  } else if (direction === 'in') {
+    conditions.push(incoming);
+  } else {
+    conditions.push({ $or: [outgoing, incoming] });
+  }
+
+  if (filters.from || filters.to) {
+    conditions.push({
+      createdAt: {
+        ...(filters.from ? { $gte: new Date(filters.from) } : {}),
+        ...(filters.to ? { $lte: new Date(filters.to) } : {}),
+      },
+    });
+  }
+
+  if (filters.status && filters.status.length) {
+    conditions.push({ status: { $in: filters.status } });
+  }
+
+  if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+    conditions.push({
+      amount: {
+        ...(filters.minAmount !== undefined ? { $gte: filters.minAmount } : {}),
+        ...(filters.maxAmount !== undefined ? { $lte: filters.maxAmount } : {}),
+      },
+    });
+  }
+
+  if (filters.q) {
+    conditions.push({ description: { $regex: escapeRegex(filters.q), $options: 'i' } });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Get one page of the transaction history of `accountNumbers`.
+ * Returns `{ transactions, pagination: { limit, sort, nextCursor, hasMore } }`; pass `nextCursor`
+ * back as `cursor` (with the same filters and sort) for the next page.
+ */
+const findTransactionHistory = async (accountNumbers, filters = {}, { cursor, limit = DEFAULT_LIMIT, sort = '-createdAt' } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT);
+  const field = sort.replace(/^-/, '');
+  const descending = sort.startsWith('-');
+  const conditions = [buildHistoryFilter(accountNumbers, filters)];
+
+  // Continue after the cursor: beyond its sort value, or at the same value beyond its _id
+  if (cursor) {
+    const after = decodeCursor(sort, cursor);
+    const beyond = descending ? '$lt' : '$gt';
+    conditions.push({
+      $or: [{ [field]: { [beyond]: after.value } }, { [field]: after.value, _id: { [beyond]: after.id } }],
+    });
+  }
+
+  const order = descending ? -1 : 1;
+  // One extra document tells whether there is another page
+  const transactions = await Transaction.find(conditions.length === 1 ? conditions[0] : { $and: conditions })
+    .sort({ [field]: order, _id: order })
+    .limit(pageSize + 1);
+
+  const hasMore = transactions.length > pageSize;
+  const page = hasMore ? transactions.slice(0, pageSize) : transactions;
+
+  return {
+    transactions: page,
+    pagination: {
+      limit: pageSize,
+      sort,
+      nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+      hasMore,
+    },
+  };
+};
+
+module.exports = {
+  HISTORY_SORTS,
+  HISTORY_MAX_LIMIT,
+  buildHistoryFilter,
+  findTransactionHistory,
+};
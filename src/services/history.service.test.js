@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction.model');
+const { buildHistoryFilter, findTransactionHistory } = require('./history.service');
+
+// Helper function to compare values the way MongoDB does for dates, ObjectIds, numbers and strings
+const comparable = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value instanceof mongoose.Types.ObjectId ? value.toHexString() : value;
+};
+
+// Helper function to test a field value against a condition of a query filter
+const matchesCondition = (value, condition) => {
+  const isOperator = condition && typeof condition === 'object' && Object.keys(condition).some((key) => key.startsWith('$'));
+  if (!isOperator) {
+    return comparable(value) === comparable(condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.some((item) => comparable(item) === comparable(value));
+      case '$lt': return comparable(value) < comparable(operand);
+      case '$lte': return comparable(value) <= comparable(operand);
+      case '$gt': return comparable(value) > comparable(operand);
+      case '$gte': return comparable(value) >= comparable(operand);
+      case '$regex': return new RegExp(operand, condition.$options).test(value || '');
+      case '$options': return true;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+};
+
+// Helper function to test a transaction against a query filter
+const matches = (transaction, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$and') {
+    return condition.every((part) => matches(transaction, part));
+  }
+  if (field === '$or') {
+    return condition.some((part) => matches(transaction, part));
+  }
+  return matchesCondition(transaction[field], condition);
+});
+
+describe('history service', () => {
+  let transactions;
+
+  // Helper function to add a transaction to the collection
+  const add = (fields) => {
+    const transaction = {
+      _id: new mongoose.Types.ObjectId(),
+      fromAccount: 'OVE-11111111',
+      toAccount: 'OVE-99999999',
+      amount: 10,
+      status: 'COMPLETED',
+      description: '',
+      createdAt: new Date('2026-03-01T12:00:00Z'),
+      ...fields,
+    };
+    transactions.push(transaction);
+    return transaction;
+  };
+
+  // Helper function to run a history query and return the matching transaction ids
+  const ids = async (filters, page) => (await findTransactionHistory(['OVE-11111111'], filters, page)).transactions.map((t) => t._id);
+
+  // Helper function to read every page of a history, following the cursors
+  const readAllPages = async (page, betweenPages = () => {}) => {
+    const pages = [];
+    let cursor;
+    do {
+      const result = await findTransactionHistory(['OVE-11111111'], {}, { ...page, cursor });
+      pages.push(result.transactions);
+      cursor = result.pagination.nextCursor;
+      betweenPages();
+    } while (cursor);
+    return pages;
+  };
+
+  beforeEach(() => {
+    transactions = [];
+    jest.spyOn(Transaction, 'find').mockImplementation((filter) => ({
+      sort: (order) => ({
+        limit: async (count) => transactions
+          .filter((transaction) => matches(transaction, filter))
+          .sort((a, b) => {
+            for (const [field, direction] of Object.entries(order)) {
+              const [left, right] = [comparable(a[field]), comparable(b[field])];
+              if (left !== right) {
+                return (left < right ? -1 : 1) * direction;
+              }
+            }
+            return 0;
+          })
+          .slice(0, count),
+      }),
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findTransactionHistory', () => {
+    it('pages through transactions created at the same moment without repeating or skipping any', async () => {
+      // Five transactions share one timestamp, so the pages have to split them by _id
+      for (let i = 0; i < 7; i += 1) {
+        add({ createdAt: new Date(i < 5 ? '2026-03-01T12:00:00Z' : `2026-03-0${i}T12:00:00Z`) });
+      }
+
+      const pages = await readAllPages({ limit: 3 });
+
+      expect(pages.map((page) => page.length)).toEqual([3, 3, 1]);
+      const expected = [...transactions].sort((a, b) => (b.createdAt - a.createdAt) || (comparable(b._id) < comparable(a._id) ? -1 : 1));
+      expect(pages.flat()).toEqual(expected);
+    });
+
+    it('keeps the next pages stable while new transactions arrive', async () => {
+      for (let i = 1; i <= 6; i += 1) {
+        add({ createdAt: new Date(`2026-03-0${i}T12:00:00Z`) });
+      }
+      const existing = [...transactions].reverse();
+
+      const pages = await readAllPages({ limit: 2 }, () => add({ createdAt: new Date() }));
+
+      expect(pages.flat()).toEqual(existing);
+    });
+
+    it('pages by amount in both directions, breaking ties by _id', async () => {
+      [30, 10, 20, 10, 30, 10].forEach((amount) => add({ amount }));
+
+      const ascending = (await readAllPages({ limit: 4, sort: 'amount' })).flat();
+      const descending = (await readAllPages({ limit: 4, sort: '-amount' })).flat();
+
+      expect(ascending.map((t) => t.amount)).toEqual([10, 10, 10, 20, 30, 30]);
+      expect(new Set(ascending).size).toBe(6);
+      expect(descending).toEqual([...ascending].reverse());
+    });
+
+    it('refuses cursors that are malformed or were created for another sort order', async () => {
+      add({});
+      add({});
+      const { pagination } = await findTransactionHistory(['OVE-11111111'], {}, { limit: 1, sort: 'amount' });
+      expect(pagination).toMatchObject({ limit: 1, sort: 'amount', hasMore: true });
+
+      await expect(findTransactionHistory(['OVE-11111111'], {}, { cursor: pagination.nextCursor, sort: '-amount' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CURSOR' });
+      await expect(findTransactionHistory(['OVE-11111111'], {}, { cursor: 'not-a-cursor' }))
+        .rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    });
+
+    it('keeps the page size between 1 and the maximum', async () => {
+      expect((await findTransactionHistory(['OVE-11111111'], {}, { limit: 1000 })).pagination.limit).toBe(200);
+      expect((await findTransactionHistory(['OVE-11111111'], {}, { limit: 0 })).pagination.limit).toBe(50);
+      expect((await findTransactionHistory(['OVE-11111111'], {}, { limit: -5 })).pagination.limit).toBe(1);
+    });
+  });
+
+  describe('filters', () => {
+    it('tells incoming from outgoing transactions and matches the counterparty on the other side', async () => {
+      const paid = add({ toAccount: 'OVE-22222222' });
+      const received = add({ fromAccount: 'OVE-22222222', toAccount: 'OVE-11111111' });
+      const other = add({ toAccount: 'OVE-33333333' });
+      add({ fromAccount: 'OVE-44444444', toAccount: 'OVE-55555555' });
+
+      expect(await ids({ direction: 'out' })).toEqual(expect.arrayContaining([paid._id, other._id]));
+      expect(await ids({ direction: 'out' })).toHaveLength(2);
+      expect(await ids({ direction: 'in' })).toEqual([received._id]);
+      expect(await ids({ counterparty: 'OVE-22222222' })).toEqual(expect.arrayContaining([paid._id, received._id]));
+      expect(await ids({ counterparty: 'OVE-22222222' })).toHaveLength(2);
+      expect(await ids({ direction: 'in', counterparty: 'OVE-33333333' })).toEqual([]);
+    });
+
+    it('combines dates, statuses, amounts and description text', async () => {
+      const match = add({ amount: 50, status: 'FAILED', description: 'Rent (March)', createdAt: new Date('2026-03-10T12:00:00Z') });
+      add({ amount: 50, status: 'FAILED', description: 'Rent (March)', createdAt: new Date('2026-04-10T12:00:00Z') });
+      add({ amount: 50, status: 'COMPLETED', description: 'Rent (March)', createdAt: new Date('2026-03-10T12:00:00Z') });
+      add({ amount: 500, status: 'FAILED', description: 'Rent (March)', createdAt: new Date('2026-03-10T12:00:00Z') });
+      add({ amount: 50, status: 'FAILED', description: 'Rent March', createdAt: new Date('2026-03-10T12:00:00Z') });
+
+      expect(await ids({
+        from: '2026-03-01',
+        to: '2026-03-31',
+        status: ['FAILED', 'REVERSED'],
+        minAmount: 20,
+        maxAmount: 100,
+        q: 'rent (march',
+      })).toEqual([match._id]);
+    });
+
+    it('uses a single condition when only the accounts are filtered', () => {
+      expect(buildHistoryFilter(['OVE-11111111'])).toEqual({
+        $or: [{ fromAccount: { $in: ['OVE-11111111'] } }, { toAccount: { $in: ['OVE-11111111'] } }],
+      });
+    });
+  });
+});
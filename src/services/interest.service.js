@@ -0,0 +1,409 @@
+const Account = require('../models/account.model');
+const InterestAccrual = require('../models/interestAccrual.model');
+const InterestProduct = require('../models/interestProduct.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const Transaction = require('../models/transaction.model');
+const { LEDGER_ACCOUNTS, postJournal, transferLines } = require('./ledger.service');
+const { runInTransaction, creditAccount } = require('./transfer.service');
+
+/**
+ * Interest service
+ * Accrues and pays interest on accounts covered by an interest product (see InterestProduct).
+ * The accrual job records, for every account and every complete day (UTC), the interest earned on
+ * the account's balance at the end of that day, taken from the ledger, so days missed while the
+ * service was down are accrued correctly later. Days are never accrued twice (one InterestAccrual
+ * per account and day). After the last day of a payout period (month or quarter) the unpaid accruals
+ * are paid out, rounded to the cent, as one INTEREST transaction funded by BANK:INTEREST_EXPENSE;
+ * less than a cent is carried over to the next payout.
+ * Overdrawn days accrue overdraft interest instead (a negative accrual, at the account's overdraft
+ * rate). When a period's accruals net to interest owed, it is charged to the account, even past its
+ * overdraft limit, as an INTEREST transaction to BANK:INTEREST_INCOME. Accounts with an overdraft
+ * and no interest product use ACT/365 and monthly payouts.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Terms used for overdraft interest on accounts without an interest product
+const OVERDRAFT_TERMS = { name: 'Overdraft', dayCount: 'ACT/365', payoutFrequency: 'MONTHLY' };
+
+const config = () => {
+  const overdraftRate = parseFloat(process.env.OVERDRAFT_INTEREST_RATE);
+  return {
+    pollIntervalMs: parseInt(process.env.INTEREST_POLL_INTERVAL_MS, 10) || 60 * 60 * 1000,
+    overdraftRate: Number.isNaN(overdraftRate) ? 12 : overdraftRate,
+  };
+};
+
+let timer = null;
+let running = false;
+
+// Helper function to get the start (00:00 UTC) of the day of a date
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Helper function to move a day forward or back by whole days
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+
+// Helper function to get the number of days in the month of a day (UTC)
+const daysInMonth = (day) => new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+
+// Helper function to format a day as YYYY-MM-DD
+const isoDate = (day) => day.toISOString().slice(0, 10);
+
+// Helper function to round money amounts to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Helper function to keep accrued amounts small enough to store without float noise
+const roundAccrual = (amount) => Math.round(amount * 1e8) / 1e8;
+
+/**
+ * Get the fraction of a year one day counts for under a day-count convention.
+ * 30/360 treats every month as 30 days: the 31st counts for nothing and the last day of
+ * February makes up the missing days.
+ */
+const yearFraction = (day, dayCount) => {
+  switch (dayCount) {
+    case 'ACT/360':
+      return 1 / 360;
+    case 'ACT/ACT': {
+      const year = day.getUTCFullYear();
+      const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+      return 1 / (leap ? 366 : 365);
+    }
+    case '30/360': {
+      const date = day.getUTCDate();
+      const lastDay = daysInMonth(day);
+      if (date > 30) {
+        return 0;
+      }
+      if (date === lastDay && lastDay < 30) {
+        return (30 - lastDay + 1) / 360;
+      }
+      return 1 / 360;
+    }
+    default:
+      return 1 / 365;
+  }
+};
+
+/**
+ * Get the interest a balance earns in a year under a product, with its tiers applied.
+ */
+const annualInterestOf = (product, balance) => {
+  if (!(balance > 0)) {
+    return 0;
+  }
+  const bands = [
+    { fromBalance: 0, annualRate: product.annualRate },
+    ...[...(product.tiers || [])].sort((a, b) => a.fromBalance - b.fromBalance),
+  ];
+
+  return bands.reduce((interest, band, index) => {
+    const next = bands[index + 1];
+    const upTo = next ? Math.min(balance, next.fromBalance) : balance;
+    const portion = upTo - band.fromBalance;
+    return portion > 0 ? interest + (portion * band.annualRate) / 100 : interest;
+  }, 0);
+};
+
+// Helper function to get the annual overdraft interest rate (percent) of an account
+const overdraftRateOf = (account) => (
+  account.overdraftInterestRate === null || account.overdraftInterestRate === undefined
+    ? config().overdraftRate
+    : account.overdraftInterestRate
+);
+
+// Helper function to get the first day of the payout period (month or quarter) a day is in
+const periodStartOf = (day, payoutFrequency) => {
+  const month = day.getUTCMonth();
+  return new Date(Date.UTC(day.getUTCFullYear(), payoutFrequency === 'QUARTERLY' ? month - (month % 3) : month, 1));
+};
+
+// Helper function to get the first day of the payout period after the one a day is in
+const nextPeriodStartOf = (day, payoutFrequency) => {
+  const start = periodStartOf(day, payoutFrequency);
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + (payoutFrequency === 'QUARTERLY' ? 3 : 1), 1));
+};
+
+/**
+ * Find the interest product of an account, or null if the account earns no interest.
+ * A product for the account's currency is preferred over one for any currency, then the newest.
+ */
+const findInterestProduct = async (account) => {
+  const products = await InterestProduct.find({
+    accountType: account.accountType,
+    isActive: true,
+    currency: { $in: [null, account.currency] },
+  });
+
+  return products.sort((a, b) => (Number(Boolean(b.currency)) - Number(Boolean(a.currency)))
+    || (b.createdAt - a.createdAt))[0] || null;
+};
+
+// Helper function to describe the days an interest payout covers, e.g. "Interest for March 2026 - Saver"
+// or "Overdraft interest for March 2026". Interest carried over from earlier periods makes it a date range
+const describePayout = (terms, owed, from, to) => {
+  let label;
+  if (from < periodStartOf(to, terms.payoutFrequency)) {
+    label = `${isoDate(from)} to ${isoDate(to)}`;
+  } else if (terms.payoutFrequency === 'QUARTERLY') {
+    label = `Q${Math.floor(to.getUTCMonth() / 3) + 1} ${to.getUTCFullYear()}`;
+  } else {
+    label = to.toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  return owed ? `Overdraft interest for ${label}` : `Interest for ${label} - ${terms.name}`;
+};
+
+/**
+ * Settle the unpaid interest an account accrued up to `periodEnd` (a day) as one INTEREST
+ * transaction: paid to the account, or charged to it when the accruals net to overdraft interest.
+ * `product` is null for accounts with only an overdraft.
+ * Returns the transaction, or null if there is less than a cent to settle (it is carried over).
+ */
+const payOutInterest = (account, product, periodEnd) => runInTransaction(async (session) => {
+  const accruals = await InterestAccrual.find({
+    accountNumber: account.accountNumber,
+    payoutTransactionId: null,
+    date: { $lte: periodEnd },
+  }).sort({ date: 1 }).session(session);
+
+  const net = roundAmount(accruals.reduce((total, accrual) => total + accrual.amount, 0));
+  const amount = Math.abs(net);
+  if (amount < 0.01) {
+    return null;
+  }
+
+  const owed = net < 0;
+  const counterparty = owed ? LEDGER_ACCOUNTS.INTEREST_INCOME : LEDGER_ACCOUNTS.INTEREST_EXPENSE;
+  const transaction = new Transaction({
+    fromAccount: owed ? account.accountNumber : counterparty,
+    toAccount: owed ? counterparty : account.accountNumber,
+    fromBank: process.env.BANK_PREFIX || 'OVE',
+    toBank: process.env.BANK_PREFIX || 'OVE',
+    amount,
+    currency: account.currency,
+    description: describePayout(product || OVERDRAFT_TERMS, owed, accruals[0].date, periodEnd),
+    type: 'INTEREST',
+    status: 'COMPLETED',
+    isInternal: true,
+    initiatedBy: account.user,
+  });
+
+  // Claimed conditionally, so accruals paid out concurrently abort this payout
+  const claimed = await InterestAccrual.updateMany(
+    { _id: { $in: accruals.map((accrual) => accrual._id) }, payoutTransactionId: null },
+    { $set: { payoutTransactionId: transaction.transactionId } },
+    { session }
+  );
+  if (claimed.modifiedCount !== accruals.length) {
+    throw new Error(`Interest of account ${account.accountNumber} was paid out concurrently`);
+  }
+
+  if (owed) {
+    await Account.chargeBalance(account.accountNumber, amount, session);
+  } else {
+    await creditAccount(account.accountNumber, amount, session);
+  }
+  await postJournal({
+    transactionId: transaction.transactionId,
+    type: 'INTEREST',
+    currency: account.currency,
+    description: transaction.description,
+    lines: transferLines(transaction.fromAccount, transaction.toAccount, amount),
+  }, session);
+  await transaction.save({ session });
+
+  return transaction;
+});
+
+// Helper function to pay out the interest of the payout periods that ended before `today`, if any is unpaid
+const payOutEndedPeriods = async (account, product, today) => {
+  const periodEnd = addDays(periodStartOf(today, (product || OVERDRAFT_TERMS).payoutFrequency), -1);
+  const unpaid = await InterestAccrual.exists({
+    accountNumber: account.accountNumber,
+    payoutTransactionId: null,
+    date: { $lte: periodEnd },
+  });
+  return unpaid ? payOutInterest(account, product, periodEnd) : null;
+};
+
+/**
+ * Accrue interest for every complete day of an account that has not been accrued yet, up to
+ * (not including) `today`, and pay out the periods that have ended. `product` is null for
+ * accounts with only an overdraft.
+ * Accrual starts on the day the account was opened or, if later, the day the product was created
+ * or the account was given an overdraft (whichever came first).
+ * Returns the number of days accrued.
+ */
+const accrueAccount = async (account, product, today = startOfDay(new Date())) => {
+  const terms = product || OVERDRAFT_TERMS;
+  const last = await InterestAccrual.findOne({ accountNumber: account.accountNumber }).sort({ date: -1 });
+  const coveredFrom = [product && product.createdAt, account.overdraftSetAt]
+    .filter(Boolean)
+    .map((date) => startOfDay(date).getTime());
+  const first = last
+    ? addDays(last.date, 1)
+    : new Date(Math.max(startOfDay(account.createdAt), coveredFrom.length ? Math.min(...coveredFrom) : addDays(today, -1)));
+
+  const accruals = [];
+  if (first < today) {
+    // Walk the days forward from the opening balance, applying each day's ledger entries
+    let balance = await LedgerEntry.balanceOf(account.accountNumber, first);
+    const entries = await LedgerEntry.entriesOf(account.accountNumber, first, today);
+    let next = 0;
+
+    for (let day = first; day < today; day = addDays(day, 1)) {
+      const end = addDays(day, 1);
+      while (next < entries.length && entries[next].createdAt < end) {
+        balance += entries[next].side === 'CREDIT' ? entries[next].amount : -entries[next].amount;
+        next += 1;
+      }
+      const closing = roundAmount(balance);
+      // Overdrawn days accrue (negative) overdraft interest; positive balances earn the product's
+      const annualRate = closing < 0 ? overdraftRateOf(account) : 0;
+      const annualInterest = closing < 0
+        ? (closing * annualRate) / 100
+        : (product && annualInterestOf(product, closing)) || 0;
+
+      accruals.push({
+        accountNumber: account.accountNumber,
+        date: day,
+        productId: product ? product.productId : null,
+        currency: account.currency,
+        balance: closing,
+        annualRate: closing > 0 ? Math.round((annualInterest / closing) * 100 * 1e4) / 1e4 : annualRate,
+        dayCount: terms.dayCount,
+        amount: roundAccrual(annualInterest * yearFraction(day, terms.dayCount)),
+      });
+    }
+
+    try {
+      await InterestAccrual.insertMany(accruals, { ordered: true });
+    } catch (error) {
+      // Another process accrued these days first; it also takes care of the payout
+      if (error.code === 11000) {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
+  await payOutEndedPeriods(account, product, today);
+  return accruals.length;
+};
+
+/**
+ * Get the interest of an account as shown to its owner: the product, the overdraft interest rate
+ * and the interest accrued but not paid out yet (negative when overdraft interest is owed).
+ * Returns null for accounts that neither earn nor pay interest.
+ */
+const getAccountInterest = async (account) => {
+  const product = await findInterestProduct(account);
+  const [unpaid] = await InterestAccrual.aggregate([
+    { $match: { accountNumber: account.accountNumber, payoutTransactionId: null } },
+    { $group: { _id: null, amount: { $sum: '$amount' }, through: { $max: '$date' } } },
+  ]);
+  const hasOverdraft = account.overdraftLimit > 0 || account.balance < 0;
+  if (!product && !unpaid && !hasOverdraft) {
+    return null;
+  }
+
+  const today = startOfDay(new Date());
+  return {
+    product: product && {
+      productId: product.productId,
+      name: product.name,
+      annualRate: product.annualRate,
+      tiers: product.tiers,
+      dayCount: product.dayCount,
+      payoutFrequency: product.payoutFrequency,
+    },
+    overdraftInterestRate: hasOverdraft ? overdraftRateOf(account) : null,
+    accruedInterest: unpaid ? roundAmount(unpaid.amount) : 0,
+    currency: account.currency,
+    accruedThrough: unpaid ? isoDate(unpaid.through) : null,
+    nextPayoutDate: isoDate(nextPeriodStartOf(today, (product || OVERDRAFT_TERMS).payoutFrequency)),
+  };
+};
+
+/**
+ * Accrue (and settle) interest on every account covered by an active interest product or with an overdraft.
+ */
+const runInterestAccrual = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const today = startOfDay(new Date());
+    const accountTypes = await InterestProduct.distinct('accountType', { isActive: true });
+    const accounts = Account.find({
+      isActive: true,
+      $or: [{ accountType: { $in: accountTypes } }, { overdraftSetAt: { $ne: null } }, { balance: { $lt: 0 } }],
+    }).cursor();
+
+    for await (const account of accounts) {
+      try {
+        const product = await findInterestProduct(account);
+        if (product || account.overdraftSetAt || account.balance < 0) {
+          await accrueAccount(account, product, today);
+        }
+      } catch (error) {
+        // The account is picked up again on the next run
+        console.error(`Interest accrual error for account ${account.accountNumber}:`, error);
+      }
+    }
+
+    // Interest accrued under a product that has since been deactivated is still paid on its schedule
+    const inactiveProducts = await InterestProduct.find({ isActive: false });
+    for (const product of inactiveProducts) {
+      const accountNumbers = await InterestAccrual.distinct('accountNumber', {
+        productId: product.productId,
+        payoutTransactionId: null,
+      });
+      for (const accountNumber of accountNumbers) {
+        try {
+          const account = await Account.findOne({ accountNumber });
+          if (account) {
+            await payOutEndedPeriods(account, product, today);
+          }
+        } catch (error) {
+          console.error(`Interest payout error for account ${accountNumber}:`, error);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Interest accrual error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the daily interest accrual job (it checks for complete days to accrue on every poll)
+const startInterestAccrual = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(runInterestAccrual, config().pollIntervalMs);
+  setImmediate(runInterestAccrual);
+  console.log('Interest accrual job started');
+};
+
+// Stop the interest accrual job
+const stopInterestAccrual = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  yearFraction,
+  annualInterestOf,
+  findInterestProduct,
+  accrueAccount,
+  payOutInterest,
+  getAccountInterest,
+  runInterestAccrual,
+  startInterestAccrual,
+  stopInterestAccrual,
+};
@@ -0,0 +1,155 @@
+const InterestAccrual = require('../models/interestAccrual.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const { yearFraction, annualInterestOf, accrueAccount } = require('./interest.service');
+
+// Helper function to build a UTC day
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+// Helper function to add up the year fractions of every day of a year
+const yearTotal = (year, dayCount) => {
+  let total = 0;
+  for (let current = day(`${year}-01-01`); current.getUTCFullYear() === year; current = new Date(current.getTime() + 86400000)) {
+    total += yearFraction(current, dayCount);
+  }
+  return total;
+};
+
+describe('interest service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('yearFraction', () => {
+    it('counts every day as 1/360 under ACT/360 and 1/365 under ACT/365', () => {
+      expect(yearFraction(day('2026-03-31'), 'ACT/360')).toBe(1 / 360);
+      expect(yearFraction(day('2028-02-29'), 'ACT/365')).toBe(1 / 365);
+    });
+
+    it('divides by the length of the year under ACT/ACT', () => {
+      expect(yearFraction(day('2026-06-15'), 'ACT/ACT')).toBe(1 / 365);
+      expect(yearFraction(day('2028-06-15'), 'ACT/ACT')).toBe(1 / 366);
+      expect(yearFraction(day('2100-06-15'), 'ACT/ACT')).toBe(1 / 365);
+      expect(yearFraction(day('2000-06-15'), 'ACT/ACT')).toBe(1 / 366);
+    });
+
+    it('treats every month as 30 days under 30/360', () => {
+      expect(yearFraction(day('2026-03-15'), '30/360')).toBe(1 / 360);
+      expect(yearFraction(day('2026-03-30'), '30/360')).toBe(1 / 360);
+      expect(yearFraction(day('2026-03-31'), '30/360')).toBe(0);
+      expect(yearFraction(day('2026-02-28'), '30/360')).toBe(3 / 360);
+      expect(yearFraction(day('2028-02-28'), '30/360')).toBe(1 / 360);
+      expect(yearFraction(day('2028-02-29'), '30/360')).toBe(2 / 360);
+    });
+
+    it('adds up to a whole year under every convention', () => {
+      [2026, 2028].forEach((year) => {
+        expect(yearTotal(year, '30/360')).toBeCloseTo(1, 10);
+        expect(yearTotal(year, 'ACT/ACT')).toBeCloseTo(1, 10);
+      });
+      expect(yearTotal(2026, 'ACT/360')).toBeCloseTo(365 / 360, 10);
+    });
+  });
+
+  describe('annualInterestOf', () => {
+    const product = {
+      annualRate: 1,
+      tiers: [{ fromBalance: 50000, annualRate: 3 }, { fromBalance: 10000, annualRate: 2 }],
+    };
+
+    it('earns each tier rate on the part of the balance in that tier', () => {
+      expect(annualInterestOf(product, 5000)).toBeCloseTo(50, 10);
+      expect(annualInterestOf(product, 20000)).toBeCloseTo(100 + 200, 10);
+      expect(annualInterestOf(product, 60000)).toBeCloseTo(100 + 800 + 300, 10);
+    });
+
+    it('earns nothing on empty or overdrawn balances', () => {
+      expect(annualInterestOf(product, 0)).toBe(0);
+      expect(annualInterestOf(product, -100)).toBe(0);
+      expect(annualInterestOf({ annualRate: 2 }, 100)).toBe(2);
+    });
+  });
+
+  describe('accrueAccount', () => {
+    const account = {
+      accountNumber: 'OVE-11111111',
+      currency: 'EUR',
+      createdAt: new Date('2026-01-10T09:30:00Z'),
+      overdraftSetAt: null,
+      overdraftInterestRate: null,
+    };
+    const product = {
+      productId: 'product-1',
+      name: 'Saver',
+      annualRate: 3.6,
+      tiers: [],
+      dayCount: 'ACT/360',
+      payoutFrequency: 'MONTHLY',
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+    };
+
+    // Helper function to make the last accrual of the account this one
+    const lastAccrualIs = (accrual) => {
+      jest.spyOn(InterestAccrual, 'findOne').mockReturnValue({ sort: jest.fn().mockResolvedValue(accrual) });
+    };
+
+    beforeEach(() => {
+      jest.spyOn(LedgerEntry, 'balanceOf').mockResolvedValue(1000);
+      jest.spyOn(LedgerEntry, 'entriesOf').mockResolvedValue([]);
+      jest.spyOn(InterestAccrual, 'insertMany').mockResolvedValue([]);
+      jest.spyOn(InterestAccrual, 'exists').mockResolvedValue(null);
+    });
+
+    it('accrues every day since the last accrual on the closing balance of the day', async () => {
+      lastAccrualIs({ date: day('2026-03-01') });
+      LedgerEntry.entriesOf.mockResolvedValue([
+        { createdAt: new Date('2026-03-03T10:00:00Z'), side: 'CREDIT', amount: 500 },
+      ]);
+
+      expect(await accrueAccount(account, product, day('2026-03-04'))).toBe(2);
+
+      expect(LedgerEntry.balanceOf).toHaveBeenCalledWith('OVE-11111111', day('2026-03-02'));
+      const [accruals] = InterestAccrual.insertMany.mock.calls[0];
+      expect(accruals.map(({ date, balance, annualRate, amount }) => ({ date, balance, annualRate, amount }))).toEqual([
+        { date: day('2026-03-02'), balance: 1000, annualRate: 3.6, amount: 0.1 },
+        { date: day('2026-03-03'), balance: 1500, annualRate: 3.6, amount: 0.15 },
+      ]);
+    });
+
+    it('starts on the opening day of an account opened after the product', async () => {
+      lastAccrualIs(null);
+
+      expect(await accrueAccount(account, product, day('2026-01-12'))).toBe(2);
+      expect(InterestAccrual.insertMany.mock.calls[0][0][0].date).toEqual(day('2026-01-10'));
+    });
+
+    it('accrues overdraft interest on overdrawn days at the account rate', async () => {
+      lastAccrualIs({ date: day('2026-03-01') });
+      LedgerEntry.balanceOf.mockResolvedValue(-100);
+
+      await accrueAccount({ ...account, overdraftInterestRate: 36.5 }, null, day('2026-03-04'));
+
+      const [accruals] = InterestAccrual.insertMany.mock.calls[0];
+      expect(accruals).toHaveLength(2);
+      expect(accruals[0]).toMatchObject({ productId: null, balance: -100, annualRate: 36.5, dayCount: 'ACT/365', amount: -0.1 });
+    });
+
+    it('looks for unpaid interest of the payout periods that have ended', async () => {
+      lastAccrualIs({ date: day('2026-03-02') });
+
+      expect(await accrueAccount(account, product, day('2026-03-04'))).toBe(1);
+      expect(InterestAccrual.exists).toHaveBeenCalledWith({
+        accountNumber: 'OVE-11111111',
+        payoutTransactionId: null,
+        date: { $lte: day('2026-02-28') },
+      });
+    });
+
+    it('leaves days accrued by another process alone', async () => {
+      lastAccrualIs({ date: day('2026-03-01') });
+      InterestAccrual.insertMany.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      expect(await accrueAccount(account, product, day('2026-03-04'))).toBe(0);
+      expect(InterestAccrual.exists).not.toHaveBeenCalled();
+    });
+  });
+});
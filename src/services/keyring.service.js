@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ApiError = require('../utils/apiError');
+const { thumbprint } = require('../utils/jwk');
+const { createSigner, signJwt } = require('./signer');
+
+/**
+ * Keyring service
+ * Manages the versioned RSA key pairs this bank signs transactions with.
+ * Each key pair has a unique `kid` (RFC 7638 JWK thumbprint) and a lifecycle:
+ * - scheduled:  activation is in the future (already published, so others can cache it)
+ * - active:     the newest activated key that is not retired; used for signing
+ * - superseded: activated and not retired, but a newer key signs; still valid for verification
+ * - retired:    no longer used for signing, still valid for verification until it expires
+ * - expired:    no longer published or accepted
+ * Public keys (`<kid>.public.pem`) and a `keyring.json` manifest live in KEYS_DIR.
+ * Private keys are held by the signer backend (see ./signer) and never leave it.
+ */
+
+const config = () => ({
+  keysDir: process.env.KEYS_DIR || path.dirname(process.env.PRIVATE_KEY_PATH || './keys/private.pem'),
+  retirementGraceMs: (parseFloat(process.env.KEY_RETIREMENT_GRACE_HOURS) || 72) * 60 * 60 * 1000,
+});
+
+let keyring = null;
+let signer = null;
+let initializing = null;
+
+const manifestPath = () => path.join(config().keysDir, 'keyring.json');
+const publicKeyPath = (kid) => path.join(config().keysDir, `${kid}.public.pem`);
+
+// Helper function to persist the manifest
+const saveManifest = () => {
+  fs.writeFileSync(
+    manifestPath(),
+    JSON.stringify({ keys: keyring.map(({ publicKey, ...meta }) => meta) }, null, 2)
+  );
+};
+
+// Helper function to add a key created by the signer backend to the keyring
+const addKey = ({ keyRef, publicKey }, { activatesAt = new Date() } = {}) => {
+  const kid = thumbprint(publicKey);
+  fs.writeFileSync(publicKeyPath(kid), publicKey);
+
+  const key = {
+    kid,
+    keyRef,
+    backend: signer.name,
+    createdAt: new Date().toISOString(),
+    activatesAt: new Date(activatesAt).toISOString(),
+    retiresAt: null,
+    expiresAt: null,
+    publicKey,
+  };
+  keyring.push(key);
+  return key;
+};
+
+// Load the keyring and unlock its keys, importing the legacy key pair or creating a first key if needed
+const load = async () => {
+  const { keysDir } = config();
+  if (!fs.existsSync(keysDir)) {
+    fs.mkdirSync(keysDir, { recursive: true });
+  }
+
+  signer = createSigner(keysDir);
+
+  if (fs.existsSync(manifestPath())) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath(), 'utf8'));
+    keyring = manifest.keys.map((meta) => ({
+      // Keys created before signer backends existed are local keys stored under their kid
+      keyRef: meta.kid,
+      backend: 'local',
+      ...meta,
+      publicKey: fs.readFileSync(publicKeyPath(meta.kid), 'utf8'),
+    }));
+    await signer.init(keyring.filter((key) => key.backend === signer.name).map((key) => key.keyRef));
+    saveManifest();
+    return keyring;
+  }
+
+  keyring = [];
+  const legacyPrivateKeyPath = process.env.PRIVATE_KEY_PATH;
+  if (signer.name === 'local' && legacyPrivateKeyPath && fs.existsSync(legacyPrivateKeyPath)) {
+    addKey(await signer.importKey(fs.readFileSync(legacyPrivateKeyPath, 'utf8')));
+    console.warn(`Existing RSA key pair imported into the keyring; delete the unencrypted ${legacyPrivateKeyPath}`);
+  } else {
+    addKey(await signer.createKey());
+    console.log('RSA key pair generated successfully');
+  }
+  saveManifest();
+  return keyring;
+};
+
+/**
+ * Load the keyring and unlock the signing keys. Called once at startup;
+ * key material is not read from disk again afterwards.
+ */
+const initKeyring = () => {
+  if (!initializing) {
+    initializing = load().catch((error) => {
+      initializing = null;
+      throw error;
+    });
+  }
+  return initializing;
+};
+
+// Helper function to access the loaded keyring
+const keys = () => {
+  if (!keyring) {
+    throw new Error('Keyring has not been initialized');
+  }
+  return keyring;
+};
+
+// Helper function to find the signing key at a given time
+const findActiveKey = (candidates, at) => candidates
+  .filter((key) => new Date(key.activatesAt) <= at && (!key.retiresAt || new Date(key.retiresAt) > at))
+  .sort((a, b) => new Date(b.activatesAt) - new Date(a.activatesAt))[0] || null;
+
+// Helper function to compute the lifecycle status of a key
+const keyStatus = (key, at = new Date()) => {
+  if (new Date(key.activatesAt) > at) {
+    return 'scheduled';
+  }
+  if (key.expiresAt && new Date(key.expiresAt) <= at) {
+    return 'expired';
+  }
+  if (key.retiresAt && new Date(key.retiresAt) <= at) {
+    return 'retired';
+  }
+  const active = findActiveKey(keys(), at);
+  return active && active.kid === key.kid ? 'active' : 'superseded';
+};
+
+// Helper function to describe a key without its private part
+const describe = (key, at = new Date()) => ({
+  kid: key.kid,
+  status: keyStatus(key, at),
+  backend: key.backend,
+  createdAt: key.createdAt,
+  activatesAt: key.activatesAt,
+  retiresAt: key.retiresAt,
+  expiresAt: key.expiresAt,
+});
+
+/**
+ * Get the key currently used for signing ({ kid, keyRef, publicKey, ... }).
+ */
+const getSigningKey = () => {
+  const key = findActiveKey(keys(), new Date());
+  if (!key) {
+    throw new Error('No active signing key');
+  }
+  return key;
+};
+
+/**
+ * Sign a payload as a JWT with the active key, through the signer backend.
+ */
+const signWithActiveKey = async (payload, options) => {
+  const key = getSigningKey();
+  if (key.backend !== signer.name) {
+    throw new Error(`Active signing key ${key.kid} is held by the ${key.backend} signer, but ${signer.name} is configured`);
+  }
+  return signJwt(signer, payload, key, options);
+};
+
+/**
+ * Get the public key (PEM) of one of our keys that is valid for verification, by kid.
+ * Without a kid (signatures made before key rotation), the active key is returned.
+ */
+const getVerificationKey = (kid) => {
+  if (!kid) {
+    return getSigningKey().publicKey;
+  }
+  const key = keys().find((candidate) => candidate.kid === kid);
+  if (!key || ['scheduled', 'expired'].includes(keyStatus(key))) {
+    return null;
+  }
+  return key.publicKey;
+};
+
+/**
+ * Get the JWKS to publish: scheduled, active and still valid older keys.
+ */
+const getJwks = () => ({
+  keys: keys()
+    .filter((key) => keyStatus(key) !== 'expired')
+    .map((key) => ({
+      ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+      kid: key.kid,
+      use: 'sig',
+      alg: 'RS256',
+    })),
+});
+
+// List all keys with their status
+const listKeys = () => keys().map((key) => describe(key));
+
+// Helper function to check that a change keeps a signing key available now
+const assertSigningKeyAvailable = (candidates) => {
+  if (!findActiveKey(candidates, new Date())) {
+    throw new ApiError(400, 'NO_ACTIVE_KEY', 'The change would leave no active signing key');
+  }
+};
+
+/**
+ * Generate a new key pair that becomes the signing key at `activatesAt` (default: now).
+ * The currently active key is retired at the same moment and stays valid for verification
+ * for KEY_RETIREMENT_GRACE_HOURS.
+ */
+const rotateKey = async ({ activatesAt = new Date() } = {}) => {
+  const current = findActiveKey(keys(), new Date());
+  const key = addKey(await signer.createKey(), { activatesAt });
+
+  if (current && (!current.retiresAt || new Date(current.retiresAt) > new Date(key.activatesAt))) {
+    current.retiresAt = key.activatesAt;
+    current.expiresAt = new Date(new Date(key.activatesAt).getTime() + config().retirementGraceMs).toISOString();
+  }
+
+  saveManifest();
+  return describe(key);
+};
+
+/**
+ * Change the activation and/or retirement time of a key.
+ * A retired key stays valid for verification for KEY_RETIREMENT_GRACE_HOURS after `retiresAt`.
+ */
+const scheduleKey = (kid, { activatesAt, retiresAt }) => {
+  const key = keys().find((candidate) => candidate.kid === kid);
+  if (!key) {
+    return null;
+  }
+
+  const updated = { ...key };
+  if (activatesAt !== undefined) {
+    updated.activatesAt = new Date(activatesAt).toISOString();
+  }
+  if (retiresAt !== undefined) {
+    updated.retiresAt = retiresAt ? new Date(retiresAt).toISOString() : null;
+    updated.expiresAt = retiresAt
+      ? new Date(new Date(retiresAt).getTime() + config().retirementGraceMs).toISOString()
+      : null;
+  }
+
+  if (updated.retiresAt && new Date(updated.retiresAt) <= new Date(updated.activatesAt)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Retirement must be after activation');
+  }
+  assertSigningKeyAvailable(keys().map((candidate) => (candidate.kid === kid ? updated : candidate)));
+
+  Object.assign(key, updated);
+  saveManifest();
+  return describe(key);
+};
+
+module.exports = {
+  initKeyring,
+  getSigningKey,
+  signWithActiveKey,
+  getVerificationKey,
+  getJwks,
+  listKeys,
+  rotateKey,
+  scheduleKey,
+};
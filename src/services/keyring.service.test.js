@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('keyring', () => {
+  const env = { ...process.env };
+  let keysDir;
+  let keyring;
+
+  // Helper function to load the keyring module afresh, as after a restart
+  const restart = async () => {
+    jest.resetModules();
+    keyring = require('./keyring.service');
+    await keyring.initKeyring();
+  };
+
+  // Helper function to get the kid a payload is signed with right now
+  const signingKid = async () => jwt.decode(await keyring.signWithActiveKey({ transactionId: 'tx-1' }), { complete: true }).header.kid;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2026-03-15T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-test-'));
+    process.env.KEYS_DIR = keysDir;
+    process.env.SIGNER_BACKEND = 'local';
+    process.env.SIGNING_KEY_PASSPHRASE = 'correct horse battery staple';
+    delete process.env.PRIVATE_KEY_PATH;
+    delete process.env.KEY_RETIREMENT_GRACE_HOURS;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await restart();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(keysDir, { recursive: true, force: true });
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('creates a first key that signs right away', async () => {
+    const [first] = keyring.listKeys();
+
+    expect(first).toMatchObject({ status: 'active', backend: 'local', retiresAt: null });
+    expect(await signingKid()).toBe(first.kid);
+    expect(keyring.getJwks().keys).toEqual([expect.objectContaining({ kid: first.kid, kty: 'RSA', use: 'sig', alg: 'RS256' })]);
+  });
+
+  it('keeps signing with the current key until a rotated key activates', async () => {
+    const [current] = keyring.listKeys();
+    const next = await keyring.rotateKey({ activatesAt: new Date(Date.now() + HOUR_MS) });
+
+    expect(next.status).toBe('scheduled');
+    expect(await signingKid()).toBe(current.kid);
+    // Scheduled keys are published ahead of time, but nothing signed with them is accepted yet
+    expect(keyring.getJwks().keys.map((key) => key.kid)).toEqual([current.kid, next.kid]);
+    expect(keyring.getVerificationKey(next.kid)).toBeNull();
+
+    jest.setSystemTime(Date.now() + HOUR_MS);
+
+    expect(await signingKid()).toBe(next.kid);
+    expect(keyring.listKeys().map((key) => key.status)).toEqual(['retired', 'active']);
+  });
+
+  it('accepts a retired key for verification until its grace period ends', async () => {
+    const [old] = keyring.listKeys();
+    const token = await keyring.signWithActiveKey({ transactionId: 'tx-1' });
+    await keyring.rotateKey();
+
+    jest.setSystemTime(Date.now() + 71 * HOUR_MS);
+    expect(jwt.verify(token, keyring.getVerificationKey(old.kid), { algorithms: ['RS256'], ignoreExpiration: true }))
+      .toMatchObject({ transactionId: 'tx-1' });
+    expect(keyring.getJwks().keys).toHaveLength(2);
+
+    jest.setSystemTime(Date.now() + 2 * HOUR_MS);
+    expect(keyring.getVerificationKey(old.kid)).toBeNull();
+    expect(keyring.listKeys()[0].status).toBe('expired');
+    expect(keyring.getJwks().keys.map((key) => key.kid)).not.toContain(old.kid);
+  });
+
+  it('keeps the keys and their schedule across restarts', async () => {
+    const next = await keyring.rotateKey({ activatesAt: new Date(Date.now() + HOUR_MS) });
+
+    await restart();
+
+    expect(keyring.listKeys().map((key) => key.status)).toEqual(['active', 'scheduled']);
+    jest.setSystemTime(Date.now() + HOUR_MS);
+    expect(await signingKid()).toBe(next.kid);
+  });
+
+  it('refuses schedules that leave no signing key or retire a key before it activates', async () => {
+    const [only] = keyring.listKeys();
+    jest.setSystemTime(Date.now() + HOUR_MS);
+
+    expect(() => keyring.scheduleKey(only.kid, { retiresAt: new Date() }))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'NO_ACTIVE_KEY' }));
+    expect(() => keyring.scheduleKey(only.kid, { retiresAt: new Date(Date.parse(only.activatesAt) - HOUR_MS) }))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    expect(keyring.scheduleKey('unknown', { retiresAt: null })).toBeNull();
+  });
+});
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Account = require('../models/account.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+
+/**
+ * Ledger service
+ * Every money movement is posted as a balanced journal of debit and credit entries.
+ * The ledger is the source of truth; Account.balance is a cached value kept in sync
+ * in the same MongoDB transaction and can be verified with reconcileBalances().
+ */
+
+// Bank-side ledger accounts (counterparties of customer movements)
+const LEDGER_ACCOUNTS = {
+  BONUS_EXPENSE: 'BANK:BONUS_EXPENSE',
+  INTERBANK_CLEARING: 'BANK:INTERBANK_CLEARING',
+  // Currency the bank bought and sold in cross-currency transfers (one balance per currency)
+  FX_POSITION: 'BANK:FX_POSITION',
+  FEE_REVENUE: 'BANK:FEE_REVENUE',
+  INTEREST_EXPENSE: 'BANK:INTEREST_EXPENSE',
+  // Overdraft interest charged to customers
+  INTEREST_INCOME: 'BANK:INTEREST_INCOME',
+  // Counterparty of the opening balances of accounts that existed before the ledger
+  OPENING_BALANCE_EQUITY: 'BANK:OPENING_BALANCE_EQUITY',
+};
+
+// Helper function to compare money amounts without floating point drift
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Post a balanced journal.
+ * `lines` is a list of `{ account, side, amount }`; the sum of debits must equal the sum of credits.
+ * Must be called with the session of the transaction that moves the cached balances.
+ * `postedAt` backdates the entries (opening balances); they are posted now otherwise.
+ */
+const postJournal = async ({ transactionId, type, currency, description = '', lines, postedAt = null }, session) => {
+  if (!lines || lines.length < 2) {
+    throw new Error('A journal needs at least one debit and one credit line');
+  }
+
+  let debits = 0;
+  let credits = 0;
+  lines.forEach((line) => {
+    if (!(line.amount > 0)) {
+      throw new Error('Journal line amounts must be positive');
+    }
+    if (line.side === 'DEBIT') {
+      debits += toCents(line.amount);
+    } else {
+      credits += toCents(line.amount);
+    }
+  });
+
+  if (debits !== credits) {
+    throw new Error(`Unbalanced journal for transaction ${transactionId}: debits ${debits / 100}, credits ${credits / 100}`);
+  }
+
+  const journalId = uuidv4();
+  await LedgerEntry.insertMany(
+    lines.map((line) => ({
+      journalId,
+      transactionId,
+      account: line.account,
+      side: line.side,
+      amount: line.amount,
+      currency,
+      type,
+      description,
+      ...(postedAt ? { createdAt: postedAt } : {}),
+    })),
+    { session }
+  );
+
+  return journalId;
+};
+
+// Helper function to build the two lines of a simple movement from one account to another
+const transferLines = (fromAccount, toAccount, amount) => [
+  { account: fromAccount, side: 'DEBIT', amount },
+  { account: toAccount, side: 'CREDIT', amount },
+];
+
+// Derive the balance of a single ledger account from its entries
+const getLedgerBalance = (account) => LedgerEntry.balanceOf(account);
+
+// Helper function to post the opening balance of one account that existed before the ledger
+// Returns whether a journal was posted
+const postOpeningBalance = (accountNumber) => mongoose.connection.transaction(async (session) => {
+  if (await LedgerEntry.exists({ account: accountNumber, type: 'OPENING_BALANCE' }).session(session)) {
+    return false;
+  }
+
+  // Writing to the account makes a concurrent transfer on it conflict with this transaction
+  const account = await Account.findOneAndUpdate(
+    { accountNumber },
+    { $currentDate: { updatedAt: true } },
+    { new: true, session }
+  );
+  const ledgerBalance = await LedgerEntry.balanceOf(accountNumber, null, session);
+  const difference = toCents(account.balance) - toCents(ledgerBalance);
+  if (difference === 0) {
+    return false;
+  }
+
+  const amount = Math.abs(difference) / 100;
+  await postJournal({
+    transactionId: `OPENING-${accountNumber}`,
+    type: 'OPENING_BALANCE',
+    currency: account.currency,
+    description: 'Opening balance',
+    lines: difference > 0
+      ? transferLines(LEDGER_ACCOUNTS.OPENING_BALANCE_EQUITY, accountNumber, amount)
+      : transferLines(accountNumber, LEDGER_ACCOUNTS.OPENING_BALANCE_EQUITY, amount),
+    postedAt: account.createdAt,
+  }, session);
+  return true;
+});
+
+/**
+ * Post an opening balance journal for every account that was opened before the ledger started
+ * (before its first entry), so the ledger accounts for the money they already held. The journal
+ * is dated when the account was opened and covers the difference between Account.balance and
+ * the account's entries. Accounts opened since have their full history in the ledger and are
+ * left alone, so mismatches found later are still reported by reconcileBalances().
+ * Safe to run on every startup: an account gets at most one opening balance.
+ */
+const backfillOpeningBalances = async () => {
+  const firstEntry = await LedgerEntry.findOne({ type: { $ne: 'OPENING_BALANCE' } })
+    .sort({ createdAt: 1 })
+    .select('createdAt');
+  const accounts = await Account.find(firstEntry ? { createdAt: { $lt: firstEntry.createdAt } } : {})
+    .select('accountNumber');
+
+  let postedAccounts = 0;
+  for (const { accountNumber } of accounts) {
+    if (await postOpeningBalance(accountNumber)) {
+      postedAccounts += 1;
+    }
+  }
+  return { checkedAccounts: accounts.length, postedAccounts };
+};
+
+/**
+ * Compare every cached Account.balance with the balance derived from the ledger.
+ * Also checks that the ledger as a whole is balanced per currency.
+ */
+const reconcileBalances = async () => {
+  const [accounts, ledgerBalances] = await Promise.all([
+    Account.find().select('accountNumber currency balance'),
+    LedgerEntry.balances(),
+  ]);
+
+  const ledgerByAccount = new Map(ledgerBalances.map((row) => [row.account, row]));
+
+  const mismatches = [];
+  accounts.forEach((account) => {
+    const row = ledgerByAccount.get(account.accountNumber);
+    const ledgerBalance = row ? row.balance : 0;
+    if (toCents(ledgerBalance) !== toCents(account.balance)) {
+      mismatches.push({
+        accountNumber: account.accountNumber,
+        currency: account.currency,
+        cachedBalance: account.balance,
+        ledgerBalance,
+        difference: (toCents(account.balance) - toCents(ledgerBalance)) / 100,
+      });
+    }
+  });
+
+  // Total debits and credits must match per currency
+  const totals = {};
+  ledgerBalances.forEach((row) => {
+    totals[row.currency] = totals[row.currency] || { debits: 0, credits: 0 };
+    totals[row.currency].debits += toCents(row.debits);
+    totals[row.currency].credits += toCents(row.credits);
+  });
+  const unbalancedCurrencies = Object.keys(totals).filter(
+    (currency) => totals[currency].debits !== totals[currency].credits
+  );
+
+  const bankAccounts = ledgerBalances.filter((row) => row.account.startsWith('BANK:'));
+
+  return {
+    checkedAccounts: accounts.length,
+    consistent: mismatches.length === 0 && unbalancedCurrencies.length === 0,
+    mismatches,
+    unbalancedCurrencies,
+    bankAccounts,
+  };
+};
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  postJournal,
+  transferLines,
+  reconcileBalances,
+  backfillOpeningBalances,
+  getLedgerBalance,
+};
@@ -0,0 +1,371 @@
+const Account = require('../models/account.model');
+const Transaction = require('../models/transaction.model');
+const TransferLimit = require('../models/transferLimit.model');
+const TransferUsage = require('../models/transferUsage.model');
+const ApiError = require('../utils/apiError');
+const { BASE_CURRENCY, getMidRate } = require('./fx.service');
+
+/**
+ * Limit service
+ * Checks outgoing transfers against configurable limits: an amount per transaction, daily and
+ * monthly amounts, and daily and monthly numbers of transfers. Limits are kept at three levels
+ * (TransferLimit): bank-wide defaults, per user and per account. USER limits (which default to the
+ * bank's) apply to the transfers of all of a user's accounts together; ACCOUNT limits to one account.
+ * Admins set the limits; customers can set their own lower ones on top. Amounts are in EUR; transfers
+ * in other currencies count at their EUR equivalent at the mid rate. Days and months are UTC.
+ * Transfers count once they are executed (pending, in progress or completed): the daily and monthly
+ * usage is kept in counters (TransferUsage) that are written in the transaction executing the transfer.
+ */
+
+const LIMIT_FIELDS = ['perTransaction', 'dailyAmount', 'monthlyAmount', 'dailyCount', 'monthlyCount'];
+const COUNTED_STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED'];
+
+// Helper function to round money amounts to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Helper function to read one value of a set of limits (null if it is not set)
+const valueOf = (values, field) => (
+  values && values[field] !== null && values[field] !== undefined ? values[field] : null
+);
+
+// Helper function to get the lowest of the limits that are set (null if none is)
+const lowest = (...values) => values
+  .filter((value) => value !== null)
+  .reduce((low, value) => (low === null ? value : Math.min(low, value)), null);
+
+// Helper function to get the first limit that is set (the most specific level wins)
+const firstSet = (...values) => {
+  const set = values.find((value) => value !== null);
+  return set === undefined ? null : set;
+};
+
+// Helper function to pick the values of all limit fields with a function of the field
+const mapFields = (fn) => LIMIT_FIELDS.reduce((values, field) => ({ ...values, [field]: fn(field) }), {});
+
+// Helper function to get the starts of the current day and month, and of the next ones (UTC)
+const periodsAt = (now) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+  return {
+    dayStart: new Date(Date.UTC(year, month, date)),
+    nextDay: new Date(Date.UTC(year, month, date + 1)),
+    monthStart: new Date(Date.UTC(year, month, 1)),
+    nextMonth: new Date(Date.UTC(year, month + 1, 1)),
+  };
+};
+
+// Helper function to load the bank, user and account limit documents that apply to an account
+const findLimitDocs = async (account, session = null) => {
+  const docs = await TransferLimit.find({
+    $or: [
+      { scope: 'BANK' },
+      { scope: 'USER', user: account.user },
+      { scope: 'ACCOUNT', accountNumber: account.accountNumber },
+    ],
+  }).session(session);
+
+  return {
+    bank: docs.find((doc) => doc.scope === 'BANK') || null,
+    user: docs.find((doc) => doc.scope === 'USER') || null,
+    account: docs.find((doc) => doc.scope === 'ACCOUNT') || null,
+  };
+};
+
+/**
+ * Work out the limits of a user and of one of their accounts from the limit documents.
+ * For each scope, `allowed` is what admins allow (the most you can set as your own limit),
+ * `own` the customer's own limits and `effective` the limits transfers are checked against.
+ */
+const resolveLimits = ({ bank, user, account }) => {
+  const userAllowed = mapFields((field) => firstSet(
+    valueOf(user && user.limits, field),
+    valueOf(bank && bank.limits, field)
+  ));
+  const userOwn = mapFields((field) => valueOf(user && user.ownLimits, field));
+  const userEffective = mapFields((field) => lowest(userAllowed[field], userOwn[field]));
+
+  // Without an account limit set by an admin, the account can go as far as the user can
+  const accountAdmin = mapFields((field) => valueOf(account && account.limits, field));
+  const accountOwn = mapFields((field) => valueOf(account && account.ownLimits, field));
+
+  return {
+    USER: { allowed: userAllowed, own: userOwn, effective: userEffective },
+    ACCOUNT: {
+      allowed: mapFields((field) => firstSet(accountAdmin[field], userEffective[field])),
+      own: accountOwn,
+      effective: mapFields((field) => lowest(accountAdmin[field], accountOwn[field])),
+    },
+  };
+};
+
+/**
+ * Get the EUR amount and the number of the transfers sent from `accountNumbers` since `since`.
+ */
+const usageSince = async (accountNumbers, since, { session = null, excludeTransactionId = null } = {}) => {
+  const match = {
+    fromAccount: { $in: accountNumbers },
+    type: 'TRANSFER',
+    status: { $in: COUNTED_STATUSES },
+    // Scheduled transfers count from their execution date
+    $or: [
+      { executeAt: { $gte: since } },
+      { executeAt: null, createdAt: { $gte: since } },
+    ],
+  };
+  if (excludeTransactionId) {
+    match.transactionId = { $ne: excludeTransactionId };
+  }
+
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    { $group: { _id: '$currency', amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+  ]).session(session);
+
+  let amount = 0;
+  let count = 0;
+  for (const row of rows) {
+    amount += row.amount * (await getMidRate(row._id, BASE_CURRENCY));
+    count += row.count;
+  }
+  return { amount: roundAmount(amount), count };
+};
+
+// Helper function to get the account numbers whose transfers count against the USER limits of an account's owner
+const userAccountsOf = async (account, session = null) => {
+  const owned = await Account.find({ user: account.user }).select('accountNumber').session(session);
+  const accountNumbers = owned.map((row) => row.accountNumber);
+  if (account.accountNumber && !accountNumbers.includes(account.accountNumber)) {
+    accountNumbers.push(account.accountNumber);
+  }
+  return accountNumbers;
+};
+
+// Daily and monthly usage counters and the limits they are checked against
+const PERIODS = {
+  DAY: { start: 'dayStart', end: 'nextDay', amountLimit: 'dailyAmount', countLimit: 'dailyCount', usage: 'today' },
+  MONTH: { start: 'monthStart', end: 'nextMonth', amountLimit: 'monthlyAmount', countLimit: 'monthlyCount', usage: 'thisMonth' },
+};
+
+// Helper function to get the usage counters a transfer from `account` counts against
+const countersOf = (account, periods) => ['ACCOUNT', 'USER'].flatMap((scope) => Object.keys(PERIODS).map((period) => ({
+  filter: {
+    scope,
+    key: scope === 'ACCOUNT' ? account.accountNumber : account.user.toString(),
+    period,
+    periodStart: periods[PERIODS[period].start],
+  },
+  resetsAt: periods[PERIODS[period].end],
+})));
+
+// Helper function to work out a counter that has not been started yet from the transfers already sent
+const derivedUsageOf = async (account, counter, options = {}) => {
+  const accountNumbers = counter.filter.scope === 'ACCOUNT'
+    ? [account.accountNumber]
+    : await userAccountsOf(account, options.session || null);
+  return usageSince(accountNumbers, counter.filter.periodStart, options);
+};
+
+// Helper function to get the usage of a user's accounts and of one account today and this month
+// Without an account number, only the user's usage is read
+const usageOf = async (account, periods) => {
+  const usage = { USER: {}, ACCOUNT: {} };
+  for (const counter of countersOf(account, periods).filter(({ filter }) => filter.key)) {
+    const { scope, period } = counter.filter;
+    const doc = await TransferUsage.findOne(counter.filter);
+    usage[scope][PERIODS[period].usage] = doc
+      ? { amount: roundAmount(doc.amount), count: doc.count }
+      : await derivedUsageOf(account, counter);
+  }
+  return usage;
+};
+
+// Helper function to build the LIMIT_EXCEEDED error of a breached limit
+const limitExceeded = ({ scope, limit, value, used, headroom, resetsAt }) => {
+  const where = scope === 'ACCOUNT' ? 'for this account' : 'across your accounts';
+  const messages = {
+    perTransaction: `Amount exceeds the per-transaction limit of ${value} ${BASE_CURRENCY} ${where}`,
+    dailyAmount: `Transfer exceeds the daily limit of ${value} ${BASE_CURRENCY} ${where} (${headroom} ${BASE_CURRENCY} left today)`,
+    monthlyAmount: `Transfer exceeds the monthly limit of ${value} ${BASE_CURRENCY} ${where} (${headroom} ${BASE_CURRENCY} left this month)`,
+    dailyCount: `Transfer exceeds the limit of ${value} transfers per day ${where} (${headroom} left today)`,
+    monthlyCount: `Transfer exceeds the limit of ${value} transfers per month ${where} (${headroom} left this month)`,
+  };
+
+  return new ApiError(400, 'LIMIT_EXCEEDED', messages[limit], {
+    details: {
+      scope,
+      limit,
+      value,
+      used,
+      headroom,
+      currency: limit.endsWith('Count') ? null : BASE_CURRENCY,
+      resetsAt,
+    },
+  });
+};
+
+// Helper function to check an amount (in EUR) against the per-transaction limits
+const checkPerTransaction = (limits, amountInBase) => {
+  for (const scope of ['ACCOUNT', 'USER']) {
+    const value = limits[scope].effective.perTransaction;
+    if (value !== null && amountInBase > value) {
+      throw limitExceeded({ scope, limit: 'perTransaction', value, used: null, headroom: value, resetsAt: null });
+    }
+  }
+};
+
+/**
+ * Check an outgoing transfer of `amount` (in the account currency) from `account` against its
+ * per-transaction limits; throws LIMIT_EXCEEDED (400) with the limit hit.
+ * Daily and monthly limits are checked by countTransferUsage() when the transfer is executed.
+ */
+const checkTransferLimits = async ({ account, amount }) => {
+  const limits = resolveLimits(await findLimitDocs(account));
+  checkPerTransaction(limits, roundAmount(amount * (await getMidRate(account.currency, BASE_CURRENCY))));
+};
+
+/**
+ * Count an outgoing transfer of `amount` (in the account currency) from `account` against the
+ * daily and monthly usage of the account and its owner, and check it against all of their limits;
+ * throws LIMIT_EXCEEDED (400) with the limit hit and the headroom left.
+ * Must run in the session of the transaction that executes the transfer. The counters are
+ * incremented first and checked after, so concurrent transfers write the same documents: all but
+ * one conflict and are retried on the updated counts, and a transfer over a limit rolls its
+ * increments back with the rest of its transaction.
+ * `transactionId` (a stored transfer being executed) is left out when a counter is first worked out
+ * from the transfers. Returns what was counted ({ countedAt, amount } in EUR), to be recorded on
+ * the transfer for releaseTransferUsage().
+ */
+const countTransferUsage = async ({ account, amount, session, transactionId = null, now = new Date() }) => {
+  const limits = resolveLimits(await findLimitDocs(account, session));
+  const amountInBase = roundAmount(amount * (await getMidRate(account.currency, BASE_CURRENCY)));
+  checkPerTransaction(limits, amountInBase);
+
+  for (const counter of countersOf(account, periodsAt(now))) {
+    const started = await TransferUsage.exists(counter.filter).session(session);
+    const earlier = started
+      ? { amount: 0, count: 0 }
+      : await derivedUsageOf(account, counter, { session, excludeTransactionId: transactionId });
+
+    const usage = await TransferUsage.findOneAndUpdate(
+      counter.filter,
+      {
+        $inc: { amount: earlier.amount + amountInBase, count: earlier.count + 1 },
+        $setOnInsert: { expiresAt: counter.resetsAt },
+      },
+      { upsert: true, new: true, session }
+    );
+
+    const { scope, period } = counter.filter;
+    const { amountLimit, countLimit } = PERIODS[period];
+    const checks = [
+      { limit: amountLimit, total: roundAmount(usage.amount), adds: amountInBase },
+      { limit: countLimit, total: usage.count, adds: 1 },
+    ];
+    for (const { limit, total, adds } of checks) {
+      const value = limits[scope].effective[limit];
+      if (value !== null && total > value) {
+        const used = limit.endsWith('Count') ? total - adds : roundAmount(total - adds);
+        const headroom = Math.max(0, limit.endsWith('Count') ? value - used : roundAmount(value - used));
+        throw limitExceeded({ scope, limit, value, used, headroom, resetsAt: counter.resetsAt });
+      }
+    }
+  }
+
+  return { countedAt: now, amount: amountInBase };
+};
+
+/**
+ * Take a transfer that was counted by countTransferUsage() out of the usage again (e.g. when it
+ * fails and is refunded), in the session of that transaction. `countedAt` and `amount` are what
+ * countTransferUsage() returned; counters of periods that have ended are left alone.
+ */
+const releaseTransferUsage = async ({ account, countedAt, amount, session }) => {
+  for (const counter of countersOf(account, periodsAt(countedAt))) {
+    await TransferUsage.updateOne(
+      counter.filter,
+      { $inc: { amount: -amount, count: -1 } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Get the limits of a user and of one of their accounts with what has been used of them.
+ * `account` is optional; without it only the USER scope is returned.
+ */
+const getLimitsOverview = async ({ userId, account = null }) => {
+  const subject = account || { user: userId, accountNumber: null, currency: BASE_CURRENCY };
+  const limits = resolveLimits(await findLimitDocs(subject));
+  const periods = periodsAt(new Date());
+
+  const usage = await usageOf(subject, periods);
+  if (!account) {
+    return { currency: BASE_CURRENCY, scope: 'USER', ...limits.USER, usage: usage.USER };
+  }
+
+  return {
+    currency: BASE_CURRENCY,
+    scope: 'ACCOUNT',
+    ...limits.ACCOUNT,
+    usage: usage.ACCOUNT,
+    userLimits: { ...limits.USER, usage: usage.USER },
+  };
+};
+
+// Helper function to find or start the limit document of a scope
+const findOrCreateLimitDoc = async ({ scope, userId = null, accountNumber = null }) => {
+  const filter = { scope, user: userId, accountNumber };
+  return (await TransferLimit.findOne(filter)) || new TransferLimit(filter);
+};
+
+/**
+ * Set limits as an admin: the bank defaults (scope BANK), a user's (USER) or an account's (ACCOUNT).
+ * `values` holds the fields to change; null removes a limit at this level.
+ */
+const setLimits = async ({ scope, userId = null, accountNumber = null, values, setBy }) => {
+  const doc = await findOrCreateLimitDoc({ scope, userId, accountNumber });
+  Object.entries(values).forEach(([field, value]) => doc.set(`limits.${field}`, value));
+  doc.updatedBy = setBy;
+  return doc.save();
+};
+
+/**
+ * Set a customer's own limits on their user (`account` null) or on one of their accounts.
+ * Own limits can only be lower than what the bank allows; throws LIMIT_ABOVE_ALLOWED (400)
+ * otherwise. null removes an own limit.
+ */
+const setOwnLimits = async ({ userId, account = null, values }) => {
+  const subject = account || { user: userId, accountNumber: null };
+  const limits = resolveLimits(await findLimitDocs(subject));
+  const { allowed } = limits[account ? 'ACCOUNT' : 'USER'];
+
+  const tooHigh = Object.entries(values)
+    .filter(([field, value]) => value !== null && allowed[field] !== null && value > allowed[field])
+    .map(([field, value]) => ({ field, value, allowed: allowed[field] }));
+  if (tooHigh.length) {
+    throw new ApiError(400, 'LIMIT_ABOVE_ALLOWED', 'Your own limits cannot be higher than the limits the bank allows', {
+      details: tooHigh,
+    });
+  }
+
+  const doc = await findOrCreateLimitDoc({
+    scope: account ? 'ACCOUNT' : 'USER',
+    userId: account ? null : userId,
+    accountNumber: account ? account.accountNumber : null,
+  });
+  Object.entries(values).forEach(([field, value]) => doc.set(`ownLimits.${field}`, value));
+  doc.updatedBy = userId;
+  return doc.save();
+};
+
+module.exports = {
+  LIMIT_FIELDS,
+  resolveLimits,
+  checkTransferLimits,
+  countTransferUsage,
+  releaseTransferUsage,
+  getLimitsOverview,
+  setLimits,
+  setOwnLimits,
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+jest.mock('./fx.service', () => ({
+  BASE_CURRENCY: 'EUR',
+  getMidRate: jest.fn(async (from, to) => (from === to ? 1 : 0.9)),
+}));
+
+const Account = require('../models/account.model');
+const Transaction = require('../models/transaction.model');
+const TransferLimit = require('../models/transferLimit.model');
+const TransferUsage = require('../models/transferUsage.model');
+const {
+  resolveLimits,
+  checkTransferLimits,
+  countTransferUsage,
+  releaseTransferUsage,
+} = require('./limit.service');
+
+const account = {
+  accountNumber: 'OVE-11111111',
+  user: new mongoose.Types.ObjectId(),
+  currency: 'EUR',
+};
+const session = { id: 'session' };
+const now = new Date('2026-03-15T12:00:00Z');
+
+// Helper function to build a limit document
+const limitDoc = (scope, limits = {}, ownLimits = {}) => ({ scope, limits, ownLimits });
+
+// Helper function to name a usage counter by its filter
+const counterKey = ({ scope, key, period, periodStart }) => `${scope}:${key}:${period}:${periodStart.toISOString()}`;
+
+describe('limit service', () => {
+  let limitDocs;
+  let counters;
+
+  beforeEach(() => {
+    limitDocs = [];
+    counters = new Map();
+    jest.spyOn(TransferLimit, 'find').mockImplementation(() => ({ session: jest.fn().mockResolvedValue(limitDocs) }));
+    jest.spyOn(Account, 'find').mockReturnValue({
+      select: () => ({ session: jest.fn().mockResolvedValue([{ accountNumber: 'OVE-11111111' }, { accountNumber: 'OVE-22222222' }]) }),
+    });
+    jest.spyOn(Transaction, 'aggregate').mockReturnValue({ session: jest.fn().mockResolvedValue([]) });
+    jest.spyOn(TransferUsage, 'exists').mockImplementation((filter) => ({
+      session: jest.fn().mockResolvedValue(counters.has(counterKey(filter)) ? { _id: counterKey(filter) } : null),
+    }));
+    jest.spyOn(TransferUsage, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const usage = counters.get(counterKey(filter)) || { amount: 0, count: 0 };
+      usage.amount += update.$inc.amount;
+      usage.count += update.$inc.count;
+      counters.set(counterKey(filter), usage);
+      return { ...usage };
+    });
+    jest.spyOn(TransferUsage, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Helper function to start every usage counter of the account at these totals
+  const usageIs = (usage) => {
+    ['ACCOUNT:OVE-11111111', `USER:${account.user}`].forEach((prefix) => {
+      counters.set(`${prefix}:DAY:2026-03-15T00:00:00.000Z`, { ...usage });
+      counters.set(`${prefix}:MONTH:2026-03-01T00:00:00.000Z`, { ...usage });
+    });
+  };
+
+  describe('resolveLimits', () => {
+    it('lets user limits override the bank defaults and own limits only lower them', () => {
+      const limits = resolveLimits({
+        bank: limitDoc('BANK', { dailyAmount: 1000, perTransaction: 500 }),
+        user: limitDoc('USER', { dailyAmount: 2000 }, { dailyAmount: 800 }),
+        account: limitDoc('ACCOUNT', { dailyCount: 5 }, { dailyAmount: 300 }),
+      });
+
+      expect(limits.USER.allowed).toMatchObject({ dailyAmount: 2000, perTransaction: 500, dailyCount: null });
+      expect(limits.USER.effective).toMatchObject({ dailyAmount: 800, perTransaction: 500 });
+      // The account can go as far as the user where no admin limit is set on it
+      expect(limits.ACCOUNT.allowed).toMatchObject({ dailyAmount: 800, dailyCount: 5 });
+      expect(limits.ACCOUNT.effective).toMatchObject({ dailyAmount: 300, dailyCount: 5, perTransaction: null });
+    });
+  });
+
+  describe('checkTransferLimits', () => {
+    it('checks the per-transaction limit at the EUR equivalent of the amount', async () => {
+      limitDocs = [limitDoc('BANK', { perTransaction: 900 })];
+
+      await expect(checkTransferLimits({ account: { ...account, currency: 'USD' }, amount: 1000 })).resolves.toBeUndefined();
+      await expect(checkTransferLimits({ account, amount: 1000 })).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'LIMIT_EXCEEDED',
+        details: { scope: 'USER', limit: 'perTransaction', value: 900 },
+      });
+    });
+  });
+
+  describe('countTransferUsage', () => {
+    it('adds the transfer to the daily and monthly counters of the account and its owner', async () => {
+      usageIs({ amount: 100, count: 1 });
+
+      expect(await countTransferUsage({ account, amount: 50, session, now })).toEqual({ countedAt: now, amount: 50 });
+
+      expect(TransferUsage.findOneAndUpdate).toHaveBeenCalledTimes(4);
+      expect([...counters.values()]).toEqual(Array(4).fill({ amount: 150, count: 2 }));
+      const [filter, update, options] = TransferUsage.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ scope: 'ACCOUNT', key: 'OVE-11111111', period: 'DAY', periodStart: new Date('2026-03-15T00:00:00Z') });
+      expect(update.$setOnInsert).toEqual({ expiresAt: new Date('2026-03-16T00:00:00Z') });
+      expect(options).toEqual({ upsert: true, new: true, session });
+      expect(Transaction.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('starts new counters from the transfers already sent, leaving out the one being executed', async () => {
+      Transaction.aggregate.mockReturnValue({ session: jest.fn().mockResolvedValue([{ _id: 'EUR', amount: 100, count: 2 }]) });
+
+      await countTransferUsage({ account, amount: 50, session, transactionId: 'tx-1', now });
+
+      expect([...counters.values()]).toEqual(Array(4).fill({ amount: 150, count: 3 }));
+      const matches = Transaction.aggregate.mock.calls.map(([pipeline]) => pipeline[0].$match);
+      expect(matches[0]).toMatchObject({ fromAccount: { $in: ['OVE-11111111'] }, transactionId: { $ne: 'tx-1' } });
+      expect(matches[2]).toMatchObject({ fromAccount: { $in: ['OVE-11111111', 'OVE-22222222'] } });
+    });
+
+    it('refuses a transfer over the daily amount with the headroom left', async () => {
+      limitDocs = [limitDoc('BANK', { dailyAmount: 500 })];
+      usageIs({ amount: 450, count: 1 });
+
+      await expect(countTransferUsage({ account, amount: 100, session, now })).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'LIMIT_EXCEEDED',
+        message: 'Transfer exceeds the daily limit of 500 EUR across your accounts (50 EUR left today)',
+        details: {
+          scope: 'USER',
+          limit: 'dailyAmount',
+          value: 500,
+          used: 450,
+          headroom: 50,
+          currency: 'EUR',
+          resetsAt: new Date('2026-03-16T00:00:00Z'),
+        },
+      });
+    });
+
+    it('refuses a transfer over the number of transfers an account may send', async () => {
+      limitDocs = [limitDoc('ACCOUNT', { monthlyCount: 2 })];
+      usageIs({ amount: 10, count: 2 });
+
+      await expect(countTransferUsage({ account, amount: 1, session, now })).rejects.toMatchObject({
+        details: {
+          scope: 'ACCOUNT',
+          limit: 'monthlyCount',
+          value: 2,
+          used: 2,
+          headroom: 0,
+          currency: null,
+          resetsAt: new Date('2026-04-01T00:00:00Z'),
+        },
+      });
+    });
+  });
+
+  describe('releaseTransferUsage', () => {
+    it('takes a transfer out of the counters of the day it was counted', async () => {
+      await releaseTransferUsage({ account, countedAt: now, amount: 45, session });
+
+      expect(TransferUsage.updateOne).toHaveBeenCalledTimes(4);
+      expect(TransferUsage.updateOne).toHaveBeenCalledWith(
+        { scope: 'USER', key: account.user.toString(), period: 'MONTH', periodStart: new Date('2026-03-01T00:00:00Z') },
+        { $inc: { amount: -45, count: -1 } },
+        { session }
+      );
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const OutboxMessage = require('../models/outboxMessage.model');
+const Transaction = require('../models/transaction.model');
+const { refundExternalTransfer } = require('./transfer.service');
+const centralBank = require('./centralBank.service');
+const { resignPayload } = require('./signature.service');
+const { consume } = require('./rateLimit');
+
+/**
+ * Outbox service
+ * Delivers queued outgoing transfers to the central bank in the background.
+ * Every attempt signs the payload again with a fresh timestamp (same transactionId, which the
+ * receiving bank deduplicates on), so transfers that waited out an outage are not refused as stale.
+ * Transient failures (network errors, timeouts, 5xx, 408 and 429 responses) are retried with
+ * exponential backoff. Only after the last attempt is the sender refunded with BANK_UNAVAILABLE.
+ * A rejection from the central bank (other 4xx responses) fails the transfer immediately.
+ * While the central bank client's circuit is open, messages wait without using up attempts.
+ * Deliveries are capped at RATE_LIMIT_OUTGOING_PER_MINUTE (the 100 transactions per minute per bank
+ * of SPECIFICATIONS.md); messages over the cap wait for the next minute the same way.
+ */
+
+const config = () => ({
+  pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 2000,
+  requestTimeoutMs: parseInt(process.env.CENTRAL_BANK_TIMEOUT_MS, 10) || 10000,
+  retryBaseMs: parseInt(process.env.OUTBOX_RETRY_BASE_MS, 10) || 1000,
+  retryMaxMs: parseInt(process.env.OUTBOX_RETRY_MAX_MS, 10) || 5 * 60 * 1000,
+  outgoingPerMinute: parseInt(process.env.RATE_LIMIT_OUTGOING_PER_MINUTE, 10) || 100,
+});
+
+let timer = null;
+let running = false;
+// No deliveries before this time (ms): the outgoing cap was reached
+let throttledUntil = 0;
+
+// Helper function to calculate the delay before the next attempt (exponential backoff with jitter)
+const backoffDelay = (attempts) => {
+  const { retryBaseMs, retryMaxMs } = config();
+  const delay = Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+// Claim the next due message, locking it for the duration of one delivery attempt
+const claimNextMessage = () => {
+  const now = new Date();
+  return OutboxMessage.findOneAndUpdate(
+    {
+      status: 'PENDING',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: { lockedUntil: new Date(now.getTime() + config().requestTimeoutMs * 2) },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Put a claimed message back to wait until `until`, without counting the attempt
+const deferMessage = (message, until) => OutboxMessage.updateOne(
+  { _id: message._id, status: 'PENDING' },
+  { $set: { lockedUntil: null, nextAttemptAt: until }, $inc: { attempts: -1 } }
+);
+
+// Take one slot of the outgoing cap for a claimed message, or defer it to the next window
+// If the rate limit store fails, the message is delivered rather than held back
+const takeSendSlot = async (message) => {
+  let slot;
+  try {
+    slot = await consume('outgoing-bank', process.env.BANK_PREFIX, {
+      max: config().outgoingPerMinute,
+      windowMs: 60 * 1000,
+    });
+  } catch (error) {
+    console.error('Rate limit store error (outgoing-bank):', error);
+    return true;
+  }
+
+  if (slot.allowed) {
+    return true;
+  }
+  throttledUntil = slot.resetAt.getTime();
+  await deferMessage(message, slot.resetAt);
+  return false;
+};
+
+// Give up on a message and refund the sender
+const failMessage = async (message, errorCode, errorMessage) => {
+  await refundExternalTransfer(message.transactionId, errorCode, errorMessage);
+  await OutboxMessage.updateOne(
+    { _id: message._id, status: 'PENDING' },
+    { $set: { status: 'FAILED', lockedUntil: null, lastError: `${errorCode}: ${errorMessage}` } }
+  );
+};
+
+// Schedule another attempt, or give up if the message has used all of its attempts
+const retryOrFail = async (message, reason) => {
+  if (message.attempts >= message.maxAttempts) {
+    console.error(`Outbox giving up on transaction ${message.transactionId} after ${message.attempts} attempts: ${reason}`);
+    await failMessage(message, 'BANK_UNAVAILABLE', 'Central bank is not responding');
+    return;
+  }
+
+  await OutboxMessage.updateOne(
+    { _id: message._id, status: 'PENDING' },
+    {
+      $set: {
+        lockedUntil: null,
+        lastError: reason,
+        nextAttemptAt: new Date(Date.now() + backoffDelay(message.attempts)),
+      },
+    }
+  );
+};
+
+/**
+ * Make one delivery attempt for a claimed message.
+ */
+const deliver = async (message) => {
+  const payload = await resignPayload(message.payload);
+  let responseData;
+  try {
+    ({ data: responseData } = await centralBank.request('POST', '/api/v1/transactions', {
+      body: payload,
+    }));
+  } catch (error) {
+    if (error.circuitOpen) {
+      // Not an attempt: wait until the circuit lets a call through again
+      const waitUntil = Math.max(error.retryAt ? error.retryAt.getTime() : 0, Date.now() + config().pollIntervalMs);
+      await deferMessage(message, new Date(waitUntil));
+    } else if (error.retryable) {
+      await retryOrFail(message, `${error.upstreamStatus || ''} ${error.code}: ${error.message}`.trim());
+    } else if (error.upstreamStatus) {
+      await failMessage(message, error.code, error.message);
+    } else {
+      throw error;
+    }
+    return;
+  }
+
+  await OutboxMessage.updateOne(
+    { _id: message._id, status: 'PENDING' },
+    { $set: { status: 'DELIVERED', lockedUntil: null, deliveredAt: new Date(), payload, response: responseData } }
+  );
+
+  // The central bank now owns the transfer until it confirms or rejects it
+  await Transaction.updateOne(
+    { transactionId: message.transactionId, status: 'PENDING' },
+    { $set: { status: 'IN_PROGRESS' } }
+  );
+};
+
+/**
+ * Deliver every message that is due, up to the outgoing cap. Safe to call concurrently from
+ * several processes (the cap is only shared between them with a shared rate limit store).
+ */
+const dispatchDue = async () => {
+  if (running || Date.now() < throttledUntil) {
+    return;
+  }
+  running = true;
+  try {
+    let message = await claimNextMessage();
+    while (message) {
+      try {
+        if (!(await takeSendSlot(message))) {
+          break;
+        }
+        await deliver(message);
+      } catch (error) {
+        console.error(`Outbox error delivering transaction ${message.transactionId}:`, error);
+      }
+      message = await claimNextMessage();
+    }
+  } catch (error) {
+    console.error('Outbox dispatcher error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Trigger a dispatch without waiting for the next poll (e.g. right after a transfer is queued)
+const dispatchSoon = () => {
+  setImmediate(dispatchDue);
+};
+
+// Start polling the outbox for due messages
+const startDispatcher = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(dispatchDue, config().pollIntervalMs);
+  dispatchSoon();
+  console.log('Outbox dispatcher started');
+};
+
+// Stop polling the outbox
+const stopDispatcher = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  dispatchDue,
+  dispatchSoon,
+  startDispatcher,
+  stopDispatcher,
+};
@@ -0,0 +1,199 @@
+jest.mock('./transfer.service', () => ({
+  refundExternalTransfer: jest.fn(),
+}));
+jest.mock('./centralBank.service', () => ({
+  request: jest.fn(),
+}));
+// Signs with a key pair made for the test; verifying our own payloads uses its public key
+jest.mock('./keyring.service', () => {
+  const crypto = require('crypto');
+  const jwt = require('jsonwebtoken');
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    signWithActiveKey: jest.fn(async (payload, options) => jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: 'key-1', ...options })),
+    getVerificationKey: () => publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+});
+
+// Helper function to build the payload of an outgoing transfer as signed when it was queued
+const queuedPayload = async (signedAt = new Date()) => {
+  const { signTransaction } = require('./signature.service');
+  const payload = {
+    transactionId: 'tx-out',
+    fromBank: 'OVE',
+    fromAccount: 'OVE-11111111',
+    toBank: 'ABC',
+    toAccount: 'ABC-12345678',
+    amount: 50,
+    currency: 'EUR',
+    description: 'Invoice 42',
+    timestamp: signedAt.toISOString(),
+  };
+  payload.signature = await signTransaction(payload);
+  return payload;
+};
+
+// Helper function to build a claimed outbox message
+const claimedMessage = (overrides = {}) => ({
+  _id: 'message-1',
+  transactionId: 'tx-out',
+  payload: { transactionId: 'tx-out', signature: 'signed' },
+  attempts: 1,
+  maxAttempts: 3,
+  ...overrides,
+});
+
+describe('outbox dispatcher', () => {
+  let OutboxMessage;
+  let Transaction;
+  let refundExternalTransfer;
+  let centralBank;
+  let dispatchDue;
+  let queue;
+
+  beforeEach(() => {
+    // The dispatcher keeps its throttle in module state, so every test gets a fresh module
+    jest.resetModules();
+    OutboxMessage = require('../models/outboxMessage.model');
+    Transaction = require('../models/transaction.model');
+    ({ refundExternalTransfer } = require('./transfer.service'));
+    centralBank = require('./centralBank.service');
+    const { setRateLimitStore } = require('./rateLimit');
+    const { createMemoryStore } = require('./rateLimit/memory.store');
+    ({ dispatchDue } = require('./outbox.service'));
+
+    process.env.BANK_PREFIX = 'OVE';
+    setRateLimitStore(createMemoryStore());
+    queue = [];
+    jest.spyOn(OutboxMessage, 'findOneAndUpdate').mockImplementation(async () => queue.shift() || null);
+    jest.spyOn(OutboxMessage, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    refundExternalTransfer.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_OUTGOING_PER_MINUTE;
+    jest.restoreAllMocks();
+  });
+
+  it('marks a delivered message and hands the transfer to the central bank', async () => {
+    queue.push(claimedMessage({ payload: await queuedPayload() }));
+    centralBank.request.mockResolvedValue({ data: { status: 'accepted' } });
+
+    await dispatchDue();
+
+    const [method, path, { body }] = centralBank.request.mock.calls[0];
+    expect([method, path]).toEqual(['POST', '/api/v1/transactions']);
+    expect(body).toMatchObject({ transactionId: 'tx-out', amount: 50, toAccount: 'ABC-12345678' });
+    expect(OutboxMessage.updateOne).toHaveBeenCalledWith(
+      { _id: 'message-1', status: 'PENDING' },
+      { $set: expect.objectContaining({ status: 'DELIVERED', payload: body, response: { status: 'accepted' } }) }
+    );
+    expect(Transaction.updateOne).toHaveBeenCalledWith(
+      { transactionId: 'tx-out', status: 'PENDING' },
+      { $set: { status: 'IN_PROGRESS' } }
+    );
+  });
+
+  it('signs the payload again for a delivery long after it was queued', async () => {
+    const { verifyIncomingTransfer } = require('./signature.service');
+    const queued = await queuedPayload(new Date(Date.now() - 60 * 60 * 1000));
+    queue.push(claimedMessage({ payload: queued }));
+    // The receiving side checks the signature and its freshness like any bank does
+    centralBank.request.mockImplementation(async (method, path, { body }) => ({ data: await verifyIncomingTransfer(body) }));
+
+    await expect(verifyIncomingTransfer(queued)).rejects.toMatchObject({ code: 'STALE_TRANSACTION' });
+    await dispatchDue();
+
+    const [, , { body }] = centralBank.request.mock.calls[0];
+    expect(body.transactionId).toBe('tx-out');
+    expect(body.signature).not.toBe(queued.signature);
+    expect(Date.now() - Date.parse(body.timestamp)).toBeLessThan(60 * 1000);
+    expect(OutboxMessage.updateOne).toHaveBeenCalledWith(
+      { _id: 'message-1', status: 'PENDING' },
+      { $set: expect.objectContaining({ status: 'DELIVERED' }) }
+    );
+    expect(refundExternalTransfer).not.toHaveBeenCalled();
+  });
+
+  it('schedules another attempt with backoff after a transient failure', async () => {
+    queue.push(claimedMessage({ attempts: 1 }));
+    centralBank.request.mockRejectedValue(Object.assign(new Error('Request timed out'), {
+      code: 'TIMEOUT',
+      retryable: true,
+    }));
+    const before = Date.now();
+
+    await dispatchDue();
+
+    const [filter, update] = OutboxMessage.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'message-1', status: 'PENDING' });
+    expect(update.$set.lastError).toBe('TIMEOUT: Request timed out');
+    expect(update.$set.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(refundExternalTransfer).not.toHaveBeenCalled();
+  });
+
+  it('refunds the sender once the last attempt has failed', async () => {
+    queue.push(claimedMessage({ attempts: 3, maxAttempts: 3 }));
+    centralBank.request.mockRejectedValue(Object.assign(new Error('Service unavailable'), {
+      code: 'CENTRAL_BANK_ERROR',
+      upstreamStatus: 503,
+      retryable: true,
+    }));
+
+    await dispatchDue();
+
+    expect(refundExternalTransfer).toHaveBeenCalledWith('tx-out', 'BANK_UNAVAILABLE', 'Central bank is not responding');
+    expect(OutboxMessage.updateOne).toHaveBeenCalledWith(
+      { _id: 'message-1', status: 'PENDING' },
+      { $set: expect.objectContaining({ status: 'FAILED', lastError: 'BANK_UNAVAILABLE: Central bank is not responding' }) }
+    );
+  });
+
+  it('refunds the sender right away when the central bank rejects the transfer', async () => {
+    queue.push(claimedMessage({ attempts: 1 }));
+    centralBank.request.mockRejectedValue(Object.assign(new Error('Unknown destination bank'), {
+      code: 'BANK_NOT_FOUND',
+      upstreamStatus: 404,
+      retryable: false,
+    }));
+
+    await dispatchDue();
+
+    expect(refundExternalTransfer).toHaveBeenCalledWith('tx-out', 'BANK_NOT_FOUND', 'Unknown destination bank');
+  });
+
+  it('holds messages without using up attempts while the circuit is open', async () => {
+    const retryAt = new Date(Date.now() + 30000);
+    queue.push(claimedMessage());
+    centralBank.request.mockRejectedValue(Object.assign(new Error('Circuit open'), { circuitOpen: true, retryAt }));
+
+    await dispatchDue();
+
+    expect(OutboxMessage.updateOne).toHaveBeenCalledWith(
+      { _id: 'message-1', status: 'PENDING' },
+      { $set: { lockedUntil: null, nextAttemptAt: retryAt }, $inc: { attempts: -1 } }
+    );
+    expect(refundExternalTransfer).not.toHaveBeenCalled();
+  });
+
+  it('defers messages over the outgoing cap to the next minute', async () => {
+    process.env.RATE_LIMIT_OUTGOING_PER_MINUTE = '1';
+    queue.push(claimedMessage({ _id: 'message-1' }), claimedMessage({ _id: 'message-2', transactionId: 'tx-2' }));
+    centralBank.request.mockResolvedValue({ data: {} });
+
+    await dispatchDue();
+
+    expect(centralBank.request).toHaveBeenCalledTimes(1);
+    const [filter, update] = OutboxMessage.updateOne.mock.calls.find(([{ _id }]) => _id === 'message-2');
+    expect(filter).toEqual({ _id: 'message-2', status: 'PENDING' });
+    expect(update.$inc).toEqual({ attempts: -1 });
+    expect(update.$set.nextAttemptAt.getTime() % 60000).toBe(0);
+
+    // Throttled until then: nothing is claimed
+    queue.push(claimedMessage({ _id: 'message-3' }));
+    await dispatchDue();
+    expect(queue).toHaveLength(1);
+  });
+});
@@ -0,0 +1,420 @@
+const Account = require('../../models/account.model');
+const PaymentImport = require('../../models/paymentImport.model');
+const Transaction = require('../../models/transaction.model');
+const { scheduleTransfer } = require('../transfer.service');
+const { executeScheduledTransfer } = require('../scheduler.service');
+const { getMaxBatchPayments } = require('../batch.service');
+const { parsePain001 } = require('./parser');
+const { combineStatuses, renderPain002 } = require('./pain002.format');
+
+/**
+ * pain.001 import
+ * Executes the credit transfers of an ISO 20022 pain.001 file and reports their status in a pain.002
+ * status report. The file is checked as a whole when it is submitted (transaction count, control
+ * sum, duplicate message id); a file that fails these checks is rejected at once without executing
+ * anything. An accepted file is stored and processed in the background, like payment batches: each
+ * credit transfer is checked on its own (debtor account ownership, amount, currency, creditor
+ * account) and executed through the scheduled transfer path: creditor accounts with our BANK_PREFIX
+ * are paid internally (converted at the exchange rate when they use another currency), others are
+ * sent to their bank. A rejected transfer is reported with an ISO reason code and does not affect
+ * the others. Transfers with a future ReqdExctnDt are scheduled for that date. The report is stored
+ * with the import once every transfer has been run.
+ */
+
+const config = () => ({
+  pollIntervalMs: parseInt(process.env.IMPORT_POLL_INTERVAL_MS, 10) || 5000,
+  lockMs: 5 * 60 * 1000,
+});
+
+let timer = null;
+let running = false;
+
+// Our error codes and the ISO 20022 status reason codes reported for them
+const REASON_CODES = {
+  INSUFFICIENT_FUNDS: 'AM04',
+  ACCOUNT_NOT_FOUND: 'AC03',
+  CURRENCY_MISMATCH: 'AM03',
+};
+
+// Helper function to compare money amounts without floating point drift
+const toCents = (amount) => Math.round(amount * 100);
+
+// Helper function to build a rejected transaction status
+const rejected = (transaction, reasonCode, reason) => ({
+  instructionId: transaction.instructionId,
+  endToEndId: transaction.endToEndId,
+  status: 'RJCT',
+  reasonCode,
+  reason,
+  transactionId: null,
+});
+
+// Helper function to read a requested execution date; a date without time means the start of that day (UTC)
+const executionTimeOf = (value) => {
+  if (!value) {
+    return new Date();
+  }
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Helper function to check a credit transfer; returns the transfer to make or a rejection
+const checkTransaction = async (transaction, debtor, seenEndToEndIds) => {
+  const bankPrefix = process.env.BANK_PREFIX;
+
+  if (transaction.endToEndId && seenEndToEndIds.has(transaction.endToEndId)) {
+    return { rejection: rejected(transaction, 'AM05', 'Duplicate EndToEndId in this file') };
+  }
+  if (transaction.endToEndId) {
+    seenEndToEndIds.add(transaction.endToEndId);
+  }
+
+  if (!/^\d+(\.\d{1,2})?$/.test(transaction.amount || '')) {
+    return { rejection: rejected(transaction, 'AM12', 'InstdAmt must be a positive amount with at most 2 decimals') };
+  }
+  const amount = parseFloat(transaction.amount);
+  if (amount < 0.01) {
+    return { rejection: rejected(transaction, 'AM01', 'Amount must be at least 0.01') };
+  }
+  if (amount > 1000000) {
+    return { rejection: rejected(transaction, 'AM02', 'Amount cannot exceed 1,000,000') };
+  }
+  if (transaction.currency && transaction.currency !== debtor.currency) {
+    return { rejection: rejected(transaction, 'AM03', `Currency must be the debtor account currency ${debtor.currency}`) };
+  }
+
+  if (!transaction.creditorAccount) {
+    return { rejection: rejected(transaction, 'AC03', 'Creditor account is missing') };
+  }
+  if (transaction.creditorAccount === debtor.accountNumber) {
+    return { rejection: rejected(transaction, 'NARR', 'Creditor account is the debtor account') };
+  }
+
+  // Our account numbers are `<BANK_PREFIX>-<digits>`; anything else belongs to another bank
+  const isInternal = transaction.creditorAccount.startsWith(`${bankPrefix}-`);
+  let toBank = bankPrefix;
+  let creditedCurrency = null;
+  if (isInternal) {
+    const recipient = await Account.findOne({ accountNumber: transaction.creditorAccount });
+    if (!recipient) {
+      return { rejection: rejected(transaction, 'AC03', 'Creditor account not found') };
+    }
+    // A creditor account in another currency is paid the amount converted when the transfer executes
+    if (recipient.currency !== debtor.currency) {
+      creditedCurrency = recipient.currency;
+    }
+  } else {
+    toBank = transaction.creditorAgent || (transaction.creditorAccount.includes('-') ? transaction.creditorAccount.split('-')[0] : null);
+    if (!toBank || toBank === bankPrefix) {
+      return { rejection: rejected(transaction, 'RC01', 'Creditor bank cannot be determined from CdtrAgt or the creditor account') };
+    }
+  }
+
+  return { transfer: { amount, isInternal, toBank, creditedCurrency } };
+};
+
+// Create (or find) the transaction of an accepted credit transfer and execute it (or schedule it)
+const executeTransaction = async (transaction, debtor, transfer, executeAt, { user, paymentImport, line }) => {
+  const description = transaction.remittanceInformation
+    || (transaction.endToEndId ? `Payment ${transaction.endToEndId}` : '');
+
+  // A transaction left from a failed import of the same file is reused, so it is paid at most once
+  let created = await Transaction.findOne({ paymentImportId: paymentImport.importId, importLine: line });
+
+  if (!created) {
+    created = await scheduleTransfer(new Transaction({
+      fromAccount: debtor.accountNumber,
+      toAccount: transaction.creditorAccount,
+      fromBank: process.env.BANK_PREFIX,
+      toBank: transfer.toBank,
+      amount: transfer.amount,
+      currency: debtor.currency,
+      creditedCurrency: transfer.creditedCurrency,
+      description: description.slice(0, 140),
+      isInternal: transfer.isInternal,
+      executeAt,
+      initiatedBy: user,
+      endToEndId: transaction.endToEndId,
+      paymentImportId: paymentImport.importId,
+      importLine: line,
+    }));
+  }
+
+  if (created.status === 'SCHEDULED' && created.executeAt <= new Date()) {
+    try {
+      created = (await executeScheduledTransfer(created))
+        || (await Transaction.findOne({ transactionId: created.transactionId }));
+    } catch (error) {
+      // Left SCHEDULED; the scheduler executes it on its next run
+      console.error(`pain.001 transfer ${created.transactionId} will be retried by the scheduler:`, error.message);
+    }
+  }
+
+  const result = {
+    instructionId: transaction.instructionId,
+    endToEndId: transaction.endToEndId,
+    transactionId: created.transactionId,
+    reasonCode: null,
+    reason: null,
+  };
+  if (created.status === 'COMPLETED') {
+    return { ...result, status: 'ACSC' };
+  }
+  if (created.status === 'PENDING' || created.status === 'IN_PROGRESS') {
+    return { ...result, status: 'ACSP' };
+  }
+  if (created.status === 'SCHEDULED') {
+    return { ...result, status: 'ACCP' };
+  }
+  return {
+    ...result,
+    status: 'RJCT',
+    reasonCode: REASON_CODES[created.errorCode] || 'NARR',
+    reason: created.errorMessage || created.errorCode,
+  };
+};
+
+// Process one payment information block (one debtor account)
+// Its credit transfers are numbered from `firstLine` by their position in the file
+const processPaymentInfo = async (paymentInfo, { user, paymentImport, firstLine, holdLock }, seenEndToEndIds) => {
+  const rejectAll = (reasonCode, reason) => paymentInfo.transactions.map(
+    (transaction) => rejected(transaction, reasonCode, reason)
+  );
+
+  const debtor = paymentInfo.debtorAccount
+    ? await Account.findOne({ accountNumber: paymentInfo.debtorAccount })
+    : null;
+  if (!debtor) {
+    return rejectAll('AC01', paymentInfo.debtorAccount ? 'Debtor account not found' : 'Debtor account is missing');
+  }
+  if (debtor.user.toString() !== user.toString()) {
+    return rejectAll('AG01', 'Debtor account does not belong to the submitting user');
+  }
+  if (paymentInfo.debtorAccountCurrency && paymentInfo.debtorAccountCurrency !== debtor.currency) {
+    return rejectAll('AM03', `Debtor account currency is ${debtor.currency}`);
+  }
+
+  const executeAt = executionTimeOf(paymentInfo.requestedExecutionDate);
+  if (!executeAt) {
+    return rejectAll('DT01', 'ReqdExctnDt is not a valid date');
+  }
+
+  const results = [];
+  for (const [index, transaction] of paymentInfo.transactions.entries()) {
+    const { rejection, transfer } = await checkTransaction(transaction, debtor, seenEndToEndIds);
+    results.push(rejection || await executeTransaction(transaction, debtor, transfer, executeAt, {
+      user,
+      paymentImport,
+      line: firstLine + index,
+    }));
+    await holdLock();
+  }
+  return results;
+};
+
+// Helper function to check the group header against the file contents; returns a rejection or null
+const checkGroup = (document) => {
+  const transactions = document.paymentInfos.flatMap((paymentInfo) => paymentInfo.transactions);
+  if (!transactions.length) {
+    return { code: 'NARR', reason: 'File contains no credit transfers' };
+  }
+  if (transactions.length > getMaxBatchPayments()) {
+    return { code: 'NARR', reason: `A file can contain at most ${getMaxBatchPayments()} credit transfers` };
+  }
+  if (document.numberOfTransactions !== null && parseInt(document.numberOfTransactions, 10) !== transactions.length) {
+    return { code: 'AM18', reason: `NbOfTxs is ${document.numberOfTransactions} but the file contains ${transactions.length}` };
+  }
+  if (document.controlSum !== null) {
+    const sum = transactions.reduce((total, transaction) => total + toCents(parseFloat(transaction.amount) || 0), 0);
+    if (toCents(parseFloat(document.controlSum)) !== sum) {
+      return { code: 'AM10', reason: `CtrlSum ${document.controlSum} does not match the sum of the amounts ${(sum / 100).toFixed(2)}` };
+    }
+  }
+  return null;
+};
+
+// Helper function to reserve the message id of a file for `user` and store the file
+// Returns the import to process, or null when the message id was already imported
+const reserveMessageId = async (user, document, xml) => {
+  try {
+    return await PaymentImport.create({ user, messageId: document.messageId, version: document.version, xml });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  return null;
+};
+
+// Helper function to describe the original message in the pain.002 report
+const originalOf = (document) => ({
+  messageId: document.messageId,
+  version: document.version,
+  versionNumber: document.versionNumber,
+  numberOfTransactions: document.numberOfTransactions,
+  controlSum: document.controlSum,
+});
+
+/**
+ * Accept a pain.001 file from `user` for processing in the background.
+ * Returns `{ paymentImport, report }`: a file rejected as a whole (group header checks, duplicate
+ * message id) is not stored, paymentImport is null and report is its pain.002 rejection; an accepted
+ * file is stored as a PROCESSING import and report is null until it has been processed.
+ * Throws INVALID_PAIN001 (400) when the document cannot be read at all.
+ */
+const submitPain001 = async ({ user, xml }) => {
+  const document = parsePain001(xml);
+  const rejectFile = (code, reason) => ({
+    paymentImport: null,
+    report: renderPain002({
+      original: originalOf(document),
+      groupStatus: 'RJCT',
+      groupReasonCode: code,
+      groupReason: reason,
+      paymentInfos: [],
+    }),
+  });
+
+  const groupRejection = checkGroup(document);
+  if (groupRejection) {
+    return rejectFile(groupRejection.code, groupRejection.reason);
+  }
+
+  // Reserve the message id first, so a file sent twice (even concurrently) is executed once
+  const paymentImport = await reserveMessageId(user, document, xml);
+  if (!paymentImport) {
+    return rejectFile('DU01', `Message ${document.messageId} has already been imported`);
+  }
+
+  processImportsSoon();
+  return { paymentImport, report: null };
+};
+
+/**
+ * Run the credit transfers of a claimed import and store its pain.002 report.
+ * An import that stopped halfway is run again from the start: transfers that were already created
+ * are reused, so none is paid twice.
+ */
+const processImport = async (paymentImport) => {
+  const document = parsePain001(paymentImport.xml);
+  const { user } = paymentImport;
+  // Keep the import claimed while it makes progress
+  const holdLock = () => PaymentImport.updateOne(
+    { importId: paymentImport.importId },
+    { $set: { lockedUntil: new Date(Date.now() + config().lockMs) } }
+  );
+
+  const seenEndToEndIds = new Set();
+  const paymentInfos = [];
+  let firstLine = 1;
+  for (const paymentInfo of document.paymentInfos) {
+    paymentInfos.push({
+      paymentInfoId: paymentInfo.paymentInfoId,
+      transactions: await processPaymentInfo(paymentInfo, { user, paymentImport, firstLine, holdLock }, seenEndToEndIds),
+    });
+    firstLine += paymentInfo.transactions.length;
+  }
+
+  const results = paymentInfos.flatMap((paymentInfo) => paymentInfo.transactions.map((transaction) => ({
+    paymentInfoId: paymentInfo.paymentInfoId,
+    ...transaction,
+  })));
+  const groupStatus = combineStatuses(results.map((result) => result.status));
+
+  return PaymentImport.findOneAndUpdate(
+    { importId: paymentImport.importId },
+    {
+      $set: {
+        status: 'PROCESSED',
+        groupStatus,
+        acceptedCount: results.filter((result) => result.status !== 'RJCT').length,
+        rejectedCount: results.filter((result) => result.status === 'RJCT').length,
+        transactions: results,
+        report: renderPain002({ original: originalOf(document), groupStatus, paymentInfos }),
+        xml: null,
+        processedAt: new Date(),
+        lockedUntil: null,
+      },
+    },
+    { new: true }
+  );
+};
+
+// Claim the oldest import that has not been processed yet
+const claimImport = () => {
+  const now = new Date();
+  return PaymentImport.findOneAndUpdate(
+    {
+      status: 'PROCESSING',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + config().lockMs) } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+/**
+ * Process every import that has not been processed yet.
+ */
+const runPendingImports = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    let paymentImport = await claimImport();
+    while (paymentImport) {
+      try {
+        await processImport(paymentImport);
+      } catch (error) {
+        // The lock expires and the import is run again then
+        console.error(`pain.001 import ${paymentImport.importId} processing error:`, error);
+      }
+      paymentImport = await claimImport();
+    }
+  } catch (error) {
+    console.error('pain.001 import processor error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Process pending imports now instead of waiting for the next poll.
+ */
+const processImportsSoon = () => {
+  setImmediate(runPendingImports);
+};
+
+/**
+ * Seconds a client should wait before asking again for the report of an import being processed.
+ */
+const getImportRetryAfterSeconds = () => Math.ceil(config().pollIntervalMs / 1000);
+
+// Start polling for imports to process (e.g. interrupted by a restart)
+const startImportProcessor = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(runPendingImports, config().pollIntervalMs);
+  setImmediate(runPendingImports);
+  console.log('pain.001 import processor started');
+};
+
+// Stop polling for imports
+const stopImportProcessor = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  submitPain001,
+  processImport,
+  runPendingImports,
+  processImportsSoon,
+  getImportRetryAfterSeconds,
+  startImportProcessor,
+  stopImportProcessor,
+};
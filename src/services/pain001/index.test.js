@@ -0,0 +1,230 @@
+jest.mock('../transfer.service', () => ({
+  scheduleTransfer: jest.fn(),
+}));
+jest.mock('../scheduler.service', () => ({
+  executeScheduledTransfer: jest.fn(),
+}));
+
+const mongoose = require('mongoose');
+const Account = require('../../models/account.model');
+const PaymentImport = require('../../models/paymentImport.model');
+const Transaction = require('../../models/transaction.model');
+const { scheduleTransfer } = require('../transfer.service');
+const { executeScheduledTransfer } = require('../scheduler.service');
+const { submitPain001, processImport, runPendingImports } = require('./index');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Helper function to write a pain.001.001.03 file; the header counts and sums the transfers unless told otherwise
+const pain001 = ({ messageId = 'MSG-1', numberOfTransactions, controlSum, paymentInfos }) => {
+  const transactions = paymentInfos.flatMap((paymentInfo) => paymentInfo.transactions);
+  const sum = transactions.reduce((total, transaction) => total + parseFloat(transaction.amount), 0).toFixed(2);
+  const creditTransfer = (transaction) => `
+      <CdtTrfTxInf>
+        <PmtId><EndToEndId>${transaction.endToEndId}</EndToEndId></PmtId>
+        <Amt><InstdAmt Ccy="${transaction.currency || 'EUR'}">${transaction.amount}</InstdAmt></Amt>
+        ${transaction.agent ? `<CdtrAgt><FinInstnId><Othr><Id>${transaction.agent}</Id></Othr></FinInstnId></CdtrAgt>` : ''}
+        <CdtrAcct><Id><Othr><Id>${transaction.creditor}</Id></Othr></Id></CdtrAcct>
+      </CdtTrfTxInf>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${messageId}</MsgId>
+      <NbOfTxs>${numberOfTransactions || transactions.length}</NbOfTxs>
+      <CtrlSum>${controlSum || sum}</CtrlSum>
+    </GrpHdr>
+    ${paymentInfos.map((paymentInfo) => `
+    <PmtInf>
+      <PmtInfId>${paymentInfo.id}</PmtInfId>
+      ${paymentInfo.date ? `<ReqdExctnDt>${paymentInfo.date}</ReqdExctnDt>` : ''}
+      <DbtrAcct><Id><Othr><Id>${paymentInfo.debtor}</Id></Othr></Id></DbtrAcct>
+      ${paymentInfo.transactions.map(creditTransfer).join('')}
+    </PmtInf>`).join('')}
+  </CstmrCdtTrfInitn>
+</Document>`;
+};
+
+// Helper function to read the text of every element with a tag name
+const textsOf = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))].map((match) => match[1]);
+
+const accounts = {
+  'OVE-11111111': { accountNumber: 'OVE-11111111', user: userId, currency: 'EUR' },
+  'OVE-22222222': { accountNumber: 'OVE-22222222', user: new mongoose.Types.ObjectId(), currency: 'EUR' },
+  'OVE-33333333': { accountNumber: 'OVE-33333333', user: new mongoose.Types.ObjectId(), currency: 'USD' },
+  'OVE-44444444': { accountNumber: 'OVE-44444444', user: new mongoose.Types.ObjectId(), currency: 'EUR' },
+};
+
+describe('pain.001 import', () => {
+  let stored;
+
+  beforeEach(() => {
+    process.env.BANK_PREFIX = 'OVE';
+    stored = null;
+    jest.spyOn(PaymentImport, 'create').mockImplementation(async (fields) => {
+      stored = { importId: 'import-1', status: 'PROCESSING', ...fields };
+      return stored;
+    });
+    jest.spyOn(PaymentImport, 'updateOne').mockResolvedValue({});
+    // Nothing to claim unless a test stores an import
+    jest.spyOn(PaymentImport, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      const locked = filter.$or && stored && stored.lockedUntil > new Date();
+      if (!stored || (filter.status && stored.status !== filter.status) || locked) {
+        return null;
+      }
+      stored = { ...stored, ...$set };
+      return stored;
+    });
+    jest.spyOn(Account, 'findOne').mockImplementation(async ({ accountNumber }) => accounts[accountNumber] || null);
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    scheduleTransfer.mockImplementation(async (transaction) => Object.assign(transaction, { status: 'SCHEDULED' }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Submitting starts a background run; tests run the processor themselves
+    jest.spyOn(global, 'setImmediate').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('submitPain001', () => {
+    it('stores an accepted file for processing and answers without a report', async () => {
+      const xml = pain001({ paymentInfos: [{ id: 'PMT-1', debtor: 'OVE-11111111', transactions: [{ endToEndId: 'E2E-1', amount: '10.00', creditor: 'OVE-22222222' }] }] });
+
+      const { paymentImport, report } = await submitPain001({ user: userId, xml });
+
+      expect(report).toBeNull();
+      expect(paymentImport).toMatchObject({ importId: 'import-1', status: 'PROCESSING', messageId: 'MSG-1', version: 'pain.001.001.03', xml });
+      // Nothing is paid while the request is answered
+      expect(scheduleTransfer).not.toHaveBeenCalled();
+      expect(setImmediate).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a file whose header does not match its transfers without storing it', async () => {
+      const paymentInfos = [{ id: 'PMT-1', debtor: 'OVE-11111111', transactions: [{ endToEndId: 'E2E-1', amount: '10.00', creditor: 'OVE-22222222' }] }];
+
+      const wrongCount = await submitPain001({ user: userId, xml: pain001({ numberOfTransactions: 2, paymentInfos }) });
+      const wrongSum = await submitPain001({ user: userId, xml: pain001({ controlSum: '11.00', paymentInfos }) });
+
+      expect(wrongCount.paymentImport).toBeNull();
+      expect(textsOf(wrongCount.report, 'GrpSts')).toEqual(['RJCT']);
+      expect(textsOf(wrongCount.report, 'Cd')).toEqual(['AM18']);
+      expect(textsOf(wrongSum.report, 'Cd')).toEqual(['AM10']);
+      expect(PaymentImport.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects a message id that was already imported', async () => {
+      PaymentImport.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      const xml = pain001({ paymentInfos: [{ id: 'PMT-1', debtor: 'OVE-11111111', transactions: [{ endToEndId: 'E2E-1', amount: '10.00', creditor: 'OVE-22222222' }] }] });
+
+      const { paymentImport, report } = await submitPain001({ user: userId, xml });
+
+      expect(paymentImport).toBeNull();
+      expect(textsOf(report, 'Cd')).toEqual(['DU01']);
+    });
+
+    it('refuses a document it cannot read', async () => {
+      await expect(submitPain001({ user: userId, xml: '<Document/>' })).rejects.toMatchObject({ code: 'INVALID_PAIN001' });
+    });
+  });
+
+  // Helper function to make each transfer end with the status given for its creditor account
+  const executionsEndWith = (outcomes) => {
+    executeScheduledTransfer.mockImplementation(async (transaction) => Object.assign(transaction, outcomes[transaction.toAccount]));
+  };
+
+  describe('processImport', () => {
+    // Helper function to store a file and process it, returning the stored import
+    const importFile = async (paymentInfos) => {
+      await submitPain001({ user: userId, xml: pain001({ paymentInfos }) });
+      return processImport(stored);
+    };
+
+    it('maps the outcome of every transfer to its ISO status and reason code', async () => {
+      executionsEndWith({
+        'OVE-22222222': { status: 'COMPLETED' },
+        'OVE-33333333': { status: 'COMPLETED' },
+        'ABC-55555555': { status: 'PENDING' },
+        'OVE-44444444': { status: 'FAILED', errorCode: 'INSUFFICIENT_FUNDS', errorMessage: 'Insufficient funds' },
+        'ABC-66666666': { status: 'FAILED', errorCode: 'LIMIT_EXCEEDED', errorMessage: 'Daily limit exceeded' },
+      });
+
+      const processed = await importFile([{
+        id: 'PMT-1',
+        debtor: 'OVE-11111111',
+        transactions: [
+          { endToEndId: 'E2E-1', amount: '10.00', creditor: 'OVE-22222222' },
+          { endToEndId: 'E2E-2', amount: '20.00', creditor: 'OVE-33333333' },
+          { endToEndId: 'E2E-3', amount: '30.00', creditor: 'ABC-55555555', agent: 'ABC' },
+          { endToEndId: 'E2E-4', amount: '40.00', creditor: 'OVE-44444444' },
+          { endToEndId: 'E2E-5', amount: '50.00', creditor: 'ABC-66666666' },
+          { endToEndId: 'E2E-5', amount: '60.00', creditor: 'OVE-22222222' },
+          { endToEndId: 'E2E-7', amount: '70.001', creditor: 'OVE-22222222' },
+          { endToEndId: 'E2E-8', amount: '80.00', creditor: 'OVE-99999999' },
+          { endToEndId: 'E2E-9', amount: '90.00', creditor: 'OVE-11111111' },
+          { endToEndId: 'E2E-10', amount: '10.00', currency: 'USD', creditor: 'OVE-22222222' },
+        ],
+      }]);
+
+      expect(processed.transactions.map(({ endToEndId, status, reasonCode }) => [endToEndId, status, reasonCode])).toEqual([
+        ['E2E-1', 'ACSC', null],
+        ['E2E-2', 'ACSC', null],
+        ['E2E-3', 'ACSP', null],
+        ['E2E-4', 'RJCT', 'AM04'],
+        ['E2E-5', 'RJCT', 'NARR'],
+        ['E2E-5', 'RJCT', 'AM05'],
+        ['E2E-7', 'RJCT', 'AM12'],
+        ['E2E-8', 'RJCT', 'AC03'],
+        ['E2E-9', 'RJCT', 'NARR'],
+        ['E2E-10', 'RJCT', 'AM03'],
+      ]);
+      expect(processed).toMatchObject({ status: 'PROCESSED', groupStatus: 'PART', acceptedCount: 3, rejectedCount: 7, xml: null, lockedUntil: null });
+      expect(textsOf(processed.report, 'TxSts')).toEqual(processed.transactions.map((transaction) => transaction.status));
+
+      // The creditor in USD is paid the converted amount; the other bank is taken from CdtrAgt
+      const scheduled = scheduleTransfer.mock.calls.map(([transaction]) => transaction);
+      expect(scheduled[1]).toMatchObject({ toAccount: 'OVE-33333333', currency: 'EUR', creditedCurrency: 'USD', isInternal: true });
+      expect(scheduled[2]).toMatchObject({ toAccount: 'ABC-55555555', toBank: 'ABC', isInternal: false, endToEndId: 'E2E-3', importLine: 3 });
+    });
+
+    it('schedules transfers with a future execution date and rejects debtor accounts of other users', async () => {
+      const processed = await importFile([
+        { id: 'PMT-1', debtor: 'OVE-11111111', date: '2099-01-15', transactions: [{ endToEndId: 'E2E-1', amount: '10.00', creditor: 'OVE-22222222' }] },
+        { id: 'PMT-2', debtor: 'OVE-22222222', transactions: [{ endToEndId: 'E2E-2', amount: '10.00', creditor: 'OVE-44444444' }] },
+      ]);
+
+      expect(executeScheduledTransfer).not.toHaveBeenCalled();
+      expect(scheduleTransfer.mock.calls[0][0].executeAt).toEqual(new Date('2099-01-15T00:00:00Z'));
+      expect(processed.transactions.map(({ status, reasonCode }) => [status, reasonCode])).toEqual([['ACCP', null], ['RJCT', 'AG01']]);
+      expect(textsOf(processed.report, 'PmtInfSts')).toEqual(['ACCP', 'RJCT']);
+    });
+
+    it('reuses the transfers an interrupted run already created', async () => {
+      Transaction.findOne.mockResolvedValue({ transactionId: 'tx-earlier', status: 'COMPLETED' });
+
+      const processed = await importFile([{ id: 'PMT-1', debtor: 'OVE-11111111', transactions: [{ endToEndId: 'E2E-1', amount: '10.00', creditor: 'OVE-22222222' }] }]);
+
+      expect(Transaction.findOne).toHaveBeenCalledWith({ paymentImportId: 'import-1', importLine: 1 });
+      expect(scheduleTransfer).not.toHaveBeenCalled();
+      expect(processed.transactions[0]).toMatchObject({ status: 'ACSC', transactionId: 'tx-earlier' });
+    });
+  });
+
+  describe('runPendingImports', () => {
+    it('claims submitted imports and processes them, leaving a failed one locked for a later run', async () => {
+      executionsEndWith({ 'OVE-22222222': { status: 'COMPLETED' } });
+      await submitPain001({ user: userId, xml: pain001({ paymentInfos: [{ id: 'PMT-1', debtor: 'OVE-11111111', transactions: [{ endToEndId: 'E2E-1', amount: '10.00', creditor: 'OVE-22222222' }] }] }) });
+      Account.findOne.mockRejectedValueOnce(new Error('connection lost'));
+
+      await runPendingImports();
+      expect(stored).toMatchObject({ status: 'PROCESSING', lockedUntil: expect.any(Date) });
+      expect(console.error).toHaveBeenCalledWith('pain.001 import import-1 processing error:', expect.any(Error));
+
+      // Once the lock has expired the import is run again
+      stored.lockedUntil = null;
+      await runPendingImports();
+      expect(stored).toMatchObject({ status: 'PROCESSED', groupStatus: 'ACSC' });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { v4: uuidv4 } = require('uuid');
+const { element, xmlDocument } = require('../../utils/xml');
+
+/**
+ * pain.002 format
+ * ISO 20022 Customer Payment Status Report for an imported pain.001 file: a group status, a status
+ * per payment information block and a status per credit transfer, with a reason code
+ * (ExternalStatusReason1Code) and text for rejections. pain.001.001.03 files get a
+ * pain.002.001.03 report; newer files get the matching newer pain.002 version.
+ */
+
+// Accepted statuses from least to most progressed
+const ACCEPTED_PROGRESS = ['ACCP', 'ACSP', 'ACSC'];
+
+/**
+ * Combine statuses into the status of the group that contains them: RJCT if all were rejected,
+ * PART if some were, otherwise the least progressed accepted status.
+ */
+const combineStatuses = (statuses) => {
+  const accepted = statuses.filter((status) => status !== 'RJCT');
+  if (!accepted.length) {
+    return 'RJCT';
+  }
+  if (accepted.length < statuses.length) {
+    return 'PART';
+  }
+  return ACCEPTED_PROGRESS[Math.min(...accepted.map((status) => ACCEPTED_PROGRESS.indexOf(status)))];
+};
+
+// Helper function to pick the pain.002 version that answers a pain.001 version
+const reportVersionFor = (versionNumber) => {
+  const number = versionNumber >= 8 ? versionNumber + 1 : 3;
+  return `pain.002.001.${String(number).padStart(2, '0')}`;
+};
+
+// Helper function to write a status reason (code and optional text, max 105 characters)
+const statusReason = (code, info) => (code
+  ? element('StsRsnInf', [
+    element('Rsn', element('Cd', code)),
+    info ? element('AddtlInf', info.slice(0, 105)) : null,
+  ])
+  : null);
+
+/**
+ * Render the pain.002 report of an import.
+ * `report` is `{ original: { messageId, version, versionNumber, numberOfTransactions, controlSum },
+ * groupStatus, groupReasonCode, groupReason, paymentInfos: [{ paymentInfoId, transactions }] }`.
+ */
+const renderPain002 = (report) => {
+  const { original } = report;
+  const version = reportVersionFor(original.versionNumber);
+
+  const paymentInfos = report.paymentInfos.map((paymentInfo) => element('OrgnlPmtInfAndSts', [
+    element('OrgnlPmtInfId', paymentInfo.paymentInfoId || 'NOTPROVIDED'),
+    element('PmtInfSts', combineStatuses(paymentInfo.transactions.map((transaction) => transaction.status))),
+    ...paymentInfo.transactions.map((transaction) => element('TxInfAndSts', [
+      element('OrgnlInstrId', transaction.instructionId),
+      element('OrgnlEndToEndId', transaction.endToEndId || 'NOTPROVIDED'),
+      element('TxSts', transaction.status),
+      statusReason(transaction.reasonCode, transaction.reason),
+    ])),
+  ]));
+
+  const document = element('Document', element('CstmrPmtStsRpt', [
+    element('GrpHdr', [
+      element('MsgId', uuidv4().replace(/-/g, '')),
+      element('CreDtTm', new Date().toISOString()),
+      element('InitgPty', element('Id', element('OrgId', element('Othr', element('Id', process.env.BANK_PREFIX))))),
+    ]),
+    element('OrgnlGrpInfAndSts', [
+      element('OrgnlMsgId', original.messageId),
+      element('OrgnlMsgNmId', original.version),
+      element('OrgnlNbOfTxs', original.numberOfTransactions),
+      element('OrgnlCtrlSum', original.controlSum),
+      element('GrpSts', report.groupStatus),
+      statusReason(report.groupReasonCode, report.groupReason),
+    ]),
+    ...paymentInfos,
+  ]), { xmlns: `urn:iso:std:iso:20022:tech:xsd:${version}` });
+
+  return xmlDocument(document);
+};
+
+module.exports = {
+  combineStatuses,
+  renderPain002,
+};
@@ -0,0 +1,87 @@
+const { combineStatuses, renderPain002 } = require('./pain002.format');
+
+// Helper function to read the text of every element with a tag name
+const textsOf = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))].map((match) => match[1]);
+
+const original = {
+  messageId: 'MSG-2026-001',
+  version: 'pain.001.001.03',
+  versionNumber: 3,
+  numberOfTransactions: '3',
+  controlSum: '60.00',
+};
+
+describe('pain.002 format', () => {
+  beforeEach(() => {
+    process.env.BANK_PREFIX = 'OVE';
+  });
+
+  describe('combineStatuses', () => {
+    it('reports the least progressed status, PART when some were rejected and RJCT when all were', () => {
+      expect(combineStatuses(['ACSC', 'ACSC'])).toBe('ACSC');
+      expect(combineStatuses(['ACSC', 'ACSP'])).toBe('ACSP');
+      expect(combineStatuses(['ACSC', 'ACCP', 'ACSP'])).toBe('ACCP');
+      expect(combineStatuses(['ACSC', 'RJCT'])).toBe('PART');
+      expect(combineStatuses(['RJCT', 'RJCT'])).toBe('RJCT');
+    });
+  });
+
+  describe('renderPain002', () => {
+    it('reports the group, every payment information block and every transfer with its reason', () => {
+      const xml = renderPain002({
+        original,
+        groupStatus: 'PART',
+        paymentInfos: [
+          {
+            paymentInfoId: 'PMT-1',
+            transactions: [
+              { instructionId: 'INSTR-1', endToEndId: 'E2E-1', status: 'ACSC' },
+              { instructionId: null, endToEndId: null, status: 'RJCT', reasonCode: 'AM04', reason: 'Insufficient funds' },
+            ],
+          },
+          { paymentInfoId: null, transactions: [{ endToEndId: 'E2E-3', status: 'ACCP' }] },
+        ],
+      });
+
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+      expect(xml).toContain('<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.002.001.03">');
+      expect(textsOf(xml, 'OrgnlMsgId')).toEqual(['MSG-2026-001']);
+      expect(textsOf(xml, 'OrgnlMsgNmId')).toEqual(['pain.001.001.03']);
+      expect(textsOf(xml, 'OrgnlNbOfTxs')).toEqual(['3']);
+      expect(textsOf(xml, 'OrgnlCtrlSum')).toEqual(['60.00']);
+      expect(textsOf(xml, 'GrpSts')).toEqual(['PART']);
+      expect(textsOf(xml, 'OrgnlPmtInfId')).toEqual(['PMT-1', 'NOTPROVIDED']);
+      expect(textsOf(xml, 'PmtInfSts')).toEqual(['PART', 'ACCP']);
+      expect(textsOf(xml, 'OrgnlInstrId')).toEqual(['INSTR-1']);
+      expect(textsOf(xml, 'OrgnlEndToEndId')).toEqual(['E2E-1', 'NOTPROVIDED', 'E2E-3']);
+      expect(textsOf(xml, 'TxSts')).toEqual(['ACSC', 'RJCT', 'ACCP']);
+      expect(textsOf(xml, 'Cd')).toEqual(['AM04']);
+      expect(textsOf(xml, 'AddtlInf')).toEqual(['Insufficient funds']);
+    });
+
+    it('rejects a whole file with a group reason and no transfers', () => {
+      const xml = renderPain002({
+        original: { ...original, controlSum: null },
+        groupStatus: 'RJCT',
+        groupReasonCode: 'AM10',
+        groupReason: `CtrlSum does not match ${'x'.repeat(200)}`,
+        paymentInfos: [],
+      });
+
+      expect(textsOf(xml, 'GrpSts')).toEqual(['RJCT']);
+      expect(textsOf(xml, 'Cd')).toEqual(['AM10']);
+      expect(textsOf(xml, 'AddtlInf')[0]).toHaveLength(105);
+      expect(xml).not.toContain('OrgnlCtrlSum');
+      expect(xml).not.toContain('OrgnlPmtInfAndSts');
+    });
+
+    it('answers newer pain.001 versions with the matching pain.002 version', () => {
+      const versionOf = (versionNumber) => renderPain002({ original: { ...original, versionNumber }, groupStatus: 'ACSC', paymentInfos: [] })
+        .match(/xsd:(pain\.002\.001\.\d+)/)[1];
+
+      expect(versionOf(3)).toBe('pain.002.001.03');
+      expect(versionOf(8)).toBe('pain.002.001.09');
+      expect(versionOf(11)).toBe('pain.002.001.12');
+    });
+  });
+});
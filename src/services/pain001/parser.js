@@ -0,0 +1,144 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const ApiError = require('../../utils/apiError');
+
+/**
+ * pain.001 parser
+ * Reads an ISO 20022 Customer Credit Transfer Initiation (pain.001.001.03 to .001.11) into plain
+ * objects. Only the fields this bank uses are read; structural problems that make the document
+ * unusable throw INVALID_PAIN001, while problems with single transactions are left to the importer
+ * so they can be reported per transaction. Documents with a DOCTYPE are refused (no entity expansion).
+ */
+
+const NAMESPACE = /<(?:[\w-]+:)?Document\b[^>]*\bxmlns(?::[\w-]+)?="urn:iso:std:iso:20022:tech:xsd:(pain\.001\.001\.(\d+))"/;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => ['PmtInf', 'CdtTrfTxInf', 'Ustrd'].includes(name),
+});
+
+// Helper function to throw a structural error
+const invalid = (message) => {
+  throw new ApiError(400, 'INVALID_PAIN001', message);
+};
+
+// Helper function to read the text of an element that may carry attributes
+const text = (node) => {
+  if (node === undefined || node === null) {
+    return null;
+  }
+  if (typeof node === 'object') {
+    return node['#text'] !== undefined ? String(node['#text']) : null;
+  }
+  return String(node);
+};
+
+// Helper function to read an account identifier (IBAN or other identification)
+const accountOf = (node) => {
+  const id = node && node.Id;
+  if (!id) {
+    return null;
+  }
+  return text(id.IBAN) || text(id.Othr && id.Othr.Id);
+};
+
+// Helper function to read a financial institution identifier (other identification, BIC or clearing member id)
+const agentOf = (node) => {
+  const institution = node && node.FinInstnId;
+  if (!institution) {
+    return null;
+  }
+  return text(institution.Othr && institution.Othr.Id)
+    || text(institution.BICFI)
+    || text(institution.BIC)
+    || text(institution.ClrSysMmbId && institution.ClrSysMmbId.MmbId);
+};
+
+// Helper function to read the requested execution date: a date (up to .03) or Dt/DtTm (from .08)
+const executionDateOf = (node) => {
+  if (node && typeof node === 'object') {
+    return text(node.DtTm) || text(node.Dt);
+  }
+  return text(node);
+};
+
+// Helper function to read one credit transfer transaction
+const transactionOf = (node) => {
+  const paymentId = node.PmtId || {};
+  const amount = (node.Amt && node.Amt.InstdAmt) || null;
+  return {
+    instructionId: text(paymentId.InstrId),
+    endToEndId: text(paymentId.EndToEndId),
+    amount: text(amount),
+    currency: amount && typeof amount === 'object' ? amount['@_Ccy'] || null : null,
+    creditorName: text(node.Cdtr && node.Cdtr.Nm),
+    creditorAccount: accountOf(node.CdtrAcct),
+    creditorAgent: agentOf(node.CdtrAgt),
+    remittanceInformation: node.RmtInf && node.RmtInf.Ustrd ? node.RmtInf.Ustrd.map(text).join(' ') : '',
+  };
+};
+
+/**
+ * Parse a pain.001 document.
+ * Returns `{ version, messageId, creationDateTime, numberOfTransactions, controlSum, paymentInfos }`,
+ * where each payment information block has its debtor account, requested execution date and
+ * credit transfer transactions.
+ */
+const parsePain001 = (xml) => {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    invalid('Request body must be a pain.001 XML document');
+  }
+  if (/<!DOCTYPE/i.test(xml)) {
+    invalid('Documents with a DOCTYPE are not accepted');
+  }
+
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    invalid(`Malformed XML: ${validation.err.msg} (line ${validation.err.line})`);
+  }
+
+  const namespace = xml.match(NAMESPACE);
+  if (!namespace) {
+    invalid('Document is not in a pain.001 namespace (urn:iso:std:iso:20022:tech:xsd:pain.001.001.xx)');
+  }
+
+  const document = parser.parse(xml).Document;
+  const initiation = document && document.CstmrCdtTrfInitn;
+  if (!initiation || !initiation.GrpHdr) {
+    invalid('Document/CstmrCdtTrfInitn/GrpHdr is missing');
+  }
+
+  const header = initiation.GrpHdr;
+  const messageId = text(header.MsgId);
+  if (!messageId) {
+    invalid('GrpHdr/MsgId is missing');
+  }
+  if (!initiation.PmtInf) {
+    invalid('Document has no PmtInf block');
+  }
+
+  return {
+    version: namespace[1],
+    versionNumber: parseInt(namespace[2], 10),
+    messageId,
+    creationDateTime: text(header.CreDtTm),
+    numberOfTransactions: text(header.NbOfTxs),
+    controlSum: text(header.CtrlSum),
+    initiatingParty: text(header.InitgPty && header.InitgPty.Nm),
+    paymentInfos: initiation.PmtInf.map((paymentInfo) => ({
+      paymentInfoId: text(paymentInfo.PmtInfId),
+      requestedExecutionDate: executionDateOf(paymentInfo.ReqdExctnDt),
+      debtorAccount: accountOf(paymentInfo.DbtrAcct),
+      debtorAccountCurrency: text(paymentInfo.DbtrAcct && paymentInfo.DbtrAcct.Ccy),
+      transactions: (paymentInfo.CdtTrfTxInf || []).map(transactionOf),
+    })),
+  };
+};
+
+module.exports = {
+  parsePain001,
+};
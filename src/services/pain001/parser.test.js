@@ -0,0 +1,119 @@
+const { parsePain001 } = require('./parser');
+
+const PAIN001_V03 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>MSG-2026-001</MsgId>
+      <CreDtTm>2026-03-01T10:00:00</CreDtTm>
+      <NbOfTxs>2</NbOfTxs>
+      <CtrlSum>150.50</CtrlSum>
+      <InitgPty><Nm>ACME Ltd</Nm></InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>PMT-1</PmtInfId>
+      <ReqdExctnDt>2026-03-02</ReqdExctnDt>
+      <DbtrAcct><Id><Othr><Id>OVE-11111111</Id></Othr></Id><Ccy>EUR</Ccy></DbtrAcct>
+      <CdtTrfTxInf>
+        <PmtId><InstrId>INSTR-1</InstrId><EndToEndId>E2E-1</EndToEndId></PmtId>
+        <Amt><InstdAmt Ccy="EUR">100.00</InstdAmt></Amt>
+        <CdtrAgt><FinInstnId><BIC>ABCDEFGH</BIC></FinInstnId></CdtrAgt>
+        <Cdtr><Nm>Supplier</Nm></Cdtr>
+        <CdtrAcct><Id><IBAN>DE89370400440532013000</IBAN></Id></CdtrAcct>
+        <RmtInf><Ustrd>Invoice 17</Ustrd><Ustrd>March</Ustrd></RmtInf>
+      </CdtTrfTxInf>
+      <CdtTrfTxInf>
+        <PmtId><EndToEndId>E2E-2</EndToEndId></PmtId>
+        <Amt><InstdAmt Ccy="EUR">50.50</InstdAmt></Amt>
+        <CdtrAcct><Id><Othr><Id>OVE-22222222</Id></Othr></Id></CdtrAcct>
+      </CdtTrfTxInf>
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>`;
+
+const PAIN001_V09 = `<?xml version="1.0" encoding="UTF-8"?>
+<p:Document xmlns:p="urn:iso:std:iso:20022:tech:xsd:pain.001.001.09">
+  <p:CstmrCdtTrfInitn>
+    <p:GrpHdr><p:MsgId>MSG-2026-002</p:MsgId><p:NbOfTxs>1</p:NbOfTxs></p:GrpHdr>
+    <p:PmtInf>
+      <p:PmtInfId>PMT-2</p:PmtInfId>
+      <p:ReqdExctnDt><p:DtTm>2026-03-02T08:00:00Z</p:DtTm></p:ReqdExctnDt>
+      <p:DbtrAcct><p:Id><p:Othr><p:Id>OVE-11111111</p:Id></p:Othr></p:Id></p:DbtrAcct>
+      <p:CdtTrfTxInf>
+        <p:PmtId><p:EndToEndId>E2E-3</p:EndToEndId></p:PmtId>
+        <p:Amt><p:InstdAmt Ccy="USD">10</p:InstdAmt></p:Amt>
+        <p:CdtrAgt><p:FinInstnId><p:ClrSysMmbId><p:MmbId>XYZ</p:MmbId></p:ClrSysMmbId></p:FinInstnId></p:CdtrAgt>
+        <p:CdtrAcct><p:Id><p:Othr><p:Id>XYZ-33333333</p:Id></p:Othr></p:Id></p:CdtrAcct>
+      </p:CdtTrfTxInf>
+    </p:PmtInf>
+  </p:CstmrCdtTrfInitn>
+</p:Document>`;
+
+describe('parsePain001', () => {
+  it('reads the group header, payment information blocks and credit transfers', () => {
+    const document = parsePain001(PAIN001_V03);
+
+    expect(document).toMatchObject({
+      version: 'pain.001.001.03',
+      versionNumber: 3,
+      messageId: 'MSG-2026-001',
+      numberOfTransactions: '2',
+      controlSum: '150.50',
+      initiatingParty: 'ACME Ltd',
+    });
+    expect(document.paymentInfos).toHaveLength(1);
+    expect(document.paymentInfos[0]).toMatchObject({
+      paymentInfoId: 'PMT-1',
+      requestedExecutionDate: '2026-03-02',
+      debtorAccount: 'OVE-11111111',
+      debtorAccountCurrency: 'EUR',
+    });
+    expect(document.paymentInfos[0].transactions).toEqual([
+      {
+        instructionId: 'INSTR-1',
+        endToEndId: 'E2E-1',
+        amount: '100.00',
+        currency: 'EUR',
+        creditorName: 'Supplier',
+        creditorAccount: 'DE89370400440532013000',
+        creditorAgent: 'ABCDEFGH',
+        remittanceInformation: 'Invoice 17 March',
+      },
+      {
+        instructionId: null,
+        endToEndId: 'E2E-2',
+        amount: '50.50',
+        currency: 'EUR',
+        creditorName: null,
+        creditorAccount: 'OVE-22222222',
+        creditorAgent: null,
+        remittanceInformation: '',
+      },
+    ]);
+  });
+
+  it('reads newer versions with namespace prefixes and a date-time execution date', () => {
+    const document = parsePain001(PAIN001_V09);
+
+    expect(document).toMatchObject({ version: 'pain.001.001.09', versionNumber: 9, controlSum: null });
+    expect(document.paymentInfos[0].requestedExecutionDate).toBe('2026-03-02T08:00:00Z');
+    expect(document.paymentInfos[0].transactions[0]).toMatchObject({
+      amount: '10',
+      currency: 'USD',
+      creditorAccount: 'XYZ-33333333',
+      creditorAgent: 'XYZ',
+    });
+  });
+
+  it('refuses documents it cannot use', () => {
+    const invalid = (xml, message) => expect(() => parsePain001(xml))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_PAIN001', message: expect.stringContaining(message) }));
+
+    invalid('', 'must be a pain.001 XML document');
+    invalid(`<!DOCTYPE Document [<!ENTITY x "y">]>${PAIN001_V03.replace(/^<\?xml[^>]*>/, '')}`, 'DOCTYPE');
+    invalid(PAIN001_V03.replace('</GrpHdr>', ''), 'Malformed XML');
+    invalid(PAIN001_V03.replace('pain.001.001.03', 'pain.008.001.02'), 'not in a pain.001 namespace');
+    invalid(PAIN001_V03.replace('<MsgId>MSG-2026-001</MsgId>', ''), 'GrpHdr/MsgId is missing');
+    invalid(PAIN001_V03.replace(/<PmtInf>[\s\S]*<\/PmtInf>/, ''), 'no PmtInf block');
+  });
+});
@@ -0,0 +1,88 @@
+const { createMemoryStore } = require('./memory.store');
+const { createMongoStore } = require('./mongo.store');
+
+/**
+ * Rate limiting
+ * Counts hits per limiter and key (a bank, a user, an IP address, ...) in fixed time windows:
+ * a limit of 100 per minute allows 100 hits from the start of each minute to the next.
+ * Counters are kept in a store selected with RATE_LIMIT_STORE:
+ * - memory (default): in this process only
+ * - mongo: in MongoDB, shared by all instances of the bank
+ * Other shared stores (e.g. Redis) can be plugged in with setRateLimitStore. A store implements
+ * increment(key, expiresAt), which counts one hit and resolves to the number of hits on the key
+ * so far (starting over once expiresAt has passed), and reset(key).
+ */
+
+let store = null;
+
+// Create the configured store
+const createStore = () => {
+  const backend = process.env.RATE_LIMIT_STORE || 'memory';
+
+  if (backend === 'memory') {
+    return createMemoryStore();
+  }
+
+  if (backend === 'mongo') {
+    return createMongoStore();
+  }
+
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${backend}`);
+};
+
+// Get the store in use, creating the configured one on first use
+const getRateLimitStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+// Use another store (an adapter implementing increment and reset)
+const setRateLimitStore = (adapter) => {
+  if (!adapter || typeof adapter.increment !== 'function' || typeof adapter.reset !== 'function') {
+    throw new Error('A rate limit store must implement increment(key, expiresAt) and reset(key)');
+  }
+  store = adapter;
+};
+
+// Helper function to get the store key and the end of the current window of a limited key
+const windowOf = (name, key, windowMs, now) => {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  return {
+    windowKey: `${name}:${key}:${windowStart}`,
+    resetAt: new Date(windowStart + windowMs),
+  };
+};
+
+/**
+ * Count one hit on `key` for the limiter `name`, which allows `max` hits per `windowMs`.
+ * Resolves to whether the hit is allowed, with the hits left and when the window ends.
+ */
+const consume = async (name, key, { max, windowMs }) => {
+  const now = Date.now();
+  const { windowKey, resetAt } = windowOf(name, key, windowMs, now);
+  const count = await getRateLimitStore().increment(windowKey, resetAt);
+
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetAt,
+    retryAfterMs: count <= max ? 0 : resetAt.getTime() - now,
+  };
+};
+
+/**
+ * Forget the hits on `key` for the limiter `name` in the current window (e.g. after a successful login).
+ */
+const resetHits = (name, key, { windowMs }) => (
+  getRateLimitStore().reset(windowOf(name, key, windowMs, Date.now()).windowKey)
+);
+
+module.exports = {
+  consume,
+  resetHits,
+  getRateLimitStore,
+  setRateLimitStore,
+};
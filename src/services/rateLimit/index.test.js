@@ -0,0 +1,54 @@
+const { consume, resetHits, setRateLimitStore } = require('.');
+const { createMemoryStore } = require('./memory.store');
+
+describe('rate limiting', () => {
+  const limit = { max: 2, windowMs: 60 * 1000 };
+  let now;
+
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+    now = Date.UTC(2026, 0, 1, 12, 0, 10);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('allows max hits per fixed window and reports when the window ends', async () => {
+    expect(await consume('test', 'key', limit)).toMatchObject({ allowed: true, remaining: 1, retryAfterMs: 0 });
+    expect(await consume('test', 'key', limit)).toMatchObject({ allowed: true, remaining: 0 });
+
+    const denied = await consume('test', 'key', limit);
+    expect(denied).toMatchObject({ allowed: false, limit: 2, remaining: 0, retryAfterMs: 50 * 1000 });
+    expect(denied.resetAt).toEqual(new Date(Date.UTC(2026, 0, 1, 12, 1, 0)));
+  });
+
+  it('starts over in the next window', async () => {
+    await consume('test', 'key', limit);
+    await consume('test', 'key', limit);
+    now += 50 * 1000;
+
+    expect(await consume('test', 'key', limit)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  it('keeps limiters and keys apart', async () => {
+    await consume('test', 'key', limit);
+    await consume('test', 'key', limit);
+
+    expect((await consume('test', 'other', limit)).allowed).toBe(true);
+    expect((await consume('other', 'key', limit)).allowed).toBe(true);
+  });
+
+  it('forgets the hits of a key on reset', async () => {
+    await consume('test', 'key', limit);
+    await consume('test', 'key', limit);
+    await resetHits('test', 'key', limit);
+
+    expect((await consume('test', 'key', limit)).allowed).toBe(true);
+  });
+
+  it('refuses a store without increment and reset', () => {
+    expect(() => setRateLimitStore({ increment: () => 1 })).toThrow('must implement increment');
+  });
+});
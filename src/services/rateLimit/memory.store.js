@@ -0,0 +1,49 @@
+/**
+ * In-memory rate limit store
+ * Counters live in this process only, so with several instances each one counts on its own.
+ * Expired counters are swept at most once a minute, when a counter is incremented.
+ */
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  // key -> { count, expiresAt (ms) }
+  const counters = new Map();
+  let nextSweepAt = Date.now() + sweepIntervalMs;
+
+  // Helper function to drop the counters of windows that have ended
+  const sweep = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) {
+        counters.delete(key);
+      }
+    }
+    nextSweepAt = now + sweepIntervalMs;
+  };
+
+  return {
+    name: 'memory',
+
+    // Count one hit on a key; returns the number of hits in its window so far
+    async increment(key, expiresAt) {
+      const now = Date.now();
+      if (now >= nextSweepAt) {
+        sweep(now);
+      }
+
+      const counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counters.set(key, { count: 1, expiresAt: expiresAt.getTime() });
+        return 1;
+      }
+      counter.count += 1;
+      return counter.count;
+    },
+
+    // Forget the hits on a key
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+};
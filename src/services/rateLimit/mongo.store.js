@@ -0,0 +1,39 @@
+const RateLimitCounter = require('../../models/rateLimitCounter.model');
+
+/**
+ * MongoDB rate limit store
+ * Counters are shared by every instance of the bank that uses the same database, so limits hold
+ * across all of them. Each increment is a single atomic upsert; MongoDB's TTL monitor removes
+ * the counters of ended windows.
+ */
+const createMongoStore = () => ({
+  name: 'mongo',
+
+  // Count one hit on a key; returns the number of hits in its window so far
+  async increment(key, expiresAt) {
+    const upsert = () => RateLimitCounter.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    );
+
+    try {
+      return (await upsert()).count;
+    } catch (error) {
+      // Two first hits raced to insert the counter; the loser increments the winner's
+      if (error.code === 11000) {
+        return (await upsert()).count;
+      }
+      throw error;
+    }
+  },
+
+  // Forget the hits on a key
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  },
+});
+
+module.exports = {
+  createMongoStore,
+};
@@ -0,0 +1,206 @@
+const BankRegistration = require('../models/bankRegistration.model');
+const ApiError = require('../utils/apiError');
+const { getJwks } = require('./keyring.service');
+const centralBank = require('./centralBank.service');
+
+/**
+ * Registration service
+ * Registers this bank with the central bank (SPECIFICATIONS.md, "Bank Registration"):
+ * we submit our name, JWKS URL and callback URL and receive our bank prefix and API credentials.
+ * The registration is re-submitted when the published keys or URLs change, so the central bank
+ * always knows which keys we sign with. The assigned prefix replaces BANK_PREFIX at startup and the
+ * API key is handed to the central bank client.
+ */
+
+const config = () => ({
+  autoRegister: process.env.AUTO_REGISTER === 'true',
+  bankName: process.env.BANK_NAME || 'OVE Bank',
+  publicBaseUrl: (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, ''),
+  jwksPath: process.env.JWKS_ENDPOINT || '/api/v1/keys/jwks',
+  callbackPath: process.env.CALLBACK_URL || '/api/v1/transactions/incoming',
+});
+
+let registering = null;
+
+// Helper function to describe what we want the central bank to know about us
+const desiredRegistration = () => {
+  const { bankName, publicBaseUrl, jwksPath, callbackPath } = config();
+  return {
+    name: bankName,
+    jwksUrl: `${publicBaseUrl}${jwksPath}`,
+    callbackUrl: `${publicBaseUrl}${callbackPath}`,
+    kids: getJwks().keys.map((key) => key.kid).sort(),
+  };
+};
+
+// Helper function to tell whether the central bank has our current name, URLs and keys
+const isUpToDate = (current, desired) => Boolean(
+  current
+  && current.status === 'REGISTERED'
+  && current.name === desired.name
+  && current.jwksUrl === desired.jwksUrl
+  && current.callbackUrl === desired.callbackUrl
+  && [...current.registeredKids].sort().join(',') === desired.kids.join(',')
+);
+
+// Helper function to make the assigned prefix the one the rest of the app uses
+const applyPrefix = (bankPrefix) => {
+  if (!bankPrefix || bankPrefix === process.env.BANK_PREFIX) {
+    return;
+  }
+  if (process.env.BANK_PREFIX) {
+    console.warn(`Central bank assigned prefix ${bankPrefix}; overriding configured BANK_PREFIX ${process.env.BANK_PREFIX}`);
+  }
+  process.env.BANK_PREFIX = bankPrefix;
+};
+
+// Submit the registration: a new registration, or an update of an existing one with our credentials
+const submit = async (current, desired) => {
+  const update = Boolean(current && current.bankPrefix && current.apiKey);
+  const body = {
+    name: desired.name,
+    jwksUrl: desired.jwksUrl,
+    callbackUrl: desired.callbackUrl,
+    // Preferred prefix; the central bank decides
+    ...(update ? {} : { bankPrefix: process.env.BANK_PREFIX }),
+  };
+
+  const { data } = update
+    ? await centralBank.request('PUT', `/api/v1/banks/${encodeURIComponent(current.bankPrefix)}`, { body })
+    : await centralBank.request('POST', '/api/v1/banks', { body });
+
+  const bankPrefix = (data && (data.bankPrefix || data.prefix)) || (current && current.bankPrefix);
+  const apiKey = (data && data.apiKey) || (current && current.apiKey);
+  if (!bankPrefix || !apiKey) {
+    throw new Error('Central bank response is missing the bank prefix or API key');
+  }
+  return { bankPrefix, apiKey };
+};
+
+// Register (or re-register) and persist the outcome
+const register = async () => {
+  const current = await BankRegistration.findOne({ key: 'self' });
+  const desired = desiredRegistration();
+  const attemptedAt = new Date();
+
+  try {
+    const { bankPrefix, apiKey } = await submit(current, desired);
+    const registration = await BankRegistration.findOneAndUpdate(
+      { key: 'self' },
+      {
+        $set: {
+          status: 'REGISTERED',
+          name: desired.name,
+          bankPrefix,
+          apiKey,
+          jwksUrl: desired.jwksUrl,
+          callbackUrl: desired.callbackUrl,
+          registeredKids: desired.kids,
+          registeredAt: attemptedAt,
+          lastAttemptAt: attemptedAt,
+          lastError: null,
+        },
+      },
+      { new: true, upsert: true }
+    );
+    applyPrefix(bankPrefix);
+    centralBank.setApiKey(apiKey);
+    console.log(`Registered with the central bank as ${bankPrefix}`);
+    return registration;
+  } catch (error) {
+    // A failed re-registration keeps the existing prefix and credentials
+    await BankRegistration.findOneAndUpdate(
+      { key: 'self' },
+      {
+        $set: {
+          status: current && current.apiKey ? current.status : 'FAILED',
+          lastAttemptAt: attemptedAt,
+          lastError: error.message,
+        },
+      },
+      { new: true, upsert: true }
+    );
+    throw new ApiError(502, 'REGISTRATION_FAILED', `Registration with the central bank failed: ${error.message}`);
+  }
+};
+
+/**
+ * Register with the central bank now, sharing one request between concurrent callers.
+ */
+const registerBank = () => {
+  if (!registering) {
+    registering = register().finally(() => {
+      registering = null;
+    });
+  }
+  return registering;
+};
+
+/**
+ * Re-register if the central bank does not have our current keys or URLs.
+ * Used after key rotation; failures are logged, the registration status shows them.
+ */
+const syncRegistration = async () => {
+  try {
+    const current = await BankRegistration.findOne({ key: 'self' });
+    if (current && current.apiKey && !isUpToDate(current, desiredRegistration())) {
+      await registerBank();
+    }
+  } catch (error) {
+    console.error('Error re-registering with the central bank:', error.message);
+  }
+};
+
+/**
+ * Load the stored registration and apply the assigned prefix. Called once at startup, after the
+ * keyring is loaded. With AUTO_REGISTER=true, registers when needed; a central bank that cannot be
+ * reached does not prevent startup.
+ */
+const initRegistration = async () => {
+  const registration = await BankRegistration.findOne({ key: 'self' });
+  if (registration) {
+    applyPrefix(registration.bankPrefix);
+    centralBank.setApiKey(registration.apiKey);
+  }
+
+  if (config().autoRegister && !isUpToDate(registration, desiredRegistration())) {
+    try {
+      return await registerBank();
+    } catch (error) {
+      console.error(error.message);
+    }
+  }
+  return registration;
+};
+
+/**
+ * Get the registration status for admins (credentials are not included).
+ */
+const getRegistrationStatus = async () => {
+  const current = await BankRegistration.findOne({ key: 'self' });
+  const desired = desiredRegistration();
+  return {
+    status: current ? current.status : 'UNREGISTERED',
+    bankPrefix: (current && current.bankPrefix) || null,
+    activeBankPrefix: process.env.BANK_PREFIX || null,
+    name: current ? current.name : null,
+    jwksUrl: current ? current.jwksUrl : null,
+    callbackUrl: current ? current.callbackUrl : null,
+    hasCredentials: Boolean(current && current.apiKey),
+    registeredKids: current ? current.registeredKids : [],
+    registeredAt: current ? current.registeredAt : null,
+    lastAttemptAt: current ? current.lastAttemptAt : null,
+    lastError: current ? current.lastError : null,
+    upToDate: isUpToDate(current, desired),
+    autoRegister: config().autoRegister,
+    desired,
+    centralBank: centralBank.getCentralBankHealth(),
+  };
+};
+
+module.exports = {
+  initRegistration,
+  registerBank,
+  syncRegistration,
+  getRegistrationStatus,
+};
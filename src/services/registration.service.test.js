@@ -0,0 +1,163 @@
+jest.mock('./keyring.service', () => ({
+  getJwks: jest.fn(() => ({ keys: [{ kid: 'key-2' }, { kid: 'key-1' }] })),
+}));
+jest.mock('./centralBank.service', () => ({
+  request: jest.fn(),
+  setApiKey: jest.fn(),
+  getCentralBankHealth: jest.fn(() => ({ state: 'CLOSED' })),
+}));
+
+const BankRegistration = require('../models/bankRegistration.model');
+const centralBank = require('./centralBank.service');
+const { initRegistration, registerBank, syncRegistration } = require('./registration.service');
+
+// Helper function to build the stored registration of a bank registered with the current keys and URLs
+const registered = (overrides = {}) => ({
+  key: 'self',
+  status: 'REGISTERED',
+  name: 'OVE Bank',
+  bankPrefix: 'OVX',
+  apiKey: 'api-key-1',
+  jwksUrl: 'https://ove.example/api/v1/keys/jwks',
+  callbackUrl: 'https://ove.example/api/v1/transactions/incoming',
+  registeredKids: ['key-1', 'key-2'],
+  ...overrides,
+});
+
+describe('registration service', () => {
+  const env = { ...process.env };
+  let stored;
+
+  beforeEach(() => {
+    stored = null;
+    process.env.BANK_PREFIX = 'OVE';
+    process.env.BANK_NAME = 'OVE Bank';
+    process.env.PUBLIC_BASE_URL = 'https://ove.example/';
+    delete process.env.JWKS_ENDPOINT;
+    delete process.env.CALLBACK_URL;
+    delete process.env.AUTO_REGISTER;
+    jest.spyOn(BankRegistration, 'findOne').mockImplementation(async () => stored);
+    jest.spyOn(BankRegistration, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      stored = { ...(stored || { key: 'self' }), ...$set };
+      return stored;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('registerBank', () => {
+    it('registers with our URLs and preferred prefix and takes the prefix and API key assigned', async () => {
+      centralBank.request.mockResolvedValue({ data: { bankPrefix: 'OVX', apiKey: 'api-key-1' } });
+
+      await registerBank();
+
+      expect(centralBank.request).toHaveBeenCalledWith('POST', '/api/v1/banks', {
+        body: {
+          name: 'OVE Bank',
+          jwksUrl: 'https://ove.example/api/v1/keys/jwks',
+          callbackUrl: 'https://ove.example/api/v1/transactions/incoming',
+          bankPrefix: 'OVE',
+        },
+      });
+      expect(stored).toMatchObject({ status: 'REGISTERED', bankPrefix: 'OVX', apiKey: 'api-key-1', registeredKids: ['key-1', 'key-2'] });
+      expect(process.env.BANK_PREFIX).toBe('OVX');
+      expect(centralBank.setApiKey).toHaveBeenCalledWith('api-key-1');
+    });
+
+    it('updates an existing registration with its credentials', async () => {
+      stored = registered({ jwksUrl: 'https://old.example/jwks' });
+      centralBank.request.mockResolvedValue({ data: {} });
+
+      await registerBank();
+
+      const [method, path, { body }] = centralBank.request.mock.calls[0];
+      expect([method, path]).toEqual(['PUT', '/api/v1/banks/OVX']);
+      expect(body).not.toHaveProperty('bankPrefix');
+      expect(stored).toMatchObject({ bankPrefix: 'OVX', apiKey: 'api-key-1', jwksUrl: 'https://ove.example/api/v1/keys/jwks' });
+    });
+
+    it('records a failed first registration and answers REGISTRATION_FAILED', async () => {
+      centralBank.request.mockRejectedValue(new Error('Central bank is not responding'));
+
+      await expect(registerBank()).rejects.toMatchObject({ statusCode: 502, code: 'REGISTRATION_FAILED' });
+      expect(stored).toMatchObject({ status: 'FAILED', lastError: 'Central bank is not responding' });
+      expect(centralBank.setApiKey).not.toHaveBeenCalled();
+    });
+
+    it('keeps the credentials of a registration whose update failed', async () => {
+      stored = registered({ jwksUrl: 'https://old.example/jwks' });
+      centralBank.request.mockRejectedValue(new Error('Central bank is not responding'));
+
+      await expect(registerBank()).rejects.toMatchObject({ code: 'REGISTRATION_FAILED' });
+      expect(stored).toMatchObject({ status: 'REGISTERED', apiKey: 'api-key-1', jwksUrl: 'https://old.example/jwks' });
+    });
+
+    it('refuses a response without a prefix or API key', async () => {
+      centralBank.request.mockResolvedValue({ data: { bankPrefix: 'OVX' } });
+
+      await expect(registerBank()).rejects.toMatchObject({
+        code: 'REGISTRATION_FAILED',
+        message: 'Registration with the central bank failed: Central bank response is missing the bank prefix or API key',
+      });
+    });
+  });
+
+  describe('initRegistration', () => {
+    it('uses the stored prefix and API key without calling the central bank', async () => {
+      stored = registered();
+
+      await initRegistration();
+
+      expect(process.env.BANK_PREFIX).toBe('OVX');
+      expect(centralBank.setApiKey).toHaveBeenCalledWith('api-key-1');
+      expect(centralBank.request).not.toHaveBeenCalled();
+    });
+
+    it('registers at startup with AUTO_REGISTER when the central bank does not have our current keys', async () => {
+      process.env.AUTO_REGISTER = 'true';
+      stored = registered({ registeredKids: ['key-1'] });
+      centralBank.request.mockResolvedValue({ data: {} });
+
+      await initRegistration();
+      expect(centralBank.request).toHaveBeenCalledWith('PUT', '/api/v1/banks/OVX', expect.anything());
+
+      centralBank.request.mockClear();
+      await initRegistration();
+      expect(centralBank.request).not.toHaveBeenCalled();
+    });
+
+    it('starts even when the central bank cannot be reached', async () => {
+      process.env.AUTO_REGISTER = 'true';
+      centralBank.request.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(initRegistration()).resolves.toBeNull();
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('ECONNREFUSED'));
+    });
+  });
+
+  describe('syncRegistration', () => {
+    it('re-registers a registered bank only when its keys or URLs changed', async () => {
+      stored = registered();
+      await syncRegistration();
+      expect(centralBank.request).not.toHaveBeenCalled();
+
+      stored = registered({ registeredKids: ['key-1'] });
+      centralBank.request.mockResolvedValue({ data: {} });
+      await syncRegistration();
+      expect(centralBank.request).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves a bank that never registered alone', async () => {
+      await syncRegistration();
+
+      expect(centralBank.request).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const Transaction = require('../models/transaction.model');
+const {
+  executeScheduledInternalTransfer,
+  executeScheduledExternalTransfer,
+  failScheduledTransfer,
+} = require('./transfer.service');
+const { buildSignedPayload } = require('./signature.service');
+const { dispatchSoon } = require('./outbox.service');
+
+/**
+ * Scheduler service
+ * Executes future-dated transfers once their `executeAt` has passed. Scheduled transfers are stored as
+ * SCHEDULED transactions, so nothing is lost across restarts and several processes can poll safely:
+ * a transfer is claimed in the same MongoDB transaction that moves the money.
+ * Funds are checked at execution time; a transfer that cannot be executed (e.g. INSUFFICIENT_FUNDS)
+ * is marked FAILED with the reason. Unexpected errors leave it SCHEDULED for the next run.
+ */
+
+const config = () => ({
+  pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 30000,
+  batchSize: parseInt(process.env.SCHEDULER_BATCH_SIZE, 10) || 100,
+});
+
+let timer = null;
+let running = false;
+
+/**
+ * Execute one due scheduled transfer.
+ * Returns the transaction as it is afterwards (COMPLETED, PENDING or FAILED), or null if it was
+ * no longer scheduled. Unexpected errors are thrown and leave the transfer SCHEDULED.
+ */
+const executeScheduledTransfer = async (transaction) => {
+  try {
+    if (transaction.isInternal) {
+      return await executeScheduledInternalTransfer(transaction.transactionId);
+    }
+
+    // Signed when it is claimed, so the payload carries the transfer as it is debited (not this
+    // earlier copy, which may have been changed since) and its timestamp is fresh
+    const queued = await executeScheduledExternalTransfer(transaction.transactionId, buildSignedPayload);
+    if (queued) {
+      dispatchSoon();
+    }
+    return queued;
+  } catch (error) {
+    // Business errors (ApiError) are final; anything else is retried on the next run
+    if (!error.statusCode) {
+      throw error;
+    }
+    console.error(`Scheduled transaction ${transaction.transactionId} failed: ${error.code}`);
+    return failScheduledTransfer(transaction.transactionId, error.code, error.message);
+  }
+};
+
+/**
+ * Execute every scheduled transfer that is due.
+ */
+const runDueTransfers = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const due = await Transaction.find({ status: 'SCHEDULED', executeAt: { $lte: new Date() } })
+      .sort({ executeAt: 1 })
+      .limit(config().batchSize);
+
+    for (const transaction of due) {
+      try {
+        await executeScheduledTransfer(transaction);
+      } catch (error) {
+        console.error(`Scheduler error executing transaction ${transaction.transactionId}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start polling for due scheduled transfers
+const startScheduler = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(runDueTransfers, config().pollIntervalMs);
+  setImmediate(runDueTransfers);
+  console.log('Transfer scheduler started');
+};
+
+// Stop polling for due scheduled transfers
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  executeScheduledTransfer,
+  runDueTransfers,
+  startScheduler,
+  stopScheduler,
+};
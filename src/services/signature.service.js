@@ -0,0 +1,171 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const ApiError = require('../utils/apiError');
+const { resolveBankKeys } = require('./bankKeys.service');
+const { signWithActiveKey, getVerificationKey } = require('./keyring.service');
+
+/**
+ * Signature service
+ * Signs outgoing transaction payloads and verifies the signatures of incoming ones.
+ */
+
+// Fields of the transaction payload that are covered by the signature
+const SIGNED_FIELDS = [
+  'transactionId',
+  'fromBank',
+  'fromAccount',
+  'toBank',
+  'toAccount',
+  'amount',
+  'currency',
+  'description',
+  'timestamp',
+];
+
+const config = () => ({
+  maxAgeSeconds: parseInt(process.env.INCOMING_MAX_AGE_SECONDS, 10) || 300,
+  clockSkewSeconds: parseInt(process.env.INCOMING_CLOCK_SKEW_SECONDS, 10) || 30,
+});
+
+// Helper function to sign transaction payload with the active key, through the signer backend
+// The kid header tells verifiers which of our keys to use; every signature gets a
+// unique JWT ID so the receiving bank can detect replays
+const signTransaction = async (payload) => {
+  try {
+    return await signWithActiveKey(payload, { jwtid: uuidv4() });
+  } catch (error) {
+    console.error('Error signing transaction:', error);
+    throw error;
+  }
+};
+
+/**
+ * Build and sign the payload of an outgoing transfer for the central bank
+ * (SPECIFICATIONS.md, "Transaction Payload Format"). The timestamp is the signing time;
+ * the outbox signs the payload again (resignPayload) each time it delivers it.
+ */
+const buildSignedPayload = async (transaction) => {
+  const payload = {
+    transactionId: transaction.transactionId,
+    fromBank: transaction.fromBank,
+    fromAccount: transaction.fromAccount,
+    toBank: transaction.toBank,
+    toAccount: transaction.toAccount,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    description: transaction.description,
+    timestamp: new Date().toISOString(),
+  };
+  payload.signature = await signTransaction(payload);
+  return payload;
+};
+
+/**
+ * Sign a queued payload again right before a delivery attempt: the same transfer and transactionId,
+ * with a fresh timestamp and JWT ID, so the receiving bank's freshness window (INCOMING_MAX_AGE_SECONDS)
+ * counts from the delivery, however long the payload waited in the outbox.
+ */
+const resignPayload = async (payload) => {
+  const { signature, ...fields } = payload;
+  const resigned = { ...fields, timestamp: new Date().toISOString() };
+  resigned.signature = await signTransaction(resigned);
+  return resigned;
+};
+
+// Helper function to verify transaction signature
+// Returns the decoded claims, or null if the signature is invalid
+const verifySignature = async (signature, fromBank) => {
+  try {
+    const decoded = jwt.decode(signature, { complete: true });
+    if (!decoded) {
+      throw new Error('Signature is not a valid JWT');
+    }
+
+    // For internal transactions, use our own key selected by kid
+    if (fromBank === process.env.BANK_PREFIX) {
+      const publicKey = getVerificationKey(decoded.header.kid);
+      if (!publicKey) {
+        throw new Error(`Public key ${decoded.header.kid} not found or no longer valid`);
+      }
+
+      return jwt.verify(signature, publicKey, { algorithms: ['RS256'] });
+    }
+
+    // For external transactions, resolve the bank's keys by the kid in the JWT header
+    const publicKeys = await resolveBankKeys(fromBank, decoded.header.kid);
+    if (publicKeys.length === 0) {
+      throw new Error(`No public key ${decoded.header.kid} found for bank ${fromBank}`);
+    }
+
+    // Several candidates only when the bank publishes keys without kid; any of them may match
+    let lastError;
+    for (const publicKey of publicKeys) {
+      try {
+        return jwt.verify(signature, publicKey, { algorithms: ['RS256'] });
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  } catch (error) {
+    console.error('Error verifying signature:', error);
+    return null;
+  }
+};
+
+// Helper function to compare a signed claim with the value received in the body
+const claimMatches = (field, claimValue, bodyValue) => {
+  if (field === 'amount') {
+    return claimValue !== undefined && Number(claimValue) === Number(bodyValue);
+  }
+  if (field === 'description') {
+    return (claimValue || '') === (bodyValue || '');
+  }
+  return claimValue !== undefined && claimValue === bodyValue;
+};
+
+/**
+ * Verify an incoming transfer from another bank.
+ * The signature must be valid, its claims must exactly match the processed fields of the body,
+ * and it must have been signed within the freshness window.
+ * Returns the replay guard (fromBank, JWT ID and expiry) to record when the transfer is processed.
+ */
+const verifyIncomingTransfer = async (body) => {
+  const { transactionId, fromBank, signature } = body;
+
+  const claims = await verifySignature(signature, fromBank);
+  if (!claims) {
+    throw new ApiError(400, 'INVALID_SIGNATURE', 'Transaction signature validation failed', { transactionId });
+  }
+
+  const mismatchedFields = SIGNED_FIELDS.filter((field) => !claimMatches(field, claims[field], body[field]));
+  if (mismatchedFields.length > 0) {
+    throw new ApiError(400, 'SIGNATURE_PAYLOAD_MISMATCH', 'Signed claims do not match the transaction', {
+      transactionId,
+      details: { fields: mismatchedFields },
+    });
+  }
+
+  const { maxAgeSeconds, clockSkewSeconds } = config();
+  const signedAt = Date.parse(claims.timestamp);
+  const ageSeconds = (Date.now() - signedAt) / 1000;
+  if (Number.isNaN(signedAt) || ageSeconds > maxAgeSeconds || ageSeconds < -clockSkewSeconds) {
+    throw new ApiError(400, 'STALE_TRANSACTION', `Transaction timestamp must be within ${maxAgeSeconds} seconds of the current time`, { transactionId });
+  }
+
+  return {
+    fromBank,
+    jti: claims.jti || transactionId,
+    transactionId,
+    expiresAt: new Date(signedAt + (maxAgeSeconds + clockSkewSeconds) * 1000),
+  };
+};
+
+module.exports = {
+  SIGNED_FIELDS,
+  signTransaction,
+  buildSignedPayload,
+  resignPayload,
+  verifySignature,
+  verifyIncomingTransfer,
+};
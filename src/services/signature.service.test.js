@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('./bankKeys.service', () => ({
+  resolveBankKeys: jest.fn(),
+}));
+
+const { resolveBankKeys } = require('./bankKeys.service');
+const { verifyIncomingTransfer } = require('./signature.service');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+// Helper function to build an incoming transfer body signed by the sending bank
+const signedBody = (overrides = {}, { key = privateKey, jwtid = 'jti-1' } = {}) => {
+  const body = {
+    transactionId: 'tx-1',
+    fromBank: 'ABC',
+    fromAccount: 'ABC-12345678',
+    toBank: 'OVE',
+    toAccount: 'OVE-87654321',
+    amount: 125.5,
+    currency: 'EUR',
+    description: 'Invoice 42',
+    timestamp: new Date().toISOString(),
+    ...overrides,
+  };
+  const signature = jwt.sign(body, key, {
+    algorithm: 'RS256',
+    keyid: 'abc-key',
+    ...(jwtid ? { jwtid } : {}),
+  });
+  return { ...body, signature };
+};
+
+describe('verifyIncomingTransfer', () => {
+  beforeEach(() => {
+    process.env.BANK_PREFIX = 'OVE';
+    resolveBankKeys.mockResolvedValue([publicKey.export({ type: 'spki', format: 'pem' })]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the replay guard of a valid, fresh signature', async () => {
+    const body = signedBody();
+
+    const guard = await verifyIncomingTransfer(body);
+
+    expect(resolveBankKeys).toHaveBeenCalledWith('ABC', 'abc-key');
+    expect(guard).toMatchObject({ fromBank: 'ABC', jti: 'jti-1', transactionId: 'tx-1' });
+    expect(guard.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('rejects a signature made with another key', async () => {
+    await expect(verifyIncomingTransfer(signedBody({}, { key: otherKey })))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_SIGNATURE' });
+  });
+
+  it('rejects a body that differs from the signed claims', async () => {
+    const body = { ...signedBody(), amount: 9999, toAccount: 'OVE-00000000' };
+
+    await expect(verifyIncomingTransfer(body)).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'SIGNATURE_PAYLOAD_MISMATCH',
+      details: { fields: ['toAccount', 'amount'] },
+    });
+  });
+
+  it('rejects a signature replayed after the freshness window', async () => {
+    const body = signedBody({ timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+
+    await expect(verifyIncomingTransfer(body)).rejects.toMatchObject({ statusCode: 400, code: 'STALE_TRANSACTION' });
+  });
+
+  it('rejects a timestamp too far in the future', async () => {
+    const body = signedBody({ timestamp: new Date(Date.now() + 5 * 60 * 1000).toISOString() });
+
+    await expect(verifyIncomingTransfer(body)).rejects.toMatchObject({ code: 'STALE_TRANSACTION' });
+  });
+
+  it('falls back to the transaction id as replay key without a JWT ID', async () => {
+    const body = signedBody({}, { jwtid: null });
+
+    expect((await verifyIncomingTransfer(body)).jti).toBe('tx-1');
+  });
+});
@@ -0,0 +1,76 @@
+const fetch = require('node-fetch');
+
+/**
+ * External signer backend
+ * Delegates key generation and signing to an HSM/KMS-style service; private keys never
+ * leave it. The service is reached through a client with this interface:
+ *   createKey()             -> { keyId, publicKey }  (publicKey as SPKI PEM)
+ *   sign(keyId, message)    -> Buffer                (RSASSA-PKCS1-v1_5 SHA-256 over message)
+ * createHttpKmsClient() talks to a remote signing service; createKmsStandIn() (kmsStandIn.js)
+ * is a local stand-in for development.
+ */
+const createExternalSigner = ({ client }) => ({
+  name: 'external',
+
+  // Keys stay in the external service; nothing to load
+  async init() {},
+
+  async createKey() {
+    const { keyId, publicKey } = await client.createKey();
+    return { keyRef: keyId, publicKey };
+  },
+
+  async importKey() {
+    throw new Error('Importing private keys is not supported by the external signer');
+  },
+
+  async sign(keyRef, data) {
+    return client.sign(keyRef, data);
+  },
+});
+
+// Helper function to call the signing service
+const callKms = async ({ url, token, timeoutMs }, endpoint, body) => {
+  const response = await fetch(`${url.replace(/\/$/, '')}${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(body),
+    timeout: timeoutMs,
+  });
+
+  if (!response.ok) {
+    throw new Error(`External signer responded with status ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Client for a remote signing service exposing
+ *   POST /keys             -> { keyId, publicKey }
+ *   POST /keys/:keyId/sign { algorithm, message (base64) } -> { signature (base64) }
+ */
+const createHttpKmsClient = ({ url, token, timeoutMs = 5000 }) => {
+  const options = { url, token, timeoutMs };
+
+  return {
+    async createKey() {
+      return callKms(options, '/keys', { keySpec: 'RSA_2048', keyUsage: 'SIGN_VERIFY' });
+    },
+
+    async sign(keyId, message) {
+      const { signature } = await callKms(options, `/keys/${encodeURIComponent(keyId)}/sign`, {
+        algorithm: 'RSASSA_PKCS1_V1_5_SHA_256',
+        message: message.toString('base64'),
+      });
+      return Buffer.from(signature, 'base64');
+    },
+  };
+};
+
+module.exports = {
+  createExternalSigner,
+  createHttpKmsClient,
+};
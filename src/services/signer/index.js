@@ -0,0 +1,73 @@
+const path = require('path');
+const { encodeSegment } = require('../../utils/jwk');
+const { createLocalSigner } = require('./local.signer');
+const { createExternalSigner, createHttpKmsClient } = require('./external.signer');
+const { createKmsStandIn } = require('./kmsStandIn');
+
+/**
+ * Transaction signer
+ * Selects the signing backend with SIGNER_BACKEND:
+ * - local (default): encrypted-at-rest PKCS#8 keys unlocked with SIGNING_KEY_PASSPHRASE
+ * - external: an HSM/KMS-style service at EXTERNAL_SIGNER_URL, or a local stand-in when no URL is set
+ * Every backend implements init(keyRefs), createKey(), importKey(pem) and sign(keyRef, data).
+ */
+
+// Passphrase of the local signer for development only, used when SIGNING_KEY_PASSPHRASE is not set
+// and ALLOW_INSECURE_DEV_PASSPHRASE=true (never in production). Keys encrypted with it are not protected.
+const DEVELOPMENT_PASSPHRASE = 'ove-bank-development-only';
+
+// Helper function to get the local signer's passphrase; without one the local signer refuses to start
+const localPassphrase = () => {
+  if (process.env.SIGNING_KEY_PASSPHRASE) {
+    return process.env.SIGNING_KEY_PASSPHRASE;
+  }
+  if (process.env.ALLOW_INSECURE_DEV_PASSPHRASE === 'true' && process.env.NODE_ENV !== 'production') {
+    console.warn('SIGNING_KEY_PASSPHRASE is not set; encrypting signing keys with the insecure development passphrase');
+    return DEVELOPMENT_PASSPHRASE;
+  }
+  return null;
+};
+
+// Create the configured signing backend; keysDir is where the keyring keeps its files
+const createSigner = (keysDir) => {
+  const backend = process.env.SIGNER_BACKEND || 'local';
+
+  if (backend === 'local') {
+    return createLocalSigner({ keysDir, passphrase: localPassphrase() });
+  }
+
+  if (backend === 'external') {
+    const client = process.env.EXTERNAL_SIGNER_URL
+      ? createHttpKmsClient({
+        url: process.env.EXTERNAL_SIGNER_URL,
+        token: process.env.EXTERNAL_SIGNER_TOKEN,
+        timeoutMs: parseInt(process.env.EXTERNAL_SIGNER_TIMEOUT_MS, 10) || 5000,
+      })
+      : createKmsStandIn({ dir: process.env.EXTERNAL_SIGNER_STANDIN_DIR || path.join(keysDir, 'kms-standin') });
+    return createExternalSigner({ client });
+  }
+
+  throw new Error(`Unknown SIGNER_BACKEND: ${backend}`);
+};
+
+/**
+ * Create a compact RS256 JWS for a payload using a key held by the signer.
+ * `key` is a keyring entry ({ kid, keyRef }); `iat` is added like jsonwebtoken does.
+ */
+const signJwt = async (signer, payload, key, { jwtid } = {}) => {
+  const header = { alg: 'RS256', typ: 'JWT', kid: key.kid };
+  const claims = {
+    ...payload,
+    iat: Math.floor(Date.now() / 1000),
+    ...(jwtid ? { jti: jwtid } : {}),
+  };
+
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  const signature = await signer.sign(key.keyRef, Buffer.from(signingInput));
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+module.exports = {
+  createSigner,
+  signJwt,
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Local KMS stand-in
+ * Implements the external signer client interface in-process for development and testing.
+ * Keys are kept in their own directory and are only ever used through createKey() and sign(),
+ * like keys held by a real HSM/KMS. Not meant for production.
+ */
+const createKmsStandIn = ({ dir }) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+
+  // keyId -> private KeyObject, loaded on first use
+  const keys = new Map();
+  const keyFile = (keyId) => path.join(dir, `${keyId}.pem`);
+
+  const loadKey = (keyId) => {
+    if (!keys.has(keyId)) {
+      if (!/^[0-9a-f-]+$/.test(keyId) || !fs.existsSync(keyFile(keyId))) {
+        throw new Error(`Unknown key ${keyId}`);
+      }
+      keys.set(keyId, crypto.createPrivateKey(fs.readFileSync(keyFile(keyId), 'utf8')));
+    }
+    return keys.get(keyId);
+  };
+
+  return {
+    async createKey() {
+      const keyId = uuidv4();
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      fs.writeFileSync(keyFile(keyId), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      keys.set(keyId, privateKey);
+      return { keyId, publicKey: publicKey.export({ type: 'spki', format: 'pem' }) };
+    },
+
+    async sign(keyId, message) {
+      return crypto.sign('sha256', message, loadKey(keyId));
+    },
+  };
+};
+
+module.exports = {
+  createKmsStandIn,
+};
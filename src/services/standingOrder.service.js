@@ -0,0 +1,299 @@
+const StandingOrder = require('../models/standingOrder.model');
+const Transaction = require('../models/transaction.model');
+const { scheduleTransfer } = require('./transfer.service');
+const { executeScheduledTransfer } = require('./scheduler.service');
+
+/**
+ * Standing order service
+ * Executes recurring transfers. Each occurrence of a standing order becomes an ordinary transaction
+ * (linked by `standingOrderId` and `standingOrderOccurrence`) that goes through the scheduled
+ * transfer path, so internal and external orders are executed exactly like one-off transfers.
+ * An order is claimed with a short lock before it runs; an occurrence that already has a transaction
+ * is never paid twice, even if the process stops halfway. Occurrences missed while the service was
+ * down are executed one by one. Failed executions are retried, skipped or pause the order, as the
+ * order's `onFailure` policy says.
+ */
+
+const config = () => ({
+  pollIntervalMs: parseInt(process.env.STANDING_ORDER_POLL_INTERVAL_MS, 10) || 60000,
+  batchSize: parseInt(process.env.STANDING_ORDER_BATCH_SIZE, 10) || 100,
+  lockMs: 5 * 60 * 1000,
+});
+
+// Fields the processor updates even if the owner paused or cancelled the order while it ran
+const PROGRESS_FIELDS = ['occurrenceIndex', 'executionCount', 'failedAttempts', 'lastExecutionAt', 'lastTransactionId', 'lastError'];
+const SCHEDULE_FIELDS = ['status', 'nextExecutionAt', 'pausedReason'];
+
+let timer = null;
+let running = false;
+
+// Helper function to pick fields of an order as a $set update
+const pick = (order, fields) => fields.reduce((changes, field) => {
+  changes[field] = order.get(field);
+  return changes;
+}, {});
+
+// Helper function to schedule the order's current occurrence, or complete the order when there is none
+const scheduleOccurrence = (order) => {
+  if (order.hasOccurrence(order.occurrenceIndex)) {
+    order.nextExecutionAt = order.occurrenceAt(order.occurrenceIndex);
+  } else {
+    order.status = 'COMPLETED';
+    order.nextExecutionAt = null;
+  }
+};
+
+// Helper function to pause an order, keeping the reason for the owner
+const pauseOrder = (order, reason) => {
+  order.status = 'PAUSED';
+  order.pausedReason = reason;
+  order.nextExecutionAt = null;
+};
+
+// Helper function to store the outcome of an execution and release the lock
+const saveOutcome = async (order) => {
+  const updated = await StandingOrder.findOneAndUpdate(
+    { orderId: order.orderId, status: 'ACTIVE' },
+    { $set: { ...pick(order, PROGRESS_FIELDS), ...pick(order, SCHEDULE_FIELDS), lockedUntil: null } },
+    { new: true }
+  );
+  if (updated) {
+    return updated;
+  }
+
+  // Paused or cancelled by the owner in the meantime: their status wins
+  return StandingOrder.findOneAndUpdate(
+    { orderId: order.orderId },
+    { $set: { ...pick(order, PROGRESS_FIELDS), lockedUntil: null } },
+    { new: true }
+  );
+};
+
+// Create (or find) the transaction of the current occurrence and execute it
+const executeOccurrence = async (order) => {
+  const occurrence = order.occurrenceIndex;
+
+  // A transaction left from an interrupted run is reused, so the occurrence is paid at most once
+  let transaction = await Transaction.findOne({
+    standingOrderId: order.orderId,
+    standingOrderOccurrence: occurrence,
+    status: { $nin: ['FAILED', 'CANCELLED'] },
+  });
+
+  if (!transaction) {
+    transaction = await scheduleTransfer(new Transaction({
+      fromAccount: order.fromAccount,
+      toAccount: order.toAccount,
+      fromBank: process.env.BANK_PREFIX,
+      toBank: order.isInternal ? process.env.BANK_PREFIX : order.toBank,
+      amount: order.amount,
+      currency: order.currency,
+      creditedCurrency: order.creditedCurrency || null,
+      description: order.description,
+      isInternal: order.isInternal,
+      executeAt: new Date(),
+      initiatedBy: order.user,
+      standingOrderId: order.orderId,
+      standingOrderOccurrence: occurrence,
+    }));
+  }
+
+  if (transaction.status === 'SCHEDULED') {
+    // Null if the transfer scheduler executed it first; read back what it did
+    transaction = (await executeScheduledTransfer(transaction))
+      || (await Transaction.findOne({ transactionId: transaction.transactionId }));
+  }
+  return transaction;
+};
+
+// Apply the order's failure policy after a failed execution
+const applyFailure = (order, transaction, now) => {
+  order.lastError = {
+    code: transaction.errorCode || transaction.status,
+    message: transaction.errorMessage || `Transaction ${transaction.status.toLowerCase()}`,
+    transactionId: transaction.transactionId,
+    at: now,
+  };
+
+  if (order.onFailure === 'SKIP') {
+    order.occurrenceIndex += 1;
+    order.failedAttempts = 0;
+    scheduleOccurrence(order);
+    return;
+  }
+
+  order.failedAttempts += 1;
+  if (order.onFailure === 'RETRY' && order.failedAttempts <= order.maxRetries) {
+    order.nextExecutionAt = new Date(now.getTime() + order.retryIntervalMinutes * 60 * 1000);
+    return;
+  }
+
+  pauseOrder(order, order.onFailure === 'RETRY'
+    ? `Execution failed ${order.failedAttempts} times: ${order.lastError.message}`
+    : `Execution failed: ${order.lastError.message}`);
+};
+
+/**
+ * Execute the current occurrence of a claimed standing order and record the outcome.
+ */
+const processStandingOrder = async (order) => {
+  const now = new Date();
+  const transaction = await executeOccurrence(order);
+
+  if (transaction.status === 'SCHEDULED') {
+    // Neither executed nor failed (unexpected error); try again once the lock expires
+    throw new Error(`Transaction ${transaction.transactionId} is still scheduled`);
+  }
+
+  if (['COMPLETED', 'PENDING', 'IN_PROGRESS'].includes(transaction.status)) {
+    order.executionCount += 1;
+    order.occurrenceIndex += 1;
+    order.failedAttempts = 0;
+    order.lastExecutionAt = now;
+    order.lastTransactionId = transaction.transactionId;
+    scheduleOccurrence(order);
+  } else {
+    applyFailure(order, transaction, now);
+  }
+
+  return saveOutcome(order);
+};
+
+// Claim the next due order, so no other process executes it at the same time
+const claimDueOrder = () => {
+  const now = new Date();
+  return StandingOrder.findOneAndUpdate(
+    {
+      status: 'ACTIVE',
+      nextExecutionAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + config().lockMs) } },
+    { new: true, sort: { nextExecutionAt: 1 } }
+  );
+};
+
+/**
+ * Execute every standing order occurrence that is due.
+ */
+const runDueStandingOrders = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    for (let i = 0; i < config().batchSize; i += 1) {
+      const order = await claimDueOrder();
+      if (!order) {
+        break;
+      }
+      try {
+        await processStandingOrder(order);
+      } catch (error) {
+        // The lock expires and the occurrence is retried then
+        console.error(`Standing order ${order.orderId} execution error:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Standing order processor error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Create a standing order; its first execution is at `startDate` (or the first matching day of the
+ * month on or after it).
+ */
+const createStandingOrder = async (fields) => {
+  const order = new StandingOrder(fields);
+  scheduleOccurrence(order);
+  return order.save();
+};
+
+/**
+ * Change an active or paused standing order. Returns null if it has ended in the meantime.
+ * An active order whose new end date or execution limit leaves no more occurrences is completed.
+ */
+const updateStandingOrder = async (order, changes) => {
+  const { status } = order;
+  order.set(changes);
+  if (status === 'ACTIVE') {
+    scheduleOccurrence(order);
+  }
+
+  return StandingOrder.findOneAndUpdate(
+    { orderId: order.orderId, status },
+    { $set: { ...changes, ...pick(order, SCHEDULE_FIELDS) } },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Pause an active standing order. Returns null if it is not active.
+ */
+const pauseStandingOrder = (orderId) => StandingOrder.findOneAndUpdate(
+  { orderId, status: 'ACTIVE' },
+  { $set: { status: 'PAUSED', pausedReason: 'Paused by the owner', nextExecutionAt: null } },
+  { new: true }
+);
+
+/**
+ * Resume a paused standing order. Occurrences that fell due while it was paused are not made up
+ * for: the order continues with the next future occurrence. Returns null if it is not paused.
+ */
+const resumeStandingOrder = async (order) => {
+  const now = new Date();
+  order.status = 'ACTIVE';
+  order.pausedReason = null;
+  order.failedAttempts = 0;
+  while (order.hasOccurrence(order.occurrenceIndex) && order.occurrenceAt(order.occurrenceIndex) < now) {
+    order.occurrenceIndex += 1;
+  }
+  scheduleOccurrence(order);
+
+  return StandingOrder.findOneAndUpdate(
+    { orderId: order.orderId, status: 'PAUSED' },
+    { $set: { ...pick(order, SCHEDULE_FIELDS), occurrenceIndex: order.occurrenceIndex, failedAttempts: 0 } },
+    { new: true }
+  );
+};
+
+/**
+ * Cancel a standing order; no further transfers are made. Returns null if it has already ended.
+ */
+const cancelStandingOrder = (orderId) => StandingOrder.findOneAndUpdate(
+  { orderId, status: { $in: ['ACTIVE', 'PAUSED'] } },
+  { $set: { status: 'CANCELLED', nextExecutionAt: null } },
+  { new: true }
+);
+
+// Start polling for due standing orders
+const startStandingOrders = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(runDueStandingOrders, config().pollIntervalMs);
+  setImmediate(runDueStandingOrders);
+  console.log('Standing order processor started');
+};
+
+// Stop polling for due standing orders
+const stopStandingOrders = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  processStandingOrder,
+  runDueStandingOrders,
+  createStandingOrder,
+  updateStandingOrder,
+  pauseStandingOrder,
+  resumeStandingOrder,
+  cancelStandingOrder,
+  startStandingOrders,
+  stopStandingOrders,
+};
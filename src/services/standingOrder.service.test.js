@@ -0,0 +1,150 @@
+jest.mock('./transfer.service', () => ({
+  scheduleTransfer: jest.fn(),
+}));
+jest.mock('./scheduler.service', () => ({
+  executeScheduledTransfer: jest.fn(),
+}));
+
+const mongoose = require('mongoose');
+const StandingOrder = require('../models/standingOrder.model');
+const Transaction = require('../models/transaction.model');
+const { scheduleTransfer } = require('./transfer.service');
+const { executeScheduledTransfer } = require('./scheduler.service');
+const { processStandingOrder } = require('./standingOrder.service');
+
+// Helper function to build a claimed monthly order paid on the 31st
+const claimedOrder = (fields = {}) => new StandingOrder({
+  orderId: 'so-1',
+  user: new mongoose.Types.ObjectId(),
+  fromAccount: 'OVE-11111111',
+  toAccount: 'OVE-22222222',
+  toBank: 'OVE',
+  isInternal: true,
+  amount: 50,
+  currency: 'EUR',
+  frequency: 'MONTHLY',
+  dayOfMonth: 31,
+  startDate: new Date('2026-01-31T09:00:00Z'),
+  nextExecutionAt: new Date('2026-01-31T09:00:00Z'),
+  lockedUntil: new Date('2026-01-31T09:05:00Z'),
+  ...fields,
+});
+
+describe('standing order service', () => {
+  let saved;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-31T09:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    process.env.BANK_PREFIX = 'OVE';
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    jest.spyOn(StandingOrder, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      saved = $set;
+      return { ...filter, ...$set };
+    });
+    scheduleTransfer.mockImplementation(async (transaction) => Object.assign(transaction, { status: 'SCHEDULED' }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  // Helper function to make the execution of the occurrence end with a status
+  const executionEndsWith = (status, fields = {}) => {
+    executeScheduledTransfer.mockImplementation(async (transaction) => Object.assign(transaction, { status, ...fields }));
+  };
+
+  it('moves a paid order on to the last day of the next month and releases the lock', async () => {
+    executionEndsWith('COMPLETED');
+
+    await processStandingOrder(claimedOrder());
+
+    const [transaction] = scheduleTransfer.mock.calls[0];
+    expect(transaction).toMatchObject({ standingOrderId: 'so-1', standingOrderOccurrence: 0, amount: 50, toBank: 'OVE' });
+    expect(saved).toMatchObject({
+      status: 'ACTIVE',
+      occurrenceIndex: 1,
+      executionCount: 1,
+      nextExecutionAt: new Date('2026-02-28T09:00:00Z'),
+      lastTransactionId: transaction.transactionId,
+      lockedUntil: null,
+    });
+  });
+
+  it('converts each execution for a recipient that uses another currency', async () => {
+    executionEndsWith('COMPLETED');
+
+    await processStandingOrder(claimedOrder({ creditedCurrency: 'USD' }));
+
+    const [transaction] = scheduleTransfer.mock.calls[0];
+    expect(transaction).toMatchObject({ isInternal: true, currency: 'EUR', creditedCurrency: 'USD' });
+  });
+
+  it('completes the order after its last occurrence', async () => {
+    executionEndsWith('COMPLETED');
+
+    await processStandingOrder(claimedOrder({ maxExecutions: 1 }));
+
+    expect(saved).toMatchObject({ status: 'COMPLETED', executionCount: 1, nextExecutionAt: null });
+  });
+
+  it('does not pay an occurrence again when its transaction already exists', async () => {
+    Transaction.findOne.mockResolvedValue({ transactionId: 'tx-earlier', status: 'COMPLETED' });
+
+    await processStandingOrder(claimedOrder());
+
+    expect(scheduleTransfer).not.toHaveBeenCalled();
+    expect(executeScheduledTransfer).not.toHaveBeenCalled();
+    expect(saved).toMatchObject({ occurrenceIndex: 1, lastTransactionId: 'tx-earlier' });
+  });
+
+  it('retries a failed occurrence after the retry interval, then pauses the order', async () => {
+    executionEndsWith('FAILED', { errorCode: 'INSUFFICIENT_FUNDS', errorMessage: 'Insufficient funds' });
+    const order = claimedOrder({ onFailure: 'RETRY', maxRetries: 1, retryIntervalMinutes: 30 });
+
+    await processStandingOrder(order);
+    expect(saved).toMatchObject({
+      status: 'ACTIVE',
+      occurrenceIndex: 0,
+      failedAttempts: 1,
+      nextExecutionAt: new Date('2026-01-31T09:30:00Z'),
+      lastError: expect.objectContaining({ code: 'INSUFFICIENT_FUNDS' }),
+    });
+
+    await processStandingOrder(order);
+    expect(saved).toMatchObject({
+      status: 'PAUSED',
+      failedAttempts: 2,
+      nextExecutionAt: null,
+      pausedReason: 'Execution failed 2 times: Insufficient funds',
+    });
+  });
+
+  it('skips a failed occurrence when the order says so', async () => {
+    executionEndsWith('FAILED', { errorCode: 'INSUFFICIENT_FUNDS', errorMessage: 'Insufficient funds' });
+
+    await processStandingOrder(claimedOrder({ onFailure: 'SKIP' }));
+
+    expect(saved).toMatchObject({
+      status: 'ACTIVE',
+      occurrenceIndex: 1,
+      executionCount: 0,
+      failedAttempts: 0,
+      nextExecutionAt: new Date('2026-02-28T09:00:00Z'),
+    });
+  });
+
+  it('keeps the status the owner set while the order was running', async () => {
+    executionEndsWith('COMPLETED');
+    StandingOrder.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    await processStandingOrder(claimedOrder());
+
+    const [filter, update] = StandingOrder.findOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ orderId: 'so-1' });
+    expect(update.$set).toMatchObject({ occurrenceIndex: 1, executionCount: 1, lockedUntil: null });
+    expect(update.$set).not.toHaveProperty('status');
+    expect(update.$set).not.toHaveProperty('nextExecutionAt');
+  });
+});
@@ -0,0 +1,109 @@
+const { v4: uuidv4 } = require('uuid');
+const { element, xmlDocument } = require('../../utils/xml');
+
+/**
+ * camt.053 statement format
+ * ISO 20022 Bank-to-Customer Statement (camt.053.001.08) for ERP import: opening (OPBD) and closing
+ * (CLBD) booked balances and one booked entry (Ntry) per movement. Account numbers are not IBANs,
+ * so accounts are identified with Othr/Id.
+ */
+
+const NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:camt.053.001.08';
+
+// Helper function to fit a UUID into the 35 characters ISO 20022 allows for references
+const reference = (id) => id.replace(/-/g, '');
+
+// Helper function to format a money amount as an ActiveOrHistoricCurrencyAndAmount
+const amount = (value, currency) => element('Amt', Math.abs(value).toFixed(2), { Ccy: currency });
+
+// Helper function to format the credit/debit indicator of a signed amount
+const creditDebit = (value) => element('CdtDbtInd', value < 0 ? 'DBIT' : 'CRDT');
+
+// Helper function to identify an account that has no IBAN
+const accountId = (accountNumber) => element('Id', element('Othr', element('Id', accountNumber)));
+
+// Helper function to write a balance of the given type (OPBD, CLBD) at a point in time
+const balance = (code, value, currency, at) => element('Bal', [
+  element('Tp', element('CdOrPrtry', element('Cd', code))),
+  amount(value, currency),
+  creditDebit(value),
+  element('Dt', element('DtTm', at.toISOString())),
+]);
+
+const renderCamt053Statement = (statement) => {
+  const { account } = statement;
+  const { currency } = account;
+  const createdAt = statement.generatedAt.toISOString();
+
+  const entries = statement.movements.map((movement) => {
+    const incoming = movement.direction === 'CREDIT';
+    const counterparty = movement.counterpartyAccount
+      ? element(incoming ? 'DbtrAcct' : 'CdtrAcct', accountId(movement.counterpartyAccount))
+      : null;
+
+    return element('Ntry', [
+      element('NtryRef', reference(movement.entryId)),
+      amount(movement.signedAmount, currency),
+      creditDebit(movement.signedAmount),
+      element('Sts', element('Cd', 'BOOK')),
+      element('BookgDt', element('DtTm', movement.bookedAt.toISOString())),
+      element('ValDt', element('DtTm', movement.bookedAt.toISOString())),
+      element('AcctSvcrRef', reference(movement.entryId)),
+      element('BkTxCd', element('Prtry', [element('Cd', movement.type), element('Issr', account.bankPrefix)])),
+      element('NtryDtls', element('TxDtls', [
+        element('Refs', [
+          element('AcctSvcrRef', reference(movement.entryId)),
+          element('EndToEndId', movement.endToEndId || reference(movement.transactionId)),
+          element('TxId', reference(movement.transactionId)),
+        ]),
+        amount(movement.signedAmount, currency),
+        creditDebit(movement.signedAmount),
+        counterparty ? element('RltdPties', counterparty) : null,
+        movement.counterpartyBank
+          ? element('RltdAgts', element(incoming ? 'DbtrAgt' : 'CdtrAgt', element('FinInstnId', element('Othr', element('Id', movement.counterpartyBank)))))
+          : null,
+        movement.description ? element('RmtInf', element('Ustrd', movement.description.slice(0, 140))) : null,
+      ])),
+    ]);
+  });
+
+  const document = element('Document', element('BkToCstmrStmt', [
+    element('GrpHdr', [
+      element('MsgId', reference(uuidv4())),
+      element('CreDtTm', createdAt),
+    ]),
+    element('Stmt', [
+      element('Id', reference(uuidv4())),
+      element('CreDtTm', createdAt),
+      element('FrToDt', [
+        element('FrDtTm', statement.from.toISOString()),
+        element('ToDtTm', statement.to.toISOString()),
+      ]),
+      element('Acct', [
+        accountId(account.accountNumber),
+        element('Ccy', currency),
+        element('Svcr', element('FinInstnId', element('Othr', element('Id', account.bankPrefix)))),
+      ]),
+      balance('OPBD', statement.openingBalance, currency, statement.from),
+      balance('CLBD', statement.closingBalance, currency, statement.to),
+      element('TxsSummry', [
+        element('TtlNtries', element('NbOfNtries', String(statement.movements.length))),
+        element('TtlCdtNtries', [
+          element('NbOfNtries', String(statement.totals.credits.count)),
+          element('Sum', statement.totals.credits.amount.toFixed(2)),
+        ]),
+        element('TtlDbtNtries', [
+          element('NbOfNtries', String(statement.totals.debits.count)),
+          element('Sum', statement.totals.debits.amount.toFixed(2)),
+        ]),
+      ]),
+      ...entries,
+    ]),
+  ]), { xmlns: NAMESPACE });
+
+  return xmlDocument(document);
+};
+
+module.exports = {
+  renderCamt053Statement,
+};
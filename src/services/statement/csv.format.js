@@ -0,0 +1,50 @@
+const { formatCsv } = require('../../utils/csv');
+
+/**
+ * CSV statement format
+ * One row per movement with the running balance, between an OPENING_BALANCE and a CLOSING_BALANCE
+ * row. Amounts are signed (debits negative) with two decimals.
+ */
+
+const HEADER = [
+  'date',
+  'entryId',
+  'transactionId',
+  'type',
+  'direction',
+  'counterpartyAccount',
+  'counterpartyBank',
+  'description',
+  'amount',
+  'currency',
+  'balance',
+];
+
+// Helper function to format a money amount
+const money = (amount) => amount.toFixed(2);
+
+const renderCsvStatement = (statement) => {
+  const { currency } = statement.account;
+  return formatCsv([
+    HEADER,
+    [statement.from.toISOString(), '', '', 'OPENING_BALANCE', '', '', '', '', '', currency, money(statement.openingBalance)],
+    ...statement.movements.map((movement) => [
+      movement.bookedAt.toISOString(),
+      movement.entryId,
+      movement.transactionId,
+      movement.type,
+      movement.direction,
+      movement.counterpartyAccount,
+      movement.counterpartyBank,
+      movement.description,
+      money(movement.signedAmount),
+      currency,
+      money(movement.balance),
+    ]),
+    [statement.to.toISOString(), '', '', 'CLOSING_BALANCE', '', '', '', '', '', currency, money(statement.closingBalance)],
+  ]);
+};
+
+module.exports = {
+  renderCsvStatement,
+};
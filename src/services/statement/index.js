@@ -0,0 +1,123 @@
+const LedgerEntry = require('../../models/ledgerEntry.model');
+const Transaction = require('../../models/transaction.model');
+const { renderCsvStatement } = require('./csv.format');
+const { renderOfxStatement } = require('./ofx.format');
+const { renderCamt053Statement } = require('./camt053.format');
+
+/**
+ * Account statements
+ * A statement lists the booked movements of an account in a period with its opening and closing
+ * balance. Movements and balances come from the ledger, so they match the account balance exactly:
+ * a refunded transfer appears as its debit and, when it was refunded, as a separate credit. Each
+ * movement is described with the details of its transaction (counterparty, description).
+ * Formats: json, csv, ofx (OFX 2.2) and camt053 (ISO 20022 camt.053.001.08).
+ */
+
+const FORMATS = {
+  csv: { render: renderCsvStatement, contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ofx: { render: renderOfxStatement, contentType: 'application/x-ofx', extension: 'ofx' },
+  camt053: { render: renderCamt053Statement, contentType: 'application/xml', extension: 'xml' },
+};
+
+const STATEMENT_FORMATS = ['json', ...Object.keys(FORMATS)];
+
+// Helper function to round money amounts to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Helper function to describe the other side of a transaction, as seen from `accountNumber`
+// Bank-side ledger accounts (e.g. the welcome bonus) have no counterparty account
+const counterpartyOf = (transaction, accountNumber) => {
+  if (!transaction) {
+    return { account: null, bank: null };
+  }
+  const outgoing = transaction.fromAccount === accountNumber;
+  const account = outgoing ? transaction.toAccount : transaction.fromAccount;
+  return {
+    account: account.startsWith('BANK:') ? null : account,
+    bank: outgoing ? transaction.toBank : transaction.fromBank,
+  };
+};
+
+/**
+ * Build the statement of an account for [from, to).
+ */
+const buildStatement = async (account, { from, to }) => {
+  const [openingBalance, entries] = await Promise.all([
+    LedgerEntry.balanceOf(account.accountNumber, from),
+    LedgerEntry.entriesOf(account.accountNumber, from, to),
+  ]);
+
+  const transactionIds = [...new Set(entries.map((entry) => entry.transactionId))];
+  const transactions = new Map(
+    (await Transaction.find({ transactionId: { $in: transactionIds } }))
+      .map((transaction) => [transaction.transactionId, transaction])
+  );
+
+  let balance = roundAmount(openingBalance);
+  const movements = entries.map((entry) => {
+    const transaction = transactions.get(entry.transactionId);
+    const counterparty = counterpartyOf(transaction, account.accountNumber);
+    const signedAmount = entry.side === 'CREDIT' ? entry.amount : -entry.amount;
+    balance = roundAmount(balance + signedAmount);
+
+    return {
+      entryId: entry.journalId,
+      transactionId: entry.transactionId,
+      endToEndId: (transaction && transaction.endToEndId) || null,
+      bookedAt: entry.createdAt,
+      type: entry.type,
+      direction: entry.side === 'CREDIT' ? 'CREDIT' : 'DEBIT',
+      amount: entry.amount,
+      signedAmount,
+      counterpartyAccount: counterparty.account,
+      counterpartyBank: counterparty.bank,
+      description: (transaction && transaction.description) || entry.description,
+      balance,
+    };
+  });
+
+  const credits = movements.filter((movement) => movement.direction === 'CREDIT');
+  const debits = movements.filter((movement) => movement.direction === 'DEBIT');
+  const sum = (list) => roundAmount(list.reduce((total, movement) => total + movement.amount, 0));
+
+  return {
+    account: {
+      accountNumber: account.accountNumber,
+      accountType: account.accountType,
+      currency: account.currency,
+      bankPrefix: process.env.BANK_PREFIX,
+    },
+    from,
+    to,
+    generatedAt: new Date(),
+    openingBalance: roundAmount(openingBalance),
+    closingBalance: balance,
+    totals: {
+      credits: { count: credits.length, amount: sum(credits) },
+      debits: { count: debits.length, amount: sum(debits) },
+    },
+    movements,
+  };
+};
+
+/**
+ * Render a statement in `format` (csv, ofx or camt053).
+ * Returns `{ contentType, filename, body }`.
+ */
+const renderStatement = (statement, format) => {
+  const { render, contentType, extension } = FORMATS[format];
+  const day = (date) => date.toISOString().slice(0, 10);
+  // `to` is exclusive; name the file after the last day included
+  const lastDay = new Date(statement.to.getTime() - 1);
+  return {
+    contentType,
+    filename: `statement-${statement.account.accountNumber}-${day(statement.from)}-${day(lastDay)}.${extension}`,
+    body: render(statement),
+  };
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  buildStatement,
+  renderStatement,
+};
@@ -0,0 +1,113 @@
+const LedgerEntry = require('../../models/ledgerEntry.model');
+const Transaction = require('../../models/transaction.model');
+const { buildStatement, renderStatement } = require('./index');
+
+const FROM = new Date('2026-03-01T00:00:00Z');
+const TO = new Date('2026-04-01T00:00:00Z');
+
+const account = {
+  accountNumber: 'OVE-11111111',
+  accountType: 'checking',
+  currency: 'EUR',
+};
+
+// Helper function to build a ledger entry of the account
+const entry = (journalId, side, amount, bookedAt, transactionId) => ({
+  journalId,
+  transactionId,
+  account: account.accountNumber,
+  side,
+  amount,
+  type: 'TRANSFER',
+  createdAt: new Date(bookedAt),
+});
+
+// Helper function to read the text of every element with a tag name
+const textsOf = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}(?: [^>]*)?>([^<]*)</${tag}>`, 'g'))].map((match) => match[1]);
+
+describe('account statements', () => {
+  let statement;
+
+  beforeEach(async () => {
+    process.env.BANK_PREFIX = 'OVE';
+    jest.spyOn(LedgerEntry, 'balanceOf').mockResolvedValue(100);
+    // The account ends the month overdrawn, so the closing balance is a debit balance
+    jest.spyOn(LedgerEntry, 'entriesOf').mockResolvedValue([
+      entry('j-1', 'CREDIT', 50.1, '2026-03-05T10:00:00Z', 'tx-1'),
+      entry('j-2', 'DEBIT', 30.05, '2026-03-12T10:00:00Z', 'tx-2'),
+      entry('j-3', 'DEBIT', 200, '2026-03-20T10:00:00Z', 'tx-3'),
+    ]);
+    jest.spyOn(Transaction, 'find').mockResolvedValue([
+      { transactionId: 'tx-1', fromAccount: 'OVE-22222222', toAccount: 'OVE-11111111', fromBank: 'OVE', toBank: 'OVE', description: 'Salary' },
+      { transactionId: 'tx-2', fromAccount: 'OVE-11111111', toAccount: 'ABC-33333333', fromBank: 'OVE', toBank: 'ABC', description: 'Groceries' },
+      { transactionId: 'tx-3', fromAccount: 'OVE-11111111', toAccount: 'OVE-44444444', fromBank: 'OVE', toBank: 'OVE', description: 'Rent' },
+    ]);
+    statement = await buildStatement(account, { from: FROM, to: TO });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildStatement', () => {
+    it('opens with the ledger balance before the period and closes with the running balance', () => {
+      expect(LedgerEntry.balanceOf).toHaveBeenCalledWith('OVE-11111111', FROM);
+      expect(LedgerEntry.entriesOf).toHaveBeenCalledWith('OVE-11111111', FROM, TO);
+      expect(statement).toMatchObject({
+        openingBalance: 100,
+        closingBalance: -79.95,
+        totals: { credits: { count: 1, amount: 50.1 }, debits: { count: 2, amount: 230.05 } },
+      });
+      expect(statement.movements.map((movement) => movement.balance)).toEqual([150.1, 120.05, -79.95]);
+      expect(statement.movements[1]).toMatchObject({ signedAmount: -30.05, counterpartyAccount: 'ABC-33333333', counterpartyBank: 'ABC', description: 'Groceries' });
+    });
+
+    it('closes a period without movements at its opening balance', async () => {
+      LedgerEntry.entriesOf.mockResolvedValue([]);
+
+      const empty = await buildStatement(account, { from: FROM, to: TO });
+
+      expect(empty).toMatchObject({ openingBalance: 100, closingBalance: 100, movements: [] });
+    });
+  });
+
+  describe('renderStatement', () => {
+    it('writes CSV opening and closing balance rows around the movements', () => {
+      const { contentType, filename, body } = renderStatement(statement, 'csv');
+      const rows = body.trim().split(/\r?\n/).map((row) => row.split(','));
+
+      expect(contentType).toBe('text/csv; charset=utf-8');
+      expect(filename).toBe('statement-OVE-11111111-2026-03-01-2026-03-31.csv');
+      expect(rows).toHaveLength(6);
+      expect(rows[1]).toEqual(['2026-03-01T00:00:00.000Z', '', '', 'OPENING_BALANCE', '', '', '', '', '', 'EUR', '100.00']);
+      expect(rows[4].slice(-3)).toEqual(['-200.00', 'EUR', '-79.95']);
+      expect(rows[5]).toEqual(['2026-04-01T00:00:00.000Z', '', '', 'CLOSING_BALANCE', '', '', '', '', '', 'EUR', '-79.95']);
+    });
+
+    it('reports the closing balance as the OFX ledger balance at the end of the period', () => {
+      const { body } = renderStatement(statement, 'ofx');
+
+      expect(textsOf(body, 'BALAMT')).toEqual(['-79.95']);
+      expect(textsOf(body, 'DTASOF')).toEqual(['20260401000000[0:GMT]']);
+      expect(textsOf(body, 'TRNAMT')).toEqual(['50.10', '-30.05', '-200.00']);
+      expect(textsOf(body, 'ACCTTYPE')).toEqual(['CHECKING']);
+    });
+
+    it('writes camt.053 opening and closing booked balances with their credit/debit indicators', () => {
+      const { body } = renderStatement(statement, 'camt053');
+      const balances = [...body.matchAll(/<Bal>(.*?)<\/Bal>/g)].map(([, xml]) => ({
+        code: textsOf(xml, 'Cd')[0],
+        amount: textsOf(xml, 'Amt')[0],
+        indicator: textsOf(xml, 'CdtDbtInd')[0],
+        at: textsOf(xml, 'DtTm')[0],
+      }));
+
+      expect(balances).toEqual([
+        { code: 'OPBD', amount: '100.00', indicator: 'CRDT', at: '2026-03-01T00:00:00.000Z' },
+        { code: 'CLBD', amount: '79.95', indicator: 'DBIT', at: '2026-04-01T00:00:00.000Z' },
+      ]);
+      expect(textsOf(body, 'Sum')).toEqual(['50.10', '230.05']);
+      expect(textsOf(body, 'NbOfNtries')).toEqual(['3', '1', '2']);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { v4: uuidv4 } = require('uuid');
+const { element, xmlDocument } = require('../../utils/xml');
+
+/**
+ * OFX statement format
+ * OFX 2.2 (XML) bank statement response, as imported by personal finance tools. OFX has no opening
+ * balance; the closing balance is reported as the ledger balance at the end of the period.
+ * FITID is the ledger journal id, so re-importing an overlapping period does not duplicate movements.
+ */
+
+const OFX_HEADER = '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>';
+
+// Helper function to format a date as an OFX datetime in UTC
+const ofxDate = (date) => `${date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, '')}[0:GMT]`;
+
+// Helper function to format a money amount
+const money = (amount) => amount.toFixed(2);
+
+const renderOfxStatement = (statement) => {
+  const { account } = statement;
+  const status = element('STATUS', [element('CODE', '0'), element('SEVERITY', 'INFO')]);
+
+  const transactions = statement.movements.map((movement) => element('STMTTRN', [
+    element('TRNTYPE', movement.direction),
+    element('DTPOSTED', ofxDate(movement.bookedAt)),
+    element('TRNAMT', money(movement.signedAmount)),
+    element('FITID', movement.entryId),
+    // NAME is limited to 32 characters
+    element('NAME', movement.counterpartyAccount ? movement.counterpartyAccount.slice(0, 32) : null),
+    element('MEMO', movement.description ? movement.description.slice(0, 255) : null),
+  ]));
+
+  const ofx = element('OFX', [
+    element('SIGNONMSGSRSV1', element('SONRS', [
+      status,
+      element('DTSERVER', ofxDate(statement.generatedAt)),
+      element('LANGUAGE', 'ENG'),
+    ])),
+    element('BANKMSGSRSV1', element('STMTTRNRS', [
+      element('TRNUID', uuidv4()),
+      status,
+      element('STMTRS', [
+        element('CURDEF', account.currency),
+        element('BANKACCTFROM', [
+          element('BANKID', account.bankPrefix),
+          element('ACCTID', account.accountNumber),
+          element('ACCTTYPE', account.accountType === 'savings' ? 'SAVINGS' : 'CHECKING'),
+        ]),
+        element('BANKTRANLIST', [
+          element('DTSTART', ofxDate(statement.from)),
+          element('DTEND', ofxDate(statement.to)),
+          ...transactions,
+        ]),
+        element('LEDGERBAL', [
+          element('BALAMT', money(statement.closingBalance)),
+          element('DTASOF', ofxDate(statement.to)),
+        ]),
+      ]),
+    ])),
+  ]);
+
+  return xmlDocument(ofx, [OFX_HEADER]);
+};
+
+module.exports = {
+  renderOfxStatement,
+};
@@ -0,0 +1,493 @@
+const mongoose = require('mongoose');
+const Account = require('../models/account.model');
+const Transaction = require('../models/transaction.model');
+const OutboxMessage = require('../models/outboxMessage.model');
+const SignatureNonce = require('../models/signatureNonce.model');
+const ApiError = require('../utils/apiError');
+const { LEDGER_ACCOUNTS, postJournal, transferLines } = require('./ledger.service');
+const { convert, claimQuote } = require('./fx.service');
+const { transferTypeOf, quoteFee } = require('./fee.service');
+const { countTransferUsage, releaseTransferUsage } = require('./limit.service');
+
+/**
+ * Transfer service
+ * Moves money between accounts inside MongoDB transactions so that a transfer
+ * either fully happens or not at all. Every movement updates the cached
+ * Account.balance and posts a balanced journal to the ledger in the same transaction.
+ * A transfer's fee (see fee.service) is debited in the same transaction as its own FEE transaction,
+ * and its sender's daily and monthly transfer limits (see limit.service) are counted there too.
+ * Requires MongoDB to run as a replica set (transactions are not available on standalone servers).
+ */
+
+// Helper function to run a unit of work inside a MongoDB transaction
+// The driver may retry the callback on transient errors, so it must only touch the database
+const runInTransaction = (work) => mongoose.connection.transaction(work);
+
+// Helper function to debit an account inside a session, failing if funds are insufficient
+const debitAccount = async (accountNumber, amount, session) => {
+  const account = await Account.debitBalance(accountNumber, amount, session);
+  if (!account) {
+    throw new ApiError(400, 'INSUFFICIENT_FUNDS', 'Insufficient funds in sender account');
+  }
+  return account;
+};
+
+// Helper function to credit an account inside a session
+const creditAccount = async (accountNumber, amount, session) => {
+  const account = await Account.creditBalance(accountNumber, amount, session);
+  if (!account) {
+    throw new ApiError(404, 'ACCOUNT_NOT_FOUND', 'Recipient account not found');
+  }
+  return account;
+};
+
+// Helper function to tell whether a transfer is credited in another currency than it is debited
+const isConversion = (transaction) => Boolean(transaction.creditedCurrency)
+  && transaction.creditedCurrency !== transaction.currency;
+
+// Helper function to move money between two accounts of this bank and post the journal, inside a session
+// A cross-currency transfer is posted as one journal per currency through the FX position account
+const postInternalTransfer = async (transaction, session) => {
+  if (!isConversion(transaction)) {
+    await debitAccount(transaction.fromAccount, transaction.amount, session);
+    await creditAccount(transaction.toAccount, transaction.amount, session);
+    await postJournal({
+      transactionId: transaction.transactionId,
+      type: 'INTERNAL',
+      currency: transaction.currency,
+      description: transaction.description,
+      lines: transferLines(transaction.fromAccount, transaction.toAccount, transaction.amount),
+    }, session);
+    return;
+  }
+
+  await debitAccount(transaction.fromAccount, transaction.amount, session);
+  await creditAccount(transaction.toAccount, transaction.creditedAmount, session);
+  await postJournal({
+    transactionId: transaction.transactionId,
+    type: 'INTERNAL',
+    currency: transaction.currency,
+    description: transaction.description,
+    lines: transferLines(transaction.fromAccount, LEDGER_ACCOUNTS.FX_POSITION, transaction.amount),
+  }, session);
+  await postJournal({
+    transactionId: transaction.transactionId,
+    type: 'INTERNAL',
+    currency: transaction.creditedCurrency,
+    description: transaction.description,
+    lines: transferLines(LEDGER_ACCOUNTS.FX_POSITION, transaction.toAccount, transaction.creditedAmount),
+  }, session);
+};
+
+// Helper function to load the sender account of a transfer inside a session
+const senderAccountOf = async (transaction, session) => {
+  const account = await Account.findOne({ accountNumber: transaction.fromAccount }).session(session);
+  if (!account) {
+    throw new ApiError(404, 'ACCOUNT_NOT_FOUND', 'Sender account not found');
+  }
+  return account;
+};
+
+// Helper function to count a transfer against its sender's transfer limits, inside the session that executes it
+// What was counted is recorded on the transfer, which the caller saves afterwards
+const countTransferLimits = async (transaction, account, session) => {
+  const usage = await countTransferUsage({
+    account,
+    amount: transaction.amount,
+    session,
+    transactionId: transaction.transactionId,
+  });
+  transaction.limitCountedAt = usage.countedAt;
+  transaction.limitAmount = usage.amount;
+};
+
+// Helper function to take a failed transfer out of its sender's transfer limit usage, inside a session
+const releaseTransferLimits = async (transaction, session) => {
+  if (!transaction.limitCountedAt) {
+    return;
+  }
+  await releaseTransferUsage({
+    account: await senderAccountOf(transaction, session),
+    countedAt: transaction.limitCountedAt,
+    amount: transaction.limitAmount,
+    session,
+  });
+};
+
+// Helper function to price a transfer when it is executed (scheduled transfers)
+const feeAtExecution = (transaction, account) => quoteFee({
+  transferType: transferTypeOf({ isInternal: transaction.isInternal, isConversion: isConversion(transaction) }),
+  account,
+  amount: transaction.amount,
+});
+
+// Helper function to debit the fee of a transfer as its own FEE transaction, inside a session
+// The fee is recorded on the transfer, which the caller saves afterwards
+const chargeFee = async (transaction, fee, session) => {
+  if (!fee || !(fee.amount > 0)) {
+    return null;
+  }
+
+  const label = fee.transferType === 'FX' ? 'FX' : fee.transferType.toLowerCase();
+  const feeTransaction = new Transaction({
+    fromAccount: transaction.fromAccount,
+    toAccount: LEDGER_ACCOUNTS.FEE_REVENUE,
+    fromBank: transaction.fromBank,
+    toBank: transaction.fromBank,
+    amount: fee.amount,
+    currency: transaction.currency,
+    description: `Fee for ${label} transfer ${transaction.transactionId}`,
+    type: 'FEE',
+    status: 'COMPLETED',
+    isInternal: true,
+    initiatedBy: transaction.initiatedBy,
+    feeForTransactionId: transaction.transactionId,
+  });
+
+  await debitAccount(transaction.fromAccount, fee.amount, session);
+  await postJournal({
+    transactionId: feeTransaction.transactionId,
+    type: 'FEE',
+    currency: feeTransaction.currency,
+    description: feeTransaction.description,
+    lines: transferLines(transaction.fromAccount, LEDGER_ACCOUNTS.FEE_REVENUE, fee.amount),
+  }, session);
+  await feeTransaction.save({ session });
+
+  transaction.feeAmount = fee.amount;
+  transaction.feeTransactionId = feeTransaction.transactionId;
+  return feeTransaction;
+};
+
+// Helper function to pay back the fee of a failed transfer, inside a session
+// Only a fee that is still COMPLETED is reversed, so it is never paid back twice
+const reverseFee = async (transaction, reason, session) => {
+  if (!transaction.feeTransactionId) {
+    return null;
+  }
+
+  const feeTransaction = await Transaction.findOneAndUpdate(
+    { transactionId: transaction.feeTransactionId, type: 'FEE', status: 'COMPLETED' },
+    { $set: { status: 'REVERSED' } },
+    { new: true, session }
+  );
+  if (!feeTransaction) {
+    return null;
+  }
+
+  await creditAccount(feeTransaction.fromAccount, feeTransaction.amount, session);
+  await postJournal({
+    transactionId: feeTransaction.transactionId,
+    type: 'FEE_REVERSAL',
+    currency: feeTransaction.currency,
+    description: `Fee reversal: ${reason}`,
+    lines: transferLines(LEDGER_ACCOUNTS.FEE_REVENUE, feeTransaction.fromAccount, feeTransaction.amount),
+  }, session);
+  return feeTransaction;
+};
+
+/**
+ * Execute a transfer between two accounts of this bank.
+ * The debit, the credit, the ledger journal and the completed transaction record are committed together.
+ * Accounts in different currencies need the `conversion` from fx.service's convert(), or
+ * conversionFromQuote() to use a quoted rate (the quote is marked as used in the same transaction).
+ * `fee` is the fee quote from fee.service's quoteFee(), debited together with the transfer.
+ * Throws LIMIT_EXCEEDED (400) if the transfer breaks one of the sender's transfer limits.
+ */
+const executeInternalTransfer = async ({
+  senderAccount,
+  recipientAccount,
+  amount,
+  description = '',
+  initiatedBy,
+  conversion = null,
+  fee = null,
+}) => {
+  const transaction = new Transaction({
+    fromAccount: senderAccount.accountNumber,
+    toAccount: recipientAccount.accountNumber,
+    fromBank: process.env.BANK_PREFIX,
+    toBank: process.env.BANK_PREFIX,
+    amount,
+    currency: senderAccount.currency,
+    description,
+    isInternal: true,
+    initiatedBy,
+  });
+  if (conversion) {
+    transaction.creditedAmount = conversion.creditedAmount;
+    transaction.creditedCurrency = conversion.creditedCurrency;
+    transaction.exchangeRate = conversion.exchangeRate;
+    transaction.fxQuoteId = conversion.quoteId || null;
+  }
+
+  await runInTransaction(async (session) => {
+    // A quoted rate pays for one transfer only
+    if (transaction.fxQuoteId) {
+      await claimQuote(transaction.fxQuoteId, transaction.transactionId, session);
+    }
+    await countTransferLimits(transaction, senderAccount, session);
+    await postInternalTransfer(transaction, session);
+    await chargeFee(transaction, fee, session);
+
+    transaction.status = 'COMPLETED';
+    await transaction.save({ session });
+  });
+
+  return transaction;
+};
+
+// How many times the outbox tries to deliver an outgoing transfer before giving up
+const getOutboxMaxAttempts = () => parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 8;
+
+// Helper function to debit the sender of an outgoing transfer and queue its signed payload, inside a session
+const queueExternalTransfer = async (transaction, signedPayload, session) => {
+  await debitAccount(transaction.fromAccount, transaction.amount, session);
+  await postJournal({
+    transactionId: transaction.transactionId,
+    type: 'EXTERNAL',
+    currency: transaction.currency,
+    description: transaction.description,
+    lines: transferLines(transaction.fromAccount, LEDGER_ACCOUNTS.INTERBANK_CLEARING, transaction.amount),
+  }, session);
+
+  await OutboxMessage.create([{
+    transactionId: transaction.transactionId,
+    payload: signedPayload,
+    maxAttempts: getOutboxMaxAttempts(),
+  }], { session });
+};
+
+/**
+ * Initiate an outgoing transfer to another bank.
+ * The sender is debited (funds move to the interbank clearing account), the transaction is saved as
+ * PENDING and the signed payload is queued in the outbox, all in one MongoDB transaction.
+ * The outbox dispatcher delivers the payload to the central bank afterwards.
+ * `fee` is the fee quote from fee.service's quoteFee(), debited together with the transfer.
+ * Throws LIMIT_EXCEEDED (400) if the transfer breaks one of the sender's transfer limits.
+ */
+const initiateExternalTransfer = async (transaction, signedPayload, fee = null) => {
+  await runInTransaction(async (session) => {
+    transaction.status = 'PENDING';
+    await countTransferLimits(transaction, await senderAccountOf(transaction, session), session);
+    await chargeFee(transaction, fee, session);
+    await transaction.save({ session });
+    await queueExternalTransfer(transaction, signedPayload, session);
+  });
+
+  return transaction;
+};
+
+/**
+ * Store a transfer to be executed at `transaction.executeAt` by the scheduler.
+ * Nothing is debited until then.
+ */
+const scheduleTransfer = async (transaction) => {
+  transaction.status = 'SCHEDULED';
+  return transaction.save();
+};
+
+/**
+ * Execute a due scheduled transfer between two accounts of this bank.
+ * Claiming the transfer (SCHEDULED -> COMPLETED) is part of the same MongoDB transaction as the
+ * money movement, so a transfer that was cancelled or executed concurrently is never run twice.
+ * A cross-currency transfer is converted, the fee priced and the transfer limits checked at the
+ * moment it is executed.
+ * Returns null if the transfer is no longer scheduled.
+ */
+const executeScheduledInternalTransfer = (transactionId) => runInTransaction(async (session) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { transactionId, isInternal: true, status: 'SCHEDULED' },
+    { $set: { status: 'COMPLETED' } },
+    { new: true, session }
+  );
+  if (!transaction) {
+    return null;
+  }
+
+  const account = await senderAccountOf(transaction, session);
+  await countTransferLimits(transaction, account, session);
+
+  if (isConversion(transaction)) {
+    const conversion = await convert(transaction.amount, transaction.currency, transaction.creditedCurrency);
+    transaction.creditedAmount = conversion.creditedAmount;
+    transaction.exchangeRate = conversion.exchangeRate;
+  }
+
+  await postInternalTransfer(transaction, session);
+  await chargeFee(transaction, await feeAtExecution(transaction, account), session);
+  await transaction.save({ session });
+  return transaction;
+});
+
+/**
+ * Execute a due scheduled transfer to another bank: SCHEDULED -> PENDING, check the transfer limits,
+ * debit it and its fee and queue the payload in one MongoDB transaction.
+ * `signPayload(transaction)` signs the transfer as claimed, so a change made to it before the claim
+ * is what gets both debited and sent.
+ * Returns null if the transfer is no longer scheduled.
+ */
+const executeScheduledExternalTransfer = (transactionId, signPayload) => runInTransaction(async (session) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { transactionId, isInternal: false, status: 'SCHEDULED' },
+    { $set: { status: 'PENDING' } },
+    { new: true, session }
+  );
+  if (!transaction) {
+    return null;
+  }
+
+  const signedPayload = await signPayload(transaction);
+  transaction.signature = signedPayload.signature;
+
+  const account = await senderAccountOf(transaction, session);
+  await countTransferLimits(transaction, account, session);
+  await chargeFee(transaction, await feeAtExecution(transaction, account), session);
+  await transaction.save({ session });
+  await queueExternalTransfer(transaction, signedPayload, session);
+  return transaction;
+});
+
+/**
+ * Record that a scheduled transfer could not be executed (e.g. insufficient funds at execution time).
+ * Returns null if the transfer is no longer scheduled.
+ */
+const failScheduledTransfer = (transactionId, errorCode, errorMessage) => Transaction.findOneAndUpdate(
+  { transactionId, status: 'SCHEDULED' },
+  { $set: { status: 'FAILED', errorCode, errorMessage } },
+  { new: true }
+);
+
+/**
+ * Change a scheduled transfer (amount, description, executeAt) or cancel it ({ status: 'CANCELLED' }).
+ * Only transfers that have not started executing can be changed; returns null otherwise.
+ */
+const updateScheduledTransfer = (transactionId, changes) => Transaction.findOneAndUpdate(
+  { transactionId, status: 'SCHEDULED' },
+  { $set: changes },
+  { new: true, runValidators: true }
+);
+
+/**
+ * Refund the sender of an outgoing transfer that failed (and its fee), take it out of the sender's
+ * transfer limit usage and mark the transaction as FAILED.
+ * Only transfers that are still PENDING or IN_PROGRESS are refunded; returns null if the
+ * transaction has already reached a final status, so repeated failures never refund twice.
+ */
+const refundExternalTransfer = async (transactionId, errorCode, errorMessage) => runInTransaction(async (session) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { transactionId, isInternal: false, status: { $in: ['PENDING', 'IN_PROGRESS'] } },
+    { $set: { status: 'FAILED', errorCode, errorMessage } },
+    { new: true, session }
+  );
+  if (!transaction) {
+    return null;
+  }
+
+  await creditAccount(transaction.fromAccount, transaction.amount, session);
+  await postJournal({
+    transactionId: transaction.transactionId,
+    type: 'REFUND',
+    currency: transaction.currency,
+    description: `Refund: ${errorMessage}`,
+    lines: transferLines(LEDGER_ACCOUNTS.INTERBANK_CLEARING, transaction.fromAccount, transaction.amount),
+  }, session);
+  await reverseFee(transaction, errorMessage, session);
+  await releaseTransferLimits(transaction, session);
+
+  return transaction;
+});
+
+/**
+ * Mark an outgoing transfer as COMPLETED once the destination bank has confirmed it.
+ * Returns null if the transaction has already reached a final status.
+ */
+const completeExternalTransfer = (transactionId) => Transaction.findOneAndUpdate(
+  { transactionId, isInternal: false, status: { $in: ['PENDING', 'IN_PROGRESS'] } },
+  { $set: { status: 'COMPLETED', errorCode: null, errorMessage: null } },
+  { new: true }
+);
+
+/**
+ * Credit the recipient of a transfer received from another bank and mark it as COMPLETED.
+ * The replay guard of the verified signature is recorded in the same transaction,
+ * so a signature can only ever be used for one credit.
+ */
+const creditIncomingTransfer = async (transaction, replayGuard) => {
+  await runInTransaction(async (session) => {
+    try {
+      await SignatureNonce.create([replayGuard], { session });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(409, 'SIGNATURE_REPLAYED', 'Transaction signature has already been used', {
+          transactionId: transaction.transactionId,
+        });
+      }
+      throw error;
+    }
+
+    await creditAccount(transaction.toAccount, transaction.amount, session);
+    await postJournal({
+      transactionId: transaction.transactionId,
+      type: 'INCOMING',
+      currency: transaction.currency,
+      description: transaction.description,
+      lines: transferLines(LEDGER_ACCOUNTS.INTERBANK_CLEARING, transaction.toAccount, transaction.amount),
+    }, session);
+
+    transaction.status = 'COMPLETED';
+    await transaction.save({ session });
+  });
+
+  return transaction;
+};
+
+/**
+ * Credit the welcome bonus to a newly opened account, funded by the bonus expense account.
+ * Runs inside the caller's session so the account and its bonus are created together.
+ */
+const grantWelcomeBonus = async (account, amount, initiatedBy, session) => {
+  const transaction = new Transaction({
+    fromAccount: LEDGER_ACCOUNTS.BONUS_EXPENSE,
+    toAccount: account.accountNumber,
+    fromBank: process.env.BANK_PREFIX || 'OVE',
+    toBank: process.env.BANK_PREFIX || 'OVE',
+    amount,
+    currency: account.currency,
+    description: 'Welcome bonus - Initial account deposit',
+    type: 'BONUS',
+    status: 'COMPLETED',
+    isInternal: true,
+    initiatedBy,
+  });
+
+  const credited = await creditAccount(account.accountNumber, amount, session);
+  await postJournal({
+    transactionId: transaction.transactionId,
+    type: 'BONUS',
+    currency: account.currency,
+    description: transaction.description,
+    lines: transferLines(LEDGER_ACCOUNTS.BONUS_EXPENSE, account.accountNumber, amount),
+  }, session);
+  await transaction.save({ session });
+
+  account.balance = credited.balance;
+  return transaction;
+};
+
+module.exports = {
+  runInTransaction,
+  debitAccount,
+  creditAccount,
+  executeInternalTransfer,
+  initiateExternalTransfer,
+  scheduleTransfer,
+  executeScheduledInternalTransfer,
+  executeScheduledExternalTransfer,
+  failScheduledTransfer,
+  updateScheduledTransfer,
+  refundExternalTransfer,
+  completeExternalTransfer,
+  creditIncomingTransfer,
+  grantWelcomeBonus,
+};
@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+
+jest.mock('./limit.service', () => ({
+  countTransferUsage: jest.fn(),
+  releaseTransferUsage: jest.fn(),
+}));
+jest.mock('./fee.service', () => ({
+  transferTypeOf: jest.fn(() => 'EXTERNAL'),
+  quoteFee: jest.fn(),
+}));
+jest.mock('./fx.service', () => ({
+  convert: jest.fn(),
+  claimQuote: jest.fn(),
+}));
+
+const Account = require('../models/account.model');
+const Transaction = require('../models/transaction.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const OutboxMessage = require('../models/outboxMessage.model');
+const SignatureNonce = require('../models/signatureNonce.model');
+const { countTransferUsage, releaseTransferUsage } = require('./limit.service');
+const { quoteFee } = require('./fee.service');
+const {
+  executeInternalTransfer,
+  initiateExternalTransfer,
+  executeScheduledInternalTransfer,
+  executeScheduledExternalTransfer,
+  refundExternalTransfer,
+  creditIncomingTransfer,
+} = require('./transfer.service');
+
+const session = { id: 'session' };
+const sender = { accountNumber: 'OVE-11111111', currency: 'EUR', user: new mongoose.Types.ObjectId() };
+const recipient = { accountNumber: 'OVE-22222222', currency: 'EUR' };
+const countedAt = new Date('2026-03-14T10:00:00Z');
+
+// Helper function to get the ledger lines posted, as [account, side, amount]
+const postedLines = () => LedgerEntry.insertMany.mock.calls
+  .flatMap(([entries]) => entries.map((entry) => [entry.account, entry.side, entry.amount]));
+
+describe('transfer service', () => {
+  beforeEach(() => {
+    process.env.BANK_PREFIX = 'OVE';
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation((work) => work(session));
+    jest.spyOn(Account, 'debitBalance').mockImplementation(async (accountNumber) => ({ accountNumber, balance: 100 }));
+    jest.spyOn(Account, 'creditBalance').mockImplementation(async (accountNumber) => ({ accountNumber, balance: 100 }));
+    jest.spyOn(Account, 'findOne').mockReturnValue({ session: jest.fn().mockResolvedValue(sender) });
+    jest.spyOn(LedgerEntry, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(OutboxMessage, 'create').mockResolvedValue([]);
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    countTransferUsage.mockResolvedValue({ countedAt, amount: 50 });
+    releaseTransferUsage.mockResolvedValue();
+    quoteFee.mockResolvedValue({ transferType: 'EXTERNAL', amount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('executeInternalTransfer', () => {
+    it('debits, credits, posts the journal and the fee and completes the transfer in one transaction', async () => {
+      const transaction = await executeInternalTransfer({
+        senderAccount: sender,
+        recipientAccount: recipient,
+        amount: 50,
+        initiatedBy: sender.user,
+        fee: { transferType: 'INTERNAL', amount: 0.5 },
+      });
+
+      expect(mongoose.connection.transaction).toHaveBeenCalledTimes(1);
+      expect(Account.debitBalance).toHaveBeenCalledWith(sender.accountNumber, 50, session);
+      expect(Account.creditBalance).toHaveBeenCalledWith(recipient.accountNumber, 50, session);
+      expect(Account.debitBalance).toHaveBeenCalledWith(sender.accountNumber, 0.5, session);
+      expect(postedLines()).toEqual([
+        [sender.accountNumber, 'DEBIT', 50],
+        [recipient.accountNumber, 'CREDIT', 50],
+        [sender.accountNumber, 'DEBIT', 0.5],
+        ['BANK:FEE_REVENUE', 'CREDIT', 0.5],
+      ]);
+      expect(transaction).toMatchObject({ status: 'COMPLETED', feeAmount: 0.5 });
+    });
+
+    it('fails with INSUFFICIENT_FUNDS and moves nothing when the conditional debit matches no account', async () => {
+      Account.debitBalance.mockResolvedValue(null);
+
+      await expect(executeInternalTransfer({
+        senderAccount: sender,
+        recipientAccount: recipient,
+        amount: 50,
+        initiatedBy: sender.user,
+      })).rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_FUNDS' });
+
+      expect(Account.creditBalance).not.toHaveBeenCalled();
+      expect(LedgerEntry.insertMany).not.toHaveBeenCalled();
+      expect(Transaction.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('counts the transfer against the limits inside its transaction and records what was counted', async () => {
+      const transaction = await executeInternalTransfer({
+        senderAccount: sender,
+        recipientAccount: recipient,
+        amount: 50,
+        initiatedBy: sender.user,
+      });
+
+      expect(countTransferUsage).toHaveBeenCalledWith(expect.objectContaining({ account: sender, amount: 50, session }));
+      expect(countTransferUsage.mock.invocationCallOrder[0]).toBeLessThan(Account.debitBalance.mock.invocationCallOrder[0]);
+      expect(transaction).toMatchObject({ limitCountedAt: countedAt, limitAmount: 50 });
+    });
+
+    it('moves nothing when the transfer is over a limit', async () => {
+      countTransferUsage.mockRejectedValue(Object.assign(new Error('Transfer exceeds the daily limit'), {
+        statusCode: 400,
+        code: 'LIMIT_EXCEEDED',
+      }));
+
+      await expect(executeInternalTransfer({
+        senderAccount: sender,
+        recipientAccount: recipient,
+        amount: 50,
+        initiatedBy: sender.user,
+      })).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+
+      expect(Account.debitBalance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('initiateExternalTransfer', () => {
+    it('debits the sender to interbank clearing and queues the signed payload', async () => {
+      const transaction = new Transaction({
+        fromAccount: sender.accountNumber,
+        toAccount: 'ABC-12345678',
+        fromBank: 'OVE',
+        toBank: 'ABC',
+        amount: 50,
+        currency: 'EUR',
+        isInternal: false,
+        initiatedBy: sender.user,
+      });
+      const payload = { transactionId: transaction.transactionId, signature: 'signed' };
+
+      await initiateExternalTransfer(transaction, payload);
+
+      expect(transaction.status).toBe('PENDING');
+      expect(countTransferUsage).toHaveBeenCalledWith(expect.objectContaining({ account: sender, session }));
+      expect(postedLines()).toEqual([
+        [sender.accountNumber, 'DEBIT', 50],
+        ['BANK:INTERBANK_CLEARING', 'CREDIT', 50],
+      ]);
+      expect(OutboxMessage.create).toHaveBeenCalledWith(
+        [expect.objectContaining({ transactionId: transaction.transactionId, payload })],
+        { session }
+      );
+    });
+  });
+
+  describe('executeScheduledExternalTransfer', () => {
+    it('signs the transfer as claimed and queues that payload', async () => {
+      // The amount was changed after the scheduler loaded the transfer; the claim returns the new one
+      const claimed = new Transaction({
+        transactionId: 'tx-scheduled',
+        fromAccount: sender.accountNumber,
+        toAccount: 'ABC-12345678',
+        fromBank: 'OVE',
+        toBank: 'ABC',
+        amount: 75,
+        currency: 'EUR',
+        isInternal: false,
+        status: 'PENDING',
+        initiatedBy: sender.user,
+      });
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(claimed);
+      const signPayload = jest.fn(async (transaction) => ({ amount: transaction.amount, signature: 'signed-75' }));
+
+      const result = await executeScheduledExternalTransfer('tx-scheduled', signPayload);
+
+      expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+        { transactionId: 'tx-scheduled', isInternal: false, status: 'SCHEDULED' },
+        { $set: { status: 'PENDING' } },
+        { new: true, session }
+      );
+      expect(signPayload).toHaveBeenCalledWith(claimed);
+      expect(result.signature).toBe('signed-75');
+      expect(Account.debitBalance).toHaveBeenCalledWith(sender.accountNumber, 75, session);
+      expect(OutboxMessage.create.mock.calls[0][0][0].payload).toEqual({ amount: 75, signature: 'signed-75' });
+    });
+
+    it('does nothing for a transfer that is no longer scheduled', async () => {
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+      const signPayload = jest.fn();
+
+      expect(await executeScheduledExternalTransfer('tx-cancelled', signPayload)).toBeNull();
+      expect(signPayload).not.toHaveBeenCalled();
+      expect(Account.debitBalance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('executeScheduledInternalTransfer', () => {
+    it('does nothing for a transfer that is no longer scheduled', async () => {
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+
+      expect(await executeScheduledInternalTransfer('tx-cancelled')).toBeNull();
+      expect(countTransferUsage).not.toHaveBeenCalled();
+      expect(Account.debitBalance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refundExternalTransfer', () => {
+    it('refunds the sender, takes the transfer off the limit usage and marks it FAILED', async () => {
+      const failed = new Transaction({
+        transactionId: 'tx-out',
+        fromAccount: sender.accountNumber,
+        toAccount: 'ABC-12345678',
+        fromBank: 'OVE',
+        toBank: 'ABC',
+        amount: 50,
+        currency: 'EUR',
+        isInternal: false,
+        status: 'FAILED',
+        initiatedBy: sender.user,
+        limitCountedAt: countedAt,
+        limitAmount: 50,
+      });
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(failed);
+
+      await refundExternalTransfer('tx-out', 'BANK_UNAVAILABLE', 'Central bank is not responding');
+
+      expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+        { transactionId: 'tx-out', isInternal: false, status: { $in: ['PENDING', 'IN_PROGRESS'] } },
+        { $set: { status: 'FAILED', errorCode: 'BANK_UNAVAILABLE', errorMessage: 'Central bank is not responding' } },
+        { new: true, session }
+      );
+      expect(Account.creditBalance).toHaveBeenCalledWith(sender.accountNumber, 50, session);
+      expect(postedLines()).toEqual([
+        ['BANK:INTERBANK_CLEARING', 'DEBIT', 50],
+        [sender.accountNumber, 'CREDIT', 50],
+      ]);
+      expect(releaseTransferUsage).toHaveBeenCalledWith({ account: sender, countedAt, amount: 50, session });
+    });
+
+    it('never refunds a transfer that already reached a final status', async () => {
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+
+      expect(await refundExternalTransfer('tx-out', 'REJECTED', 'Rejected')).toBeNull();
+      expect(Account.creditBalance).not.toHaveBeenCalled();
+      expect(releaseTransferUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('creditIncomingTransfer', () => {
+    const incoming = () => new Transaction({
+      transactionId: 'tx-in',
+      fromAccount: 'ABC-12345678',
+      toAccount: recipient.accountNumber,
+      fromBank: 'ABC',
+      toBank: 'OVE',
+      amount: 20,
+      currency: 'EUR',
+      isInternal: false,
+      signature: 'signed',
+      initiatedBy: sender.user,
+    });
+    const guard = { fromBank: 'ABC', jti: 'jti-1', transactionId: 'tx-in', expiresAt: new Date() };
+
+    it('records the replay guard and credits the recipient', async () => {
+      jest.spyOn(SignatureNonce, 'create').mockResolvedValue([guard]);
+
+      const transaction = await creditIncomingTransfer(incoming(), guard);
+
+      expect(SignatureNonce.create).toHaveBeenCalledWith([guard], { session });
+      expect(Account.creditBalance).toHaveBeenCalledWith(recipient.accountNumber, 20, session);
+      expect(transaction.status).toBe('COMPLETED');
+    });
+
+    it('rejects a replayed signature without crediting anything', async () => {
+      jest.spyOn(SignatureNonce, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(creditIncomingTransfer(incoming(), guard))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SIGNATURE_REPLAYED' });
+      expect(Account.creditBalance).not.toHaveBeenCalled();
+      expect(LedgerEntry.insertMany).not.toHaveBeenCalled();
+    });
+  });
+});
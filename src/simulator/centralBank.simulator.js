@@ -0,0 +1,594 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const { thumbprint } = require('../utils/jwk');
+
+/**
+ * Central bank simulator
+ * A stand-in for the central bank for offline development and end-to-end testing.
+ * It implements the parts of the central bank this API talks to:
+ * - POST /api/v1/banks, PUT /api/v1/banks/:prefix   register / update a bank (returns prefix and API key)
+ * - GET  /api/v1/banks/:prefix[/publicKey]          registry lookups used to verify signatures
+ * - GET  /api/v1/keys/public                        the simulator's key for signed confirmations
+ * - POST /api/v1/transactions                       accept a signed transfer, forward it to the
+ *                                                   destination bank and confirm the outcome to the sender
+ * Simulator-only endpoints under /simulator inspect state, change failure modes and drive
+ * "virtual banks" hosted by the simulator itself, which can send transfers to and receive
+ * transfers from a real bank.
+ */
+
+const DEFAULT_FAILURE_MODES = {
+  // How POST /api/v1/transactions answers: accept | reject | unavailable | html | timeout
+  transferResponse: 'accept',
+  // Error code used when transferResponse is reject
+  rejectCode: 'ACCOUNT_NOT_FOUND',
+  // Apply transferResponse to this many transfers only, then accept again (null: all)
+  times: null,
+  // Delay (ms) before answering a transfer
+  delayMs: 0,
+  // How accepted transfers reach the destination bank: normal | badSignature | drop | duplicate
+  forwarding: 'normal',
+  // How the outcome is reported to the sending bank: normal | badSignature | drop | duplicate
+  confirmation: 'normal',
+};
+
+// Helper function to wait
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Helper function to send an error in the standard format
+const sendError = (res, statusCode, code, message, transactionId) => res.status(statusCode).json({
+  error: { code, message, transactionId },
+});
+
+// Helper function to read a response body that may or may not be JSON
+const readBody = async (response) => {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+// Helper function to generate an RSA key pair as PEM strings
+const generateKeyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+});
+
+// Helper function to generate a random 3-letter prefix
+const randomPrefix = () => Array.from({ length: 3 }, () => String.fromCharCode(65 + crypto.randomInt(26))).join('');
+
+/**
+ * Create a central bank simulator.
+ * Options:
+ * - privateKey:   PEM key for signing confirmations (generated when omitted)
+ * - publicUrl:    base URL other banks reach the simulator at (default: the address it listens on)
+ * - virtualBanks: prefixes of banks the simulator hosts itself (e.g. ['SIM'])
+ * - failureModes: initial failure modes (see DEFAULT_FAILURE_MODES)
+ * - forwardAttempts / forwardRetryMs: delivery attempts to the destination bank
+ * - log:          logging function (default console.log)
+ */
+const createCentralBankSimulator = ({
+  privateKey = generateKeyPair().privateKey,
+  publicUrl = null,
+  virtualBanks = [],
+  failureModes = {},
+  forwardAttempts = 3,
+  forwardRetryMs = 1000,
+  log = console.log,
+} = {}) => {
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+
+  const state = {
+    // prefix -> { bankPrefix, name, jwksUrl, callbackUrl, statusCallbackUrl, apiKey, virtual, registeredAt }
+    banks: new Map(),
+    // prefix -> { privateKey, publicKey, kid, received: [] } for banks hosted by the simulator
+    virtualBanks: new Map(),
+    // transactionId -> transfer record
+    transfers: new Map(),
+    failureModes: { ...DEFAULT_FAILURE_MODES, ...failureModes },
+  };
+
+  let server = null;
+  let baseUrl = publicUrl ? publicUrl.replace(/\/$/, '') : null;
+
+  const app = express();
+  app.use(express.json());
+
+  // Helper function to register (or re-register) a bank
+  const registerBank = ({ bankPrefix, name, jwksUrl, callbackUrl, statusCallbackUrl }, existing = null) => {
+    let prefix = existing ? existing.bankPrefix : bankPrefix;
+    if (!existing && (!prefix || state.banks.has(prefix))) {
+      do {
+        prefix = randomPrefix();
+      } while (state.banks.has(prefix));
+    }
+
+    const bank = {
+      bankPrefix: prefix,
+      name: name || (existing && existing.name) || prefix,
+      jwksUrl: jwksUrl || (existing && existing.jwksUrl),
+      callbackUrl: callbackUrl || (existing && existing.callbackUrl),
+      statusCallbackUrl: statusCallbackUrl || (existing && existing.statusCallbackUrl) || null,
+      apiKey: existing ? existing.apiKey : crypto.randomBytes(24).toString('hex'),
+      virtual: existing ? existing.virtual : false,
+      registeredAt: existing ? existing.registeredAt : new Date(),
+      updatedAt: new Date(),
+    };
+    state.banks.set(prefix, bank);
+    return bank;
+  };
+
+  // Helper function to get the JWKS of a registered bank
+  const fetchJwks = async (bank) => {
+    const virtualBank = state.virtualBanks.get(bank.bankPrefix);
+    if (virtualBank) {
+      return { keys: [virtualBank.jwk] };
+    }
+    const response = await fetch(bank.jwksUrl, { timeout: 5000 });
+    if (!response.ok) {
+      throw new Error(`JWKS of ${bank.bankPrefix} responded with status ${response.status}`);
+    }
+    return response.json();
+  };
+
+  // Helper function to verify a JWT signed by a registered bank, selecting its key by kid
+  const verifyBankJwt = async (bank, token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new Error('Signature is not a valid JWT');
+    }
+    const { keys = [] } = await fetchJwks(bank);
+    const candidates = keys.filter((key) => !decoded.header.kid || !key.kid || key.kid === decoded.header.kid);
+    if (candidates.length === 0) {
+      throw new Error(`No key ${decoded.header.kid} in the JWKS of ${bank.bankPrefix}`);
+    }
+
+    let lastError;
+    for (const jwk of candidates) {
+      try {
+        return jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: ['RS256'] });
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  };
+
+  // Helper function to authenticate a bank by its API key
+  const authenticateBank = (req, res, next) => {
+    const bank = state.banks.get(req.header('X-Bank-Prefix') || (req.body && req.body.fromBank));
+    if (!bank || req.header('X-API-Key') !== bank.apiKey) {
+      return sendError(res, 401, 'UNAUTHORIZED', 'Missing or invalid API key');
+    }
+    req.bank = bank;
+    next();
+  };
+
+  // Send the signed outcome of a transfer to the bank that sent it
+  const confirm = async (transfer, status, errorCode = null, errorMessage = null) => {
+    transfer.status = status;
+    transfer.errorCode = errorCode;
+    transfer.errorMessage = errorMessage;
+    transfer.updatedAt = new Date();
+
+    const { confirmation } = state.failureModes;
+    if (confirmation === 'drop') {
+      transfer.confirmation = { dropped: true };
+      return;
+    }
+
+    const signingKey = confirmation === 'badSignature' ? generateKeyPair().privateKey : privateKey;
+    const body = {
+      transactionId: transfer.transactionId,
+      status,
+      ...(errorCode ? { errorCode, errorMessage } : {}),
+      signature: jwt.sign({ transactionId: transfer.transactionId, status, errorCode }, signingKey, { algorithm: 'RS256' }),
+    };
+
+    const sender = state.banks.get(transfer.fromBank);
+    const virtualSender = state.virtualBanks.get(transfer.fromBank);
+    if (virtualSender) {
+      virtualSender.confirmations.push(body);
+      transfer.confirmation = { deliveredAt: new Date() };
+      return;
+    }
+
+    const statusUrl = sender.statusCallbackUrl || new URL('status', sender.callbackUrl).toString();
+    const times = confirmation === 'duplicate' ? 2 : 1;
+    for (let i = 0; i < times; i += 1) {
+      try {
+        const response = await fetch(statusUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+          timeout: 10000,
+        });
+        transfer.confirmation = { statusCode: response.status, response: await readBody(response), deliveredAt: new Date() };
+      } catch (error) {
+        transfer.confirmation = { error: error.message };
+        log(`[simulator] Confirmation of ${transfer.transactionId} to ${transfer.fromBank} failed: ${error.message}`);
+      }
+    }
+  };
+
+  // Deliver a transfer to the destination bank and report the outcome to the sender
+  const forward = async (transfer) => {
+    const { forwarding } = state.failureModes;
+    if (forwarding === 'drop') {
+      transfer.status = 'DROPPED';
+      return;
+    }
+
+    const payload = { ...transfer.payload };
+    if (forwarding === 'badSignature') {
+      // Change the first character of the JWS signature segment so the destination bank rejects it
+      const at = payload.signature.lastIndexOf('.') + 1;
+      const replacement = payload.signature[at] === 'A' ? 'B' : 'A';
+      payload.signature = `${payload.signature.slice(0, at)}${replacement}${payload.signature.slice(at + 1)}`;
+    }
+
+    const destination = state.banks.get(transfer.toBank);
+    const virtualDestination = state.virtualBanks.get(transfer.toBank);
+    const deliveries = forwarding === 'duplicate' ? 2 : 1;
+
+    let outcome = null;
+    for (let delivery = 0; delivery < deliveries; delivery += 1) {
+      if (virtualDestination) {
+        virtualDestination.received.push(payload);
+        outcome = { status: 'COMPLETED' };
+        continue;
+      }
+
+      outcome = null;
+      for (let attempt = 1; attempt <= forwardAttempts && !outcome; attempt += 1) {
+        try {
+          const response = await fetch(destination.callbackUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            timeout: 10000,
+          });
+          const data = await readBody(response);
+          transfer.destinationResponse = { statusCode: response.status, body: data };
+
+          if (response.ok) {
+            outcome = { status: 'COMPLETED' };
+          } else if (response.status < 500) {
+            const error = (data && data.error) || {};
+            outcome = {
+              status: 'FAILED',
+              errorCode: error.code || 'TRANSACTION_REJECTED',
+              errorMessage: error.message || `Destination bank responded with status ${response.status}`,
+            };
+          }
+        } catch (error) {
+          transfer.destinationResponse = { error: error.message };
+        }
+        if (!outcome && attempt < forwardAttempts) {
+          await sleep(forwardRetryMs);
+        }
+      }
+    }
+
+    if (!outcome) {
+      outcome = { status: 'FAILED', errorCode: 'BANK_UNAVAILABLE', errorMessage: 'Destination bank is not responding' };
+    }
+    await confirm(transfer, outcome.status, outcome.errorCode, outcome.errorMessage);
+  };
+
+  // Validate and accept a signed transfer, then forward it in the background
+  const acceptTransfer = async (payload) => {
+    const { transactionId, fromBank, toBank, signature } = payload;
+
+    const sender = state.banks.get(fromBank);
+    if (!sender) {
+      return { statusCode: 404, error: { code: 'BANK_NOT_FOUND', message: `Bank ${fromBank} is not registered` } };
+    }
+    if (!state.banks.has(toBank)) {
+      return { statusCode: 404, error: { code: 'BANK_NOT_FOUND', message: `Bank ${toBank} is not registered` } };
+    }
+
+    try {
+      const claims = await verifyBankJwt(sender, signature);
+      if (claims.transactionId !== transactionId || Number(claims.amount) !== Number(payload.amount)) {
+        throw new Error('Signed claims do not match the transaction');
+      }
+    } catch (error) {
+      return { statusCode: 400, error: { code: 'INVALID_SIGNATURE', message: error.message } };
+    }
+
+    const existing = state.transfers.get(transactionId);
+    if (existing) {
+      if (existing.payload.signature !== signature) {
+        return { statusCode: 409, error: { code: 'DUPLICATE_TRANSACTION', message: 'Transaction ID already used' } };
+      }
+      return { statusCode: 202, body: { transactionId, status: existing.status } };
+    }
+
+    const transfer = {
+      transactionId,
+      fromBank,
+      toBank,
+      amount: payload.amount,
+      currency: payload.currency,
+      payload,
+      status: 'IN_PROGRESS',
+      receivedAt: new Date(),
+    };
+    state.transfers.set(transactionId, transfer);
+    setImmediate(() => forward(transfer).catch((error) => {
+      log(`[simulator] Forwarding ${transactionId} failed: ${error.message}`);
+    }));
+
+    return { statusCode: 202, body: { transactionId, status: 'IN_PROGRESS' } };
+  };
+
+  // Add a bank hosted by the simulator, with its own key pair, JWKS and incoming endpoint
+  const addVirtualBank = (prefix) => {
+    const keyPair = generateKeyPair();
+    const kid = thumbprint(keyPair.publicKey);
+    state.virtualBanks.set(prefix, {
+      ...keyPair,
+      kid,
+      jwk: { ...crypto.createPublicKey(keyPair.publicKey).export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' },
+      received: [],
+      confirmations: [],
+    });
+    const bank = registerBank({
+      bankPrefix: prefix,
+      name: `Simulated bank ${prefix}`,
+      jwksUrl: `${baseUrl || ''}/simulator/banks/${prefix}/jwks`,
+      callbackUrl: `${baseUrl || ''}/simulator/banks/${prefix}/incoming`,
+    });
+    bank.virtual = true;
+    return bank;
+  };
+
+  // Registry
+
+  app.post('/api/v1/banks', (req, res) => {
+    const { name, jwksUrl, callbackUrl } = req.body;
+    if (!name || !jwksUrl || !callbackUrl) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'name, jwksUrl and callbackUrl are required');
+    }
+    const bank = registerBank(req.body);
+    log(`[simulator] Registered bank ${bank.bankPrefix} (${bank.name})`);
+    res.status(201).json({ bankPrefix: bank.bankPrefix, apiKey: bank.apiKey });
+  });
+
+  app.put('/api/v1/banks/:prefix', (req, res) => {
+    const existing = state.banks.get(req.params.prefix);
+    if (!existing) {
+      return sendError(res, 404, 'BANK_NOT_FOUND', 'Bank not found');
+    }
+    if (req.header('X-API-Key') !== existing.apiKey) {
+      return sendError(res, 401, 'UNAUTHORIZED', 'Missing or invalid API key');
+    }
+    const bank = registerBank(req.body, existing);
+    res.status(200).json({ bankPrefix: bank.bankPrefix, apiKey: bank.apiKey });
+  });
+
+  app.get('/api/v1/banks/:prefix', (req, res) => {
+    const bank = state.banks.get(req.params.prefix);
+    if (!bank) {
+      return sendError(res, 404, 'BANK_NOT_FOUND', 'Bank not found');
+    }
+    const { bankPrefix, name, jwksUrl, callbackUrl } = bank;
+    res.status(200).json({ bankPrefix, name, jwksUrl, callbackUrl });
+  });
+
+  // PEM form of the bank's first published key, for clients that do not use JWKS
+  app.get('/api/v1/banks/:prefix/publicKey', async (req, res) => {
+    const bank = state.banks.get(req.params.prefix);
+    if (!bank) {
+      return sendError(res, 404, 'BANK_NOT_FOUND', 'Bank not found');
+    }
+    try {
+      const { keys = [] } = await fetchJwks(bank);
+      if (keys.length === 0) {
+        return sendError(res, 404, 'KEY_NOT_FOUND', 'Bank publishes no keys');
+      }
+      res.status(200).json({
+        bankPrefix: bank.bankPrefix,
+        kid: keys[0].kid,
+        publicKey: crypto.createPublicKey({ key: keys[0], format: 'jwk' }).export({ type: 'spki', format: 'pem' }),
+      });
+    } catch (error) {
+      sendError(res, 502, 'BANK_UNAVAILABLE', error.message);
+    }
+  });
+
+  app.get('/api/v1/keys/public', (req, res) => {
+    res.status(200).json({ publicKey });
+  });
+
+  // Transfers
+
+  app.post('/api/v1/transactions', authenticateBank, async (req, res) => {
+    if (req.body.fromBank !== req.bank.bankPrefix) {
+      return sendError(res, 403, 'FORBIDDEN', 'Banks can only send transfers from their own prefix', req.body.transactionId);
+    }
+
+    const modes = state.failureModes;
+    if (modes.delayMs) {
+      await sleep(modes.delayMs);
+    }
+
+    const failing = modes.transferResponse !== 'accept' && (modes.times === null || modes.times > 0);
+    if (failing) {
+      if (modes.times !== null) {
+        modes.times -= 1;
+      }
+      switch (modes.transferResponse) {
+        case 'reject':
+          return sendError(res, 400, modes.rejectCode, 'Transfer rejected by the simulator', req.body.transactionId);
+        case 'unavailable':
+          return sendError(res, 503, 'SERVICE_UNAVAILABLE', 'Central bank is down for maintenance');
+        case 'html':
+          return res.status(502).type('html').send('<html><body><h1>502 Bad Gateway</h1></body></html>');
+        case 'timeout':
+          // Never answer; the client's timeout fires first
+          return undefined;
+        default:
+          break;
+      }
+    }
+
+    const result = await acceptTransfer(req.body);
+    if (result.error) {
+      return sendError(res, result.statusCode, result.error.code, result.error.message, req.body.transactionId);
+    }
+    res.status(result.statusCode).json(result.body);
+  });
+
+  // Simulator control
+
+  app.get('/simulator/banks', (req, res) => {
+    res.status(200).json([...state.banks.values()].map(({ apiKey, ...bank }) => bank));
+  });
+
+  app.get('/simulator/transfers', (req, res) => {
+    res.status(200).json([...state.transfers.values()]);
+  });
+
+  app.get('/simulator/failure-modes', (req, res) => {
+    res.status(200).json(state.failureModes);
+  });
+
+  app.put('/simulator/failure-modes', (req, res) => {
+    const unknown = Object.keys(req.body).filter((key) => !(key in DEFAULT_FAILURE_MODES));
+    if (unknown.length > 0) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `Unknown failure modes: ${unknown.join(', ')}`);
+    }
+    Object.assign(state.failureModes, req.body);
+    res.status(200).json(state.failureModes);
+  });
+
+  app.delete('/simulator/failure-modes', (req, res) => {
+    state.failureModes = { ...DEFAULT_FAILURE_MODES };
+    res.status(200).json(state.failureModes);
+  });
+
+  app.post('/simulator/banks', (req, res) => {
+    const { bankPrefix } = req.body;
+    if (!bankPrefix || state.banks.has(bankPrefix)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'A new bankPrefix is required');
+    }
+    const { apiKey, ...bank } = addVirtualBank(bankPrefix);
+    res.status(201).json(bank);
+  });
+
+  app.get('/simulator/banks/:prefix/jwks', (req, res) => {
+    const virtualBank = state.virtualBanks.get(req.params.prefix);
+    if (!virtualBank) {
+      return sendError(res, 404, 'BANK_NOT_FOUND', 'Virtual bank not found');
+    }
+    res.status(200).json({ keys: [virtualBank.jwk] });
+  });
+
+  // Transfers and confirmations received by a virtual bank
+  app.get('/simulator/banks/:prefix/received', (req, res) => {
+    const virtualBank = state.virtualBanks.get(req.params.prefix);
+    if (!virtualBank) {
+      return sendError(res, 404, 'BANK_NOT_FOUND', 'Virtual bank not found');
+    }
+    res.status(200).json({ transfers: virtualBank.received, confirmations: virtualBank.confirmations });
+  });
+
+  // Send a signed transfer from a virtual bank (e.g. to a real bank's /incoming)
+  app.post('/simulator/banks/:prefix/transfers', async (req, res) => {
+    const virtualBank = state.virtualBanks.get(req.params.prefix);
+    if (!virtualBank) {
+      return sendError(res, 404, 'BANK_NOT_FOUND', 'Virtual bank not found');
+    }
+    const { toBank, toAccount, amount, currency = 'EUR', description = '' } = req.body;
+    if (!toBank || !toAccount || !amount) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'toBank, toAccount and amount are required');
+    }
+
+    const payload = {
+      transactionId: req.body.transactionId || uuidv4(),
+      fromBank: req.params.prefix,
+      fromAccount: req.body.fromAccount || `${req.params.prefix}-${crypto.randomInt(10000000, 99999999)}`,
+      toBank,
+      toAccount,
+      amount: Number(amount),
+      currency,
+      description,
+      timestamp: req.body.timestamp || new Date().toISOString(),
+    };
+    payload.signature = jwt.sign(payload, virtualBank.privateKey, {
+      algorithm: 'RS256',
+      keyid: virtualBank.kid,
+      jwtid: uuidv4(),
+    });
+
+    const result = await acceptTransfer(payload);
+    if (result.error) {
+      return sendError(res, result.statusCode, result.error.code, result.error.message, payload.transactionId);
+    }
+    res.status(202).json({ ...result.body, payload });
+  });
+
+  app.post('/simulator/reset', (req, res) => {
+    state.transfers.clear();
+    state.failureModes = { ...DEFAULT_FAILURE_MODES };
+    state.virtualBanks.forEach((virtualBank) => {
+      virtualBank.received.length = 0;
+      virtualBank.confirmations.length = 0;
+    });
+    res.status(200).json({ message: 'Simulator reset' });
+  });
+
+  return {
+    app,
+    state,
+    publicKey,
+
+    // Start listening (port 0 picks a free port); resolves with the simulator's base URL
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, () => {
+          if (!baseUrl) {
+            baseUrl = `http://localhost:${server.address().port}`;
+          }
+          virtualBanks.forEach((prefix) => {
+            if (!state.banks.has(prefix)) {
+              addVirtualBank(prefix);
+            }
+          });
+          log(`[simulator] Central bank simulator listening at ${baseUrl}`);
+          resolve(baseUrl);
+        });
+        server.on('error', reject);
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) {
+          resolve();
+          return;
+        }
+        server.close(() => resolve());
+        // Transfers held open by the timeout failure mode would keep the server alive
+        server.closeAllConnections();
+        server = null;
+      });
+    },
+
+    get url() {
+      return baseUrl;
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_FAILURE_MODES,
+  createCentralBankSimulator,
+};
@@ -0,0 +1,345 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { _id: mockUserId };
+    next();
+  },
+  isAdmin: (req, res, next) => next(),
+}));
+jest.mock('../services/limit.service', () => ({
+  checkTransferLimits: jest.fn(),
+  countTransferUsage: jest.fn(async ({ amount }) => ({ countedAt: new Date(), amount })),
+  releaseTransferUsage: jest.fn(),
+}));
+jest.mock('../services/fee.service', () => ({
+  transferTypeOf: jest.fn(() => 'EXTERNAL'),
+  quoteFee: jest.fn(async () => ({ transferType: 'EXTERNAL', amount: 0.5 })),
+}));
+// Signs with a key pair made for the test and publishes it as the bank's JWKS
+jest.mock('../services/keyring.service', () => {
+  const crypto = require('crypto');
+  const jwt = require('jsonwebtoken');
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    signWithActiveKey: jest.fn(async (payload, options) => jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: 'key-1', ...options })),
+    getVerificationKey: () => publicKey.export({ type: 'spki', format: 'pem' }),
+    getJwks: () => ({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] }),
+  };
+});
+
+const Account = require('../models/account.model');
+const Transaction = require('../models/transaction.model');
+const OutboxMessage = require('../models/outboxMessage.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const SignatureNonce = require('../models/signatureNonce.model');
+const { releaseTransferUsage } = require('../services/limit.service');
+const { setApiKey } = require('../services/centralBank.service');
+const { startDispatcher, stopDispatcher } = require('../services/outbox.service');
+const { setRateLimitStore } = require('../services/rateLimit');
+const { createMemoryStore } = require('../services/rateLimit/memory.store');
+const transactionRoutes = require('../routes/transaction.routes');
+const keysRoutes = require('../routes/keys.routes');
+const { createCentralBankSimulator } = require('./centralBank.simulator');
+
+// Generating RSA keys and the real HTTP round trips are slow on small machines
+jest.setTimeout(30000);
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/transactions', transactionRoutes);
+app.use('/api/v1/keys', keysRoutes);
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({ error: { code: err.code, message: err.message, details: err.details } });
+});
+
+// Helper function to tell whether a stored document matches the simple MongoDB filters used on this path
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') {
+    return condition.some((alternative) => matches(doc, alternative));
+  }
+  const value = doc[field];
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$in':
+          return operand.includes(value);
+        case '$lte':
+          return value != null && value <= operand;
+        default:
+          throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  return condition === null ? value == null : value === condition;
+});
+
+// Helper function to apply a $set / $inc update to a stored document
+const applyUpdate = (doc, { $set = {}, $inc = {} }) => {
+  Object.assign(doc, $set);
+  Object.entries($inc).forEach(([field, amount]) => {
+    doc[field] = (doc[field] || 0) + amount;
+  });
+  return doc;
+};
+
+// Helper function to answer like a query, awaited directly or after .session()
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.session = () => promise;
+  return promise;
+};
+
+// Helper function to wait until the background delivery and callbacks have settled
+const waitFor = async (condition, description) => {
+  const deadline = Date.now() + 15000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${description}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+describe('central bank simulator end to end', () => {
+  let simulator;
+  let bankServer;
+  let accounts;
+  let transactions;
+  let outbox;
+
+  // Helper function to find the stored transaction of a transfer
+  const storedTransaction = (transactionId) => transactions.find((transaction) => transaction.transactionId === transactionId);
+  // Helper function to find the outbox message of a transfer
+  const outboxMessageOf = (transactionId) => outbox.find((message) => message.transactionId === transactionId);
+
+  // Helper function to send a transfer from our customer to the bank hosted by the simulator
+  const sendExternalTransfer = () => request(app)
+    .post('/api/v1/transactions/external')
+    .send({
+      fromAccount: 'OVE-11111111',
+      toAccount: 'SIM-12345678',
+      toBank: 'SIM',
+      amount: 50,
+      currency: 'EUR',
+      description: 'Invoice 42',
+    })
+    .expect(202);
+
+  beforeAll(async () => {
+    process.env.BANK_PREFIX = 'OVE';
+    process.env.OUTBOX_POLL_INTERVAL_MS = '20';
+    process.env.OUTBOX_RETRY_BASE_MS = '10';
+    process.env.OUTBOX_RETRY_MAX_MS = '50';
+    process.env.OUTBOX_MAX_ATTEMPTS = '3';
+    delete process.env.CENTRAL_BANK_PUBLIC_KEY_PATH;
+    setRateLimitStore(createMemoryStore());
+
+    simulator = createCentralBankSimulator({ virtualBanks: ['SIM'], forwardRetryMs: 10, log: () => {} });
+    process.env.CENTRAL_BANK_URL = await simulator.start();
+
+    bankServer = await new Promise((resolve) => {
+      const server = app.listen(0, () => resolve(server));
+    });
+    const bankUrl = `http://localhost:${bankServer.address().port}`;
+
+    const { body } = await request(simulator.app)
+      .post('/api/v1/banks')
+      .send({
+        bankPrefix: 'OVE',
+        name: 'OVE bank',
+        jwksUrl: `${bankUrl}/api/v1/keys/jwks`,
+        callbackUrl: `${bankUrl}/api/v1/transactions/incoming`,
+        statusCallbackUrl: `${bankUrl}/api/v1/transactions/status`,
+      })
+      .expect(201);
+    expect(body.bankPrefix).toBe('OVE');
+    setApiKey(body.apiKey);
+  });
+
+  afterAll(async () => {
+    setApiKey(null);
+    await simulator.stop();
+    await new Promise((resolve) => bankServer.close(resolve));
+    ['OUTBOX_POLL_INTERVAL_MS', 'OUTBOX_RETRY_BASE_MS', 'OUTBOX_RETRY_MAX_MS', 'OUTBOX_MAX_ATTEMPTS', 'CENTRAL_BANK_URL']
+      .forEach((name) => delete process.env[name]);
+  });
+
+  beforeEach(() => {
+    accounts = new Map([
+      ['OVE-11111111', new Account({ accountNumber: 'OVE-11111111', user: mockUserId, currency: 'EUR', balance: 100 })],
+    ]);
+    transactions = [];
+    outbox = [];
+
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation((work) => work({ id: 'session' }));
+    jest.spyOn(Account, 'findOne').mockImplementation(({ accountNumber }) => query(accounts.get(accountNumber) || null));
+    jest.spyOn(Account, 'debitBalance').mockImplementation(async (accountNumber, amount) => {
+      const account = accounts.get(accountNumber);
+      if (!account || account.balance + account.overdraftLimit < amount) {
+        return null;
+      }
+      account.balance -= amount;
+      return account;
+    });
+    jest.spyOn(Account, 'creditBalance').mockImplementation(async (accountNumber, amount) => {
+      const account = accounts.get(accountNumber);
+      if (account) {
+        account.balance += amount;
+      }
+      return account || null;
+    });
+
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function save() {
+      if (!transactions.includes(this)) {
+        transactions.push(this);
+      }
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Transaction, 'findOne').mockImplementation((filter) => query(transactions.find((doc) => matches(doc, filter)) || null));
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const doc = transactions.find((candidate) => matches(candidate, filter));
+      return query(doc ? applyUpdate(doc, update) : null);
+    });
+    jest.spyOn(Transaction, 'updateOne').mockImplementation(async (filter, update) => {
+      const doc = transactions.find((candidate) => matches(candidate, filter));
+      if (doc) {
+        applyUpdate(doc, update);
+      }
+      return { modifiedCount: doc ? 1 : 0 };
+    });
+
+    jest.spyOn(OutboxMessage, 'create').mockImplementation(async (docs) => docs.map((doc, index) => {
+      const message = {
+        _id: `message-${outbox.length + index + 1}`,
+        status: 'PENDING',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lockedUntil: null,
+        lastError: null,
+        ...doc,
+      };
+      outbox.push(message);
+      return message;
+    }));
+    jest.spyOn(OutboxMessage, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const [message] = outbox
+        .filter((candidate) => matches(candidate, filter))
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+      // Return a copy like MongoDB does, so later updates do not change what the dispatcher holds
+      return message ? { ...applyUpdate(message, update) } : null;
+    });
+    jest.spyOn(OutboxMessage, 'updateOne').mockImplementation(async (filter, update) => {
+      const message = outbox.find((candidate) => matches(candidate, filter));
+      if (message) {
+        applyUpdate(message, update);
+      }
+      return { modifiedCount: message ? 1 : 0 };
+    });
+
+    jest.spyOn(LedgerEntry, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(SignatureNonce, 'create').mockResolvedValue([]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    startDispatcher();
+  });
+
+  afterEach(async () => {
+    stopDispatcher();
+    await request(simulator.app).post('/simulator/reset').expect(200);
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('delivers an outgoing transfer through the outbox and completes it on the simulator\'s confirmation', async () => {
+    const response = await sendExternalTransfer();
+    const { transactionId } = response.body.transaction;
+    expect(response.body.transaction.status).toBe('PENDING');
+
+    await waitFor(() => simulator.state.transfers.get(transactionId)?.confirmation, 'the confirmation');
+
+    expect(storedTransaction(transactionId)).toMatchObject({ status: 'COMPLETED', errorCode: null });
+    expect(outboxMessageOf(transactionId)).toMatchObject({ status: 'DELIVERED', attempts: 1 });
+    expect(accounts.get('OVE-11111111').balance).toBe(49.5);
+
+    // The simulated bank got the transfer as we signed it, and our status callback accepted the outcome
+    const { body: received } = await request(simulator.app).get('/simulator/banks/SIM/received').expect(200);
+    expect(received.transfers).toEqual([expect.objectContaining({ transactionId, toAccount: 'SIM-12345678', amount: 50 })]);
+    expect(simulator.state.transfers.get(transactionId)).toMatchObject({
+      status: 'COMPLETED',
+      confirmation: { statusCode: 200, response: { transactionId, status: 'COMPLETED' } },
+    });
+  });
+
+  it('credits a transfer the simulator forwards to /transactions/incoming', async () => {
+    const { body } = await request(simulator.app)
+      .post('/simulator/banks/SIM/transfers')
+      .send({ toBank: 'OVE', toAccount: 'OVE-11111111', amount: 20, description: 'Refund of order 7' })
+      .expect(202);
+    const { transactionId } = body.payload;
+
+    await waitFor(() => simulator.state.transfers.get(transactionId)?.status === 'COMPLETED', 'the delivery');
+
+    expect(simulator.state.transfers.get(transactionId).destinationResponse).toMatchObject({
+      statusCode: 200,
+      body: { transactionId, status: 'COMPLETED' },
+    });
+    expect(storedTransaction(transactionId)).toMatchObject({
+      fromBank: 'SIM',
+      toAccount: 'OVE-11111111',
+      amount: 20,
+      status: 'COMPLETED',
+      initiatedBy: mockUserId,
+    });
+    expect(accounts.get('OVE-11111111').balance).toBe(120);
+    expect(SignatureNonce.create).toHaveBeenCalledTimes(1);
+
+    const { body: received } = await request(simulator.app).get('/simulator/banks/SIM/received').expect(200);
+    expect(received.confirmations).toEqual([expect.objectContaining({ transactionId, status: 'COMPLETED' })]);
+  });
+
+  it('retries a delivery the central bank answered with 503 and completes the transfer', async () => {
+    await request(simulator.app)
+      .put('/simulator/failure-modes')
+      .send({ transferResponse: 'unavailable', times: 1 })
+      .expect(200);
+
+    const { body } = await sendExternalTransfer();
+    const { transactionId } = body.transaction;
+
+    await waitFor(() => simulator.state.transfers.get(transactionId)?.confirmation, 'the confirmation');
+
+    expect(outboxMessageOf(transactionId)).toMatchObject({
+      status: 'DELIVERED',
+      attempts: 2,
+      lastError: '503 SERVICE_UNAVAILABLE: Central bank is down for maintenance',
+    });
+    expect(storedTransaction(transactionId).status).toBe('COMPLETED');
+    expect(accounts.get('OVE-11111111').balance).toBe(49.5);
+  });
+
+  it('refunds the transfer and its fee once the central bank has failed every attempt', async () => {
+    await request(simulator.app)
+      .put('/simulator/failure-modes')
+      .send({ transferResponse: 'unavailable' })
+      .expect(200);
+
+    const { body } = await sendExternalTransfer();
+    const { transactionId, feeTransactionId } = body.transaction;
+    expect(accounts.get('OVE-11111111').balance).toBe(49.5);
+
+    await waitFor(() => outboxMessageOf(transactionId).status === 'FAILED', 'the outbox to give up');
+
+    expect(outboxMessageOf(transactionId)).toMatchObject({ attempts: 3, lastError: 'BANK_UNAVAILABLE: Central bank is not responding' });
+    expect(storedTransaction(transactionId)).toMatchObject({ status: 'FAILED', errorCode: 'BANK_UNAVAILABLE' });
+    expect(storedTransaction(feeTransactionId).status).toBe('REVERSED');
+    expect(accounts.get('OVE-11111111').balance).toBe(100);
+    expect(releaseTransferUsage).toHaveBeenCalledWith(expect.objectContaining({ amount: 50 }));
+    expect(simulator.state.transfers.has(transactionId)).toBe(false);
+  });
+});
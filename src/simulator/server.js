@@ -0,0 +1,43 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createCentralBankSimulator } = require('./centralBank.simulator');
+
+/**
+ * Standalone central bank simulator
+ * Usage: npm run simulator
+ * Point a bank at it with CENTRAL_BANK_URL=http://localhost:<SIMULATOR_PORT> (and AUTO_REGISTER=true).
+ */
+
+const port = parseInt(process.env.SIMULATOR_PORT, 10) || 5000;
+const keyPath = process.env.SIMULATOR_PRIVATE_KEY_PATH || path.join(__dirname, '..', '..', 'keys', 'simulator.private.pem');
+const virtualBanks = (process.env.SIMULATOR_VIRTUAL_BANKS || 'SIM')
+  .split(',')
+  .map((prefix) => prefix.trim())
+  .filter(Boolean);
+
+// Keep the simulator's signing key across restarts, so banks that cached it keep accepting confirmations
+const loadOrCreateKey = () => {
+  if (fs.existsSync(keyPath)) {
+    return fs.readFileSync(keyPath, 'utf8');
+  }
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+  return privateKey;
+};
+
+const simulator = createCentralBankSimulator({
+  privateKey: loadOrCreateKey(),
+  publicUrl: process.env.SIMULATOR_PUBLIC_URL || null,
+  virtualBanks,
+});
+
+simulator.start(port).catch((err) => {
+  console.error('Failed to start central bank simulator', err);
+  process.exit(1);
+});
@@ -0,0 +1,16 @@
+/**
+ * API error utility
+ * Errors thrown with a status code and error code are rendered by the
+ * error handling middleware in the standard `{ error: { code, message } }` format
+ */
+class ApiError extends Error {
+  constructor(statusCode, code, message, extra = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    Object.assign(this, extra);
+  }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,113 @@
+/**
+ * CSV utility
+ * Minimal RFC 4180 parser: comma separated, optional double-quoted fields ("" escapes a quote),
+ * CRLF or LF line endings and an optional UTF-8 byte order mark. Blank lines are skipped.
+ * Also writes rows for exports.
+ */
+
+/**
+ * Parse CSV text into rows of fields, each row with its 1-based line number in the file.
+ * Throws if a quoted field is not closed.
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || fields.length) {
+    endRow();
+  }
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by the header names.
+ * Each object also gets `line`, its line number in the file.
+ */
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const names = header.fields.map((name) => name.trim());
+  return rows.map(({ line, fields }) => names.reduce((record, name, index) => {
+    if (name) {
+      record[name] = (fields[index] || '').trim();
+    }
+    return record;
+  }, { line }));
+};
+
+// Helper function to write one field, quoting it when needed
+// Text starting with a formula character (other than a plain number such as -12.50) is prefixed
+// with ' so spreadsheets do not evaluate it
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows (arrays of fields) as CSV text with CRLF line endings.
+ */
+const formatCsv = (rows) => `${rows.map((row) => row.map(formatField).join(',')).join('\r\n')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  formatCsv,
+};
@@ -0,0 +1,22 @@
+/**
+ * JWK utility
+ * Helpers for working with JSON Web Keys and compact JWS encoding
+ */
+const crypto = require('crypto');
+
+// Compute the RFC 7638 thumbprint of an RSA public key (used as kid)
+const thumbprint = (publicKey) => {
+  const { e, kty, n } = crypto.createPublicKey(publicKey).export({ format: 'jwk' });
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ e, kty, n }))
+    .digest('base64url');
+};
+
+// Encode a JSON value as a base64url JWS segment
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+module.exports = {
+  thumbprint,
+  encodeSegment,
+};
@@ -0,0 +1,67 @@
+/**
+ * XML utility
+ * Small helpers to write XML documents (statements, payment status reports) without a template
+ * engine: `element('Amt', '10.00', { Ccy: 'EUR' })`. Content is either text, which is escaped, or
+ * other elements. Elements with null or undefined content are left out, so optional elements can
+ * be written inline.
+ */
+
+// Helper function to escape text and attribute values
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Built elements are wrapped, so they can be told apart from text that still needs escaping
+class XmlElement {
+  constructor(xml) {
+    this.xml = xml;
+  }
+
+  toString() {
+    return this.xml;
+  }
+}
+
+/**
+ * Build an element. `content` is text, an element, or an array of elements (nulls are skipped).
+ * Returns null when content is null or undefined.
+ */
+const element = (name, content, attributes = {}) => {
+  if (content === null || content === undefined) {
+    return null;
+  }
+
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  let body;
+  if (Array.isArray(content)) {
+    body = content.filter(Boolean).join('');
+  } else if (content instanceof XmlElement) {
+    body = content.xml;
+  } else {
+    body = escapeXml(content);
+  }
+  return new XmlElement(`<${name}${attrs}>${body}</${name}>`);
+};
+
+/**
+ * Serialize a root element as a document with an XML declaration.
+ * `processingInstructions` are written between the declaration and the root (e.g. the OFX header).
+ */
+const xmlDocument = (root, processingInstructions = []) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  ...processingInstructions,
+  root.xml,
+].join('\n');
+
+module.exports = {
+  escapeXml,
+  element,
+  xmlDocument,
+};